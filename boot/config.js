@@ -67,6 +67,11 @@ const fs = require('fs');
  * @property {string} PUBLIC_URL
  * @property {string|undefined} ADMIN_USERNAME
  * @property {string|undefined} ADMIN_PASSWORD
+ * @property {boolean} OPCUA_SERVER_ENABLED
+ * @property {number} OPCUA_SERVER_PORT
+ * @property {string[]} OPCUA_SERVER_PUBLISH
+ * @property {string|null} OPCUA_SERVER_USERNAME
+ * @property {string|null} OPCUA_SERVER_PASSWORD
  */
 
 // --- Helper Functions ---
@@ -82,6 +87,24 @@ function parseStrictBool(val, defaultVal) {
     return String(val).trim().toLowerCase() === 'true';
 }
 
+/**
+ * Parses a list given either as a JSON array or a comma-separated string.
+ */
+function parseList(val) {
+    if (Array.isArray(val)) return val;
+    if (val === undefined || val === null) return [];
+    const str = String(val).trim();
+    if (str.startsWith('[')) {
+        try {
+            const parsed = JSON.parse(str);
+            if (Array.isArray(parsed)) return parsed;
+        } catch (e) {
+            // Fall through to comma-separated parsing
+        }
+    }
+    return str.split(',').map(s => s.trim()).filter(Boolean);
+}
+
 /**
  * Parses JSON robustly. Unwraps double stringified values.
  */
@@ -116,6 +139,9 @@ function loadConfig(logger, paths) {
         DUCKDB_PRUNE_CHUNK_SIZE: process.env.DUCKDB_PRUNE_CHUNK_SIZE ? parseInt(process.env.DUCKDB_PRUNE_CHUNK_SIZE, 10) : 500,
         DLQ_MAX_SIZE_MB: process.env.DLQ_MAX_SIZE_MB ? parseInt(process.env.DLQ_MAX_SIZE_MB, 10) : 50,
         DLQ_PRUNE_CHUNK_SIZE: process.env.DLQ_PRUNE_CHUNK_SIZE ? parseInt(process.env.DLQ_PRUNE_CHUNK_SIZE, 10) : 1000,
+        OUTBOX_ENABLED: parseStrictBool(process.env.OUTBOX_ENABLED, true),
+        OUTBOX_MAX_SIZE_MB: process.env.OUTBOX_MAX_SIZE_MB ? parseInt(process.env.OUTBOX_MAX_SIZE_MB, 10) : 20,
+        OUTBOX_MAX_AGE_MINUTES: process.env.OUTBOX_MAX_AGE_MINUTES ? parseInt(process.env.OUTBOX_MAX_AGE_MINUTES, 10) : 1440,
         DB_INSERT_BATCH_SIZE: process.env.DB_INSERT_BATCH_SIZE ? parseInt(process.env.DB_INSERT_BATCH_SIZE, 10) : 5000,
         DB_BATCH_INTERVAL_MS: process.env.DB_BATCH_INTERVAL_MS ? parseInt(process.env.DB_BATCH_INTERVAL_MS, 10) : 2000,
         PERENNIAL_DRIVER: process.env.PERENNIAL_DRIVER?.trim() || 'none',
@@ -177,7 +203,12 @@ function loadConfig(logger, paths) {
         GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
         PUBLIC_URL: process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 8080}`,
         ADMIN_USERNAME: process.env.ADMIN_USERNAME,
-        ADMIN_PASSWORD: process.env.ADMIN_PASSWORD
+        ADMIN_PASSWORD: process.env.ADMIN_PASSWORD,
+        OPCUA_SERVER_ENABLED: parseStrictBool(process.env.OPCUA_SERVER_ENABLED, false),
+        OPCUA_SERVER_PORT: parseInt(process.env.OPCUA_SERVER_PORT, 10) || 4841,
+        OPCUA_SERVER_PUBLISH: parseList(process.env.OPCUA_SERVER_PUBLISH),
+        OPCUA_SERVER_USERNAME: process.env.OPCUA_SERVER_USERNAME?.trim() || null,
+        OPCUA_SERVER_PASSWORD: process.env.OPCUA_SERVER_PASSWORD || null
     };
 
     // --- Data Providers Parsing ---
@@ -262,6 +293,15 @@ async function mergeConfigFromDb(config, db, logger) {
                     case 'DLQ_PRUNE_CHUNK_SIZE':
                         config.DLQ_PRUNE_CHUNK_SIZE = parseInt(val, 10);
                         break;
+                    case 'OUTBOX_ENABLED':
+                        config.OUTBOX_ENABLED = parseStrictBool(val, config.OUTBOX_ENABLED);
+                        break;
+                    case 'OUTBOX_MAX_SIZE_MB':
+                        config.OUTBOX_MAX_SIZE_MB = parseInt(val, 10);
+                        break;
+                    case 'OUTBOX_MAX_AGE_MINUTES':
+                        config.OUTBOX_MAX_AGE_MINUTES = parseInt(val, 10);
+                        break;
                     case 'LLM_API_URL':
                         config.LLM_API_URL = val;
                         break;
@@ -280,6 +320,21 @@ async function mergeConfigFromDb(config, db, logger) {
                     case 'EXTERNAL_API_ENABLED':
                         config.EXTERNAL_API_ENABLED = parseStrictBool(val, config.EXTERNAL_API_ENABLED);
                         break;
+                    case 'OPCUA_SERVER_ENABLED':
+                        config.OPCUA_SERVER_ENABLED = parseStrictBool(val, config.OPCUA_SERVER_ENABLED);
+                        break;
+                    case 'OPCUA_SERVER_PORT':
+                        config.OPCUA_SERVER_PORT = parseInt(val, 10) || config.OPCUA_SERVER_PORT;
+                        break;
+                    case 'OPCUA_SERVER_PUBLISH':
+                        config.OPCUA_SERVER_PUBLISH = parseList(val);
+                        break;
+                    case 'OPCUA_SERVER_USERNAME':
+                        config.OPCUA_SERVER_USERNAME = val ? String(val).trim() : null;
+                        break;
+                    case 'OPCUA_SERVER_PASSWORD':
+                        config.OPCUA_SERVER_PASSWORD = val ? String(val) : null;
+                        break;
                     default:
                         // Handle generic VIEW_*_ENABLED and LLM_TOOL_ENABLE_*
                         if (row.key.startsWith('VIEW_') && row.key.endsWith('_ENABLED')) {
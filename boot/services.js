@@ -15,6 +15,8 @@ const simulatorManager = require('../core/simulatorManager');
 const dataManager = require('../storage/dataManager'); 
 const alertManager = require('../core/engine/alertManager'); 
 const semanticManager = require('../core/semantic/semanticManager'); 
+const outboxManager = require('../storage/outboxManager');
+const codecManager = require('../core/codecs/codecManager');
 const SandboxPool = require('../core/engine/sandboxPool');
 const { EventEmitter } = require('events');
 
@@ -56,6 +58,12 @@ function initServices(server, app, db, config, logger, paths, state) {
     );
     mapperEngine.setDb(db);
 
+    // 2.2 Initialize the store-and-forward outbox for publishes to offline connectors
+    outboxManager.init(logger, config, activeConnections);
+
+    // 2.3 Load the payload codec rules (binary topics decoded by the dispatcher workers)
+    codecManager.init(logger, { dataPath: paths.DATA_PATH });
+
     // 2.5 Initialize Alert Manager Sandbox
     alertManager.setSandbox(sandboxPool);
 
@@ -118,11 +126,29 @@ function initServices(server, app, db, config, logger, paths, state) {
         dataManager,
         alertManager,
         CERTS_PATH: paths.CERTS_PATH,
+        stateStore: require('../storage/connectorStateStore')(db, logger),
         broadcastDbStatus: dbManager.broadcastDbStatus,
         updateConnectorStatus,
         isShuttingDown
     });
 
+    // 7.5 Northbound OPC UA Server (optional, mirrors the live UNS)
+    let opcuaServer = null;
+    if (config.OPCUA_SERVER_ENABLED) {
+        const { UnsOpcUaServer } = require('../interfaces/opcua/opcuaServer');
+        opcuaServer = new UnsOpcUaServer({
+            config,
+            logger,
+            dispatcherEvents: require('../core/messageDispatcher').dispatcherEvents,
+            activeConnections,
+            mapperEngine,
+            semanticManager
+        });
+        opcuaServer.start().catch(err => {
+            logger.error({ err }, "❌ Failed to start the northbound OPC UA server.");
+        });
+    }
+
     // 8. Initialize Simulators
     simulatorManager.init(logger, (topic, payload, isBinary, sourceId) => {
         const conn = sourceId ? state.getConnectorConnection(sourceId) : state.getPrimaryConnection();
@@ -141,7 +167,8 @@ function initServices(server, app, db, config, logger, paths, state) {
         connectorManager,
         simulatorManager,
         maintenanceTimer,
-        sandboxPool
+        sandboxPool,
+        opcuaServer
     };
 }
 
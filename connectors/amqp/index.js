@@ -0,0 +1,395 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * AMQP 0-9-1 Provider Plugin (RabbitMQ)
+ * Implements the BaseProvider interface for AMQP 0-9-1 brokers (RabbitMQ, LavinMQ...).
+ * A queue is bound to exchanges with routing-key patterns (`subscribe: ["<exchange>::<pattern>"]`).
+ * Routing keys become UNS topics (dots to slashes), the AMQP correlation-id (or a correlation header)
+ * becomes the dispatcher correlation ID, and deliveries are acknowledged once dispatched.
+ * `publish()` sends Mapper outputs to an exchange with publisher confirms.
+ * Requires the optional `amqplib` library.
+ */
+const fs = require('fs');
+const path = require('path');
+const mqttMatch = require('mqtt-match');
+const BaseProvider = require('../baseProvider');
+
+const BINDING_SEPARATOR = '::';
+const DEFAULT_PREFETCH = 50;
+const DEFAULT_HEARTBEAT_S = 30;
+const DEFAULT_RECONNECT_MS = 5000;
+/** Headers checked, in order, when the message has no `correlation-id` property. */
+const CORRELATION_HEADERS = ['correlationId', 'correlation-id', 'x-correlation-id'];
+
+/**
+ * @typedef {Object} AmqpBinding
+ * @property {string} exchange Exchange name.
+ * @property {string} routingKey Binding pattern (`*` one word, `#` zero or more words), empty for fanout exchanges.
+ */
+
+/**
+ * @typedef {Object} AmqpProviderOptions
+ * @property {string} [url] Broker URL (`amqp://host:5672/vhost`, `amqps://` for TLS). Default `amqp://localhost`.
+ * @property {string} [username] Overrides the user of the URL.
+ * @property {string} [password] Overrides the password of the URL.
+ * @property {string} [caFilename] CA certificate (in the certificates folder) for `amqps://`.
+ * @property {boolean} [rejectUnauthorized] Whether to reject unauthorized certificates (default true).
+ * @property {string} [queue] Queue consumed by Korelate (default `korelate.<id>`).
+ * @property {boolean} [durable] Durable queue surviving broker restarts (default true).
+ * @property {Object} [queueArguments] Queue arguments, e.g. `{"x-dead-letter-exchange": "mes.dlx"}`.
+ * @property {number} [prefetch] Unacknowledged deliveries in flight (default 50).
+ * @property {Object<string, string>} [exchanges] Exchanges to declare, with their type (`{"mes.orders": "topic"}`).
+ *   Other exchanges must already exist.
+ * @property {string} [topicPrefix] Prepended to the UNS topics (and removed from the published topics).
+ * @property {string} [publishExchange] Exchange receiving `publish()` (Mapper outputs). Publishing is disabled without it.
+ * @property {number} [heartbeat] Heartbeat interval in seconds (default 30).
+ * @property {number} [reconnectInterval] Delay (ms) between reconnection attempts (default 5000).
+ */
+
+/**
+ * Parses a `subscribe` entry.
+ * @param {string|{exchange: string, routingKey?: string}} entry `<exchange>::<routing key pattern>` or object.
+ * @returns {AmqpBinding}
+ * @throws {Error} If the exchange is missing.
+ */
+function parseBinding(entry) {
+    let exchange;
+    let routingKey;
+    if (typeof entry === 'string') {
+        const index = entry.indexOf(BINDING_SEPARATOR);
+        exchange = index >= 0 ? entry.slice(0, index) : entry;
+        routingKey = index >= 0 ? entry.slice(index + BINDING_SEPARATOR.length) : '#';
+    } else {
+        exchange = entry && entry.exchange;
+        routingKey = entry && entry.routingKey !== undefined ? entry.routingKey : '#';
+    }
+    exchange = typeof exchange === 'string' ? exchange.trim() : '';
+    if (!exchange) throw new Error(`Invalid AMQP binding ${JSON.stringify(entry)}. Expected '<exchange>::<routing key>'.`);
+    return { exchange, routingKey: String(routingKey).trim() };
+}
+
+/**
+ * Converts a routing key into UNS topic levels: `orders.line1.created` -> `orders/line1/created`.
+ * MQTT special characters inside words are replaced so that each word stays one level.
+ * @param {string} routingKey
+ * @returns {string}
+ */
+function routingKeyToTopic(routingKey) {
+    return routingKey.split('.').filter(Boolean).map(word => word.replace(/[/+#]/g, '_')).join('/');
+}
+
+/**
+ * Converts a UNS topic into a routing key: `orders/line1/created` -> `orders.line1.created`.
+ * @param {string} topic
+ * @returns {string}
+ */
+function topicToRoutingKey(topic) {
+    return topic.split('/').filter(Boolean).join('.');
+}
+
+class AmqpProvider extends BaseProvider {
+    /**
+     * @param {import('../baseProvider').ProviderConfig} config
+     * @param {import('../baseProvider').ProviderContext} context
+     */
+    constructor(config, context) {
+        super(config, context);
+        /** @type {AmqpProviderOptions} */
+        this.options = config.options || {};
+        this.queue = this.options.queue || `korelate.${this.id}`;
+        this.topicPrefix = (this.options.topicPrefix || '').replace(/^\/+|\/+$/g, '');
+        this.allowedPublish = Array.isArray(config.publish) ? config.publish : [];
+
+        /** @type {AmqpBinding[]} */
+        this.bindings = [];
+        (Array.isArray(config.subscribe) ? config.subscribe : []).forEach(entry => {
+            try {
+                this.bindings.push(parseBinding(entry));
+            } catch (err) {
+                this.logger.error(`❌ Ignoring subscription: ${err.message}`);
+            }
+        });
+
+        this.connection = null;
+        this.channel = null;
+        this.publishChannel = null;
+        this.reconnectTimer = null;
+        this.closing = false;
+    }
+
+    /**
+     * @param {string} routingKey
+     * @param {string} exchange Used for fanout exchanges (empty routing key).
+     * @returns {string} The UNS topic of a delivery.
+     */
+    buildTopic(routingKey, exchange) {
+        const levels = routingKeyToTopic(routingKey) || routingKeyToTopic(exchange);
+        return this.topicPrefix ? `${this.topicPrefix}/${levels}` : levels;
+    }
+
+    /**
+     * @param {string} topic UNS topic.
+     * @returns {string} The routing key used to publish it (topic prefix removed).
+     */
+    buildRoutingKey(topic) {
+        const relative = this.topicPrefix && topic.startsWith(`${this.topicPrefix}/`) ? topic.slice(this.topicPrefix.length + 1) : topic;
+        return topicToRoutingKey(relative);
+    }
+
+    /**
+     * @returns {{url: string|Object, socketOptions: Object}} Arguments of `amqplib.connect()`.
+     */
+    buildConnectOptions() {
+        const { url = 'amqp://localhost', username, password, caFilename, rejectUnauthorized = true } = this.options;
+        const heartbeat = this.options.heartbeat !== undefined ? parseInt(this.options.heartbeat, 10) : DEFAULT_HEARTBEAT_S;
+        const parsed = new URL(url);
+        const target = {
+            protocol: parsed.protocol.replace(':', ''),
+            hostname: parsed.hostname,
+            port: parsed.port ? parseInt(parsed.port, 10) : (parsed.protocol === 'amqps:' ? 5671 : 5672),
+            username: username || decodeURIComponent(parsed.username) || 'guest',
+            password: password || decodeURIComponent(parsed.password) || 'guest',
+            vhost: parsed.pathname.length > 1 ? decodeURIComponent(parsed.pathname.slice(1)) : '/',
+            heartbeat
+        };
+
+        const socketOptions = { servername: parsed.hostname, rejectUnauthorized };
+        if (!rejectUnauthorized) this.logger.warn("SECURITY WARNING: Certificate verification is DISABLED.");
+        if (caFilename) socketOptions.ca = [fs.readFileSync(path.join(this.context.CERTS_PATH, caFilename))];
+        return { url: target, socketOptions };
+    }
+
+    /**
+     * @param {import('amqplib').ConsumeMessage} msg
+     * @returns {string|undefined} The correlation ID carried by a delivery.
+     */
+    getCorrelationId(msg) {
+        const { correlationId, headers = {} } = msg.properties || {};
+        if (correlationId) return String(correlationId);
+        const header = CORRELATION_HEADERS.find(name => headers[name] !== undefined && headers[name] !== null && headers[name] !== '');
+        return header ? String(headers[header]) : undefined;
+    }
+
+    /**
+     * Forwards a delivery to the UNS and acknowledges it once dispatched.
+     * A delivery that cannot be dispatched is requeued once, then rejected (dead-lettered if the queue has a DLX).
+     * @param {import('amqplib').Channel} channel Channel the delivery came from.
+     * @param {import('amqplib').ConsumeMessage|null} msg Null when the broker cancelled the consumer.
+     */
+    async handleDelivery(channel, msg) {
+        if (!msg) {
+            this.logger.warn(`Consumer of queue '${this.queue}' cancelled by the broker.`);
+            this.handleConnectionLoss(new Error('Consumer cancelled by the broker'));
+            return;
+        }
+
+        const { exchange, routingKey, redelivered } = msg.fields;
+        const { timestamp, headers, messageId } = msg.properties || {};
+        const metadata = {
+            rejectOnError: true, // Acked below: a failed dispatch must not be acknowledged
+            correlationId: this.getCorrelationId(msg),
+            amqpExchange: exchange,
+            amqpRoutingKey: routingKey,
+            amqpMessageId: messageId,
+            amqpHeaders: headers
+        };
+        // AMQP timestamps are in seconds
+        if (timestamp) metadata.timestamp = Number(timestamp) * 1000;
+
+        try {
+            await this.handleIncomingMessage(this.buildTopic(routingKey, exchange), msg.content, metadata);
+            channel.ack(msg);
+        } catch (err) {
+            this.logger.error({ err, routingKey }, `Failed to dispatch AMQP message. ${redelivered ? 'Rejecting' : 'Requeuing'} it.`);
+            try {
+                channel.nack(msg, false, !redelivered);
+            } catch (nackErr) {
+                // Channel already closed: the broker redelivers unacknowledged messages
+            }
+        }
+    }
+
+    /**
+     * Opens the connection, declares the queue and bindings and starts consuming.
+     * @returns {Promise<void>}
+     * @private
+     */
+    async open() {
+        const amqp = require('amqplib');
+        const { url, socketOptions } = this.buildConnectOptions();
+        const connection = await amqp.connect(url, socketOptions);
+        this.connection = connection;
+
+        connection.on('error', (err) => this.logger.error(`❌ AMQP connection error: ${err.message}`));
+        connection.on('close', (err) => {
+            if (this.connection !== connection) return;
+            this.handleConnectionLoss(err || new Error('Connection closed'));
+        });
+
+        const channel = await connection.createChannel();
+        channel.on('error', (err) => this.logger.error(`❌ AMQP channel error: ${err.message}`));
+        await channel.prefetch(this.options.prefetch !== undefined ? parseInt(this.options.prefetch, 10) : DEFAULT_PREFETCH);
+
+        // Declared exchanges get their type, the others are only checked (they belong to the MES)
+        const declared = this.options.exchanges || {};
+        const exchanges = [...new Set([...this.bindings.map(b => b.exchange), this.options.publishExchange].filter(Boolean))];
+        for (const exchange of exchanges) {
+            if (declared[exchange]) await channel.assertExchange(exchange, declared[exchange], { durable: true });
+            else await channel.checkExchange(exchange);
+        }
+
+        if (this.bindings.length > 0) {
+            await channel.assertQueue(this.queue, {
+                durable: this.options.durable !== false,
+                arguments: this.options.queueArguments
+            });
+            for (const binding of this.bindings) await channel.bindQueue(this.queue, binding.exchange, binding.routingKey);
+            await channel.consume(this.queue, (msg) => this.handleDelivery(channel, msg), { noAck: false });
+            this.logger.info(`✅ Consuming queue '${this.queue}' (${this.bindings.map(b => `${b.exchange}::${b.routingKey}`).join(', ')}).`);
+        }
+        this.channel = channel;
+
+        if (this.options.publishExchange) {
+            this.publishChannel = await connection.createConfirmChannel();
+            this.publishChannel.on('error', (err) => this.logger.error(`❌ AMQP publish channel error: ${err.message}`));
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async connect() {
+        this.closing = false;
+        this.logger.info(`Connecting to AMQP broker ${this.options.url || 'amqp://localhost'}...`);
+        this.updateStatus('connecting');
+        try {
+            await this.open();
+            this.connected = true;
+            this.updateStatus('connected');
+            return true;
+        } catch (err) {
+            if (err.code === 'MODULE_NOT_FOUND') {
+                this.logger.error("Missing dependency 'amqplib'. Please install it using: npm install amqplib");
+                this.updateStatus('error', 'Missing amqplib library');
+                return false;
+            }
+            this.logger.error({ err }, `Failed to connect to the AMQP broker`);
+            this.updateStatus('error', err.message);
+            await this.closeConnection();
+            this.scheduleReconnect();
+            return false;
+        }
+    }
+
+    /**
+     * Marks the provider offline after an unexpected connection or consumer loss and reconnects later.
+     * @param {Error} err
+     * @private
+     */
+    handleConnectionLoss(err) {
+        if (this.closing || this.context.isShuttingDown && this.context.isShuttingDown()) return;
+        this.logger.warn(`AMQP connection lost: ${err.message}`);
+        this.connected = false;
+        this.updateStatus('offline', err.message);
+        this.closeConnection().then(() => this.scheduleReconnect());
+    }
+
+    /**
+     * @private
+     */
+    scheduleReconnect() {
+        if (this.closing || this.reconnectTimer) return;
+        const delay = this.options.reconnectInterval !== undefined ? parseInt(this.options.reconnectInterval, 10) : DEFAULT_RECONNECT_MS;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closing) this.connect();
+        }, delay);
+    }
+
+    /**
+     * Closes the channels and the connection, ignoring errors of already closed ones.
+     * @private
+     */
+    async closeConnection() {
+        const connection = this.connection;
+        this.connection = null;
+        this.channel = null;
+        this.publishChannel = null;
+        if (!connection) return;
+        try {
+            await connection.close();
+        } catch (err) {
+            // Already closed by the broker
+        }
+    }
+
+    async disconnect() {
+        this.closing = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.connected = false;
+        await this.closeConnection();
+        this.updateStatus('disconnected');
+    }
+
+    /**
+     * @returns {Promise<import('../baseProvider').ProviderHealth>} With the depth of the consumed queue.
+     */
+    async health() {
+        if (!this.connected || !this.channel || this.bindings.length === 0) return super.health();
+        try {
+            const { messageCount, consumerCount } = await this.channel.checkQueue(this.queue);
+            return { status: 'ok', connected: true, details: { queue: this.queue, messageCount, consumerCount } };
+        } catch (err) {
+            return { status: 'degraded', connected: true, details: { queue: this.queue, error: err.message } };
+        }
+    }
+
+    /**
+     * Publishes to `publishExchange`, with the topic converted to a routing key.
+     * The callback runs once the broker confirmed the message.
+     * @param {string} topic
+     * @param {Buffer|string|Object} payload
+     * @param {Object} [options] `properties.userProperties` become AMQP headers (`correlationId` -> correlation-id).
+     * @param {Function} [callback]
+     */
+    publish(topic, payload, options = {}, callback) {
+        const done = typeof callback === 'function' ? callback : () => {};
+        if (!this.connected || !this.publishChannel) {
+            return done(new Error(this.options.publishExchange ? 'AMQP provider is not connected' : "AMQP provider has no 'publishExchange'"));
+        }
+        if (!this.allowedPublish.some(pattern => mqttMatch(pattern, topic))) {
+            const err = new Error(`Publish forbidden for topic: ${topic}`);
+            this.logger.warn(err.message);
+            return done(err);
+        }
+
+        const isObject = payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload);
+        const content = Buffer.isBuffer(payload) ? payload : Buffer.from(isObject ? JSON.stringify(payload) : String(payload));
+        const { correlationId, ...headers } = (options.properties && options.properties.userProperties) || {};
+        const properties = {
+            persistent: true,
+            timestamp: Math.floor(Date.now() / 1000),
+            appId: 'korelate',
+            headers
+        };
+        if (correlationId) properties.correlationId = String(correlationId);
+        if (isObject) properties.contentType = 'application/json';
+
+        try {
+            this.publishChannel.publish(this.options.publishExchange, this.buildRoutingKey(topic), content, properties, (err) => {
+                if (err) this.logger.error({ err }, `AMQP broker refused the message for '${topic}'.`);
+                done(err || null);
+            });
+        } catch (err) {
+            done(err);
+        }
+    }
+}
+
+module.exports = AmqpProvider;
+module.exports.parseBinding = parseBinding;
+module.exports.routingKeyToTopic = routingKeyToTopic;
+module.exports.topicToRoutingKey = topicToRoutingKey;
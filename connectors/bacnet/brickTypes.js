@@ -0,0 +1,128 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * BACnet to Brick Type Mapping
+ * Classifies discovered BACnet devices and objects with Brick-style point classes and
+ * builds the I3X instances registered in the Semantic Manager.
+ */
+
+const BRICK_NAMESPACE = 'https://brickschema.org/schema/Brick#';
+
+/** Base Brick point class per BACnet object type (ASHRAE 135 numbering). */
+const POINT_CLASSES = {
+    0: 'Sensor',    // Analog Input
+    1: 'Command',   // Analog Output
+    2: 'Setpoint',  // Analog Value
+    3: 'Status',    // Binary Input
+    4: 'Command',   // Binary Output
+    5: 'Status',    // Binary Value
+    13: 'Status',   // Multi-state Input
+    14: 'Command',  // Multi-state Output
+    19: 'Status',   // Multi-state Value
+    45: 'Setpoint', // Integer Value
+    46: 'Setpoint'  // Large Analog Value
+};
+
+/** Short prefixes used in element ids and generated topics. */
+const TYPE_PREFIXES = { 0: 'AI', 1: 'AO', 2: 'AV', 3: 'BI', 4: 'BO', 5: 'BV', 8: 'DEV', 13: 'MSI', 14: 'MSO', 19: 'MSV', 45: 'IV', 46: 'LAV' };
+
+/** Quantity hints read from object names, refining the base class (e.g. Temperature_Sensor). */
+const QUANTITY_HINTS = [
+    [/temp|tmp/i, 'Temperature'],
+    [/humid|\brh\b/i, 'Humidity'],
+    [/co2/i, 'CO2'],
+    [/press/i, 'Pressure'],
+    [/flow/i, 'Flow'],
+    [/occup/i, 'Occupancy'],
+    [/damper|dmp/i, 'Damper_Position'],
+    [/valve|vlv/i, 'Valve'],
+    [/fan/i, 'Fan'],
+    [/power|kw\b/i, 'Power'],
+    [/energy|kwh/i, 'Energy']
+];
+
+/**
+ * Returns the Brick class of a BACnet object, or null for objects that are not points
+ * (schedules, trend logs, calendars...).
+ * @param {number} objectType
+ * @param {string} [name] Object name, used to refine the class.
+ * @returns {string|null}
+ */
+function brickClassFor(objectType, name = '') {
+    const base = POINT_CLASSES[objectType];
+    if (!base) return null;
+    const hint = QUANTITY_HINTS.find(([pattern]) => pattern.test(name));
+    return hint ? `${hint[1]}_${base}` : base;
+}
+
+/**
+ * @param {{type: number, instance: number}} objectId
+ * @returns {string} e.g. `AI1`, or `T130_5` for types without a prefix.
+ */
+function objectKey(objectId) {
+    const prefix = TYPE_PREFIXES[objectId.type];
+    return prefix ? `${prefix}${objectId.instance}` : `T${objectId.type}_${objectId.instance}`;
+}
+
+/**
+ * Turns a BACnet name into a single UNS topic level.
+ * @param {string} name
+ */
+function topicLevel(name) {
+    return String(name).trim().replace(/[\s/+#]+/g, '_');
+}
+
+/**
+ * Builds the I3X instances and Brick object types for a discovery result.
+ * @param {string} providerId
+ * @param {Array<{deviceId: number, name?: string, address: string, vendorName?: string, modelName?: string, objects: Array<{objectId: {type: number, instance: number}, name?: string, brickClass: string|null, topic: string}>}>} devices
+ * @param {string} topicPrefix
+ * @returns {{elements: Object[], objectTypes: Object[]}}
+ */
+function buildI3xElements(providerId, devices, topicPrefix) {
+    const elements = [];
+    const classes = new Set(['Controller']);
+
+    for (const device of devices) {
+        const deviceElementId = `bacnet_${providerId}_${device.deviceId}`;
+        elements.push({
+            elementId: deviceElementId,
+            displayName: device.name || `Device ${device.deviceId}`,
+            typeId: 'Controller',
+            namespaceUri: BRICK_NAMESPACE,
+            isComposition: true,
+            topic_mapping: `${topicPrefix}/${topicLevel(device.name || device.deviceId)}/#`,
+            attributes: {
+                bacnetDeviceId: device.deviceId,
+                address: device.address,
+                vendorName: device.vendorName,
+                modelName: device.modelName
+            }
+        });
+
+        for (const object of device.objects) {
+            if (!object.brickClass) continue;
+            classes.add(object.brickClass);
+            elements.push({
+                elementId: `${deviceElementId}_${objectKey(object.objectId)}`,
+                displayName: object.name || objectKey(object.objectId),
+                typeId: object.brickClass,
+                namespaceUri: BRICK_NAMESPACE,
+                parentId: deviceElementId,
+                isComposition: false,
+                topic_mapping: object.topic,
+                attributes: { objectType: object.objectId.type, instance: object.objectId.instance }
+            });
+        }
+    }
+
+    const objectTypes = [...classes].map(brickClass => ({
+        elementId: brickClass,
+        displayName: brickClass.replace(/_/g, ' '),
+        namespaceUri: BRICK_NAMESPACE,
+        schema: { type: 'object' }
+    }));
+    return { elements, objectTypes };
+}
+
+module.exports = { BRICK_NAMESPACE, brickClassFor, objectKey, topicLevel, buildI3xElements };
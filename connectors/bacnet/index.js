@@ -3,6 +3,8 @@
  * @author Sebastien Lalaurette
  * * BACnet/IP Provider Plugin
  * Implements the BaseProvider interface for BACnet Building Automation systems.
+ * Points are read with SubscribeCOV where devices support it and polled otherwise.
+ * Who-Is discovery lists devices and their object lists, and registers them as I3X instances.
  */
 
 let bacnet;
@@ -13,6 +15,18 @@ try {
 }
 
 const BaseProvider = require('../baseProvider');
+const semanticManager = require('../../core/semantic/semanticManager');
+const { BRICK_NAMESPACE, brickClassFor, topicLevel, buildI3xElements } = require('./brickTypes');
+
+// BACnet property identifiers and services used by the provider (ASHRAE 135)
+const PROP_MODEL_NAME = 70;
+const PROP_OBJECT_LIST = 76;
+const PROP_OBJECT_NAME = 77;
+const PROP_PRESENT_VALUE = 85;
+const PROP_STATUS_FLAGS = 111;
+const PROP_VENDOR_NAME = 121;
+const OBJECT_TYPE_DEVICE = 8;
+const SERVICE_CONFIRMED_COV_NOTIFICATION = 1;
 
 class BacnetProvider extends BaseProvider {
     constructor(config, context) {
@@ -22,14 +36,62 @@ class BacnetProvider extends BaseProvider {
         this.broadcastAddress = config.broadcastAddress || '255.255.255.255';
         this.targetDeviceIp = config.targetDeviceIp || null; // Specific device to poll
         this.pollingInterval = parseInt(config.pollingInterval, 10) || 5000;
+        this.useCov = config.cov !== false;
+        this.covLifetime = parseInt(config.covLifetime, 10) || 300; // Seconds
+        this.topicPrefix = (config.topicPrefix || `bacnet/${this.id}`).replace(/\/+$/, '');
+        this.discoveryTimeout = parseInt(config.discoveryTimeout, 10) || 3000;
         
         // Mappings format: "Type:Instance:Property::bms/hvac/temp"
         // e.g. "0:1:85::bms/room1/temp" -> AnalogInput(0), Instance 1, PresentValue(85)
+        // or objects picked from a discovery: { address, objectType, instance, property?, topic }
         this.subscribeList = config.subscribe || [];
         this.mappings = [];
         
         this.pollIntervalId = null;
+        this.covRenewTimer = null;
         this.client = null;
+        /** @type {Array<Object>} Result of the last Who-Is discovery. */
+        this.discoveredDevices = [];
+    }
+
+    /**
+     * Parses one subscription entry into a mapping.
+     * @param {string|Object} entry
+     * @returns {Object|null}
+     */
+    parseMapping(entry) {
+        if (entry && typeof entry === 'object') {
+            const objectType = parseInt(entry.objectType, 10);
+            const objectInstance = parseInt(entry.instance, 10);
+            if (isNaN(objectType) || isNaN(objectInstance) || !entry.topic) return null;
+            const propertyId = parseInt(entry.property, 10) || PROP_PRESENT_VALUE;
+            return {
+                address: entry.address || this.targetDeviceIp,
+                objectId: { type: objectType, instance: objectInstance },
+                propertyId,
+                topic: String(entry.topic).trim(),
+                rawString: `${objectType}:${objectInstance}:${propertyId}`
+            };
+        }
+
+        const parts = String(entry).split('::');
+        if (parts.length !== 2) return null;
+        
+        const bacnetParts = parts[0].split(':');
+        if (bacnetParts.length !== 3) return null;
+
+        const objectType = parseInt(bacnetParts[0], 10);
+        const objectInstance = parseInt(bacnetParts[1], 10);
+        const propertyId = parseInt(bacnetParts[2], 10); // Usually 85 for PresentValue
+        const topic = parts[1].trim();
+
+        return { 
+            address: this.targetDeviceIp,
+            objectId: { type: objectType, instance: objectInstance }, 
+            propertyId: propertyId, 
+            topic: topic,
+            rawString: parts[0]
+        };
     }
 
     async connect() {
@@ -55,35 +117,32 @@ class BacnetProvider extends BaseProvider {
                 this.updateStatus('error', err.message);
             });
 
-            // Parse Mappings
-            this.mappings = this.subscribeList.map(mappingStr => {
-                const parts = mappingStr.split('::');
-                if (parts.length !== 2) return null;
-                
-                const bacnetParts = parts[0].split(':');
-                if (bacnetParts.length !== 3) return null;
-
-                const objectType = parseInt(bacnetParts[0], 10);
-                const objectInstance = parseInt(bacnetParts[1], 10);
-                const propertyId = parseInt(bacnetParts[2], 10); // Usually 85 for PresentValue
-                const topic = parts[1].trim();
-
-                return { 
-                    objectId: { type: objectType, instance: objectInstance }, 
-                    propertyId: propertyId, 
-                    topic: topic,
-                    rawString: parts[0]
-                };
-            }).filter(Boolean);
-
-            this.logger.info(`✅ BACnet/IP Client initialized. Ready to poll ${this.mappings.length} objects.`);
+            this.client.on('covNotifyUnconfirmed', (msg) => this.handleCovNotification(msg));
+            this.client.on('covNotify', (msg) => {
+                this.handleCovNotification(msg);
+                this.client.simpleAckResponse(msg.header.sender, SERVICE_CONFIRMED_COV_NOTIFICATION, msg.invokeId);
+            });
+
+            // Parse Mappings. The subscriber process id identifies the mapping in COV notifications.
+            this.mappings = this.subscribeList
+                .map(entry => this.parseMapping(entry))
+                .filter(Boolean)
+                .map((map, index) => ({ ...map, subscribeId: index + 1, cov: false }));
+
+            this.logger.info(`✅ BACnet/IP Client initialized. Ready to read ${this.mappings.length} objects (COV ${this.useCov ? 'enabled' : 'disabled'}).`);
             this.connected = true;
             this.updateStatus('connected');
             
-            if (this.targetDeviceIp) {
-                this.startPolling();
-            } else {
-                this.logger.warn("BACnet Client is running, but no 'Target Device IP' was provided. Polling is disabled.");
+            const unaddressed = this.mappings.filter(m => !m.address);
+            if (unaddressed.length > 0) {
+                this.logger.warn(`${unaddressed.length} BACnet mapping(s) have no device address and no 'Target Device IP' is set. They are ignored.`);
+                this.mappings = this.mappings.filter(m => m.address);
+            }
+            if (this.useCov) this.subscribeCovAll();
+            this.startPolling();
+
+            if (this.config.autoDiscover) {
+                this.discover().catch(err => this.logger.warn({ err: err.message }, "BACnet discovery failed."));
             }
 
             return true;
@@ -95,31 +154,26 @@ class BacnetProvider extends BaseProvider {
     }
 
     startPolling() {
-        if (this.mappings.length === 0 || !this.targetDeviceIp) return;
+        if (this.mappings.length === 0) return;
 
         this.pollIntervalId = setInterval(() => {
             if (!this.connected || !this.client) return;
 
-            for (const map of this.mappings) {
+            // Points with an active COV subscription are pushed by the device
+            for (const map of this.mappings.filter(m => !m.cov)) {
                 this.client.readProperty(
-                    this.targetDeviceIp,
+                    map.address,
                     map.objectId,
                     map.propertyId,
                     (err, value) => {
                         if (err) {
-                            this.logger.warn(`BACnet read error on ${map.rawString} at ${this.targetDeviceIp}: ${err.message}`);
+                            this.logger.warn(`BACnet read error on ${map.rawString} at ${map.address}: ${err.message}`);
                             return;
                         }
                         
                         if (value && value.values && value.values.length > 0) {
                             // BACnet typically returns an array of values for a property
-                            const payload = value.values[0].value;
-                            this.handleIncomingMessage(map.topic, {
-                                value: payload,
-                                timestamp: new Date().toISOString(),
-                                objectType: map.objectId.type,
-                                instance: map.objectId.instance
-                            });
+                            this.publishValue(map, value.values[0].value);
                         }
                     }
                 );
@@ -127,8 +181,229 @@ class BacnetProvider extends BaseProvider {
         }, this.pollingInterval);
     }
 
+    /**
+     * @param {Object} map
+     * @param {any} value
+     * @param {Object} [extra] Additional payload fields (e.g. COV status flags).
+     */
+    publishValue(map, value, extra = {}) {
+        this.handleIncomingMessage(map.topic, {
+            value,
+            timestamp: new Date().toISOString(),
+            objectType: map.objectId.type,
+            instance: map.objectId.instance,
+            ...extra
+        });
+    }
+
+    // --- Change Of Value ---
+
+    /**
+     * Subscribes (or renews the subscription of) every Present_Value mapping, then schedules
+     * the renewal before the subscriptions expire. Mappings refused by their device are polled
+     * and retried at the next renewal.
+     */
+    subscribeCovAll() {
+        const candidates = this.mappings.filter(m => m.propertyId === PROP_PRESENT_VALUE);
+        if (candidates.length === 0) return;
+
+        for (const map of candidates) {
+            this.subscribeCov(map).then(() => {
+                if (!map.cov) this.logger.info(`COV subscription active for ${map.rawString} at ${map.address}.`);
+                map.cov = true;
+                map.covError = null;
+            }).catch(err => {
+                // Devices without COV support answer with an error (or never answer): keep polling them
+                if (map.cov || map.covError !== err.message) {
+                    this.logger.info(`COV not available for ${map.rawString} at ${map.address} (${err.message}). Falling back to polling.`);
+                }
+                map.cov = false;
+                map.covError = err.message;
+            });
+        }
+
+        if (this.covRenewTimer) clearTimeout(this.covRenewTimer);
+        this.covRenewTimer = setTimeout(() => {
+            if (this.connected && this.client) this.subscribeCovAll();
+        }, Math.max(this.covLifetime * 1000 * 0.8, 1000));
+    }
+
+    /**
+     * @param {Object} map
+     * @param {boolean} [cancel]
+     * @returns {Promise<void>}
+     */
+    subscribeCov(map, cancel = false) {
+        return new Promise((resolve, reject) => {
+            if (typeof this.client.subscribeCov !== 'function') return reject(new Error('SubscribeCOV not supported by the client library'));
+            // Unconfirmed notifications, with a lifetime so stale subscriptions expire on the device
+            this.client.subscribeCov(map.address, map.objectId, map.subscribeId, cancel, false, cancel ? 0 : this.covLifetime, {}, (err) => {
+                if (err) reject(err);
+                else resolve();
+            });
+        });
+    }
+
+    /**
+     * Publishes the Present_Value carried by a (confirmed or unconfirmed) COV notification.
+     * @param {Object} msg node-bacnet service message.
+     */
+    handleCovNotification(msg) {
+        const notification = msg && msg.payload;
+        if (!notification || !notification.monitoredObjectId) return;
+        const { type, instance } = notification.monitoredObjectId;
+        const map = this.mappings.find(m => m.subscribeId === notification.subscriberProcessId
+            && m.objectId.type === type && m.objectId.instance === instance);
+        if (!map) return;
+
+        const findValue = (propertyId) => {
+            const entry = (notification.values || []).find(v => v.property && v.property.id === propertyId);
+            return entry && entry.value && entry.value.length > 0 ? entry.value[0].value : undefined;
+        };
+        const value = findValue(PROP_PRESENT_VALUE);
+        if (value === undefined) return;
+
+        const extra = {};
+        const statusFlags = findValue(PROP_STATUS_FLAGS);
+        if (statusFlags !== undefined) extra.statusFlags = statusFlags;
+        this.publishValue(map, value, extra);
+    }
+
+    // --- Discovery ---
+
+    /**
+     * @param {string} address
+     * @param {{type: number, instance: number}} objectId
+     * @param {number} propertyId
+     * @param {Object} [options] e.g. { arrayIndex }
+     * @returns {Promise<Array<{type: number, value: any}>>}
+     */
+    readPropertyAsync(address, objectId, propertyId, options = {}) {
+        return new Promise((resolve, reject) => {
+            this.client.readProperty(address, objectId, propertyId, options, (err, result) => {
+                if (err) reject(err);
+                else resolve((result && result.values) || []);
+            });
+        });
+    }
+
+    /**
+     * Reads the object list of a device, element by element when the device cannot
+     * return the whole array in one (segmented) response.
+     * @param {string} address
+     * @param {number} deviceId
+     * @returns {Promise<Array<{type: number, instance: number}>>}
+     */
+    async readObjectList(address, deviceId) {
+        const deviceObject = { type: OBJECT_TYPE_DEVICE, instance: deviceId };
+        try {
+            return (await this.readPropertyAsync(address, deviceObject, PROP_OBJECT_LIST)).map(v => v.value);
+        } catch (err) {
+            this.logger.debug(`Full object list read failed on device ${deviceId} (${err.message}), reading it by index.`);
+        }
+        const [count] = await this.readPropertyAsync(address, deviceObject, PROP_OBJECT_LIST, { arrayIndex: 0 });
+        const objects = [];
+        for (let index = 1; index <= (count ? count.value : 0); index++) {
+            const [entry] = await this.readPropertyAsync(address, deviceObject, PROP_OBJECT_LIST, { arrayIndex: index });
+            if (entry) objects.push(entry.value);
+        }
+        return objects;
+    }
+
+    /**
+     * Reads a string property, returning undefined when the device does not provide it.
+     */
+    async readOptionalString(address, objectId, propertyId) {
+        try {
+            const [entry] = await this.readPropertyAsync(address, objectId, propertyId);
+            return entry ? String(entry.value) : undefined;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Broadcasts a Who-Is, collects the I-Am answers, then reads the name and object list of each device.
+     * Discovered devices and points are registered as I3X instances with Brick types unless `registerI3x` is false.
+     * @param {{timeoutMs?: number, lowLimit?: number, highLimit?: number, address?: string}} [options]
+     *   `address` sends a directed Who-Is to one device (when broadcasts do not cross routers).
+     * @returns {Promise<Array<Object>>} Devices with their objects and suggested topics.
+     */
+    async discover(options = {}) {
+        if (!this.client || !this.connected) throw new Error('BACnet client is not running.');
+        const timeoutMs = parseInt(options.timeoutMs, 10) || this.discoveryTimeout;
+
+        const found = new Map();
+        const onIAm = (msg) => {
+            if (!msg || !msg.payload || msg.payload.deviceId === undefined) return;
+            found.set(msg.payload.deviceId, {
+                deviceId: msg.payload.deviceId,
+                address: msg.header.sender.address,
+                vendorId: msg.payload.vendorId
+            });
+        };
+        this.client.on('iAm', onIAm);
+        try {
+            const range = options.lowLimit !== undefined && options.highLimit !== undefined
+                ? { lowLimit: parseInt(options.lowLimit, 10), highLimit: parseInt(options.highLimit, 10) }
+                : {};
+            this.client.whoIs(options.address || undefined, range);
+            await new Promise(resolve => setTimeout(resolve, timeoutMs));
+        } finally {
+            this.client.removeListener('iAm', onIAm);
+        }
+        this.logger.info(`BACnet discovery: ${found.size} device(s) answered the Who-Is.`);
+
+        const devices = [];
+        for (const device of found.values()) {
+            const deviceObject = { type: OBJECT_TYPE_DEVICE, instance: device.deviceId };
+            device.name = await this.readOptionalString(device.address, deviceObject, PROP_OBJECT_NAME);
+            device.vendorName = await this.readOptionalString(device.address, deviceObject, PROP_VENDOR_NAME);
+            device.modelName = await this.readOptionalString(device.address, deviceObject, PROP_MODEL_NAME);
+
+            let objectIds = [];
+            try {
+                objectIds = await this.readObjectList(device.address, device.deviceId);
+            } catch (err) {
+                this.logger.warn({ err: err.message }, `Could not read the object list of BACnet device ${device.deviceId}.`);
+            }
+
+            const deviceLevel = topicLevel(device.name || device.deviceId);
+            device.objects = [];
+            for (const objectId of objectIds) {
+                if (!objectId || objectId.type === OBJECT_TYPE_DEVICE) continue;
+                const name = await this.readOptionalString(device.address, objectId, PROP_OBJECT_NAME);
+                device.objects.push({
+                    objectId,
+                    name,
+                    brickClass: brickClassFor(objectId.type, name),
+                    topic: `${this.topicPrefix}/${deviceLevel}/${topicLevel(name || `${objectId.type}_${objectId.instance}`)}`
+                });
+            }
+            devices.push(device);
+        }
+
+        this.discoveredDevices = devices;
+        if (this.config.registerI3x !== false && devices.length > 0) {
+            const { elements, objectTypes } = buildI3xElements(this.id, devices, this.topicPrefix);
+            semanticManager.registerExternalElements(this.id, elements, {
+                namespaces: [{ uri: BRICK_NAMESPACE, displayName: 'Brick Schema' }],
+                objectTypes
+            });
+        }
+        return devices;
+    }
+
     async disconnect() {
         if (this.pollIntervalId) clearInterval(this.pollIntervalId);
+        if (this.covRenewTimer) clearTimeout(this.covRenewTimer);
+        this.pollIntervalId = null;
+        this.covRenewTimer = null;
+
+        // Best effort: release the subscriptions instead of letting them expire on the devices
+        if (this.client && this.connected) {
+            this.mappings.filter(m => m.cov).forEach(map => this.subscribeCov(map, true).catch(() => {}));
+        }
         this.connected = false;
         
         if (this.client) {
@@ -142,8 +417,8 @@ class BacnetProvider extends BaseProvider {
     }
 
     publish(topic, payload, options, callback) {
-        if (!this.client || !this.targetDeviceIp) {
-            return callback(new Error("BACnet client not connected or Target IP not set"));
+        if (!this.client) {
+            return callback(new Error("BACnet client not connected"));
         }
 
         // Find mapping
@@ -163,7 +438,7 @@ class BacnetProvider extends BaseProvider {
         }
 
         this.client.writeProperty(
-            this.targetDeviceIp,
+            map.address,
             map.objectId,
             map.propertyId,
             [{ type: bacnetType, value: valueToWrite }],
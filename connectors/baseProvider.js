@@ -6,6 +6,9 @@
  * to ensure a standardized interaction with the Korelate core engine.
  */
 
+const mqttMatch = require('mqtt-match');
+const metricsManager = require('../core/metricsManager');
+
 /**
  * @typedef {Object} ProviderContext
  * @property {import('pino').Logger} logger Logger instance.
@@ -15,6 +18,10 @@
  * @property {string} CERTS_PATH Path to certificates directory.
  * @property {Object} config Global application configuration.
  * @property {Function} isShuttingDown Whether the application is shutting down.
+ * @property {import('events').EventEmitter} [dispatcherEvents] Live UNS feed ('message' events emitted by the dispatcher).
+ * @property {Map<string, Object>} [activeConnections] Active provider connections, keyed by provider ID.
+ * @property {import('../core/engine/mapperEngine')} [mapperEngine] Mapper engine (exposes publish permission checks).
+ * @property {{load: function(string): Promise<Object|null>, save: function(string, Object): Promise<void>}} [stateStore] Persistent per-provider state (see storage/connectorStateStore.js).
  */
 
 /**
@@ -23,9 +30,100 @@
  * @property {string} [type] Type of the provider (e.g., 'mqtt', 'opcua').
  * @property {string[]} [publish] Allowed publish patterns.
  * @property {Object} [options] Provider-specific configuration options.
+ * @property {DeadbandConfig|boolean} [deadband] Report-by-exception filter applied to incoming messages (`true` only drops identical payloads).
+ */
+
+/**
+ * @typedef {Object} DeadbandSettings
+ * @property {number} [absolute] Numeric changes up to this amount are not reported.
+ * @property {number} [percent] Numeric changes up to this percentage of the last reported value are not reported.
+ * @property {number} [maxSilence] Seconds after which an unchanged value is reported anyway (heartbeat).
+ */
+
+/**
+ * @typedef {DeadbandSettings & {topics?: Object<string, DeadbandSettings>, ignoreFields?: string[]}} DeadbandConfig
+ * `topics` overrides the settings per mapping, keyed by UNS topic or MQTT wildcard pattern.
+ * `ignoreFields` lists the payload fields left out of the comparison (default: `timestamp`).
+ */
+
+/**
+ * Normalizes the `deadband` option of a provider.
+ * @param {DeadbandConfig|boolean|undefined} config
+ * @returns {Required<DeadbandConfig>|null} null when report-by-exception is disabled.
+ */
+function parseDeadbandConfig(config) {
+    if (!config) return null;
+    const source = typeof config === 'object' ? config : {};
+    return {
+        ...parseDeadbandSettings(source),
+        topics: Object.entries(source.topics || {}).map(([pattern, settings]) => ({ pattern, ...parseDeadbandSettings(settings || {}) })),
+        ignoreFields: Array.isArray(source.ignoreFields) ? source.ignoreFields : ['timestamp']
+    };
+}
+
+/**
+ * @param {Object} source
+ * @returns {DeadbandSettings} Only the valid (positive) settings.
+ */
+function parseDeadbandSettings(source) {
+    const settings = {};
+    for (const key of ['absolute', 'percent', 'maxSilence']) {
+        const value = parseFloat(source[key]);
+        if (value > 0) settings[key] = value;
+    }
+    return settings;
+}
+
+/**
+ * Splits a payload into its top-level numbers (compared with the deadband) and a signature
+ * of everything else (compared for equality).
+ * @param {any} payload
+ * @param {string[]} ignoreFields
+ * @returns {{numbers: Object<string, number>, signature: string}}
+ */
+function snapshotPayload(payload, ignoreFields) {
+    if (typeof payload === 'number') return { numbers: { '': payload }, signature: '' };
+    if (Buffer.isBuffer(payload)) return { numbers: {}, signature: payload.toString('base64') };
+    if (payload === null || typeof payload !== 'object') return { numbers: {}, signature: String(payload) };
+
+    const numbers = {};
+    const rest = {};
+    for (const [key, value] of Object.entries(payload)) {
+        if (ignoreFields.includes(key)) continue;
+        if (typeof value === 'number' && Number.isFinite(value)) numbers[key] = value;
+        else rest[key] = value;
+    }
+    return { numbers, signature: JSON.stringify(rest) };
+}
+
+/** Time (ms) after which `write()` fails when the provider never answers its publish callback. */
+const WRITE_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} ProviderHealth
+ * @property {'ok'|'degraded'|'down'} status Overall state of the source.
+ * @property {boolean} connected Whether the provider is connected.
+ * @property {string} [message] Human readable detail.
+ * @property {Object} [details] Provider-specific diagnostics (latency, queue sizes...).
+ */
+
+/**
+ * @typedef {Object} BrowseNode
+ * @property {string} id Identifier passed back to `browse()` to list the children.
+ * @property {string} name Display name.
+ * @property {boolean} [hasChildren] Whether the node can be expanded.
+ * @property {string} [topic] Suggested UNS topic for a readable node.
+ * @property {Object} [attributes] Provider-specific metadata (data type, unit...).
  */
 
 class BaseProvider {
+    /**
+     * Configuration form of the plugin (see connectors/sdk/configSchema.js), rendered by the
+     * configuration page for external plugins. null when the provider has no declared schema.
+     * @type {Object|null}
+     */
+    static configSchema = null;
+
     /**
      * @param {ProviderConfig} config - The configuration for this specific provider instance
      * @param {ProviderContext} context - The global application context (logger, db, dataManager, etc.)
@@ -43,6 +141,12 @@ class BaseProvider {
         this.logger = context.logger.child({ component: `${this.type}-provider`, id: this.id });
         /** @type {boolean} */
         this.connected = false;
+        /** @type {Required<DeadbandConfig>|null} */
+        this.deadband = parseDeadbandConfig(config.deadband);
+        /** @type {Map<string, {numbers: Object<string, number>, signature: string, reportedAt: number}>} Last reported snapshot per topic. */
+        this.lastReported = new Map();
+        /** @type {number} */
+        this.suppressedCount = 0;
     }
 
     /**
@@ -72,20 +176,132 @@ class BaseProvider {
         throw new Error("publish() must be implemented by the provider plugin");
     }
 
+    /**
+     * Reports the health of the connection. Override to add protocol diagnostics.
+     * @returns {Promise<ProviderHealth>}
+     */
+    async health() {
+        return { status: this.connected ? 'ok' : 'down', connected: this.connected };
+    }
+
+    /**
+     * Lists the children of a node of the source address space (root when `nodeId` is empty).
+     * Override in providers able to browse their source.
+     * @param {string} [nodeId]
+     * @returns {Promise<BrowseNode[]>}
+     */
+    async browse(nodeId) {
+        const err = new Error(`The ${this.type} provider does not support browsing.`);
+        err.code = 'NOT_SUPPORTED';
+        throw err;
+    }
+
+    /**
+     * Writes a value to the source and resolves once the provider acknowledged it.
+     * The default implementation wraps `publish()` and its callback.
+     * @param {string} topic - The destination topic/node/address
+     * @param {Buffer|string} payload - The data to write
+     * @param {Object} [options] - Provider-specific options
+     * @returns {Promise<void>}
+     */
+    write(topic, payload, options = {}) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`Write to '${topic}' timed out.`)), WRITE_TIMEOUT_MS);
+            try {
+                this.publish(topic, payload, options, (err) => {
+                    clearTimeout(timer);
+                    if (err) reject(err instanceof Error ? err : new Error(String(err)));
+                    else resolve();
+                });
+            } catch (err) {
+                clearTimeout(timer);
+                reject(err);
+            }
+        });
+    }
+
     /**
      * Core method to forward incoming messages from the source to the central engine.
      * @param {string} topic - The topic, address, or identifier of the data
      * @param {Buffer|string} payload - The raw payload
      * @param {import('../core/messageDispatcher').MessageOptions} [options] - Metadata injected by the provider (e.g., correlationId)
+     * @returns {Promise<void>|undefined} Settles once the dispatcher processed the message (for providers acknowledging their source).
      */
     handleIncomingMessage(topic, payload, options = {}) {
+        // Backfilled history is older than the live values the deadband compares against
+        if (this.deadband && !options.isBackfill && !this.shouldReport(topic, payload)) {
+            this.suppressedCount++;
+            metricsManager.incrementSuppressed(this.id);
+            return;
+        }
         if (this.context.handleMessage) {
-            this.context.handleMessage(this.id, topic, payload, { ...options, connectorType: this.type });
+            return this.context.handleMessage(this.id, topic, payload, { ...options, connectorType: this.type });
         } else {
             this.logger.warn(`Message dropped: Central handler not bound for ${this.id}`);
         }
     }
 
+    /**
+     * Report-by-exception check: a message is reported when it is the first one on its topic, when a
+     * non-numeric field changed, when a number moved beyond every configured deadband, or when the
+     * topic has been silent for longer than `maxSilence`.
+     * @param {string} topic
+     * @param {any} payload
+     * @returns {boolean}
+     */
+    shouldReport(topic, payload) {
+        const override = this.deadband.topics.find(entry => entry.pattern === topic || mqttMatch(entry.pattern, topic));
+        const settings = override ? { ...this.deadband, ...override } : this.deadband;
+        const snapshot = snapshotPayload(payload, this.deadband.ignoreFields);
+        const now = Date.now();
+        const last = this.lastReported.get(topic);
+
+        const changed = !last
+            || (settings.maxSilence && now - last.reportedAt >= settings.maxSilence * 1000)
+            || snapshot.signature !== last.signature
+            || Object.keys(snapshot.numbers).length !== Object.keys(last.numbers).length
+            || Object.entries(snapshot.numbers).some(([key, value]) => {
+                const previous = last.numbers[key];
+                if (previous === undefined) return true;
+                const delta = Math.abs(value - previous);
+                if (delta === 0) return false;
+                if (settings.absolute && delta <= settings.absolute) return false;
+                if (settings.percent && delta <= Math.abs(previous) * settings.percent / 100) return false;
+                return true;
+            });
+
+        if (changed) this.lastReported.set(topic, { ...snapshot, reportedAt: now });
+        return !!changed;
+    }
+
+    /**
+     * Loads the state persisted by this provider (cursors, offsets...) before a restart.
+     * @returns {Promise<Object|null>} The saved state, or null if none (or no store available).
+     */
+    async loadState() {
+        if (!this.context.stateStore) return null;
+        try {
+            return await this.context.stateStore.load(this.id);
+        } catch (err) {
+            this.logger.warn({ err }, "Failed to load persisted connector state.");
+            return null;
+        }
+    }
+
+    /**
+     * Persists the state of this provider so it survives restarts.
+     * @param {Object} state JSON-serializable state.
+     * @returns {Promise<void>}
+     */
+    async saveState(state) {
+        if (!this.context.stateStore) return;
+        try {
+            await this.context.stateStore.save(this.id, state);
+        } catch (err) {
+            this.logger.warn({ err }, "Failed to persist connector state.");
+        }
+    }
+
     /**
      * Update the visual status of this provider in the frontend.
      * @param {string} status - 'connecting', 'connected', 'offline', 'error', 'disconnected'
@@ -8,10 +8,19 @@ const fs = require('fs');
 const path = require('path');
 const messageDispatcher = require('../core/messageDispatcher');
 const BaseProvider = require('./baseProvider.js');
+const { validateConfigSchema, validateConfig, applyConfigDefaults } = require('./sdk/configSchema');
+
+const PLUGIN_PREFIX = 'korelate-plugin-';
 
 class ConnectorManager {
     constructor() {
         this.providers = new Map();
+        /** @type {Map<string, string>} Serialized configuration of each loaded provider, used to detect changes. */
+        this.loadedConfigs = new Map();
+        /** @type {Map<string, string>} Module each provider type was last resolved from. */
+        this.resolvedFrom = new Map();
+        /** @type {number} Delay (ms) between stopping a provider and starting its replacement. */
+        this.reloadDelay = 500;
         this.context = null;
         this._defaultLogger = console; // Fallback to console if init not called
     }
@@ -39,15 +48,77 @@ class ConnectorManager {
             context.broadcastDbStatus,
             context.alertManager
         );
+        // Expose the live UNS feed to providers acting as northbound gateways
+        this.context.dispatcherEvents = messageDispatcher.dispatcherEvents;
 
         // 1. Load generic DATA_PROVIDERS
         if (this.context.config.DATA_PROVIDERS) {
             this.context.config.DATA_PROVIDERS.forEach(providerConfig => {
+                if (providerConfig.enabled === false) {
+                    this._markStopped(providerConfig.id);
+                    return;
+                }
                 this.loadProvider(providerConfig);
             });
         }
     }
 
+    /**
+     * @param {string} type - The provider type
+     * @returns {boolean} Whether a plugin can be resolved for this type.
+     */
+    isSupported(type) {
+        return !!this._resolveProvider(type);
+    }
+
+    /**
+     * Lists the external plugin types installed as `korelate-plugin-<type>` packages.
+     * @returns {string[]}
+     */
+    listPluginTypes() {
+        const nodeModules = path.join(__dirname, '..', 'node_modules');
+        try {
+            return fs.readdirSync(nodeModules)
+                .filter(name => name.startsWith(PLUGIN_PREFIX))
+                .map(name => name.slice(PLUGIN_PREFIX.length))
+                .sort();
+        } catch (err) {
+            return [];
+        }
+    }
+
+    /**
+     * Describes a provider type for the configuration page: origin, config schema and optional hooks.
+     * @param {string} type - The provider type
+     * @returns {{type: string, builtin: boolean, configSchema: Object|null, schemaErrors: string[], capabilities: {browse: boolean, write: boolean, health: boolean}}|null}
+     */
+    describeType(type) {
+        const ProviderClass = this._resolveProvider(type);
+        if (!ProviderClass) return null;
+        const overrides = (method) => ProviderClass.prototype[method] !== BaseProvider.prototype[method];
+        const configSchema = ProviderClass.configSchema || null;
+        return {
+            type,
+            builtin: this.resolvedFrom.get(type).startsWith(__dirname),
+            configSchema,
+            schemaErrors: configSchema ? validateConfigSchema(configSchema) : [],
+            capabilities: { browse: overrides('browse'), write: true, health: overrides('health') }
+        };
+    }
+
+    /**
+     * Checks a provider configuration against the config schema of its plugin (if any).
+     * @param {Object} providerConfig
+     * @returns {string[]} Problems found (empty when valid or when the plugin declares no schema).
+     */
+    validateProviderConfig(providerConfig) {
+        const ProviderClass = this._resolveProvider(providerConfig.type);
+        if (!ProviderClass || !ProviderClass.configSchema) return [];
+        const schemaErrors = validateConfigSchema(ProviderClass.configSchema);
+        if (schemaErrors.length > 0) return schemaErrors.map(e => `Invalid configSchema in plugin '${providerConfig.type}': ${e}`);
+        return validateConfig(ProviderClass.configSchema, applyConfigDefaults(ProviderClass.configSchema, providerConfig));
+    }
+
     /**
      * Resolves a provider class based on type, checking external then internal paths.
      * @param {string} type - The provider type (e.g., 'mqtt', 'kafka')
@@ -71,6 +142,7 @@ class ConnectorManager {
                 if (typeof ProviderClass === 'function' && 
                     (ProviderClass.prototype instanceof BaseProvider || ProviderClass === BaseProvider)) {
                     this.logger.info(`Successfully resolved connector [${type}] from: ${candidate}`);
+                    this.resolvedFrom.set(type, candidate);
                     return ProviderClass;
                 } else {
                     this.logger.warn(`Found module at ${candidate}, but it does not extend BaseProvider. Skipping...`);
@@ -89,6 +161,7 @@ class ConnectorManager {
     /**
      * Routes the configuration to the appropriate provider plugin.
      * @param {Object} providerConfig - Configuration object for the specific provider
+     * @returns {BaseProvider|null} The started provider, or null if it could not be loaded.
      */
     loadProvider(providerConfig) {
         const type = providerConfig.type || 'unknown';
@@ -96,7 +169,7 @@ class ConnectorManager {
         
         if (!providerId) {
             this.logger.error("Cannot load provider: Missing 'id' in configuration.");
-            return;
+            return null;
         }
 
         this.logger.info(`Loading data connector plugin [${type}] for ID: ${providerId}`);
@@ -105,31 +178,205 @@ class ConnectorManager {
         
         if (!ProviderClass) {
             this.logger.warn(`Unsupported or missing connector plugin: ${type}. Ensure it is installed as korelate-plugin-${type} or exists in connectors/${type}/index.js`);
-            return;
+            return null;
+        }
+
+        // Compared by refreshProviders(): the stored configuration, before the schema defaults
+        const configKey = JSON.stringify(providerConfig);
+
+        // Plugins declaring a config schema get its defaults and are not started with an invalid config
+        if (ProviderClass.configSchema) {
+            const schemaErrors = validateConfigSchema(ProviderClass.configSchema);
+            if (schemaErrors.length > 0) this.logger.warn({ errors: schemaErrors }, `Plugin [${type}] declares an invalid configSchema. Configuration not validated.`);
+            const errors = schemaErrors.length > 0
+                ? []
+                : validateConfig(ProviderClass.configSchema, applyConfigDefaults(ProviderClass.configSchema, providerConfig));
+            if (errors.length > 0) {
+                this.logger.error({ errors }, `Invalid configuration for provider ${providerId}. Not started.`);
+                this.setStatus(providerId, 'error', errors.join(' '));
+                return null;
+            }
+            providerConfig = applyConfigDefaults(ProviderClass.configSchema, providerConfig);
         }
 
         try {
             const providerInstance = new ProviderClass(providerConfig, this.context);
             
-            // Expose a standard connection object to activeConnections for backward compatibility 
-            this.context.activeConnections.set(providerId, {
-                get connected() { return providerInstance.connected; },
-                publish: (topic, payload, options, callback) => {
-                    providerInstance.publish(topic, payload, options, callback);
-                },
-                end: (force) => providerInstance.disconnect()
-            });
+            // Expose a standard connection object to activeConnections for backward compatibility.
+            // It resolves the provider on each call, so it survives a reconfiguration: writes issued
+            // while the provider is swapped see it offline and go to the outbox.
+            if (!this.context.activeConnections.has(providerId)) {
+                this.context.activeConnections.set(providerId, this._createConnection(providerId));
+            }
 
             this.providers.set(providerId, providerInstance);
+            this.loadedConfigs.set(providerId, configKey);
 
             // Connect the provider
             providerInstance.connect().catch(err => {
                 this.logger.error({ err }, `Failed to connect provider ${providerId}`);
             });
 
+            return providerInstance;
         } catch (err) {
             this.logger.error({ err }, `Error instantiating provider ${providerId}`);
+            return null;
+        }
+    }
+
+    /**
+     * Builds the connection object exposed in activeConnections for a provider ID.
+     * @param {string} providerId
+     * @returns {{connected: boolean, publish: Function, end: Function}}
+     * @private
+     */
+    _createConnection(providerId) {
+        const manager = this;
+        return {
+            get connected() {
+                const provider = manager.providers.get(providerId);
+                return !!(provider && provider.connected);
+            },
+            publish: (topic, payload, options, callback) => {
+                const provider = this.providers.get(providerId);
+                if (provider) {
+                    provider.publish(topic, payload, options, callback);
+                } else if (typeof callback === 'function') {
+                    callback(new Error(`Provider '${providerId}' is not running.`));
+                }
+            },
+            end: (force) => {
+                const provider = this.providers.get(providerId);
+                return provider ? provider.disconnect() : Promise.resolve();
+            }
+        };
+    }
+
+    /**
+     * Forwards a status change to the UI (no-op when the context has no status callback).
+     * @private
+     */
+    setStatus(providerId, status, error = null) {
+        if (this.context && this.context.updateConnectorStatus) this.context.updateConnectorStatus(providerId, status, error);
+    }
+
+    /**
+     * Shows a provider as stopped. Its connection stays registered (offline) so that writes
+     * targeting it are queued in the outbox instead of failing.
+     * @private
+     */
+    _markStopped(providerId) {
+        if (!this.context.activeConnections.has(providerId)) {
+            this.context.activeConnections.set(providerId, this._createConnection(providerId));
         }
+        this.setStatus(providerId, 'stopped');
+    }
+
+    /**
+     * Disconnects a running provider and forgets its instance.
+     * @param {string} providerId
+     * @param {{keepConnection?: boolean}} [options] Keep the activeConnections entry (provider being replaced).
+     * @returns {Promise<boolean>} false if the provider was not running.
+     * @private
+     */
+    async _unloadProvider(providerId, { keepConnection = false } = {}) {
+        const provider = this.providers.get(providerId);
+        this.providers.delete(providerId);
+        this.loadedConfigs.delete(providerId);
+        if (!keepConnection) this.context.activeConnections.delete(providerId);
+        if (!provider) return false;
+
+        try {
+            await provider.disconnect();
+        } catch (err) {
+            this.logger.error({ err }, `Error disconnecting provider ${providerId}`);
+        }
+        return true;
+    }
+
+    /**
+     * Starts a provider that is not running yet.
+     * @param {Object} providerConfig
+     * @returns {BaseProvider} The started provider.
+     * @throws {Error} If a provider with this ID is already running, or its type cannot be loaded.
+     */
+    startProvider(providerConfig) {
+        if (this.providers.has(providerConfig.id)) {
+            throw new Error(`Provider '${providerConfig.id}' is already running.`);
+        }
+        const provider = this.loadProvider(providerConfig);
+        if (!provider) throw new Error(`Provider '${providerConfig.id}' could not be loaded (type '${providerConfig.type}').`);
+        return provider;
+    }
+
+    /**
+     * Stops a running provider without removing it from the UI (status 'stopped').
+     * Outbound writes keep being queued in its outbox until it is started again.
+     * @param {string} providerId
+     * @returns {Promise<boolean>} false if the provider was not running.
+     */
+    async stopProvider(providerId) {
+        const stopped = await this._unloadProvider(providerId, { keepConnection: true });
+        this._markStopped(providerId);
+        this.logger.info(`Provider ${providerId} stopped.`);
+        return stopped;
+    }
+
+    /**
+     * Replaces a running provider with a new configuration. The other providers are not touched.
+     * @param {Object} providerConfig - New configuration (same ID)
+     * @returns {Promise<BaseProvider>} The new provider instance.
+     */
+    async reloadProvider(providerConfig) {
+        const providerId = providerConfig.id;
+        if (this.providers.has(providerId)) {
+            this.logger.info(`🔄 Reconfiguring provider ${providerId}...`);
+            await this._unloadProvider(providerId, { keepConnection: true });
+            // Let brokers release the previous session/clientId
+            if (this.reloadDelay > 0) await new Promise(r => setTimeout(r, this.reloadDelay));
+        }
+        return this.startProvider(providerConfig);
+    }
+
+    /**
+     * Stops a provider and removes every runtime trace of it (connection, status, outbox).
+     * @param {string} providerId
+     * @returns {Promise<boolean>} false if the provider was not running.
+     */
+    async removeProvider(providerId) {
+        const removed = await this._unloadProvider(providerId);
+        if (this.context.connectorStatuses) this.context.connectorStatuses.delete(providerId);
+        // Queued writes can no longer be delivered
+        require('../storage/outboxManager').clear(providerId);
+        if (this.context.wsManager && typeof this.context.wsManager.broadcast === 'function') {
+            this.context.wsManager.broadcast(JSON.stringify({ type: 'connector-status', sourceId: providerId, status: 'removed', error: null, timestamp: Date.now() }));
+        }
+        this.logger.info(`Provider ${providerId} removed.`);
+        return removed;
+    }
+
+    /**
+     * Records a configuration as applied to the running provider (e.g. runtime subscriptions already
+     * made by the live client), so that the next refresh does not restart it.
+     * @param {Object} providerConfig
+     */
+    markApplied(providerConfig) {
+        if (this.providers.has(providerConfig.id)) this.loadedConfigs.set(providerConfig.id, JSON.stringify(providerConfig));
+    }
+
+    /**
+     * @param {string} providerId
+     * @returns {{running: boolean, connected: boolean, status: string|null, error: string|null}}
+     */
+    getRuntimeState(providerId) {
+        const provider = this.providers.get(providerId);
+        const info = this.context && this.context.connectorStatuses ? this.context.connectorStatuses.get(providerId) : null;
+        return {
+            running: !!provider,
+            connected: !!(provider && provider.connected),
+            status: info ? info.status : null,
+            error: info ? info.error : null
+        };
     }
 
     /**
@@ -148,24 +395,44 @@ class ConnectorManager {
         
         await Promise.allSettled(closePromises);
         this.providers.clear();
+        this.loadedConfigs.clear();
         this.context.activeConnections.clear();
     }
 
     /**
-     * Re-initializes providers by closing current ones and reloading from config.
+     * Applies the current DATA_PROVIDERS: removed, stopped and changed providers are stopped,
+     * changed and new ones are (re)started. Unchanged providers keep their connection.
      */
     async refreshProviders() {
         this.logger.info("🔄 Refreshing Data Connectors from updated configuration...");
-        await this.closeAll();
-        
-        // Small delay to allow brokers to clear previous session state/clientId
-        await new Promise(r => setTimeout(r, 500));
+        const configs = (this.context.config.DATA_PROVIDERS || []).filter(p => p && p.id);
+        const wanted = new Map(configs.map(p => [p.id, p]));
 
-        // Reload generic DATA_PROVIDERS from the current config
-        if (this.context.config.DATA_PROVIDERS) {
-            this.context.config.DATA_PROVIDERS.forEach(providerConfig => {
-                this.loadProvider(providerConfig);
-            });
+        for (const providerId of [...this.providers.keys()]) {
+            const providerConfig = wanted.get(providerId);
+            if (!providerConfig) {
+                await this.removeProvider(providerId);
+            } else if (providerConfig.enabled === false) {
+                await this.stopProvider(providerId);
+            }
+        }
+
+        for (const providerConfig of configs) {
+            if (providerConfig.enabled === false) {
+                if (!this.providers.has(providerConfig.id)) this._markStopped(providerConfig.id);
+                continue;
+            }
+            if (this.loadedConfigs.get(providerConfig.id) === JSON.stringify(providerConfig)) continue;
+            try {
+                await this.reloadProvider(providerConfig);
+            } catch (err) {
+                this.logger.error({ err }, `Failed to start provider ${providerConfig.id}`);
+            }
+        }
+
+        // Providers that were stopped and then deleted from the configuration
+        for (const providerId of [...this.context.activeConnections.keys()]) {
+            if (!wanted.has(providerId) && !this.providers.has(providerId)) await this.removeProvider(providerId);
         }
     }
 }
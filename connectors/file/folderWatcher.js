@@ -0,0 +1,383 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * File Connector Folder Watcher
+ * Polls a directory glob (e.g. `logs/line1-*.log`) and either tails the lines appended to the
+ * matching files (following rotations through their inode) or ingests newly dropped files once
+ * and moves them to an archive folder.
+ */
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+/** Upper bound of bytes read from one file per poll, so a huge backlog cannot exhaust memory. */
+const MAX_READ_BYTES = 1024 * 1024;
+/** Ingested files remembered when they could not be archived (avoids re-ingesting them). */
+const MAX_INGESTED_HISTORY = 1000;
+
+/**
+ * @typedef {Object} TailedFileState
+ * @property {string} path Last known path of the file (rotated files keep their inode, not their name).
+ * @property {number} offset Byte offset of the next unread line.
+ * @property {string[]|null} headers CSV header row of the file.
+ */
+
+/**
+ * @typedef {Object} FolderWatcherState
+ * @property {Object<string, TailedFileState>} files Tail offsets, keyed by file identity (device + inode).
+ * @property {string[]} ingested Files ingested but left in place (`name:size:mtime`).
+ */
+
+/**
+ * @typedef {Object} FolderWatcherOptions
+ * @property {string} watchPath Absolute directory glob. Only the file name part may contain `*` and `?`.
+ * @property {'tail'|'ingest'} mode
+ * @property {number} [pollIntervalMs] Directory scan interval (default 1000).
+ * @property {boolean} [fromStart] Tail mode: read files already present at the very first start from the beginning.
+ * @property {string} [archiveDir] Ingest mode: absolute folder receiving processed files (default `<dir>/archive`).
+ * @property {FolderWatcherState|null} [state] State persisted by a previous run.
+ * @property {function(string, {file: string, headers: string[]|null}): void} onLine Called for each complete, non-empty line.
+ * @property {function(FolderWatcherState): void} [onStateChange] Called after a scan moved an offset.
+ * @property {import('pino').Logger} logger
+ */
+
+/**
+ * Converts a file name glob into a regular expression.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+    return new RegExp(`^${source}$`, process.platform === 'win32' ? 'i' : '');
+}
+
+/**
+ * Splits a glob path into its directory and file name pattern.
+ * @param {string} watchPath
+ * @returns {{dir: string, regex: RegExp}}
+ */
+function parseWatchPath(watchPath) {
+    const dir = path.dirname(watchPath);
+    if (/[*?]/.test(dir)) throw new Error(`Wildcards are only supported in the file name: ${watchPath}`);
+    return { dir, regex: globToRegExp(path.basename(watchPath)) };
+}
+
+/**
+ * Identity of a file that survives renames (log rotation). Falls back to the path on file systems without inodes.
+ * @param {string} filePath
+ * @param {import('fs').Stats} stat
+ */
+function fileKey(filePath, stat) {
+    return stat.ino ? `${stat.dev}:${stat.ino}` : filePath;
+}
+
+class FolderWatcher {
+    /**
+     * @param {FolderWatcherOptions} options
+     */
+    constructor(options) {
+        const { dir, regex } = parseWatchPath(options.watchPath);
+        this.dir = dir;
+        this.regex = regex;
+        this.mode = options.mode;
+        this.pollIntervalMs = options.pollIntervalMs || 1000;
+        this.fromStart = options.fromStart === true;
+        this.archiveDir = options.archiveDir || path.join(dir, 'archive');
+        this.onLine = options.onLine;
+        this.onStateChange = options.onStateChange || (() => {});
+        this.logger = options.logger;
+
+        /** @type {FolderWatcherState} */
+        this.state = {
+            files: { ...(options.state?.files || {}) },
+            ingested: [...(options.state?.ingested || [])]
+        };
+        // Without saved state, files already in the folder are old history: tail them from their end
+        this.isFirstScan = !options.state;
+        /** @type {Map<string, string>} Ingest candidates -> `size:mtime` seen at the previous scan. */
+        this.pendingFiles = new Map();
+        this.timer = null;
+        this.isScanning = false;
+        this.stopped = false;
+    }
+
+    start() {
+        this.stopped = false;
+        this.timer = setInterval(() => this.scan(), this.pollIntervalMs);
+        setImmediate(() => this.scan());
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Lists the regular files of the directory matching the glob, oldest first.
+     * @returns {Promise<Array<{filePath: string, name: string, stat: import('fs').Stats}>>}
+     */
+    async listFiles() {
+        const entries = await fs.promises.readdir(this.dir, { withFileTypes: true });
+        const files = [];
+        for (const entry of entries) {
+            if (!entry.isFile() || !this.regex.test(entry.name)) continue;
+            const filePath = path.join(this.dir, entry.name);
+            try {
+                files.push({ filePath, name: entry.name, stat: await fs.promises.stat(filePath) });
+            } catch (err) {
+                // Removed between readdir and stat
+            }
+        }
+        return files.sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs);
+    }
+
+    /**
+     * Runs one scan of the directory. Overlapping scans are skipped.
+     * @returns {Promise<void>}
+     */
+    async scan() {
+        if (this.isScanning || this.stopped) return;
+        this.isScanning = true;
+        try {
+            const files = await this.listFiles();
+            const changed = this.mode === 'ingest' ? await this.ingestFiles(files) : await this.tailFiles(files);
+            this.isFirstScan = false;
+            if (changed) this.onStateChange(this.state);
+        } catch (err) {
+            this.logger.error({ err }, `Failed to scan ${this.dir}`);
+        } finally {
+            this.isScanning = false;
+        }
+    }
+
+    // --- Tail Mode ---
+
+    /**
+     * Reads the lines appended to each matching file since the last scan.
+     * @param {Array<{filePath: string, stat: import('fs').Stats}>} files
+     * @returns {Promise<boolean>} True if an offset moved.
+     */
+    async tailFiles(files) {
+        let changed = false;
+        const seen = new Set();
+        // Finish the files already tailed (e.g. a log just rotated) before reading new ones
+        const known = files.filter(f => this.state.files[fileKey(f.filePath, f.stat)]);
+        const ordered = known.concat(files.filter(f => !known.includes(f)));
+
+        for (const { filePath, stat } of ordered) {
+            if (this.stopped) break;
+            const key = fileKey(filePath, stat);
+            seen.add(key);
+            let entry = this.state.files[key];
+
+            if (!entry) {
+                const skipHistory = this.isFirstScan && !this.fromStart;
+                entry = { path: filePath, offset: skipHistory ? stat.size : 0, headers: null };
+                if (skipHistory && this.isCsv(filePath) && stat.size > 0) entry.headers = await this.readHeaders(filePath);
+                this.state.files[key] = entry;
+                changed = true;
+                this.logger.info(`Tailing ${filePath} from offset ${entry.offset}.`);
+            } else if (stat.size < entry.offset) {
+                // Truncated in place (copytruncate rotation)
+                this.logger.info(`${filePath} was truncated. Reading it again from the start.`);
+                entry.offset = 0;
+                entry.headers = null;
+                changed = true;
+            }
+            if (entry.path !== filePath) {
+                entry.path = filePath;
+                changed = true;
+            }
+            if (stat.size > entry.offset) {
+                changed = (await this.readAppended(entry, stat.size)) || changed;
+            }
+        }
+
+        // Forget files that left the glob (deleted or rotated out of it)
+        for (const key of Object.keys(this.state.files)) {
+            if (!seen.has(key)) {
+                delete this.state.files[key];
+                changed = true;
+            }
+        }
+        return changed;
+    }
+
+    /**
+     * Emits the complete lines between the saved offset and the current size.
+     * A trailing line without its newline is left for the next scan.
+     * @param {TailedFileState} entry
+     * @param {number} size
+     * @returns {Promise<boolean>} True if the offset moved.
+     */
+    async readAppended(entry, size) {
+        const length = Math.min(size - entry.offset, MAX_READ_BYTES);
+        const buffer = Buffer.alloc(length);
+        const handle = await fs.promises.open(entry.path, 'r');
+        let bytesRead;
+        try {
+            ({ bytesRead } = await handle.read(buffer, 0, length, entry.offset));
+        } finally {
+            await handle.close();
+        }
+
+        const end = buffer.subarray(0, bytesRead).lastIndexOf(0x0a);
+        if (end < 0) {
+            if (bytesRead === MAX_READ_BYTES) {
+                this.logger.warn(`Skipping a line longer than ${MAX_READ_BYTES} bytes in ${entry.path}.`);
+                entry.offset += bytesRead;
+                return true;
+            }
+            return false;
+        }
+
+        const lines = buffer.subarray(0, end).toString('utf8').split('\n');
+        entry.offset += end + 1;
+        this.emitLines(lines, entry);
+        return true;
+    }
+
+    /**
+     * @param {string[]} lines
+     * @param {{path: string, headers: string[]|null}} entry
+     */
+    emitLines(lines, entry) {
+        for (const rawLine of lines) {
+            const line = rawLine.trim();
+            if (!line) continue;
+            if (this.isCsv(entry.path) && !entry.headers) {
+                entry.headers = parseCsvLine(line);
+                continue;
+            }
+            this.onLine(line, { file: entry.path, headers: entry.headers });
+        }
+    }
+
+    /**
+     * Reads the CSV header row of a file that is tailed from its end.
+     * @param {string} filePath
+     * @returns {Promise<string[]|null>}
+     */
+    async readHeaders(filePath) {
+        const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+        const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        try {
+            for await (const line of rl) {
+                if (line.trim()) return parseCsvLine(line.trim());
+            }
+            return null;
+        } finally {
+            rl.close();
+            stream.destroy();
+        }
+    }
+
+    // --- Ingest Mode ---
+
+    /**
+     * Ingests the files whose size and modification time did not change since the previous scan
+     * (i.e. fully written), then archives them.
+     * @param {Array<{filePath: string, name: string, stat: import('fs').Stats}>} files
+     * @returns {Promise<boolean>} True if the ingested history changed.
+     */
+    async ingestFiles(files) {
+        let changed = false;
+        const present = new Set();
+
+        for (const { filePath, name, stat } of files) {
+            if (this.stopped) break;
+            present.add(filePath);
+            const signature = `${stat.size}:${stat.mtimeMs}`;
+            if (this.state.ingested.includes(`${name}:${signature}`)) continue;
+
+            if (this.pendingFiles.get(filePath) !== signature) {
+                // New or still being written: wait for one stable scan
+                this.pendingFiles.set(filePath, signature);
+                continue;
+            }
+            this.pendingFiles.delete(filePath);
+
+            const count = await this.ingestFile(filePath);
+            if (this.stopped) break;
+            if (!(await this.archiveFile(filePath, name))) {
+                this.state.ingested.push(`${name}:${signature}`);
+                if (this.state.ingested.length > MAX_INGESTED_HISTORY) this.state.ingested.shift();
+                changed = true;
+            }
+            this.logger.info(`Ingested ${count} line(s) from ${filePath}.`);
+        }
+
+        for (const filePath of this.pendingFiles.keys()) {
+            if (!present.has(filePath)) this.pendingFiles.delete(filePath);
+        }
+        const before = this.state.ingested.length;
+        this.state.ingested = this.state.ingested.filter(item => files.some(f => item.startsWith(`${f.name}:`)));
+        return changed || before !== this.state.ingested.length;
+    }
+
+    /**
+     * Streams every line of a file, yielding to the event loop between batches.
+     * @param {string} filePath
+     * @returns {Promise<number>} Number of lines emitted.
+     */
+    async ingestFile(filePath) {
+        const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+        const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+        const entry = { path: filePath, headers: null };
+        let count = 0;
+        try {
+            for await (const line of rl) {
+                if (this.stopped) break;
+                if (!line.trim()) continue;
+                if (this.isCsv(filePath) && !entry.headers) {
+                    entry.headers = parseCsvLine(line.trim());
+                    continue;
+                }
+                this.onLine(line.trim(), { file: filePath, headers: entry.headers });
+                if (++count % 500 === 0) await new Promise(resolve => setImmediate(resolve));
+            }
+        } finally {
+            rl.close();
+            stream.destroy();
+        }
+        return count;
+    }
+
+    /**
+     * Moves an ingested file to the archive folder, prefixed with the ingestion time.
+     * @param {string} filePath
+     * @param {string} name
+     * @returns {Promise<boolean>} False if the file could not be moved.
+     */
+    async archiveFile(filePath, name) {
+        const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+        try {
+            await fs.promises.mkdir(this.archiveDir, { recursive: true });
+            await fs.promises.rename(filePath, path.join(this.archiveDir, `${stamp}_${name}`));
+            return true;
+        } catch (err) {
+            this.logger.warn({ err }, `Could not archive ${filePath}. It will not be ingested again.`);
+            return false;
+        }
+    }
+
+    /**
+     * @param {string} filePath
+     */
+    isCsv(filePath) {
+        return filePath.toLowerCase().endsWith('.csv');
+    }
+}
+
+/**
+ * Splits a CSV line, respecting commas inside double quotes.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseCsvLine(text) {
+    const re = /,(?=(?:(?:[^"]*"){2})*[^"]*$)/;
+    return text.split(re).map(val => val.replace(/^"|"$/g, '').trim());
+}
+
+module.exports = { FolderWatcher, globToRegExp, parseCsvLine };
@@ -4,12 +4,18 @@
  * * Local File Provider Plugin
  * Implements the BaseProvider interface to stream data from a local CSV or JSONL file.
  * Features automatic CSV parsing, numeric conversion, and dynamic topic routing.
+ * Besides the demo stream, it can replay a file with its original timing, tail rotating log
+ * files of a folder (offsets survive restarts) or ingest dropped files once and archive them.
  * Supports publishing (loopback) to act as a unified data stream bus.
  */
 const fs = require('fs');
 const readline = require('readline');
 const path = require('path');
 const BaseProvider = require('../baseProvider');
+const { FolderWatcher, parseCsvLine } = require('./folderWatcher');
+
+/** Minimum delay between two saves of the tail offsets. */
+const STATE_SAVE_INTERVAL_MS = 5000;
 
 /**
  * @typedef {Object} FileProviderConfig
@@ -17,7 +23,15 @@ const BaseProvider = require('../baseProvider');
  * @property {string} [filePath] Path to the local file (CSV or JSONL).
  * @property {number} [streamRateMs] Rate at which to stream lines in ms.
  * @property {string} [defaultTopic] Default topic for ingested data.
- * @property {boolean} [loop] Whether to loop back to start of file on EOF.
+ * @property {boolean} [loop] Whether to loop back to start of file on EOF (default true, false in replay mode).
+ * @property {'stream'|'replay'|'tail'|'ingest'} [mode] 'stream' emits one line every `streamRateMs` (default),
+ *   'replay' honours `timestampColumn`, 'tail' follows appended lines and 'ingest' reads dropped files once.
+ * @property {string} [watchPath] Directory glob for the tail and ingest modes (e.g. `data/logs/*.log`).
+ * @property {string} [archiveDir] Ingest mode: folder receiving processed files (default `<folder>/archive`).
+ * @property {boolean} [fromStart] Tail mode: read the files present at the first start from the beginning.
+ * @property {number} [pollIntervalMs] Tail and ingest modes: folder scan interval (default 1000).
+ * @property {string} [timestampColumn] CSV column or JSON field holding the source timestamp (ISO or epoch s/ms).
+ * @property {number} [speed] Replay acceleration factor (default 1 = original timing, 10 = ten times faster).
  */
 
 class FileProvider extends BaseProvider {
@@ -35,7 +49,21 @@ class FileProvider extends BaseProvider {
         /** @type {string} */
         this.defaultTopic = config.defaultTopic || `file/${this.id}/data`;
         /** @type {boolean} */
-        this.loop = config.loop !== false; // Loop by default
+        this.mode = ['replay', 'tail', 'ingest'].includes(config.mode) ? config.mode : 'stream';
+        /** @type {boolean} */
+        this.loop = this.mode === 'replay' ? config.loop === true : config.loop !== false; // Loop by default
+        /** @type {string|null} */
+        this.watchPath = config.watchPath ? path.resolve(process.cwd(), config.watchPath) : null;
+        /** @type {string|null} */
+        this.timestampColumn = config.timestampColumn || null;
+        /** @type {number} */
+        this.speed = config.speed > 0 ? Number(config.speed) : 1;
+        /** @type {number|null} Source timestamp of the last replayed line. */
+        this.lastReplayTimestamp = null;
+        /** @type {FolderWatcher|null} */
+        this.watcher = null;
+        /** @type {NodeJS.Timeout|null} */
+        this.stateSaveTimer = null;
         /** @type {boolean} */
         this.isCsv = this.filePath ? this.filePath.toLowerCase().endsWith('.csv') : false;
         /** @type {import('fs').ReadStream|null} */
@@ -52,6 +80,8 @@ class FileProvider extends BaseProvider {
      * @returns {Promise<boolean>}
      */
     async connect() {
+        if (this.mode === 'tail' || this.mode === 'ingest') return this.startWatching();
+
         return new Promise((resolve) => {
             if (!this.filePath || !fs.existsSync(this.filePath)) {
                 this.updateStatus('error', 'File not found');
@@ -59,7 +89,11 @@ class FileProvider extends BaseProvider {
                 return resolve(false);
             }
 
-            this.logger.info(`Opening file stream from ${this.filePath} (Rate: ${this.streamRateMs}ms, Loop: ${this.loop})`);
+            if (this.mode === 'replay') {
+                this.logger.info(`Replaying ${this.filePath} (Timestamp: ${this.timestampColumn}, Speed: x${this.speed}, Loop: ${this.loop})`);
+            } else {
+                this.logger.info(`Opening file stream from ${this.filePath} (Rate: ${this.streamRateMs}ms, Loop: ${this.loop})`);
+            }
             this.updateStatus('connected');
             this.connected = true;
 
@@ -80,6 +114,7 @@ class FileProvider extends BaseProvider {
         });
 
         let isFirstLine = true;
+        this.lastReplayTimestamp = null;
         const iterator = this.rl[Symbol.asyncIterator]();
 
         const processNextLine = async () => {
@@ -103,58 +138,37 @@ class FileProvider extends BaseProvider {
 
             const line = value.trim();
 
-            if (line) {
-                // Handle CSV Headers
-                if (this.isCsv && isFirstLine) {
-                    this.headers = this.parseCsvLine(line);
-                    isFirstLine = false;
-                    // Move to the next line immediately (headers don't emit payloads)
-                    setImmediate(processNextLine);
-                    return;
-                }
+            if (!line) {
+                // Ignore empty lines without adding a time penalty
+                setImmediate(processNextLine);
+                return;
+            }
 
+            // Handle CSV Headers
+            if (this.isCsv && isFirstLine) {
+                this.headers = this.parseCsvLine(line);
                 isFirstLine = false;
-                let payloadObj = null;
-                let dynamicTopic = this.defaultTopic;
-
-                if (this.isCsv) {
-                    const values = this.parseCsvLine(line);
-                    payloadObj = {};
-                    
-                    for (let i = 0; i < this.headers.length; i++) {
-                        let val = values[i] !== undefined ? values[i] : "";
-                        const headerName = this.headers[i];
-
-                        // Feature: If the column is named 'topic', use it for routing instead of adding it to payload
-                        if (headerName.toLowerCase() === 'topic') {
-                            dynamicTopic = val.replace(/^"|"$/g, '');
-                            continue;
-                        }
-
-                        // Attempt to parse as number if applicable
-                        if (!isNaN(val) && val.trim() !== "") {
-                            val = Number(val);
-                        }
-                        
-                        payloadObj[headerName] = val;
-                    }
-                } else {
-                    // Attempt JSON parse for JSONL, fallback to raw string
-                    try {
-                        payloadObj = JSON.parse(line);
-                    } catch(e) {
-                        payloadObj = { raw: line };
-                    }
-                }
-
-                // Send the parsed object to the central Korelate engine
-                this.handleIncomingMessage(dynamicTopic, payloadObj);
-            } else {
-                // Ignore empty lines without adding a time penalty
+                // Move to the next line immediately (headers don't emit payloads)
                 setImmediate(processNextLine);
                 return;
             }
 
+            isFirstLine = false;
+            const record = this.parseRecord(line, this.isCsv ? this.headers : null);
+
+            if (this.mode === 'replay') {
+                // Wait for the original gap between this line and the previous one
+                this.timer = setTimeout(() => {
+                    if (!this.connected) return;
+                    this.emitRecord(record);
+                    processNextLine();
+                }, this.getReplayDelay(record.timestamp));
+                return;
+            }
+
+            // Send the parsed object to the central Korelate engine
+            this.emitRecord(record);
+
             // Queue next line based on the configured rate
             this.timer = setTimeout(processNextLine, this.streamRateMs);
         };
@@ -163,10 +177,136 @@ class FileProvider extends BaseProvider {
         processNextLine();
     }
 
+    /**
+     * Converts a line into a UNS message.
+     * @param {string} line Trimmed, non-empty line.
+     * @param {string[]|null} headers CSV header row, or null for JSONL.
+     * @returns {{topic: string, payload: Object, timestamp: number|null}}
+     */
+    parseRecord(line, headers) {
+        let payloadObj = null;
+        let dynamicTopic = this.defaultTopic;
+
+        if (headers) {
+            const values = this.parseCsvLine(line);
+            payloadObj = {};
+
+            for (let i = 0; i < headers.length; i++) {
+                let val = values[i] !== undefined ? values[i] : "";
+                const headerName = headers[i];
+
+                // Feature: If the column is named 'topic', use it for routing instead of adding it to payload
+                if (headerName.toLowerCase() === 'topic') {
+                    dynamicTopic = val.replace(/^"|"$/g, '');
+                    continue;
+                }
+
+                // Attempt to parse as number if applicable
+                if (!isNaN(val) && val.trim() !== "") {
+                    val = Number(val);
+                }
+
+                payloadObj[headerName] = val;
+            }
+        } else {
+            // Attempt JSON parse for JSONL, fallback to raw string
+            try {
+                payloadObj = JSON.parse(line);
+            } catch(e) {
+                payloadObj = { raw: line };
+            }
+        }
+
+        const timestamp = this.timestampColumn && payloadObj && typeof payloadObj === 'object'
+            ? parseTimestamp(payloadObj[this.timestampColumn])
+            : null;
+        return { topic: dynamicTopic, payload: payloadObj, timestamp };
+    }
+
+    /**
+     * Sends a parsed record to the engine, stamped with its source timestamp when known.
+     * @param {{topic: string, payload: Object, timestamp: number|null}} record
+     */
+    emitRecord(record) {
+        if (record.timestamp !== null) {
+            this.handleIncomingMessage(record.topic, record.payload, { timestamp: new Date(record.timestamp).toISOString() });
+        } else {
+            this.handleIncomingMessage(record.topic, record.payload);
+        }
+    }
+
+    /**
+     * Delay before replaying a line: its gap with the previous timestamped line, divided by `speed`.
+     * Lines without a timestamp and out-of-order timestamps are emitted immediately.
+     * @param {number|null} timestamp
+     * @returns {number}
+     */
+    getReplayDelay(timestamp) {
+        if (timestamp === null) return 0;
+        const previous = this.lastReplayTimestamp;
+        this.lastReplayTimestamp = timestamp;
+        if (previous === null) return 0;
+        return Math.max(0, (timestamp - previous) / this.speed);
+    }
+
+    /**
+     * Starts the tail or ingest folder watcher, resuming from the persisted offsets.
+     * @returns {Promise<boolean>}
+     */
+    async startWatching() {
+        if (!this.watchPath || !fs.existsSync(path.dirname(this.watchPath))) {
+            this.updateStatus('error', 'Watch folder not found');
+            this.logger.error(`Watch folder not found: ${this.watchPath}`);
+            return false;
+        }
+
+        const saved = await this.loadState();
+        const state = saved && saved.watchPath === this.watchPath && saved.mode === this.mode ? saved : null;
+        try {
+            this.watcher = new FolderWatcher({
+                watchPath: this.watchPath,
+                mode: this.mode,
+                pollIntervalMs: this.config.pollIntervalMs,
+                fromStart: this.config.fromStart,
+                archiveDir: this.config.archiveDir ? path.resolve(process.cwd(), this.config.archiveDir) : null,
+                state,
+                logger: this.logger,
+                onLine: (line, { headers }) => this.emitRecord(this.parseRecord(line, headers)),
+                onStateChange: () => this.scheduleStateSave()
+            });
+        } catch (err) {
+            this.updateStatus('error', err.message);
+            this.logger.error({ err }, `Invalid watch path for ${this.id}`);
+            return false;
+        }
+
+        this.logger.info(`Watching ${this.watchPath} (Mode: ${this.mode}${state ? ', resuming saved offsets' : ''})`);
+        this.connected = true;
+        this.updateStatus('connected');
+        this.watcher.start();
+        return true;
+    }
+
+    /**
+     * Persists the watcher state at most every few seconds (lines read since the last save are
+     * replayed after a crash: at-least-once delivery).
+     */
+    scheduleStateSave() {
+        if (this.stateSaveTimer) return;
+        this.stateSaveTimer = setTimeout(() => {
+            this.stateSaveTimer = null;
+            this.persistWatcherState();
+        }, STATE_SAVE_INTERVAL_MS);
+    }
+
+    async persistWatcherState() {
+        if (!this.watcher) return;
+        await this.saveState({ watchPath: this.watchPath, mode: this.mode, ...this.watcher.state });
+    }
+
     parseCsvLine(text) {
         // Robust CSV split that respects commas inside double quotes
-        const re = /,(?=(?:(?:[^"]*"){2})*[^"]*$)/;
-        return text.split(re).map(val => val.replace(/^"|"$/g, '').trim());
+        return parseCsvLine(text);
     }
 
     async disconnect() {
@@ -174,6 +314,13 @@ class FileProvider extends BaseProvider {
         if (this.timer) clearTimeout(this.timer);
         if (this.rl) this.rl.close();
         if (this.readStream) this.readStream.destroy();
+        if (this.watcher) {
+            this.watcher.stop();
+            if (this.stateSaveTimer) clearTimeout(this.stateSaveTimer);
+            this.stateSaveTimer = null;
+            await this.persistWatcherState();
+            this.watcher = null;
+        }
         
         this.updateStatus('disconnected');
         this.logger.info(`File stream ${this.id} closed.`);
@@ -201,4 +348,17 @@ class FileProvider extends BaseProvider {
     }
 }
 
+/**
+ * Parses a source timestamp: ISO string, or epoch in seconds or milliseconds.
+ * @param {any} value
+ * @returns {number|null} Epoch in milliseconds, or null if absent or invalid.
+ */
+function parseTimestamp(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const numeric = typeof value === 'number' ? value : (/^\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : NaN);
+    if (!isNaN(numeric)) return numeric < 1e11 ? numeric * 1000 : numeric;
+    const parsed = Date.parse(value);
+    return isNaN(parsed) ? null : parsed;
+}
+
 module.exports = FileProvider;
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Kafka Record Decoders
+ * Pluggable decoders turning Kafka record values, keys and headers into UNS payloads.
+ * Understands the Confluent wire format (magic byte 0 + 4-byte schema ID, followed by the
+ * message indexes for Protobuf) and decodes Avro (optional `avsc` library) and Protobuf records.
+ */
+
+const { requireLibrary } = require('../../core/moduleUtils');
+
+const MAGIC_BYTE = 0;
+const HEADER_SIZE = 5;
+
+/**
+ * @typedef {Object} DecoderSpec
+ * @property {string} format Registered decoder name: 'auto', 'json', 'string', 'avro', 'protobuf' or a custom one.
+ * @property {string} [schemaFile] Schema file (in the registry schema directory) for records without Confluent framing.
+ * @property {string} [messageType] Fully qualified Protobuf message name for unframed records (e.g. "plant.Measurement").
+ */
+
+/**
+ * @typedef {Object} DecoderContext
+ * @property {import('./schemaRegistry').SchemaRegistry|null} registry Schema source (null when not configured).
+ * @property {import('pino').Logger} logger
+ */
+
+/**
+ * @callback DecoderFactory
+ * @param {DecoderSpec} spec
+ * @param {DecoderContext} context
+ * @returns {function(Buffer): Promise<any>} Decode function.
+ */
+
+/**
+ * Splits a Confluent-framed buffer into its schema ID and body.
+ * @param {Buffer} buffer
+ * @returns {{schemaId: number, body: Buffer}|null} Null if the buffer is not framed.
+ */
+function parseConfluentFrame(buffer) {
+    if (!Buffer.isBuffer(buffer) || buffer.length < HEADER_SIZE || buffer[0] !== MAGIC_BYTE) return null;
+    return { schemaId: buffer.readUInt32BE(1), body: buffer.subarray(HEADER_SIZE) };
+}
+
+/**
+ * Reads a zigzag-encoded varint.
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{value: number, offset: number}}
+ */
+function readZigZagVarint(buffer, offset) {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+        if (offset >= buffer.length) throw new Error('Truncated Protobuf message indexes.');
+        byte = buffer[offset++];
+        result += (byte & 0x7f) * Math.pow(2, shift);
+        shift += 7;
+    } while (byte & 0x80);
+    return { value: (result % 2 === 0) ? result / 2 : -(result + 1) / 2, offset };
+}
+
+/**
+ * Reads the message indexes that prefix Confluent Protobuf bodies (path of the message type in the
+ * .proto file). A single 0 byte is the shorthand for [0], the first message of the file.
+ * @param {Buffer} body
+ * @returns {{indexes: number[], body: Buffer}}
+ */
+function readMessageIndexes(body) {
+    let { value: count, offset } = readZigZagVarint(body, 0);
+    if (count === 0) return { indexes: [0], body: body.subarray(offset) };
+    const indexes = [];
+    for (let i = 0; i < count; i++) {
+        const res = readZigZagVarint(body, offset);
+        indexes.push(res.value);
+        offset = res.offset;
+    }
+    return { indexes, body: body.subarray(offset) };
+}
+
+// --- Avro ---
+
+/**
+ * Compiles an Avro schema and its references (named types) into an avsc Type.
+ * @param {import('./schemaRegistry').RegisteredSchema} schema
+ * @param {DecoderContext} context
+ */
+async function compileAvro(schema, context) {
+    const avro = requireLibrary('avsc');
+    const typeRegistry = {};
+    for (const ref of schema.references || []) {
+        const refSchema = await context.registry.getReference(ref);
+        avro.Type.forSchema(JSON.parse(refSchema.schema), { registry: typeRegistry });
+    }
+    return avro.Type.forSchema(JSON.parse(schema.schema), { registry: typeRegistry });
+}
+
+// --- Protobuf ---
+
+/**
+ * Parses a .proto schema (and its references) into a protobufjs root.
+ * @param {import('./schemaRegistry').RegisteredSchema} schema
+ * @param {DecoderContext} context
+ * @returns {Promise<{root: Object, namespace: Object}>} Root and the package namespace of the main file.
+ */
+async function compileProtobuf(schema, context) {
+    const protobuf = requireLibrary('protobufjs');
+    const root = new protobuf.Root();
+    // google/protobuf/*.proto imports are not sent by the registry: they ship with protobufjs
+    const wellKnown = new Set();
+    const addWellKnownTypes = (imports = []) => imports.forEach(file => {
+        const common = protobuf.common.get(file);
+        if (common && !wellKnown.has(file)) {
+            wellKnown.add(file);
+            root.addJSON(common.nested);
+        }
+    });
+
+    for (const ref of schema.references || []) {
+        const refSchema = await context.registry.getReference(ref);
+        addWellKnownTypes(protobuf.parse(refSchema.schema, root, { keepCase: true }).imports);
+    }
+    const parsed = protobuf.parse(schema.schema, root, { keepCase: true });
+    addWellKnownTypes(parsed.imports);
+    root.resolveAll();
+    return { root, namespace: parsed.package ? root.lookup(parsed.package) : root };
+}
+
+/**
+ * Finds the message type designated by Confluent message indexes (declaration order, then nested types).
+ * @param {Object} namespace protobufjs namespace of the main .proto file.
+ * @param {number[]} indexes
+ */
+function getMessageType(namespace, indexes) {
+    const protobuf = requireLibrary('protobufjs');
+    let current = namespace;
+    for (const index of indexes) {
+        const types = (current.nestedArray || []).filter(t => t instanceof protobuf.Type);
+        if (!types[index]) throw new Error(`No Protobuf message at index path [${indexes.join(', ')}].`);
+        current = types[index];
+    }
+    return current;
+}
+
+function protobufToObject(type, body) {
+    return type.toObject(type.decode(body), { longs: String, enums: String, bytes: String, defaults: true });
+}
+
+// --- Decoder Registry ---
+
+/** @type {Object<string, DecoderFactory>} */
+const factories = {};
+
+/**
+ * Registers a decoder format, usable in the `valueDecoder`, `keyDecoder` and `headerDecoder` options.
+ * @param {string} name
+ * @param {DecoderFactory} factory
+ */
+function registerDecoder(name, factory) {
+    factories[name] = factory;
+}
+
+registerDecoder('string', () => async (buffer) => buffer.toString('utf8'));
+
+registerDecoder('json', () => async (buffer) => JSON.parse(buffer.toString('utf8')));
+
+registerDecoder('avro', (spec, context) => {
+    const types = new Map(); // schema ID or file -> Promise<avsc Type>
+    const getType = (key, loadSchema) => {
+        if (!types.has(key)) {
+            types.set(key, loadSchema().then(schema => compileAvro(schema, context)).catch(err => {
+                types.delete(key);
+                throw err;
+            }));
+        }
+        return types.get(key);
+    };
+
+    return async (buffer) => {
+        const frame = parseConfluentFrame(buffer);
+        if (frame && context.registry) {
+            const type = await getType(frame.schemaId, () => context.registry.getSchemaById(frame.schemaId));
+            return type.fromBuffer(frame.body);
+        }
+        if (!spec.schemaFile || !context.registry) throw new Error("Avro record without Confluent framing: set 'schemaFile'.");
+        const type = await getType(spec.schemaFile, async () => context.registry.loadFile(spec.schemaFile));
+        return type.fromBuffer(buffer);
+    };
+});
+
+registerDecoder('protobuf', (spec, context) => {
+    const roots = new Map(); // schema ID or file -> Promise<{root, namespace}>
+    const getRoot = (key, loadSchema) => {
+        if (!roots.has(key)) {
+            roots.set(key, loadSchema().then(schema => compileProtobuf(schema, context)).catch(err => {
+                roots.delete(key);
+                throw err;
+            }));
+        }
+        return roots.get(key);
+    };
+
+    return async (buffer) => {
+        const frame = parseConfluentFrame(buffer);
+        if (frame && context.registry) {
+            const { namespace } = await getRoot(frame.schemaId, () => context.registry.getSchemaById(frame.schemaId));
+            const { indexes, body } = readMessageIndexes(frame.body);
+            return protobufToObject(getMessageType(namespace, indexes), body);
+        }
+        if (!spec.schemaFile || !spec.messageType || !context.registry) {
+            throw new Error("Protobuf record without Confluent framing: set 'schemaFile' and 'messageType'.");
+        }
+        const { root } = await getRoot(spec.schemaFile, async () => context.registry.loadFile(spec.schemaFile));
+        return protobufToObject(root.lookupType(spec.messageType), buffer);
+    };
+});
+
+registerDecoder('auto', (spec, context) => {
+    const decoders = {
+        AVRO: factories.avro(spec, context),
+        PROTOBUF: factories.protobuf(spec, context)
+    };
+    return async (buffer) => {
+        const frame = parseConfluentFrame(buffer);
+        if (frame && context.registry) {
+            const schema = await context.registry.getSchemaById(frame.schemaId);
+            if (decoders[schema.schemaType]) return decoders[schema.schemaType](buffer);
+            return JSON.parse(frame.body.toString('utf8')); // JSON Schema: the body is plain JSON
+        }
+        const text = buffer.toString('utf8');
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            return text;
+        }
+    };
+});
+
+/**
+ * Creates a decode function from a decoder option.
+ * @param {string|DecoderSpec} option Decoder name or spec.
+ * @param {DecoderContext} context
+ * @returns {function(Buffer): Promise<any>}
+ */
+function createDecoder(option, context) {
+    const spec = typeof option === 'string' ? { format: option } : { ...option };
+    const factory = factories[spec.format];
+    if (!factory) throw new Error(`Unknown Kafka decoder '${spec.format}'. Available: ${Object.keys(factories).join(', ')}.`);
+    return factory(spec, context);
+}
+
+module.exports = {
+    parseConfluentFrame,
+    readMessageIndexes,
+    registerDecoder,
+    createDecoder
+};
@@ -3,9 +3,30 @@
  * @author Sebastien Lalaurette
  * * Apache Kafka Provider Plugin
  * Implements the BaseProvider interface for Apache Kafka.
+ * Record values, keys and headers go through pluggable decoders (JSON, Avro, Protobuf with
+ * Confluent schema registry support, see decoders.js).
  */
 const BaseProvider = require('../baseProvider');
 const mqttMatch = require('mqtt-match');
+const mustache = require('mustache');
+const { SchemaRegistry } = require('./schemaRegistry');
+const { createDecoder } = require('./decoders');
+
+const DEFAULT_CORRELATION_TEMPLATE = '{{headers.correlationId}}';
+
+/**
+ * @typedef {Object} KafkaProviderOptions
+ * @property {string[]} [brokers]
+ * @property {string[]} [topics] Kafka topics to consume.
+ * @property {string|import('./decoders').DecoderSpec} [valueDecoder] Record value decoder (default 'auto':
+ *   Confluent-framed Avro/Protobuf through the schema registry, then JSON, then plain string).
+ * @property {string|import('./decoders').DecoderSpec} [keyDecoder] Record key decoder (default 'string').
+ * @property {string|import('./decoders').DecoderSpec} [headerDecoder] Header values decoder (default 'string').
+ * @property {import('./schemaRegistry').SchemaRegistryConfig} [schemaRegistry] Registry URL / local schema folder.
+ * @property {string} [topicTemplate] Mustache template of the UNS topic, e.g. "{{topic}}/{{key}}" or
+ *   "{{headers.site}}/{{topic}}". View: topic, partition, offset, key, headers. Default: the Kafka topic.
+ * @property {string} [correlationIdTemplate] Mustache template of the correlation ID (default "{{headers.correlationId}}").
+ */
 
 class KafkaProvider extends BaseProvider {
     /**
@@ -26,6 +47,68 @@ class KafkaProvider extends BaseProvider {
         this.kafka = null;
         this.producer = null;
         this.consumer = null;
+
+        const decoderContext = { registry: new SchemaRegistry(this.options.schemaRegistry, this.logger), logger: this.logger };
+        this.decodeValue = createDecoder(this.options.valueDecoder || 'auto', decoderContext);
+        this.decodeKey = createDecoder(this.options.keyDecoder || 'string', decoderContext);
+        this.decodeHeader = createDecoder(this.options.headerDecoder || 'string', decoderContext);
+        this.topicTemplate = this.options.topicTemplate || null;
+        this.correlationIdTemplate = this.options.correlationIdTemplate || DEFAULT_CORRELATION_TEMPLATE;
+    }
+
+    /**
+     * Renders a template without HTML escaping (topics and IDs are not markup).
+     * @param {string} template
+     * @param {Object} view
+     * @returns {string}
+     */
+    renderTemplate(template, view) {
+        return mustache.render(template, view, {}, { escape: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)) }).trim();
+    }
+
+    /**
+     * Decodes a consumed record and forwards it to the UNS.
+     * A value that cannot be decoded is forwarded as raw hex with the decoding error.
+     * @param {string} topic Kafka topic.
+     * @param {number} partition
+     * @param {import('kafkajs').KafkaMessage} message
+     */
+    async handleRecord(topic, partition, message) {
+        const headers = {};
+        for (const [name, raw] of Object.entries(message.headers || {})) {
+            try {
+                headers[name] = Array.isArray(raw)
+                    ? await Promise.all(raw.map(v => this.decodeHeader(Buffer.from(v))))
+                    : (raw === undefined || raw === null ? null : await this.decodeHeader(Buffer.from(raw)));
+            } catch (err) {
+                this.logger.warn({ err: err.message, topic, header: name }, "Failed to decode Kafka header, keeping it as a string.");
+                headers[name] = Buffer.from(raw).toString();
+            }
+        }
+
+        let key = null;
+        if (message.key) {
+            try {
+                key = await this.decodeKey(message.key);
+            } catch (err) {
+                this.logger.warn({ err: err.message, topic }, "Failed to decode Kafka record key, keeping it as a string.");
+                key = message.key.toString();
+            }
+        }
+
+        const view = { topic, partition, offset: message.offset, key, headers };
+        // Missing key/header values leave empty levels behind: they are collapsed
+        const unsTopic = (this.topicTemplate && this.renderTemplate(this.topicTemplate, view).split('/').filter(Boolean).join('/')) || topic;
+        const correlationId = this.renderTemplate(this.correlationIdTemplate, view) || undefined;
+        const metadata = { kafkaPartition: partition, kafkaOffset: message.offset, correlationId };
+
+        const value = message.value || Buffer.alloc(0);
+        try {
+            this.handleIncomingMessage(unsTopic, await this.decodeValue(value), metadata);
+        } catch (err) {
+            this.logger.warn({ err: err.message, topic, offset: message.offset }, "Failed to decode Kafka record value.");
+            this.handleIncomingMessage(unsTopic, value, { ...metadata, rawBuffer: value, decodeError: err.message });
+        }
     }
 
     async connect() {
@@ -54,18 +137,7 @@ class KafkaProvider extends BaseProvider {
 
             // Start consuming
             await this.consumer.run({
-                eachMessage: async ({ topic, partition, message }) => {
-                    const payload = message.value ? message.value.toString() : '';
-                    let parsedPayload = payload;
-                    try {
-                        parsedPayload = JSON.parse(payload);
-                    } catch (e) { /* ignore, keep as string */ }
-                    
-                    this.handleIncomingMessage(topic, parsedPayload, {
-                        kafkaPartition: partition,
-                        kafkaOffset: message.offset
-                    });
-                },
+                eachMessage: async ({ topic, partition, message }) => this.handleRecord(topic, partition, message),
             });
 
             this.connected = true;
@@ -0,0 +1,145 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Kafka Schema Registry Client
+ * Resolves the schemas of Confluent-framed records, either from a Confluent-compatible
+ * schema registry (REST API) or from schema files dropped in the data directory.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/** Local schema file extensions and the schema type they hold. */
+const FILE_TYPES = {
+    '.avsc': 'AVRO',
+    '.proto': 'PROTOBUF',
+    '.json': 'JSON'
+};
+
+/**
+ * @typedef {Object} RegisteredSchema
+ * @property {'AVRO'|'PROTOBUF'|'JSON'} schemaType
+ * @property {string} schema Schema text (Avro JSON, .proto source or JSON Schema).
+ * @property {Array<{name: string, subject: string, version: number}>} references Schemas imported by this one.
+ */
+
+/**
+ * @typedef {Object} SchemaRegistryConfig
+ * @property {string} [url] Registry base URL (e.g. http://schema-registry:8081).
+ * @property {string} [username] Basic auth user (API key on Confluent Cloud).
+ * @property {string} [password] Basic auth password (API secret on Confluent Cloud).
+ * @property {string} [schemaDir] Folder of local schema files, relative to data/ (default `schemas`).
+ *   Files named `<schemaId>.avsc|.proto|.json` stand in for the registry; other files are used for unframed records.
+ * @property {number} [timeoutMs] HTTP timeout (default 5000).
+ */
+
+class SchemaRegistry {
+    /**
+     * @param {SchemaRegistryConfig} config
+     * @param {import('pino').Logger} logger
+     */
+    constructor(config = {}, logger) {
+        this.url = config.url ? config.url.replace(/\/+$/, '') : null;
+        this.auth = config.username ? { username: config.username, password: config.password || '' } : undefined;
+        this.timeoutMs = config.timeoutMs || 5000;
+        this.schemaDir = path.resolve(DATA_DIR, config.schemaDir || 'schemas');
+        if (this.schemaDir !== DATA_DIR && !this.schemaDir.startsWith(DATA_DIR + path.sep)) {
+            throw new Error(`Schema directory must be inside the data folder: ${config.schemaDir}`);
+        }
+        this.logger = logger;
+        /** @type {Map<string, Promise<RegisteredSchema>>} */
+        this.cache = new Map();
+    }
+
+    /**
+     * Reads a local schema file of the schema directory.
+     * @param {string} fileName File name (e.g. "measurement.avsc").
+     * @returns {RegisteredSchema}
+     */
+    loadFile(fileName) {
+        const filePath = path.resolve(this.schemaDir, fileName);
+        if (!filePath.startsWith(this.schemaDir + path.sep)) {
+            throw new Error(`Invalid schema file name: ${fileName}`);
+        }
+        const schemaType = FILE_TYPES[path.extname(filePath).toLowerCase()];
+        if (!schemaType) throw new Error(`Unsupported schema file extension: ${fileName} (use .avsc, .proto or .json)`);
+        return { schemaType, schema: fs.readFileSync(filePath, 'utf8'), references: [] };
+    }
+
+    /**
+     * Finds the local file standing in for a registry schema ID, if any.
+     * @param {number} id
+     * @returns {RegisteredSchema|null}
+     */
+    findLocalSchema(id) {
+        for (const ext of Object.keys(FILE_TYPES)) {
+            if (fs.existsSync(path.join(this.schemaDir, `${id}${ext}`))) return this.loadFile(`${id}${ext}`);
+        }
+        return null;
+    }
+
+    /**
+     * Calls the registry REST API.
+     * @param {string} urlPath
+     * @returns {Promise<RegisteredSchema>}
+     */
+    async fetch(urlPath) {
+        const res = await axios.get(`${this.url}${urlPath}`, {
+            auth: this.auth,
+            timeout: this.timeoutMs,
+            headers: { Accept: 'application/vnd.schemaregistry.v1+json' }
+        });
+        return {
+            // The registry omits schemaType for Avro (its historical default)
+            schemaType: res.data.schemaType || 'AVRO',
+            schema: res.data.schema,
+            references: res.data.references || []
+        };
+    }
+
+    /**
+     * Returns (and caches) a schema, removing failed lookups from the cache so they are retried.
+     * @param {string} key
+     * @param {function(): Promise<RegisteredSchema>} loader
+     * @returns {Promise<RegisteredSchema>}
+     */
+    cached(key, loader) {
+        if (!this.cache.has(key)) {
+            const promise = loader().catch(err => {
+                this.cache.delete(key);
+                throw err;
+            });
+            this.cache.set(key, promise);
+        }
+        return this.cache.get(key);
+    }
+
+    /**
+     * Resolves the schema of a Confluent-framed record. Local `<id>.*` files take precedence over the registry.
+     * @param {number} id Schema ID of the wire format header.
+     * @returns {Promise<RegisteredSchema>}
+     */
+    getSchemaById(id) {
+        return this.cached(`id:${id}`, async () => {
+            const local = this.findLocalSchema(id);
+            if (local) return local;
+            if (!this.url) throw new Error(`Unknown schema ID ${id}: no registry URL and no local file '${id}.avsc|.proto|.json' in ${this.schemaDir}.`);
+            this.logger.debug({ schemaId: id }, "Fetching schema from the registry.");
+            return this.fetch(`/schemas/ids/${id}`);
+        });
+    }
+
+    /**
+     * Resolves a schema referenced by another registry schema (imports, named types).
+     * @param {{name: string, subject: string, version: number}} reference
+     * @returns {Promise<RegisteredSchema>}
+     */
+    getReference(reference) {
+        return this.cached(`ref:${reference.subject}:${reference.version}`,
+            () => this.fetch(`/subjects/${encodeURIComponent(reference.subject)}/versions/${reference.version}`));
+    }
+}
+
+module.exports = { SchemaRegistry };
@@ -0,0 +1,282 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * ETS Project Import
+ * Extracts the group addresses (name, datapoint type, group range and building/function path)
+ * of an ETS export: a `.knxproj` project archive, or the group-address XML / CSV export.
+ */
+const zlib = require('zlib');
+const { parseXml } = require('../../core/xmlUtils');
+
+/**
+ * @typedef {Object} GroupAddressInfo
+ * @property {string} address Three-level group address (e.g. `1/2/3`).
+ * @property {string} name
+ * @property {string|null} dpt Normalized datapoint type (e.g. `DPT9.001`), null if not set in ETS.
+ * @property {string[]} path Group range names (main / middle group).
+ * @property {string[]} [buildingPath] Building parts and function referencing the address (ETS 6 projects).
+ * @property {string} [description]
+ */
+
+// --- ZIP (.knxproj) ---
+
+/** Largest inflated entry accepted (zip bomb guard). Project files of large buildings stay well below. */
+const MAX_ENTRY_SIZE = 256 * 1024 * 1024;
+
+/**
+ * Reads the entries of a ZIP archive (stored or deflated). Encrypted entries are reported, not read.
+ * @param {Buffer} buffer
+ * @param {number} [maxEntrySize] Largest inflated entry accepted, in bytes.
+ * @returns {Map<string, {encrypted: boolean, read: function(): Buffer}>}
+ */
+function readZipEntries(buffer, maxEntrySize = MAX_ENTRY_SIZE) {
+    // The End Of Central Directory record is within the last 64 KB (max comment length)
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+        if (buffer.readUInt32LE(i) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Invalid ETS project: not a ZIP archive.');
+
+    const entries = new Map();
+    const count = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    for (let i = 0; i < count; i++) {
+        if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Invalid ETS project: corrupted ZIP directory.');
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+        entries.set(name, {
+            encrypted: (flags & 0x1) !== 0,
+            read: () => {
+                const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+                const data = buffer.subarray(dataStart, dataStart + compressedSize);
+                if (method === 0) return data;
+                if (method === 8) {
+                    try {
+                        return zlib.inflateRawSync(data, { maxOutputLength: maxEntrySize });
+                    } catch (err) {
+                        if (err.code === 'ERR_BUFFER_TOO_LARGE') throw new Error(`Invalid ETS project: ${name} exceeds ${maxEntrySize} bytes once inflated.`);
+                        throw err;
+                    }
+                }
+                throw new Error(`Unsupported ZIP compression method ${method} for ${name}.`);
+            }
+        });
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+    return entries;
+}
+
+// --- XML ---
+
+/**
+ * Visits every element with the names of its ancestors.
+ * @param {Object} element
+ * @param {function(Object, Object[]): void} visitor Receives the element and its ancestors (root first).
+ * @param {Object[]} [ancestors]
+ */
+function walk(element, visitor, ancestors = []) {
+    visitor(element, ancestors);
+    const next = [...ancestors, element];
+    element.children.forEach(child => walk(child, visitor, next));
+}
+
+// --- Normalization ---
+
+/**
+ * Converts an ETS datapoint type (`DPST-9-1`, `DPT-1`, `9.001`, `DPT9.001`) to the `DPT9.001` form.
+ * Only the first type is kept when several are listed.
+ * @param {string} [value]
+ * @returns {string|null}
+ */
+function normalizeDpt(value) {
+    if (!value) return null;
+    const first = String(value).trim().split(/[\s,]+/)[0];
+    let match = first.match(/^DPST-(\d+)-(\d+)$/i);
+    if (match) return `DPT${match[1]}.${match[2].padStart(3, '0')}`;
+    match = first.match(/^DPT-?(\d+)$/i);
+    if (match) return `DPT${match[1]}`;
+    match = first.match(/^(?:DPT)?(\d+)\.(\d+)$/i);
+    if (match) return `DPT${match[1]}.${match[2].padStart(3, '0')}`;
+    return null;
+}
+
+/**
+ * Formats a group address as `main/middle/sub`. ETS projects store it as a 16-bit integer.
+ * @param {string|number} value
+ * @returns {string|null}
+ */
+function formatGroupAddress(value) {
+    const text = String(value).trim();
+    if (/^\d+\/\d+\/\d+$/.test(text)) return text;
+    if (/^\d+\/\d+$/.test(text)) {
+        // Two-level style: main/sub (11 bits)
+        const [main, sub] = text.split('/').map(Number);
+        return `${main}/${(sub >> 8) & 0x07}/${sub & 0xff}`;
+    }
+    if (/^\d+$/.test(text)) {
+        const raw = parseInt(text, 10);
+        return `${(raw >> 11) & 0x1f}/${(raw >> 8) & 0x07}/${raw & 0xff}`;
+    }
+    return null;
+}
+
+// --- Parsers ---
+
+/**
+ * Extracts group addresses from an ETS project file (`P-xxxx/0.xml`) or a group-address XML export.
+ * @param {string} xml
+ * @returns {GroupAddressInfo[]}
+ */
+function parseGroupAddressXml(xml) {
+    const root = parseXml(xml);
+    const byId = new Map();
+    const result = [];
+
+    walk(root, (element, ancestors) => {
+        if (element.name !== 'GroupAddress') return;
+        const address = formatGroupAddress(element.attrs.Address || '');
+        if (!address) return;
+        const info = {
+            address,
+            name: element.attrs.Name || address,
+            dpt: normalizeDpt(element.attrs.DatapointType || element.attrs.DPTs),
+            path: ancestors.filter(a => a.name === 'GroupRange' && a.attrs.Name).map(a => a.attrs.Name)
+        };
+        if (element.attrs.Description) info.description = element.attrs.Description;
+        if (element.attrs.Id) byId.set(element.attrs.Id, info);
+        result.push(info);
+    });
+
+    // ETS 6 links group addresses to rooms through functions: Building > Floor > Room > Function > GroupAddressRef
+    walk(root, (element, ancestors) => {
+        if (element.name !== 'GroupAddressRef' || !element.attrs.RefId) return;
+        const info = byId.get(element.attrs.RefId);
+        if (!info || info.buildingPath) return;
+        const levels = ancestors.filter(a => (a.name === 'BuildingPart' || a.name === 'Function') && a.attrs.Name);
+        if (levels.length > 0) info.buildingPath = levels.map(a => a.attrs.Name);
+    });
+    return result;
+}
+
+/**
+ * Splits a delimited line, honouring double quotes ("" escapes a quote).
+ * @param {string} line
+ * @param {string} delimiter
+ * @returns {string[]}
+ */
+function splitDelimited(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quoted) {
+            if (c === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+/**
+ * Extracts group addresses from an ETS group-address CSV export (3/1 or 1/1 layout, with header,
+ * separated by `;`, `,` or tabs). Range rows (`1/-/-`, `1/2/-`) provide the group range names.
+ * @param {string} text
+ * @returns {GroupAddressInfo[]}
+ */
+function parseGroupAddressCsv(text) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).filter(line => line.trim() !== '');
+    if (lines.length === 0) return [];
+    const delimiter = ['\t', ';', ','].reduce((best, d) => (lines[0].split(d).length > lines[0].split(best).length ? d : best), ',');
+    const header = splitDelimited(lines[0], delimiter).map(h => h.toLowerCase());
+    const column = (...names) => header.findIndex(h => names.includes(h));
+
+    const addressCol = column('address');
+    if (addressCol < 0) throw new Error("Invalid ETS CSV export: no 'Address' column (export with a header line).");
+    const nameCols = ['main', 'middle', 'sub'].map(n => column(n)).filter(i => i >= 0);
+    const groupNameCol = column('group name', 'name');
+    const dptCol = column('datapointtype', 'datapoint type', 'dpts');
+    const descriptionCol = column('description');
+
+    const ranges = {};
+    const result = [];
+    for (const line of lines.slice(1)) {
+        const fields = splitDelimited(line, delimiter);
+        const rawAddress = fields[addressCol] || '';
+        const name = groupNameCol >= 0 ? fields[groupNameCol] : nameCols.map(i => fields[i]).filter(Boolean).pop();
+        const parts = rawAddress.split('/');
+
+        if (parts.length === 3 && parts[2] === '-') {
+            // Range row: "1/-/-" (main group) or "1/2/-" (middle group)
+            if (parts[1] === '-') ranges[parts[0]] = name;
+            else ranges[`${parts[0]}/${parts[1]}`] = name;
+            continue;
+        }
+        const address = formatGroupAddress(rawAddress);
+        if (!address) continue;
+        const [main, middle] = address.split('/');
+        const info = {
+            address,
+            name: name || address,
+            dpt: dptCol >= 0 ? normalizeDpt(fields[dptCol]) : null,
+            path: [ranges[main], ranges[`${main}/${middle}`]].filter(Boolean)
+        };
+        if (descriptionCol >= 0 && fields[descriptionCol]) info.description = fields[descriptionCol];
+        result.push(info);
+    }
+    return result;
+}
+
+/**
+ * Reads an ETS export of any supported kind, detected from its content.
+ * @param {Buffer} buffer
+ * @returns {GroupAddressInfo[]}
+ */
+function parseEtsExport(buffer) {
+    if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+        const entries = readZipEntries(buffer);
+        const projectFiles = [...entries.keys()].filter(name => /^P-[^/]+\/0\.xml$/i.test(name));
+        if (projectFiles.length === 0) {
+            const protectedEntry = [...entries.entries()].find(([name, entry]) => /^P-[^/]+\.zip$/i.test(name) || entry.encrypted);
+            if (protectedEntry) {
+                const entry = protectedEntry[1];
+                if (entry.encrypted) {
+                    throw new Error('Password-protected ETS projects are not supported. Export the group addresses (XML or CSV) from ETS instead.');
+                }
+                return parseEtsExport(entry.read()); // Nested project archive
+            }
+            throw new Error('Invalid ETS project: no project data (P-xxxx/0.xml) found.');
+        }
+        return projectFiles.flatMap(name => parseGroupAddressXml(entries.get(name).read().toString('utf8')));
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (text.trimStart().startsWith('<')) return parseGroupAddressXml(text);
+    return parseGroupAddressCsv(text);
+}
+
+module.exports = { parseEtsExport, parseGroupAddressXml, parseGroupAddressCsv, normalizeDpt, formatGroupAddress, readZipEntries };
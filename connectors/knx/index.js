@@ -3,16 +3,27 @@
  * @author Sebastien Lalaurette
  * * KNX/IP Provider Plugin
  * Implements the BaseProvider interface for KNX Home and Building Automation networks.
+ * An ETS export (data/knx/) names the group addresses, gives their datapoint types for
+ * decoding/encoding, and registers them in the UNS model.
  */
 
 let knx;
+let dptLib;
 try {
     knx = require('knx');
+    dptLib = require('knx/src/dptlib');
 } catch (e) {
     knx = null;
 }
 
+const fs = require('fs');
+const path = require('path');
 const BaseProvider = require('../baseProvider');
+const semanticManager = require('../../core/semantic/semanticManager');
+const { parseEtsExport } = require('./etsImport');
+
+const KNX_DIR = path.join(__dirname, '..', '..', 'data', 'knx');
+const KNX_NAMESPACE = 'https://knx.org/ets';
 
 class KnxProvider extends BaseProvider {
     constructor(config, context) {
@@ -25,6 +36,8 @@ class KnxProvider extends BaseProvider {
         // e.g. "1/1/1:DPT1.001::bms/light/1"
         this.subscribeList = config.subscribe || [];
         this.mappings = {}; // { '1/1/1': { topic: 'bms/light/1', dpt: 'DPT1.001' } }
+        this.etsFile = config.etsFile || null; // ETS export in data/knx/
+        this.topicPrefix = (config.topicPrefix || `knx/${this.id}`).replace(/\/+$/, '');
         
         this.connection = null;
         this.connectTimeoutId = null;
@@ -41,19 +54,31 @@ class KnxProvider extends BaseProvider {
         this.logger.info(`Connecting to KNX/IP Gateway at ${this.host}:${this.port} (Physical Address: ${this.physAddr})...`);
 
         // Parse Mappings
+        this.mappings = {};
         this.subscribeList.forEach(mappingStr => {
             const parts = mappingStr.split('::');
             if (parts.length === 2) {
                 const knxConfig = parts[0].trim().split(':'); // "1/1/1", "DPT1.001"
                 if (knxConfig.length > 0) {
                     const groupAddr = knxConfig[0].trim();
-                    const dpt = knxConfig.length > 1 ? knxConfig[1].trim() : 'DPT1.001'; // Default to boolean if missing
+                    const explicitDpt = knxConfig.length > 1;
+                    const dpt = explicitDpt ? knxConfig[1].trim() : 'DPT1.001'; // Default to boolean if missing
                     const topic = parts[1].trim();
-                    this.mappings[groupAddr] = { topic, dpt };
+                    this.mappings[groupAddr] = { topic, dpt, explicitDpt };
                 }
             }
         });
 
+        if (this.etsFile) {
+            try {
+                this.loadEtsProject();
+            } catch (err) {
+                this.logger.error({ err: err.message }, `❌ Failed to import ETS export '${this.etsFile}'.`);
+                this.updateStatus('error', `ETS import: ${err.message}`);
+                return false;
+            }
+        }
+
         return new Promise((resolve) => {
             this.connection = new knx.Connection({
                 ipAddr: this.host,
@@ -73,11 +98,8 @@ class KnxProvider extends BaseProvider {
                         if (evt === 'GroupValue_Write' || evt === 'GroupValue_Response') {
                             const mapping = this.mappings[dest];
                             if (mapping) {
-                                // Provide raw or decoded value to UNS
-                                // If the library handles DPT conversion implicitly based on the raw buffer, great.
-                                // Otherwise, we log it. `knx` lib normally returns decoded buffers.
                                 this.handleIncomingMessage(mapping.topic, {
-                                    value: value,
+                                    ...this.decodeValue(value, mapping.dpt),
                                     sourceAddr: src,
                                     destAddr: dest,
                                     timestamp: new Date().toISOString()
@@ -112,6 +134,65 @@ class KnxProvider extends BaseProvider {
         });
     }
 
+    /**
+     * Maps every group address of the configured ETS export that is not mapped explicitly.
+     * Topics follow the building/function path when ETS provides it, the group ranges otherwise.
+     * The addresses are registered as I3X instances unless `registerI3x` is false.
+     */
+    loadEtsProject() {
+        const filePath = path.resolve(KNX_DIR, this.etsFile);
+        if (!filePath.startsWith(KNX_DIR + path.sep)) throw new Error(`ETS file must be inside data/knx: ${this.etsFile}`);
+        const groupAddresses = parseEtsExport(fs.readFileSync(filePath));
+
+        let added = 0;
+        for (const ga of groupAddresses) {
+            const existing = this.mappings[ga.address];
+            if (existing) {
+                // Explicit mappings keep their topic, and get the ETS type when they do not set one
+                if (!existing.explicitDpt && ga.dpt) existing.dpt = ga.dpt;
+                ga.topic = existing.topic;
+                continue;
+            }
+            const levels = [...(ga.buildingPath || ga.path), ga.name].map(topicLevel).filter(Boolean);
+            ga.topic = [this.topicPrefix, ...levels].join('/');
+            this.mappings[ga.address] = { topic: ga.topic, dpt: ga.dpt, name: ga.name };
+            added++;
+        }
+        this.logger.info(`✅ ETS export '${this.etsFile}': ${groupAddresses.length} group addresses (${added} mapped automatically).`);
+
+        if (this.config.registerI3x !== false && groupAddresses.length > 0) {
+            semanticManager.registerExternalElements(this.id, buildI3xElements(this.id, groupAddresses), {
+                namespaces: [{ uri: KNX_NAMESPACE, displayName: 'KNX (ETS)' }],
+                objectTypes: [
+                    { elementId: 'KnxGroup', displayName: 'KNX Group', namespaceUri: KNX_NAMESPACE, schema: { type: 'object' } },
+                    { elementId: 'KnxGroupAddress', displayName: 'KNX Group Address', namespaceUri: KNX_NAMESPACE, schema: { type: 'object' } }
+                ]
+            });
+        }
+    }
+
+    /**
+     * Decodes a telegram with the datapoint type of its group address.
+     * @param {Buffer|any} value Raw APDU data from the bus.
+     * @param {string|null} dpt
+     * @returns {{value: any, unit?: string, dpt?: string, raw?: string}}
+     */
+    decodeValue(value, dpt) {
+        if (!Buffer.isBuffer(value)) return { value };
+        const raw = value.toString('hex');
+        if (!dpt || !dptLib) return { value: raw, raw };
+        try {
+            const resolved = dptLib.resolve(dpt);
+            const decoded = { value: dptLib.fromBuffer(value, resolved), dpt, raw };
+            if (resolved.subtype && resolved.subtype.unit) decoded.unit = resolved.subtype.unit;
+            return decoded;
+        } catch (err) {
+            // dptlib throws strings
+            this.logger.warn(`KNX decode failed for ${dpt}: ${err.message || err}`);
+            return { value: raw, dpt, raw };
+        }
+    }
+
     async disconnect() {
         this.connected = false;
         if (this.connectTimeoutId) clearTimeout(this.connectTimeoutId);
@@ -146,16 +227,67 @@ class KnxProvider extends BaseProvider {
         try {
             const obj = typeof payload === 'string' ? JSON.parse(payload) : payload;
             if (obj && obj.value !== undefined) valueToWrite = obj.value;
+            else if (obj !== null && typeof obj !== 'object') valueToWrite = obj; // Bare JSON value ("21.5", "true")
         } catch(e) {}
 
         try {
+            // Encode once up front: an invalid value for the DPT is reported to the caller instead of failing in the KNX state machine
+            if (dpt && dptLib) dptLib.populateAPDU(valueToWrite, {}, dpt);
             // Send GroupValueWrite to the bus
             this.connection.write(groupAddr, valueToWrite, dpt);
             callback(null);
         } catch (err) {
-            callback(err);
+            // dptlib throws strings
+            callback(err instanceof Error ? err : new Error(`Cannot encode ${JSON.stringify(valueToWrite)} as ${dpt}: ${err}`));
         }
     }
 }
 
+/**
+ * Turns an ETS name into a single UNS topic level.
+ * @param {string} name
+ */
+function topicLevel(name) {
+    return String(name).trim().replace(/[\s/+#]+/g, '_');
+}
+
+/**
+ * Builds the I3X instances of the imported group addresses, under one element per group level.
+ * @param {string} providerId
+ * @param {Array<Object>} groupAddresses Parsed ETS group addresses, with their resolved `topic`.
+ * @returns {Object[]}
+ */
+function buildI3xElements(providerId, groupAddresses) {
+    const elements = new Map();
+    const idOf = (levels) => `knx_${providerId}_${levels.map(l => topicLevel(l).replace(/[^a-zA-Z0-9_-]/g, '')).join('_')}`;
+
+    for (const ga of groupAddresses) {
+        const levels = ga.buildingPath || ga.path;
+        let parentId;
+        levels.forEach((level, index) => {
+            const elementId = idOf(levels.slice(0, index + 1));
+            if (!elements.has(elementId)) {
+                const element = { elementId, displayName: level, typeId: 'KnxGroup', namespaceUri: KNX_NAMESPACE, isComposition: true };
+                if (parentId) element.parentId = parentId;
+                elements.set(elementId, element);
+            }
+            parentId = elementId;
+        });
+
+        const elementId = `knx_${providerId}_${ga.address.replace(/\//g, '_')}`;
+        const element = {
+            elementId,
+            displayName: ga.name,
+            typeId: 'KnxGroupAddress',
+            namespaceUri: KNX_NAMESPACE,
+            isComposition: false,
+            topic_mapping: ga.topic,
+            attributes: { groupAddress: ga.address, dpt: ga.dpt, description: ga.description }
+        };
+        if (parentId) element.parentId = parentId;
+        elements.set(elementId, element);
+    }
+    return [...elements.values()];
+}
+
 module.exports = KnxProvider;
\ No newline at end of file
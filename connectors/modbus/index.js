@@ -3,6 +3,7 @@
  * @author Sebastien Lalaurette
  * * Modbus TCP Provider Plugin
  * Implements the BaseProvider interface for Modbus TCP connections.
+ * In 'server' mode, Korelate acts as a Modbus TCP slave exposing live UNS values as registers.
  */
 
 let ModbusRTU;
@@ -12,7 +13,38 @@ try {
     ModbusRTU = null;
 }
 
+const mqttMatch = require('mqtt-match');
 const BaseProvider = require('../baseProvider');
+const { parseMapping, decodeValue, encodeValue, buildReadBlocks } = require('./registerCodec');
+
+/**
+ * Reads a value from a payload object using a dot path (defaults to the UNS `value` convention).
+ * @param {any} payload
+ * @param {string} [field]
+ * @returns {any}
+ */
+function extractValue(payload, field) {
+    if (payload === null || typeof payload !== 'object') return payload;
+    if (field) return field.split('.').reduce((obj, key) => (obj === null || obj === undefined) ? undefined : obj[key], payload);
+    if (payload.value !== undefined) return payload.value;
+    if (payload.raw_payload !== undefined) return payload.raw_payload;
+    return undefined;
+}
+
+/**
+ * Builds a (nested) payload object holding a value at a dot path.
+ * @param {string} field
+ * @param {any} value
+ * @returns {Object}
+ */
+function buildPayload(field, value) {
+    const payload = {};
+    const keys = field.split('.');
+    let cursor = payload;
+    keys.slice(0, -1).forEach(key => { cursor = cursor[key] = {}; });
+    cursor[keys[keys.length - 1]] = value;
+    return payload;
+}
 
 class ModbusProvider extends BaseProvider {
     constructor(config, context) {
@@ -21,12 +53,28 @@ class ModbusProvider extends BaseProvider {
         this.port = parseInt(config.port, 10) || 502;
         this.unitId = parseInt(config.unitId, 10) || 1;
         this.pollingInterval = parseInt(config.pollingInterval, 10) || 1000;
+        // Unused registers tolerated between two mappings merged into the same block read
+        this.maxBlockGap = parseInt(config.maxBlockGap, 10) || 0;
         
         // Mappings in format: "40001:16::factory/temp" (Address:Length::UNSTopic)
+        // or typed: "40001:float32:CDAB:scale=0.1:unit=kWh::factory/energy" (see registerCodec.js)
         this.subscribeList = config.subscribe || [];
         this.mappings = [];
+        this.readBlocks = [];
         this.pollIntervalId = null;
         this.client = null;
+
+        // Server (slave) mode: registers are fed by live UNS topics
+        this.mode = config.mode === 'server' ? 'server' : 'client';
+        this.server = null;
+        this.allowedPublish = config.publish || [];
+        // 255 answers any Unit ID
+        this.serverUnitId = config.unitId !== undefined ? parseInt(config.unitId, 10) : 255;
+        this.writeTarget = config.writeTarget || null;
+        this.registerImage = { holding: new Map(), input: new Map(), coil: new Map(), input_status: new Map() };
+        this.mappingsByTopic = new Map();
+        this.lastSourceByTopic = new Map();
+        this.onUnsMessage = this.onUnsMessage.bind(this);
     }
 
     async connect() {
@@ -36,6 +84,8 @@ class ModbusProvider extends BaseProvider {
             return false;
         }
 
+        if (this.mode === 'server') return this.startServer();
+
         this.updateStatus('connecting');
         this.logger.info(`Connecting to Modbus TCP PLC at ${this.host}:${this.port} (Unit ID: ${this.unitId})...`);
 
@@ -50,24 +100,14 @@ class ModbusProvider extends BaseProvider {
             this.updateStatus('connected');
 
             // Parse Mappings
-            this.mappings = this.subscribeList.map(mappingStr => {
-                const parts = mappingStr.split('::');
-                if (parts.length !== 2) return null;
-                const addrParts = parts[0].split(':');
-                const address = parseInt(addrParts[0], 10);
-                const length = parseInt(addrParts[1], 10) || 1;
-                const topic = parts[1].trim();
-
-                // Determine function code based on Modbus standard ranges
-                let type = 'holding'; // default 4x
-                if (address >= 10000 && address < 20000) type = 'input_status'; // 1x
-                else if (address >= 30000 && address < 40000) type = 'input'; // 3x
-                else if (address < 10000) type = 'coil'; // 0x
-                
-                return { address, length, topic, type };
+            this.mappings = this.subscribeList.map(entry => {
+                const mapping = parseMapping(entry);
+                if (!mapping) this.logger.warn({ entry }, "Invalid Modbus mapping declaration. Skipping...");
+                return mapping;
             }).filter(Boolean);
+            this.readBlocks = buildReadBlocks(this.mappings, this.maxBlockGap);
 
-            this.logger.info(`Parsed ${this.mappings.length} Modbus mappings.`);
+            this.logger.info(`Parsed ${this.mappings.length} Modbus mappings (${this.readBlocks.length} block reads per cycle).`);
             this.startPolling();
 
             return true;
@@ -84,34 +124,274 @@ class ModbusProvider extends BaseProvider {
         this.pollIntervalId = setInterval(async () => {
             if (!this.connected || !this.client) return;
 
-            for (const map of this.mappings) {
+            for (const block of this.readBlocks) {
+                let res;
                 try {
-                    let res;
-                    const addr = map.address % 10000; // Strip prefix for modbus-serial
-                    
-                    if (map.type === 'holding') res = await this.client.readHoldingRegisters(addr, map.length);
-                    else if (map.type === 'input') res = await this.client.readInputRegisters(addr, map.length);
-                    else if (map.type === 'coil') res = await this.client.readCoils(addr, map.length);
-                    else if (map.type === 'input_status') res = await this.client.readDiscreteInputs(addr, map.length);
-
-                    if (res && res.data) {
+                    res = await this.readBlock(block.type, block.start, block.length);
+                } catch (err) {
+                    this.logger.warn(`Modbus read error on ${block.type} block ${block.start}-${block.start + block.length - 1}: ${err.message}`);
+                    continue;
+                }
+                if (!res || !res.data) continue;
+
+                const timestamp = new Date().toISOString();
+                for (const map of block.mappings) {
+                    try {
+                        const offset = (map.address % 10000) - block.start;
+                        const value = decodeValue(res.data.slice(offset, offset + map.length), map);
+
                         // Forward to UNS
-                        const payload = map.length === 1 ? res.data[0] : res.data;
-                        this.handleIncomingMessage(map.topic, {
-                            value: payload,
-                            timestamp: new Date().toISOString()
-                        });
+                        const payload = { value, timestamp };
+                        if (map.unit) payload.unit = map.unit;
+                        this.handleIncomingMessage(map.topic, payload);
+                    } catch (err) {
+                        this.logger.warn(`Modbus decode error on ${map.address} (${map.dataType}): ${err.message}`);
                     }
-                } catch (err) {
-                    this.logger.warn(`Modbus read error on ${map.address}: ${err.message}`);
                 }
             }
         }, this.pollingInterval);
     }
 
+    /**
+     * Reads a contiguous range of a register area.
+     * @param {string} type Register area ('holding' | 'input' | 'coil' | 'input_status')
+     * @param {number} addr Start offset (prefix stripped)
+     * @param {number} length Number of registers/bits
+     * @returns {Promise<{data: Array<number|boolean>}>}
+     */
+    readBlock(type, addr, length) {
+        if (type === 'holding') return this.client.readHoldingRegisters(addr, length);
+        if (type === 'input') return this.client.readInputRegisters(addr, length);
+        if (type === 'coil') return this.client.readCoils(addr, length);
+        if (type === 'input_status') return this.client.readDiscreteInputs(addr, length);
+        return Promise.reject(new Error(`Unknown Modbus register type: ${type}`));
+    }
+
+    // ==========================================
+    // SERVER (SLAVE) MODE
+    // ==========================================
+
+    /**
+     * Starts a Modbus TCP server whose register map mirrors live UNS topics.
+     * @returns {Promise<boolean>}
+     */
+    async startServer() {
+        this.updateStatus('connecting');
+        const listenHost = this.config.host || '0.0.0.0';
+
+        this.mappings = this.subscribeList.map(entry => {
+            const mapping = parseMapping(entry);
+            if (!mapping) {
+                this.logger.warn({ entry }, "Invalid Modbus mapping declaration. Skipping...");
+                return null;
+            }
+            // Untyped registers are served as plain unsigned words (or bits)
+            if (!mapping.dataType) {
+                mapping.dataType = (mapping.type === 'coil' || mapping.type === 'input_status') ? 'bool' : 'uint16';
+                mapping.order = 'ABCD';
+            }
+            return mapping;
+        }).filter(Boolean);
+
+        this.mappingsByTopic.clear();
+        this.mappings.forEach(m => {
+            if (!this.mappingsByTopic.has(m.topic)) this.mappingsByTopic.set(m.topic, []);
+            this.mappingsByTopic.get(m.topic).push(m);
+        });
+
+        if (!this.context.dispatcherEvents) {
+            this.logger.error("❌ Live UNS feed unavailable: Modbus server mode requires the Central Message Dispatcher.");
+            this.updateStatus('error', 'UNS feed unavailable');
+            return false;
+        }
+
+        try {
+            const vector = {
+                getHoldingRegister: (addr) => this.readImage('holding', addr),
+                getInputRegister: (addr) => this.readImage('input', addr),
+                getCoil: (addr) => Boolean(this.readImage('coil', addr)),
+                getDiscreteInput: (addr) => Boolean(this.readImage('input_status', addr)),
+                setRegister: (addr, value) => this.handleRemoteWrite('holding', addr, [value]),
+                setRegisterArray: (addr, values) => this.handleRemoteWrite('holding', addr, values),
+                setCoil: (addr, value) => this.handleRemoteWrite('coil', addr, [value ? 1 : 0])
+            };
+
+            this.server = new ModbusRTU.ServerTCP(vector, { host: listenHost, port: this.port, unitID: this.serverUnitId });
+            this.server.on('socketError', (err) => this.logger.warn(`Modbus server socket error: ${err.message}`));
+            this.server.on('serverError', (err) => {
+                this.logger.error({ err }, "❌ Modbus server error.");
+                this.updateStatus('error', err.message);
+            });
+
+            this.context.dispatcherEvents.on('message', this.onUnsMessage);
+
+            this.connected = true;
+            this.updateStatus('connected');
+            this.logger.info(`✅ Modbus TCP server listening on ${listenHost}:${this.port} with ${this.mappings.length} mapped register(s).`);
+            return true;
+        } catch (err) {
+            this.logger.error({ err }, "❌ Failed to start Modbus TCP server.");
+            this.updateStatus('error', err.message);
+            return false;
+        }
+    }
+
+    /**
+     * Reads a word (or bit) from the served register image. Unmapped addresses read as 0.
+     * @param {string} area
+     * @param {number} addr
+     * @returns {number}
+     */
+    readImage(area, addr) {
+        const value = this.registerImage[area].get(addr);
+        return value === undefined ? 0 : value;
+    }
+
+    /**
+     * Writes a sequence of words (or bits) into the served register image.
+     * @param {string} area
+     * @param {number} addr
+     * @param {number[]} words
+     */
+    writeImage(area, addr, words) {
+        words.forEach((w, i) => this.registerImage[area].set(addr + i, w));
+    }
+
+    /**
+     * Mirrors a live UNS value into the register image.
+     * @param {import('../../core/messageDispatcher').DispatchedMessage} msg
+     */
+    onUnsMessage(msg) {
+        const mappings = this.mappingsByTopic.get(msg.topic);
+        if (!mappings) return;
+        if (msg.sourceId !== this.id) this.lastSourceByTopic.set(msg.topic, msg.sourceId);
+
+        for (const map of mappings) {
+            const value = extractValue(msg.payload, map.field);
+            if (value === undefined || value === null) continue;
+            try {
+                const addr = map.address % 10000;
+                if (map.bit !== undefined && map.type === 'holding') {
+                    // Bit mappings share their register: set or clear the bit only (as writeTyped does)
+                    const mask = 1 << map.bit;
+                    const current = this.readImage(map.type, addr);
+                    this.writeImage(map.type, addr, [(encodeValue(value, map)[0] === 1 ? (current | mask) : (current & ~mask)) & 0xFFFF]);
+                } else {
+                    this.writeImage(map.type, addr, encodeValue(value, map));
+                }
+            } catch (err) {
+                this.logger.warn(`Cannot serve '${msg.topic}' on register ${map.address} as ${map.dataType}: ${err.message}`);
+            }
+        }
+    }
+
+    /**
+     * Handles a write from a Modbus master: updates the image and publishes the decoded
+     * values on the mapped topics, provided they are allowed by this connector's publish list.
+     * Targets are checked before the image is touched, and the image is restored if a publish fails,
+     * so that it never serves a value the UNS did not receive (values already forwarded come back
+     * through the dispatcher echo).
+     * @param {'holding'|'coil'} area
+     * @param {number} addr
+     * @param {number[]} words
+     * @returns {Promise<void>}
+     */
+    async handleRemoteWrite(area, addr, words) {
+        const end = addr + words.length;
+        const affected = this.mappings.filter(m => {
+            const start = m.address % 10000;
+            return m.type === area && start < end && start + m.length > addr;
+        });
+
+        if (affected.length === 0 || affected.some(m => !this.isWriteAllowed(m.topic))) {
+            this.logger.warn(`Rejected Modbus write on ${area} ${addr}-${end - 1}: not mapped or not allowed by the publish list.`);
+            throw { modbusErrorCode: 0x02, msg: 'Illegal data address' };
+        }
+
+        const targets = affected.map(map => this.resolveWriteTarget(map));
+        const previous = words.map((w, i) => this.readImage(area, addr + i));
+        this.writeImage(area, addr, words);
+
+        try {
+            for (let m = 0; m < affected.length; m++) {
+                const map = affected[m];
+                const start = map.address % 10000;
+                const current = [];
+                for (let i = 0; i < map.length; i++) current.push(this.readImage(area, start + i));
+                await this.forwardWrite(map, decodeValue(current, map), targets[m]);
+            }
+        } catch (err) {
+            this.writeImage(area, addr, previous);
+            throw err;
+        }
+    }
+
+    /**
+     * Checks a topic against this connector's publish allow-list.
+     * @param {string} topic
+     * @returns {boolean}
+     */
+    isWriteAllowed(topic) {
+        return this.allowedPublish.some(pattern => mqttMatch(pattern, topic));
+    }
+
+    /**
+     * Finds the connector owning a written topic and checks that it accepts the write.
+     * @param {import('./registerCodec').ModbusMapping} map
+     * @returns {Object} The target connection ({connected, publish}).
+     * @throws {{modbusErrorCode: number, msg: string}} If the target is unavailable or does not allow the topic.
+     */
+    resolveWriteTarget(map) {
+        const targetId = map.target || this.writeTarget || this.lastSourceByTopic.get(map.topic);
+        const connection = targetId && this.context.activeConnections ? this.context.activeConnections.get(targetId) : null;
+        const mapperEngine = this.context.mapperEngine;
+
+        if (!connection || !connection.connected) {
+            this.logger.error(`Modbus write on '${map.topic}' dropped: target connector '${targetId}' not found or not connected.`);
+            throw { modbusErrorCode: 0x04, msg: 'Target connector unavailable' };
+        }
+        if (mapperEngine && typeof mapperEngine.isPublishAllowed === 'function' && !mapperEngine.isPublishAllowed(targetId, map.topic)) {
+            this.logger.warn(`Modbus write on '${map.topic}' dropped: connector '${targetId}' does not allow publishing to it.`);
+            throw { modbusErrorCode: 0x02, msg: 'Publish not allowed' };
+        }
+        return connection;
+    }
+
+    /**
+     * Publishes a value written by a Modbus master through the connector owning the topic.
+     * @param {import('./registerCodec').ModbusMapping} map
+     * @param {any} value
+     * @param {Object} connection Target connection (see resolveWriteTarget).
+     * @returns {Promise<void>}
+     */
+    forwardWrite(map, value, connection) {
+
+        const payload = map.field ? buildPayload(map.field, value) : { value, timestamp: new Date().toISOString() };
+        if (!map.field && map.unit) payload.unit = map.unit;
+
+        return new Promise((resolve, reject) => {
+            connection.publish(map.topic, JSON.stringify(payload), { qos: 1, retain: false }, (err) => {
+                if (err) {
+                    this.logger.error({ err }, `Failed to publish Modbus write on '${map.topic}'.`);
+                    return reject({ modbusErrorCode: 0x04, msg: err.message });
+                }
+                resolve();
+            });
+        });
+    }
+
     async disconnect() {
         if (this.pollIntervalId) clearInterval(this.pollIntervalId);
         this.connected = false;
+        if (this.context.dispatcherEvents) this.context.dispatcherEvents.removeListener('message', this.onUnsMessage);
+        if (this.server) {
+            const server = this.server;
+            this.server = null;
+            await new Promise(resolve => server.close(() => resolve()));
+            this.updateStatus('disconnected');
+            this.logger.info(`Modbus TCP server stopped.`);
+            return;
+        }
         try {
             if (this.client) {
                 this.client.close();
@@ -125,6 +405,8 @@ class ModbusProvider extends BaseProvider {
     }
 
     publish(topic, payload, options, callback) {
+        if (this.mode === 'server') return this.publishToImage(topic, payload, callback);
+
         // Find mapping
         const map = this.mappings.find(m => m.topic === topic);
         if (!map) return callback(new Error(`No Modbus mapping found for topic ${topic}`));
@@ -137,6 +419,11 @@ class ModbusProvider extends BaseProvider {
 
         const addr = map.address % 10000;
 
+        if (map.dataType) {
+            this.writeTyped(map, addr, valueToWrite).then(() => callback(null)).catch(callback);
+            return;
+        }
+
         try {
             if (map.type === 'coil') {
                 this.client.writeCoil(addr, !!valueToWrite).then(() => callback(null)).catch(callback);
@@ -153,6 +440,61 @@ class ModbusProvider extends BaseProvider {
             callback(err);
         }
     }
+
+    /**
+     * Server mode: a publish (e.g. from the Mapper) updates the served registers of the topic.
+     * @param {string} topic
+     * @param {Buffer|string|Object} payload
+     * @param {Function} [callback]
+     */
+    publishToImage(topic, payload, callback) {
+        const done = typeof callback === 'function' ? callback : () => {};
+        if (!this.mappingsByTopic.has(topic)) return done(new Error(`No Modbus register mapped to topic ${topic}`));
+
+        let obj = payload;
+        try {
+            const str = Buffer.isBuffer(payload) ? payload.toString('utf-8') : payload;
+            obj = typeof str === 'string' ? JSON.parse(str) : str;
+        } catch (e) {
+            obj = Buffer.isBuffer(payload) ? payload.toString('utf-8') : payload;
+        }
+
+        this.onUnsMessage({ sourceId: this.id, topic, payload: obj });
+        done(null);
+    }
+
+    /**
+     * Encodes an engineering value according to a typed mapping and writes it.
+     * Bit mappings on holding registers use a read-modify-write cycle.
+     * @param {import('./registerCodec').ModbusMapping} map
+     * @param {number} addr Start offset (prefix stripped)
+     * @param {any} value
+     * @returns {Promise<void>}
+     */
+    async writeTyped(map, addr, value) {
+        if (map.type === 'coil') {
+            const bits = Array.isArray(value) ? value.map(Boolean) : null;
+            if (bits) await this.client.writeCoils(addr, bits);
+            else await this.client.writeCoil(addr, encodeValue(value, map)[0] === 1);
+            return;
+        }
+        if (map.type !== 'holding') {
+            throw new Error(`Cannot write to read-only register type: ${map.type}`);
+        }
+
+        if (map.bit !== undefined) {
+            const res = await this.client.readHoldingRegisters(addr, 1);
+            const current = res.data[0];
+            const mask = 1 << map.bit;
+            const next = encodeValue(value, map)[0] === 1 ? (current | mask) : (current & ~mask);
+            await this.client.writeRegister(addr, next & 0xFFFF);
+            return;
+        }
+
+        const words = encodeValue(value, map);
+        if (words.length === 1) await this.client.writeRegister(addr, words[0]);
+        else await this.client.writeRegisters(addr, words);
+    }
 }
 
 module.exports = ModbusProvider;
\ No newline at end of file
@@ -0,0 +1,348 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Modbus Register Codec
+ * Parses mapping declarations and converts raw 16-bit register words to typed
+ * engineering values (and back) for the Modbus TCP Provider.
+ */
+
+/**
+ * Register width (in 16-bit words) of each supported data type.
+ * `string` has no fixed width: its length is declared in the mapping.
+ */
+const DATA_TYPES = {
+    bool: 1,
+    int16: 1,
+    uint16: 1,
+    int32: 2,
+    uint32: 2,
+    float32: 2,
+    int64: 4,
+    uint64: 4,
+    float64: 4,
+    string: null
+};
+
+/**
+ * Byte/Word orders, named after the position of the bytes of a 32-bit value (ABCD = big-endian).
+ * For 64-bit values, `wordSwap` reverses the order of all 4 words.
+ */
+const BYTE_ORDERS = {
+    ABCD: { byteSwap: false, wordSwap: false },
+    CDAB: { byteSwap: false, wordSwap: true },
+    BADC: { byteSwap: true, wordSwap: false },
+    DCBA: { byteSwap: true, wordSwap: true }
+};
+
+const MAX_REGISTERS_PER_READ = 125;
+const MAX_BITS_PER_READ = 2000;
+
+/**
+ * @typedef {Object} ModbusMapping
+ * @property {number} address Modbus address in the legacy 5-digit convention (e.g. 40001).
+ * @property {number} length Number of registers (or bits) covered by this mapping.
+ * @property {string} topic Destination UNS topic.
+ * @property {'holding'|'input'|'coil'|'input_status'} type Modbus register area.
+ * @property {string} [dataType] One of DATA_TYPES. Undefined means raw words (legacy behaviour).
+ * @property {string} [order] One of BYTE_ORDERS (default ABCD).
+ * @property {number} [scale] Multiplier applied after decoding.
+ * @property {number} [offset] Offset applied after scaling.
+ * @property {string} [unit] Engineering unit forwarded with the value.
+ * @property {number} [bit] Bit index (0-15) extracted from the first register.
+ * @property {string} [field] Server mode: payload field (dot path) holding the value (default `value`).
+ * @property {string} [target] Server mode: provider ID receiving the publishes caused by register writes.
+ */
+
+/**
+ * Determines the register area based on Modbus standard address ranges.
+ * @param {number} address
+ * @returns {'holding'|'input'|'coil'|'input_status'}
+ */
+function resolveArea(address) {
+    if (address >= 10000 && address < 20000) return 'input_status'; // 1x
+    if (address >= 30000 && address < 40000) return 'input'; // 3x
+    if (address < 10000) return 'coil'; // 0x
+    return 'holding'; // default 4x
+}
+
+/**
+ * Parses a mapping declaration. Accepts the string syntax
+ * `Address[:Length][:DataType][:Order][:key=value...]::UNS/Topic`
+ * (e.g. `40001:float32:CDAB:scale=0.1:unit=kWh::factory/meter/energy`)
+ * or an equivalent object (`{ address, length, dataType, order, scale, offset, unit, bit, topic }`).
+ * @param {string|Object} entry
+ * @returns {ModbusMapping|null} The parsed mapping, or null if the declaration is invalid.
+ */
+function parseMapping(entry) {
+    let decl;
+
+    if (typeof entry === 'string') {
+        const parts = entry.split('::');
+        if (parts.length !== 2) return null;
+        const tokens = parts[0].split(':');
+        decl = { address: tokens[0], topic: parts[1] };
+
+        for (const token of tokens.slice(1)) {
+            const t = token.trim();
+            if (!t) continue;
+            const kv = t.match(/^(\w+)=(.*)$/);
+            if (kv) decl[kv[1]] = kv[2];
+            else if (/^\d+$/.test(t)) decl.length = t;
+            else if (DATA_TYPES.hasOwnProperty(t.toLowerCase())) decl.dataType = t.toLowerCase();
+            else if (BYTE_ORDERS.hasOwnProperty(t.toUpperCase())) decl.order = t.toUpperCase();
+            else return null;
+        }
+    } else if (entry && typeof entry === 'object') {
+        decl = { ...entry };
+    } else {
+        return null;
+    }
+
+    const address = parseInt(decl.address, 10);
+    const topic = typeof decl.topic === 'string' ? decl.topic.trim() : '';
+    if (isNaN(address) || !topic) return null;
+
+    const type = resolveArea(address);
+    const mapping = { address, length: parseInt(decl.length, 10) || 1, topic, type };
+
+    const dataType = decl.dataType ? String(decl.dataType).toLowerCase() : undefined;
+    if (dataType !== undefined && !DATA_TYPES.hasOwnProperty(dataType)) return null;
+
+    const order = decl.order ? String(decl.order).toUpperCase() : undefined;
+    if (order !== undefined && !BYTE_ORDERS.hasOwnProperty(order)) return null;
+
+    const bit = decl.bit !== undefined ? parseInt(decl.bit, 10) : undefined;
+    if (bit !== undefined && (isNaN(bit) || bit < 0 || bit > 15)) return null;
+
+    // Server mode routing options (do not imply any typing)
+    if (decl.field !== undefined) mapping.field = String(decl.field);
+    if (decl.target !== undefined) mapping.target = String(decl.target);
+
+    const isBitArea = type === 'coil' || type === 'input_status';
+    // Legacy declarations (no typing information) keep forwarding raw words
+    if (!dataType && order === undefined && bit === undefined && decl.scale === undefined && decl.offset === undefined && decl.unit === undefined) {
+        return mapping;
+    }
+
+    mapping.dataType = bit !== undefined || isBitArea ? 'bool' : (dataType || 'uint16');
+    mapping.order = order || 'ABCD';
+    if (bit !== undefined) mapping.bit = bit;
+    if (decl.scale !== undefined) mapping.scale = parseFloat(decl.scale);
+    if (decl.offset !== undefined) mapping.offset = parseFloat(decl.offset);
+    if (decl.unit !== undefined) mapping.unit = String(decl.unit);
+
+    // Derive the register count from the data type unless an explicit (larger) length was given
+    const width = DATA_TYPES[mapping.dataType];
+    if (width && !isBitArea && bit === undefined && mapping.length < width) mapping.length = width;
+
+    return mapping;
+}
+
+/**
+ * Converts register words to a big-endian byte buffer honouring the mapping byte/word order.
+ * @param {number[]} words
+ * @param {string} order
+ * @returns {Buffer}
+ */
+function wordsToBuffer(words, order) {
+    const { byteSwap, wordSwap } = BYTE_ORDERS[order] || BYTE_ORDERS.ABCD;
+    const ordered = wordSwap ? [...words].reverse() : words;
+    const buf = Buffer.alloc(ordered.length * 2);
+    ordered.forEach((w, i) => {
+        const word = w & 0xFFFF;
+        buf.writeUInt16BE(byteSwap ? ((word & 0xFF) << 8) | (word >> 8) : word, i * 2);
+    });
+    return buf;
+}
+
+/**
+ * Inverse of wordsToBuffer.
+ * @param {Buffer} buf
+ * @param {string} order
+ * @returns {number[]}
+ */
+function bufferToWords(buf, order) {
+    const { byteSwap, wordSwap } = BYTE_ORDERS[order] || BYTE_ORDERS.ABCD;
+    const words = [];
+    for (let i = 0; i + 1 < buf.length; i += 2) {
+        const word = buf.readUInt16BE(i);
+        words.push(byteSwap ? ((word & 0xFF) << 8) | (word >> 8) : word);
+    }
+    return wordSwap ? words.reverse() : words;
+}
+
+/**
+ * Reads a single numeric value from a big-endian buffer.
+ * @param {Buffer} buf
+ * @param {string} dataType
+ * @returns {number}
+ */
+function readNumber(buf, dataType) {
+    switch (dataType) {
+        case 'int16': return buf.readInt16BE(0);
+        case 'uint16': return buf.readUInt16BE(0);
+        case 'int32': return buf.readInt32BE(0);
+        case 'uint32': return buf.readUInt32BE(0);
+        case 'float32': return buf.readFloatBE(0);
+        case 'int64': return Number(buf.readBigInt64BE(0));
+        case 'uint64': return Number(buf.readBigUInt64BE(0));
+        case 'float64': return buf.readDoubleBE(0);
+        default: throw new Error(`Unsupported Modbus data type: ${dataType}`);
+    }
+}
+
+/**
+ * Writes a single numeric value into a big-endian buffer.
+ * @param {number} value
+ * @param {string} dataType
+ * @returns {Buffer}
+ */
+function writeNumber(value, dataType) {
+    const buf = Buffer.alloc(DATA_TYPES[dataType] * 2);
+    const isInteger = !dataType.startsWith('float');
+    const v = isInteger ? Math.round(value) : value;
+    switch (dataType) {
+        case 'int16': buf.writeInt16BE(v, 0); break;
+        case 'uint16': buf.writeUInt16BE(v, 0); break;
+        case 'int32': buf.writeInt32BE(v, 0); break;
+        case 'uint32': buf.writeUInt32BE(v, 0); break;
+        case 'float32': buf.writeFloatBE(v, 0); break;
+        case 'int64': buf.writeBigInt64BE(BigInt(v), 0); break;
+        case 'uint64': buf.writeBigUInt64BE(BigInt(v), 0); break;
+        case 'float64': buf.writeDoubleBE(v, 0); break;
+        default: throw new Error(`Unsupported Modbus data type: ${dataType}`);
+    }
+    return buf;
+}
+
+/**
+ * Applies the mapping scale/offset to a raw numeric value.
+ * @param {number} raw
+ * @param {ModbusMapping} mapping
+ * @returns {number}
+ */
+function applyScaling(raw, mapping) {
+    const scaled = raw * (mapping.scale !== undefined ? mapping.scale : 1) + (mapping.offset || 0);
+    // Avoid binary noise such as 21.900000000000002 after scaling
+    return (mapping.scale !== undefined || mapping.offset !== undefined) ? parseFloat(scaled.toPrecision(12)) : scaled;
+}
+
+/**
+ * Strings are read character by character: only the byte swap of the mapping order applies.
+ * @param {ModbusMapping} mapping
+ * @returns {string}
+ */
+function stringOrder(mapping) {
+    return BYTE_ORDERS[mapping.order] && BYTE_ORDERS[mapping.order].byteSwap ? 'BADC' : 'ABCD';
+}
+
+/**
+ * Decodes the raw data returned by modbus-serial for a mapping.
+ * @param {Array<number|boolean>} data Register words (or bits for coils/discrete inputs).
+ * @param {ModbusMapping} mapping
+ * @returns {any} The decoded value (array when the mapping spans several values).
+ */
+function decodeValue(data, mapping) {
+    if (!mapping.dataType) {
+        // Legacy behaviour: forward the raw words
+        return mapping.length === 1 ? data[0] : data;
+    }
+
+    if (mapping.type === 'coil' || mapping.type === 'input_status') {
+        const bits = data.slice(0, mapping.length).map(Boolean);
+        return mapping.length === 1 ? bits[0] : bits;
+    }
+
+    if (mapping.bit !== undefined) {
+        return ((data[0] >> mapping.bit) & 1) === 1;
+    }
+
+    if (mapping.dataType === 'bool') {
+        return data[0] !== 0;
+    }
+
+    if (mapping.dataType === 'string') {
+        const buf = wordsToBuffer(data.slice(0, mapping.length), stringOrder(mapping));
+        return buf.toString('latin1').replace(/[\0\s]+$/, '');
+    }
+
+    const width = DATA_TYPES[mapping.dataType];
+    const values = [];
+    for (let i = 0; i + width <= mapping.length; i += width) {
+        const raw = readNumber(wordsToBuffer(data.slice(i, i + width), mapping.order), mapping.dataType);
+        values.push(applyScaling(raw, mapping));
+    }
+    return values.length === 1 ? values[0] : values;
+}
+
+/**
+ * Encodes an engineering value into register words for a mapping (inverse of decodeValue).
+ * @param {any} value
+ * @param {ModbusMapping} mapping
+ * @returns {number[]}
+ */
+function encodeValue(value, mapping) {
+    if (mapping.dataType === 'bool') {
+        return [value === true || value === 'true' || Number(value) === 1 ? 1 : 0];
+    }
+
+    if (mapping.dataType === 'string') {
+        const buf = Buffer.alloc(mapping.length * 2);
+        buf.write(String(value), 0, 'latin1');
+        return bufferToWords(buf, stringOrder(mapping));
+    }
+
+    const values = Array.isArray(value) ? value : [value];
+    const words = [];
+    for (const v of values) {
+        const num = Number(v);
+        if (isNaN(num)) throw new Error(`Cannot encode non-numeric value '${v}' as ${mapping.dataType}`);
+        const raw = (num - (mapping.offset || 0)) / (mapping.scale !== undefined && mapping.scale !== 0 ? mapping.scale : 1);
+        words.push(...bufferToWords(writeNumber(raw, mapping.dataType), mapping.order));
+    }
+    return words;
+}
+
+/**
+ * Groups mappings of the same register area into contiguous read blocks so that
+ * a single Modbus request serves several mappings.
+ * @param {ModbusMapping[]} mappings
+ * @param {number} [maxGap=0] Number of unused registers tolerated between two mappings of a block.
+ * @returns {Array<{type: string, start: number, length: number, mappings: ModbusMapping[]}>}
+ */
+function buildReadBlocks(mappings, maxGap = 0) {
+    const byArea = new Map();
+    mappings.forEach(m => {
+        if (!byArea.has(m.type)) byArea.set(m.type, []);
+        byArea.get(m.type).push(m);
+    });
+
+    const blocks = [];
+    for (const [type, list] of byArea.entries()) {
+        const maxLength = (type === 'coil' || type === 'input_status') ? MAX_BITS_PER_READ : MAX_REGISTERS_PER_READ;
+        const sorted = [...list].sort((a, b) => (a.address % 10000) - (b.address % 10000));
+        let current = null;
+
+        for (const m of sorted) {
+            const start = m.address % 10000;
+            const end = start + m.length;
+            if (current && start <= current.start + current.length + maxGap && Math.max(end, current.start + current.length) - current.start <= maxLength) {
+                current.length = Math.max(end, current.start + current.length) - current.start;
+                current.mappings.push(m);
+            } else {
+                current = { type, start, length: m.length, mappings: [m] };
+                blocks.push(current);
+            }
+        }
+    }
+    return blocks;
+}
+
+module.exports = {
+    DATA_TYPES,
+    BYTE_ORDERS,
+    parseMapping,
+    decodeValue,
+    encodeValue,
+    buildReadBlocks
+};
@@ -0,0 +1,392 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * MQTT Bridge
+ * Forwards the messages received by an MQTT connector to another connector (typically a second
+ * MQTT broker), without going through the Mapper sandbox:
+ * - declarative topic remapping (`in` filter, `out` pattern reusing its `+` / `#` levels),
+ * - QoS and retain flag preserved (or forced per rule), MQTT v5 properties copied,
+ * - loop prevention with a `korelate-bridge` MQTT v5 user property listing the connectors a message
+ *   went through, and a short echo cache for MQTT 3.1.1 brokers,
+ * - per-rule rate limiting (token bucket) and counters for the status panel and `/metrics`.
+ */
+const mqttMatch = require('mqtt-match');
+const outboxManager = require('../../storage/outboxManager');
+const metricsManager = require('../../core/metricsManager');
+
+/** MQTT v5 user property carrying the IDs of the connectors a bridged message came from. */
+const LOOP_PROPERTY = 'korelate-bridge';
+/** Messages that already went through this many bridges are never forwarded again. */
+const MAX_HOPS = 8;
+/** How long a bridged message is remembered to recognize its echo on the target broker. */
+const ECHO_WINDOW_MS = 5000;
+const ECHO_CACHE_MAX = 10000;
+/** MQTT v5 publish properties copied to the bridged message. */
+const COPIED_PROPERTIES = ['payloadFormatIndicator', 'messageExpiryInterval', 'contentType', 'responseTopic', 'correlationData'];
+
+/**
+ * Messages recently published by a bridge, keyed by `<target connector>\u0000<topic>`.
+ * Shared by all the MQTT connectors of the process: the echo is received by the target's connector.
+ * @type {Map<string, {payload: Buffer, origin: string, expires: number}>}
+ */
+const recentEchoes = new Map();
+
+/**
+ * @typedef {Object} BridgeRule
+ * @property {string} name Rule name (metrics label), defaults to `<in> -> <target>`.
+ * @property {string} target ID of the connector the messages are published to.
+ * @property {string} in Topic filter of the forwarded messages.
+ * @property {string} out Target topic pattern (defaults to `in`).
+ * @property {0|1|2|null} qos Forced QoS, or null to keep the QoS of the received message.
+ * @property {boolean|null} retain Forced retain flag, or null to keep the received one.
+ * @property {number} maxRate Maximum forwarded messages per second (0 = unlimited).
+ * @property {function(string): string|null} remap Maps a received topic to its target topic.
+ */
+
+/**
+ * @typedef {Object} BridgeStats
+ * @property {string} name
+ * @property {string} target
+ * @property {number} forwarded Messages published to the target.
+ * @property {number} queued Messages queued in the target outbox (target offline).
+ * @property {number} rateLimited Messages dropped by `maxRate`.
+ * @property {number} loops Messages not forwarded because they came from the target.
+ * @property {number} denied Messages not forwarded because the target does not allow the topic.
+ * @property {number} errors Failed publishes.
+ * @property {number} rate Forwarded messages per second over the last stats period (see updateRates).
+ */
+
+/**
+ * Builds a bridge configuration error (reported as a client error by the API).
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidBridge(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_BRIDGE';
+    return err;
+}
+
+/**
+ * @param {string[]} levels
+ * @returns {string} The sequence of wildcards of a pattern (e.g. "+#").
+ */
+function wildcardsOf(levels) {
+    return levels.filter(level => level === '+' || level === '#').join('');
+}
+
+/**
+ * Compiles a topic remapping. Each `+` / `#` of `out` is replaced by the level(s) matched by the
+ * wildcard at the same position in `in`: `site/+/sensors/#` -> `enterprise/lyon/+/#`
+ * maps `site/line1/sensors/temp/pv` to `enterprise/lyon/line1/temp/pv`.
+ * @param {string} inFilter
+ * @param {string} outPattern
+ * @returns {function(string): string|null} Returns null when the topic does not match `inFilter`.
+ * @throws {Error} With code INVALID_BRIDGE.
+ */
+function compileRemap(inFilter, outPattern) {
+    const inLevels = inFilter.split('/');
+    const outLevels = outPattern.split('/');
+    const isValid = (levels) => levels.every((level, i) =>
+        (!level.includes('#') || (level === '#' && i === levels.length - 1)) && (!level.includes('+') || level === '+'));
+    if (!isValid(inLevels)) throw invalidBridge(`Invalid bridge topic filter '${inFilter}'.`);
+    if (!isValid(outLevels)) throw invalidBridge(`Invalid bridge target pattern '${outPattern}'.`);
+
+    const outWildcards = wildcardsOf(outLevels);
+    if (outWildcards && outWildcards !== wildcardsOf(inLevels)) {
+        throw invalidBridge(`Bridge target '${outPattern}' must use the wildcards of '${inFilter}' in the same order, or none.`);
+    }
+    if (!outWildcards) return (topic) => mqttMatch(inFilter, topic) ? outPattern : null;
+
+    return (topic) => {
+        const topicLevels = topic.split('/');
+        const captures = [];
+        for (let i = 0; i < inLevels.length; i++) {
+            const level = inLevels[i];
+            if (level === '#') {
+                captures.push(topicLevels.slice(i));
+                break;
+            }
+            if (i >= topicLevels.length) return null;
+            if (level === '+') captures.push([topicLevels[i]]);
+            else if (level !== topicLevels[i]) return null;
+            if (i === inLevels.length - 1 && topicLevels.length > inLevels.length) return null;
+        }
+
+        const result = [];
+        let next = 0;
+        for (const level of outLevels) {
+            if (level === '+' || level === '#') result.push(...captures[next++]);
+            else result.push(level);
+        }
+        return result.join('/');
+    };
+}
+
+/**
+ * Normalizes and validates a bridge rule.
+ * @param {{name?: string, target: string, in: string, out?: string, qos?: number|string, retain?: boolean, maxRate?: number|string}} entry
+ * @param {string} providerId ID of the connector receiving the messages.
+ * @returns {BridgeRule}
+ * @throws {Error} With code INVALID_BRIDGE.
+ */
+function normalizeRule(entry, providerId) {
+    const raw = entry || {};
+    const target = typeof raw.target === 'string' ? raw.target.trim() : '';
+    const inFilter = typeof raw.in === 'string' ? raw.in.trim() : '';
+    if (!target) throw invalidBridge("Missing bridge 'target' connector.");
+    if (target === providerId) throw invalidBridge(`A bridge cannot target its own connector ('${target}').`);
+    if (!inFilter) throw invalidBridge("Missing bridge 'in' topic filter.");
+    if (inFilter.startsWith('$share/')) throw invalidBridge("Bridge filters cannot be shared subscriptions.");
+    const out = typeof raw.out === 'string' && raw.out.trim() ? raw.out.trim() : inFilter;
+
+    const hasQos = raw.qos !== undefined && raw.qos !== null && raw.qos !== '';
+    const qos = hasQos ? Number(raw.qos) : null;
+    if (hasQos && ![0, 1, 2].includes(qos)) throw invalidBridge(`Invalid bridge QoS '${raw.qos}'. Expected 0, 1 or 2.`);
+    const maxRate = raw.maxRate ? Number(raw.maxRate) : 0;
+    if (!Number.isFinite(maxRate) || maxRate < 0) throw invalidBridge(`Invalid bridge maxRate '${raw.maxRate}'.`);
+
+    return {
+        name: typeof raw.name === 'string' && raw.name.trim() ? raw.name.trim() : `${inFilter} -> ${target}`,
+        target,
+        in: inFilter,
+        out,
+        qos,
+        retain: typeof raw.retain === 'boolean' ? raw.retain : null,
+        maxRate,
+        remap: compileRemap(inFilter, out)
+    };
+}
+
+/**
+ * @param {import('mqtt').IPublishPacket} [packet]
+ * @returns {string[]} Connector IDs listed in the loop marker of a received message.
+ */
+function readHops(packet) {
+    const value = packet && packet.properties && packet.properties.userProperties
+        ? packet.properties.userProperties[LOOP_PROPERTY]
+        : undefined;
+    if (value === undefined) return [];
+    return [].concat(value).flatMap(v => String(v).split(',')).filter(Boolean);
+}
+
+/**
+ * Forgets the echoes older than ECHO_WINDOW_MS, and the oldest ones beyond ECHO_CACHE_MAX.
+ * @param {number} now
+ */
+function pruneEchoes(now) {
+    for (const [key, echo] of recentEchoes) {
+        if (echo.expires <= now || recentEchoes.size > ECHO_CACHE_MAX) recentEchoes.delete(key);
+        else break;
+    }
+}
+
+/**
+ * @param {string} providerId Connector receiving the message.
+ * @param {string} topic
+ * @param {Buffer} payload
+ * @returns {string|null} The connector that bridged this message to us, if it is an echo.
+ */
+function takeEcho(providerId, topic, payload) {
+    const key = `${providerId}\u0000${topic}`;
+    const echo = recentEchoes.get(key);
+    if (!echo) return null;
+    recentEchoes.delete(key);
+    if (echo.expires < Date.now() || !Buffer.from(payload).equals(echo.payload)) return null;
+    return echo.origin;
+}
+
+class MqttBridge {
+    /**
+     * @param {Object} options
+     * @param {string} options.providerId ID of the connector receiving the messages.
+     * @param {Array<Object>} options.rules Bridge rules (`bridges` config).
+     * @param {Object} options.context Provider context (activeConnections, mapperEngine).
+     * @param {Object} options.logger
+     */
+    constructor({ providerId, rules, context, logger }) {
+        this.providerId = providerId;
+        this.context = context;
+        this.logger = logger;
+        /** @type {BridgeRule[]} */
+        this.rules = [];
+        (Array.isArray(rules) ? rules : []).forEach(entry => {
+            try {
+                const rule = normalizeRule(entry, providerId);
+                // Names label the counters: keep them unique
+                if (this.rules.some(r => r.name === rule.name)) rule.name = `${rule.name} #${this.rules.length + 1}`;
+                this.rules.push(rule);
+            } catch (err) {
+                this.logger.error(`❌ Ignoring bridge ${JSON.stringify(entry)}: ${err.message}`);
+            }
+        });
+        /** @type {Map<string, BridgeStats>} */
+        this.stats = new Map(this.rules.map(rule => [rule.name, {
+            name: rule.name, target: rule.target, forwarded: 0, queued: 0, rateLimited: 0, loops: 0, denied: 0, errors: 0, rate: 0
+        }]));
+        /** @type {Map<string, {tokens: number, updatedAt: number}>} */
+        this.buckets = new Map();
+        /** @type {Set<string>} Rules whose denied topics were already logged. */
+        this.deniedWarned = new Set();
+        this.lastSnapshot = { at: Date.now(), forwarded: new Map() };
+    }
+
+    /**
+     * @returns {boolean} Whether at least one valid rule is configured.
+     */
+    isEnabled() {
+        return this.rules.length > 0;
+    }
+
+    /**
+     * @returns {string[]} Topic filters the connector must subscribe to for its bridges.
+     */
+    getFilters() {
+        return [...new Set(this.rules.map(rule => rule.in))];
+    }
+
+    /**
+     * @param {string} topic
+     * @returns {boolean} Whether a received topic is forwarded by at least one rule.
+     */
+    matches(topic) {
+        return this.rules.some(rule => mqttMatch(rule.in, topic));
+    }
+
+    /**
+     * Forwards a received message through the matching rules.
+     * @param {string} topic
+     * @param {Buffer} payload
+     * @param {import('mqtt').IPublishPacket} [packet]
+     */
+    handle(topic, payload, packet = {}) {
+        const matching = this.rules.filter(rule => mqttMatch(rule.in, topic));
+        if (matching.length === 0) return;
+
+        const hops = readHops(packet);
+        const echoOrigin = takeEcho(this.providerId, topic, payload);
+        if (echoOrigin && !hops.includes(echoOrigin)) hops.push(echoOrigin);
+
+        for (const rule of matching) {
+            if (hops.includes(rule.target) || hops.length >= MAX_HOPS) {
+                this.count(rule, 'loops');
+                continue;
+            }
+            if (!this.takeToken(rule)) {
+                this.count(rule, 'rateLimited');
+                continue;
+            }
+            this.forward(rule, rule.remap(topic), payload, packet, hops);
+        }
+    }
+
+    /**
+     * @param {BridgeRule} rule
+     * @param {string} topic Target topic.
+     * @param {Buffer} payload
+     * @param {import('mqtt').IPublishPacket} packet Received packet (QoS, retain, v5 properties).
+     * @param {string[]} hops Connectors the message already went through.
+     * @private
+     */
+    forward(rule, topic, payload, packet, hops) {
+        const mapperEngine = this.context.mapperEngine;
+        if (mapperEngine && typeof mapperEngine.isPublishAllowed === 'function' && !mapperEngine.isPublishAllowed(rule.target, topic)) {
+            if (!this.deniedWarned.has(rule.name)) {
+                this.deniedWarned.add(rule.name);
+                this.logger.warn(`Bridge '${rule.name}': connector '${rule.target}' does not allow publishing to '${topic}'. Add the target pattern to its 'publish' list.`);
+            }
+            this.count(rule, 'denied');
+            return;
+        }
+
+        const connection = this.context.activeConnections ? this.context.activeConnections.get(rule.target) : null;
+        if (!connection) {
+            this.count(rule, 'errors');
+            return;
+        }
+
+        const properties = {};
+        const received = packet.properties || {};
+        COPIED_PROPERTIES.forEach(key => { if (received[key] !== undefined) properties[key] = received[key]; });
+        properties.userProperties = { ...(received.userProperties || {}), [LOOP_PROPERTY]: [...hops, this.providerId].join(',') };
+        const options = {
+            qos: rule.qos !== null ? rule.qos : (packet.qos || 0),
+            retain: rule.retain !== null ? rule.retain : !!packet.retain,
+            properties
+        };
+
+        if (outboxManager.shouldQueue(rule.target, connection)) {
+            // Store-and-forward, like the Mapper outputs: delivered in order when the target is back
+            this.count(rule, outboxManager.enqueue(rule.target, topic, payload, options, 'bridge') ? 'queued' : 'errors');
+            return;
+        }
+
+        const now = Date.now();
+        pruneEchoes(now);
+        recentEchoes.delete(`${rule.target}\u0000${topic}`);
+        recentEchoes.set(`${rule.target}\u0000${topic}`, { payload: Buffer.from(payload), origin: this.providerId, expires: now + ECHO_WINDOW_MS });
+
+        connection.publish(topic, payload, options, (err) => {
+            if (err) {
+                this.logger.warn({ err }, `Bridge '${rule.name}': failed to publish '${topic}' to '${rule.target}'.`);
+                this.count(rule, 'errors');
+            } else {
+                this.count(rule, 'forwarded');
+            }
+        });
+    }
+
+    /**
+     * Token bucket of `maxRate` messages per second, with a burst of one second.
+     * @param {BridgeRule} rule
+     * @returns {boolean} Whether the message can be forwarded.
+     * @private
+     */
+    takeToken(rule) {
+        if (!rule.maxRate) return true;
+        const now = Date.now();
+        const bucket = this.buckets.get(rule.name) || { tokens: rule.maxRate, updatedAt: now };
+        bucket.tokens = Math.min(rule.maxRate, bucket.tokens + ((now - bucket.updatedAt) / 1000) * rule.maxRate);
+        bucket.updatedAt = now;
+        this.buckets.set(rule.name, bucket);
+        if (bucket.tokens < 1) return false;
+        bucket.tokens -= 1;
+        return true;
+    }
+
+    /**
+     * @param {BridgeRule} rule
+     * @param {'forwarded'|'queued'|'rateLimited'|'loops'|'denied'|'errors'} counter
+     * @private
+     */
+    count(rule, counter) {
+        this.stats.get(rule.name)[counter]++;
+        metricsManager.incrementBridged(this.providerId, rule.name, counter);
+    }
+
+    /**
+     * Recomputes the forwarding rate of each rule since the previous call (stats period).
+     */
+    updateRates() {
+        const now = Date.now();
+        const elapsed = Math.max(now - this.lastSnapshot.at, 1) / 1000;
+        for (const s of this.stats.values()) {
+            s.rate = Math.round(((s.forwarded - (this.lastSnapshot.forwarded.get(s.name) || 0)) / elapsed) * 10) / 10;
+        }
+        this.lastSnapshot = { at: now, forwarded: new Map([...this.stats.values()].map(s => [s.name, s.forwarded])) };
+    }
+
+    /**
+     * @returns {BridgeStats[]} Counters of each rule (copies).
+     */
+    getStats() {
+        return [...this.stats.values()].map(s => ({ ...s }));
+    }
+}
+
+module.exports = {
+    MqttBridge,
+    compileRemap,
+    normalizeRule,
+    LOOP_PROPERTY
+};
@@ -4,13 +4,114 @@
  * * MQTT Provider Plugin
  * Implements the BaseProvider interface for MQTT/MQTTS connections.
  * Handles MQTT-specific payload decoding (like Sparkplug B) and MQTT v5 properties.
+ * With `sparkplugHostId`, also acts as a Sparkplug B host application (see sparkplugHost.js).
+ * Subscriptions can be added or removed at runtime (addSubscription / removeSubscription).
+ * With `bridges`, forwards received topics to another connector (see bridge.js).
  */
 
 const mqtt = require('mqtt');
+const mqttMatch = require('mqtt-match');
 const fs = require('fs');
 const path = require('path');
 const spBv10Codec = require('sparkplug-payload').get("spBv1.0"); 
 const BaseProvider = require('../baseProvider');
+const { SparkplugHost, isStateTopic } = require('./sparkplugHost');
+const { MqttBridge } = require('./bridge');
+
+/** Maximum wait for the offline STATE acknowledgement before closing the connection. */
+const STATE_PUBLISH_TIMEOUT_MS = 2000;
+const SHARED_PREFIX = '$share/';
+/** Default QoS of subscriptions declared as plain topic strings. */
+const DEFAULT_SUBSCRIPTION_QOS = 1;
+/** Bridge filters are subscribed with the maximum QoS, so that the QoS of each message can be preserved. */
+const BRIDGE_SUBSCRIPTION_QOS = 2;
+/** Period of the bridge counters broadcast to the connector status panel. */
+const BRIDGE_STATS_INTERVAL_MS = 5000;
+
+/**
+ * @typedef {Object} MqttSubscription
+ * @property {string} topic Topic filter, or MQTT v5 shared subscription (`$share/<group>/<filter>`).
+ * @property {0|1|2} qos Maximum QoS requested from the broker.
+ * @property {boolean} noLocal MQTT v5: do not receive messages published by this connection.
+ */
+
+/**
+ * Builds a subscription validation error (reported as a client error by the API).
+ * @param {string} message
+ * @returns {Error}
+ */
+function invalidSubscription(message) {
+    const err = new Error(message);
+    err.code = 'INVALID_SUBSCRIPTION';
+    return err;
+}
+
+/**
+ * @param {string} topic
+ * @returns {string} The topic filter, without the `$share/<group>/` prefix.
+ */
+function getTopicFilter(topic) {
+    if (!topic.startsWith(SHARED_PREFIX)) return topic;
+    return topic.split('/').slice(2).join('/');
+}
+
+/**
+ * Normalizes and validates a subscription entry (plain topic string or object).
+ * @param {string|{topic: string, qos?: number|string, noLocal?: boolean}} entry
+ * @param {number} [protocolVersion] MQTT protocol version of the connection (4 or 5).
+ * @returns {MqttSubscription}
+ * @throws {Error} With code INVALID_SUBSCRIPTION.
+ */
+function normalizeSubscription(entry, protocolVersion = 4) {
+    const raw = typeof entry === 'string' ? { topic: entry } : (entry || {});
+    const topic = typeof raw.topic === 'string' ? raw.topic.trim() : '';
+    if (!topic) throw invalidSubscription("Missing subscription 'topic'.");
+
+    const qos = raw.qos === undefined || raw.qos === null || raw.qos === '' ? DEFAULT_SUBSCRIPTION_QOS : Number(raw.qos);
+    if (![0, 1, 2].includes(qos)) throw invalidSubscription(`Invalid QoS '${raw.qos}'. Expected 0, 1 or 2.`);
+    const noLocal = raw.noLocal === true;
+
+    const isShared = topic.startsWith(SHARED_PREFIX);
+    const filter = getTopicFilter(topic);
+    if (isShared) {
+        const group = topic.split('/')[1];
+        if (!group || /[+#]/.test(group) || !filter) {
+            throw invalidSubscription(`Invalid shared subscription '${topic}'. Expected $share/<group>/<filter>.`);
+        }
+        // MQTT v5 spec [MQTT-3.8.3-4]: No Local on a shared subscription is a protocol error
+        if (noLocal) throw invalidSubscription("'noLocal' cannot be used with shared subscriptions.");
+    }
+    const levels = filter.split('/');
+    const badLevel = levels.some((level, i) =>
+        (level.includes('#') && (level !== '#' || i !== levels.length - 1)) ||
+        (level.includes('+') && level !== '+'));
+    if (badLevel) throw invalidSubscription(`Invalid topic filter '${topic}'.`);
+    if (noLocal && protocolVersion !== 5) throw invalidSubscription("'noLocal' requires MQTT v5 (protocolVersion 5).");
+
+    return { topic, qos, noLocal };
+}
+
+/**
+ * Converts a subscription back to its stored form: a plain string when it uses the defaults.
+ * @param {MqttSubscription} sub
+ * @returns {string|Object}
+ */
+function serializeSubscription(sub) {
+    if (sub.qos === DEFAULT_SUBSCRIPTION_QOS && !sub.noLocal) return sub.topic;
+    const stored = { topic: sub.topic, qos: sub.qos };
+    if (sub.noLocal) stored.noLocal = true;
+    return stored;
+}
+
+/**
+ * @param {MqttSubscription} sub
+ * @returns {import('mqtt').IClientSubscribeOptions}
+ */
+function toClientOptions(sub) {
+    const options = { qos: sub.qos };
+    if (sub.noLocal) options.nl = true;
+    return options;
+}
 
 /**
  * @typedef {Object} MqttProviderConfig
@@ -26,10 +127,17 @@ const BaseProvider = require('../baseProvider');
  * @property {string} [caFilename] Path to CA certificate.
  * @property {string} [alpnProtocol] ALPN protocol name.
  * @property {boolean} [rejectUnauthorized] Whether to reject unauthorized certificates.
- * @property {string[]} [subscribe] List of topics to subscribe to.
+ * @property {Array<string|{topic: string, qos?: number, noLocal?: boolean}>} [subscribe] Topics to subscribe to
+ * (QoS 1 for plain strings). Shared subscriptions use `$share/<group>/<filter>`.
  * @property {string[]} [topics] Alias for subscribe.
+ * @property {4|5} [protocolVersion] MQTT protocol version (default 4 = MQTT 3.1.1).
  * @property {number} [keepalive] Keepalive interval in seconds.
  * @property {boolean} [clean] Whether to start a clean session.
+ * @property {string} [sparkplugHostId] Sparkplug B host application ID. Enables alias resolution,
+ * node/device state tracking, rebirth requests and the `spBv1.0/STATE/<id>` topic (requires Sparkplug support).
+ * @property {Array<{name?: string, target: string, in: string, out?: string, qos?: number, retain?: boolean, maxRate?: number}>} [bridges]
+ * Bridge rules forwarding the received topics matching `in` to the `target` connector (topic remapped by `out`).
+ * Topics only matched by a bridge are forwarded without being ingested.
  */
 
 class MqttProvider extends BaseProvider {
@@ -41,6 +149,73 @@ class MqttProvider extends BaseProvider {
         super(config, context);
         /** @type {import('mqtt').MqttClient|null} */
         this.client = null;
+        /** @type {SparkplugHost|null} */
+        this.sparkplugHost = null;
+        this.bridge = new MqttBridge({ providerId: this.id, rules: config.bridges, context, logger: this.logger });
+        /** @type {NodeJS.Timeout|null} */
+        this.bridgeStatsTimer = null;
+
+        const rawTopics = (config.subscribe && config.subscribe.length > 0) ? config.subscribe : config.topics;
+        /** @type {MqttSubscription[]} */
+        this.subscriptions = [];
+        (Array.isArray(rawTopics) ? rawTopics : []).forEach(entry => {
+            try {
+                this.subscriptions.push(normalizeSubscription(entry, this.getProtocolVersion()));
+            } catch (err) {
+                this.logger.error(`❌ Ignoring subscription ${JSON.stringify(entry)}: ${err.message}`);
+            }
+        });
+    }
+
+    /**
+     * @returns {number} MQTT protocol version used by the connection.
+     */
+    getProtocolVersion() {
+        return parseInt(this.config.protocolVersion, 10) === 5 ? 5 : 4;
+    }
+
+    /**
+     * @param {string} topic
+     * @returns {boolean} Whether a received topic is covered by a subscription (and not only by a bridge).
+     */
+    isSubscribed(topic) {
+        if (this.sparkplugHost && topic === this.sparkplugHost.getStateTopic()) return true;
+        return this.subscriptions.some(sub => mqttMatch(getTopicFilter(sub.topic), topic));
+    }
+
+    /**
+     * @returns {Object<string, import('mqtt').IClientSubscribeOptions>} Bridge filters not already covered by a subscription.
+     */
+    getBridgeSubscriptionMap() {
+        const map = {};
+        this.bridge.getFilters()
+            .filter(filter => !this.subscriptions.some(sub => !sub.topic.startsWith(SHARED_PREFIX) && mqttMatch(sub.topic, filter)))
+            .forEach(filter => { map[filter] = { qos: BRIDGE_SUBSCRIPTION_QOS }; });
+        return map;
+    }
+
+    /**
+     * Sends the bridge counters to the connector status panel.
+     */
+    broadcastBridgeStats() {
+        this.bridge.updateRates();
+        if (!this.context.wsManager || typeof this.context.wsManager.broadcast !== 'function') return;
+        this.context.wsManager.broadcast(JSON.stringify({ type: 'connector-bridge-stats', sourceId: this.id, bridges: this.bridge.getStats(), timestamp: Date.now() }));
+    }
+
+    /**
+     * @returns {Promise<import('../baseProvider').ProviderHealth>} 'degraded' when a bridge target is not connected.
+     */
+    async health() {
+        if (!this.bridge.isEnabled()) return super.health();
+        const connections = this.context.activeConnections;
+        const offlineTargets = [...new Set(this.bridge.rules.map(rule => rule.target))]
+            .filter(target => !(connections && connections.get(target) && connections.get(target).connected));
+        return {
+            status: !this.connected ? 'down' : (offlineTargets.length > 0 ? 'degraded' : 'ok'),
+            connected: this.connected,
+            details: { bridges: this.bridge.getStats(), offlineTargets }
+        };
     }
 
     /**
@@ -51,8 +226,8 @@ class MqttProvider extends BaseProvider {
             const {
                 host, port, protocol, clientId, username, password,
                 certFilename, keyFilename, caFilename, alpnProtocol,
-                rejectUnauthorized = true, subscribe, topics,
-                keepalive, clean
+                rejectUnauthorized = true,
+                keepalive, clean, sparkplugHostId
             } = this.config;
 
             /** @type {import('mqtt').IClientOptions} */
@@ -66,7 +241,8 @@ class MqttProvider extends BaseProvider {
                 reconnectPeriod: 5000, 
                 connectTimeout: 10000,
                 servername: host, 
-                rejectUnauthorized
+                rejectUnauthorized,
+                protocolVersion: this.getProtocolVersion()
             };
 
             if (!rejectUnauthorized) this.logger.warn("SECURITY WARNING: Certificate verification is DISABLED.");
@@ -98,6 +274,28 @@ class MqttProvider extends BaseProvider {
 
             if (alpnProtocol) options.ALPNProtocols = [alpnProtocol];
 
+            // --- Sparkplug B Host Application ---
+            this.sparkplugHost = null;
+            if (sparkplugHostId) {
+                if (!this.context.config.IS_SPARKPLUG_ENABLED) {
+                    this.logger.warn("Sparkplug host ID ignored: Sparkplug support is disabled.");
+                } else {
+                    try {
+                        this.sparkplugHost = new SparkplugHost({
+                            hostId: sparkplugHostId,
+                            publish: (t, p, o) => this.publish(t, p, o),
+                            logger: this.logger
+                        });
+                    } catch (err) {
+                        this.logger.error({ err }, "❌ ERROR: Invalid Sparkplug host configuration.");
+                        this.updateStatus('error', err.message);
+                        return resolve(false);
+                    }
+                    options.will = this.sparkplugHost.getWill();
+                    this.logger.info(`Sparkplug host application '${sparkplugHostId}' enabled.`);
+                }
+            }
+
             this.logger.info(`Connecting to ${options.protocol}://${host}:${options.port}...`);
             this.updateStatus('connecting');
 
@@ -115,32 +313,67 @@ class MqttProvider extends BaseProvider {
                 this.connected = true;
                 this.updateStatus('connected');
 
-                const rawTopics = (subscribe && subscribe.length > 0) ? subscribe : topics;
-                const subscriptionTopics = Array.isArray(rawTopics) ? rawTopics.map(t => t.trim()) : [];
+                const subscriptionMap = {};
+                this.subscriptions.forEach(sub => { subscriptionMap[sub.topic] = toClientOptions(sub); });
+                if (this.sparkplugHost) {
+                    const stateTopic = this.sparkplugHost.getStateTopic();
+                    const covered = this.subscriptions.some(sub => !sub.topic.startsWith(SHARED_PREFIX) && mqttMatch(sub.topic, stateTopic));
+                    if (!covered) subscriptionMap[stateTopic] = { qos: 1 };
+                }
+                Object.assign(subscriptionMap, this.getBridgeSubscriptionMap());
 
-                if (subscriptionTopics.length > 0) {
-                    this.client.subscribe(subscriptionTopics, { qos: 1 }, (err) => {
+                if (Object.keys(subscriptionMap).length > 0) {
+                    this.client.subscribe(subscriptionMap, (err) => {
                         if (err) this.logger.error({ err }, `❌ Subscription failed`);
                         else this.logger.info(`✅ Subscribed to topics`);
                     });
                 }
+                if (this.bridge.isEnabled() && !this.bridgeStatsTimer) {
+                    this.logger.info(`Bridging ${this.bridge.rules.length} rule(s): ${this.bridge.rules.map(r => r.name).join(', ')}.`);
+                    this.bridgeStatsTimer = setInterval(() => this.broadcastBridgeStats(), BRIDGE_STATS_INTERVAL_MS);
+                }
                 resolve(true);
             });
 
+            // Automatic reconnections (the handler above only runs for the first connection)
+            this.client.on('connect', () => {
+                if (!this.connected) {
+                    this.logger.info(`✅ Reconnected.`);
+                    this.connected = true;
+                    this.updateStatus('connected');
+                }
+                // The host STATE is retained and overwritten by our Last Will: re-publish it on every (re)connection
+                if (this.sparkplugHost) this.sparkplugHost.publishOnline();
+            });
+
             this.client.on('message', (topic, payload, packet) => {
+                // Bridges forward the raw message (e.g. Sparkplug protobuf) before any decoding
+                if (this.bridge.isEnabled()) {
+                    this.bridge.handle(topic, payload, packet);
+                    if (!this.isSubscribed(topic)) return;
+                }
+
                 let isSparkplugOrigin = false;
                 let processedPayload = payload;
                 let decodeError = null;
+                let isDecoded = false;
 
-                // Protocol-Specific Decoding (Sparkplug B)
-                if (this.context.config.IS_SPARKPLUG_ENABLED && topic.startsWith('spBv1.0/')) {
+                // Protocol-Specific Decoding (Sparkplug B). STATE messages are JSON.
+                if (this.context.config.IS_SPARKPLUG_ENABLED && topic.startsWith('spBv1.0/') && !isStateTopic(topic)) {
                     try {
                         processedPayload = spBv10Codec.decodePayload(payload);
                         isSparkplugOrigin = true;
+                        if (this.sparkplugHost) {
+                            // Aliases are resolved here: the dispatcher must keep this object
+                            processedPayload = this.sparkplugHost.processMessage(topic, processedPayload);
+                            isDecoded = true;
+                        }
                     } catch (err) {
                         this.logger.error({ err, topic }, "❌ Error decoding Sparkplug payload");
                         decodeError = err.message;
                     }
+                } else if (this.sparkplugHost && topic === this.sparkplugHost.getStateTopic()) {
+                    this.sparkplugHost.handleStateMessage(payload);
                 }
 
                 // Extract Correlation ID from MQTT v5 properties if available
@@ -157,6 +390,7 @@ class MqttProvider extends BaseProvider {
                 if (this.context.handleMessage) {
                     this.context.handleMessage(this.id, topic, processedPayload, {
                         isSparkplugOrigin,
+                        isDecoded,
                         rawBuffer: payload,
                         decodeError,
                         correlationId,
@@ -183,6 +417,11 @@ class MqttProvider extends BaseProvider {
     }
 
     async disconnect() {
+        if (this.bridgeStatsTimer) {
+            clearInterval(this.bridgeStatsTimer);
+            this.bridgeStatsTimer = null;
+        }
+        await this.publishOfflineState();
         return new Promise((resolve) => {
             if (this.client) {
                 this.logger.info("Disconnecting MQTT client...");
@@ -201,6 +440,90 @@ class MqttProvider extends BaseProvider {
         });
     }
 
+    /**
+     * @returns {MqttSubscription[]} Current subscriptions (copies).
+     */
+    getSubscriptions() {
+        return this.subscriptions.map(sub => ({ ...sub }));
+    }
+
+    /**
+     * @returns {Array<string|Object>} Current subscriptions in their stored (`subscribe` config) form.
+     */
+    getSubscribeConfig() {
+        return this.subscriptions.map(serializeSubscription);
+    }
+
+    /**
+     * Subscribes to a topic filter on the live connection, or updates the options of an existing subscription.
+     * @param {string|{topic: string, qos?: number|string, noLocal?: boolean}} entry
+     * @returns {Promise<MqttSubscription>} The subscription, with the QoS granted by the broker.
+     * @throws {Error} Invalid subscription (code INVALID_SUBSCRIPTION), disconnected provider or broker refusal.
+     */
+    async addSubscription(entry) {
+        const sub = normalizeSubscription(entry, this.getProtocolVersion());
+        if (!this.client || !this.connected) throw new Error("Provider disconnected");
+
+        // `resubscribe` forces a new SUBSCRIBE even if mqtt.js already tracks the topic (options update)
+        const granted = await new Promise((resolve, reject) => {
+            this.client.subscribe({ [sub.topic]: toClientOptions(sub), resubscribe: true }, (err, result) => {
+                if (err) return reject(err);
+                resolve(result && result[0] ? result[0].qos : sub.qos);
+            });
+        });
+        if (granted >= 128) throw new Error(`Broker refused the subscription to '${sub.topic}' (reason code ${granted}).`);
+
+        const index = this.subscriptions.findIndex(s => s.topic === sub.topic);
+        if (index >= 0) this.subscriptions[index] = sub;
+        else this.subscriptions.push(sub);
+        this.logger.info(`✅ Subscribed to '${sub.topic}' (QoS ${sub.qos}, granted ${granted}${sub.noLocal ? ', no-local' : ''}).`);
+        return { ...sub, qos: granted };
+    }
+
+    /**
+     * Unsubscribes from a topic filter on the live connection.
+     * @param {string} topic Exact topic filter, as subscribed.
+     * @returns {Promise<boolean>} False if the provider has no such subscription.
+     * @throws {Error} Disconnected provider or broker refusal.
+     */
+    async removeSubscription(topic) {
+        const index = this.subscriptions.findIndex(s => s.topic === topic);
+        if (index < 0) return false;
+        if (!this.client || !this.connected) throw new Error("Provider disconnected");
+
+        await new Promise((resolve, reject) => {
+            this.client.unsubscribe(topic, (err) => err ? reject(err) : resolve());
+        });
+        this.subscriptions.splice(index, 1);
+        this.logger.info(`✅ Unsubscribed from '${topic}'.`);
+
+        // Bridge filters that were covered by this subscription
+        const bridgeMap = this.getBridgeSubscriptionMap();
+        if (Object.keys(bridgeMap).length > 0) {
+            this.client.subscribe(bridgeMap, (err) => {
+                if (err) this.logger.error({ err }, `❌ Bridge subscription failed`);
+            });
+        }
+        return true;
+    }
+
+    /**
+     * Publishes the offline Sparkplug host STATE before a graceful disconnection
+     * (the Last Will is not sent by the broker in that case).
+     * @returns {Promise<void>}
+     */
+    publishOfflineState() {
+        if (!this.sparkplugHost || !this.client || !this.connected) return Promise.resolve();
+        return new Promise((resolve) => {
+            const timer = setTimeout(resolve, STATE_PUBLISH_TIMEOUT_MS);
+            this.client.publish(this.sparkplugHost.getStateTopic(), this.sparkplugHost.buildStatePayload(false), { qos: 1, retain: true }, (err) => {
+                if (err) this.logger.warn({ err }, "Could not publish the offline Sparkplug STATE.");
+                clearTimeout(timer);
+                resolve();
+            });
+        });
+    }
+
     /**
      * @param {string} topic 
      * @param {Buffer|string} payload 
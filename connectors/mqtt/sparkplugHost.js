@@ -0,0 +1,337 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Sparkplug B Host Application
+ * Stateful layer of the MQTT connector for `spBv1.0/` traffic:
+ * - records the metric definitions and aliases announced by NBIRTH / DBIRTH,
+ * - resolves aliases (and missing datatypes) in NDATA / DDATA / DDEATH,
+ * - tracks edge node and device online state from births and deaths (bdSeq checked),
+ * - detects sequence gaps, unknown aliases and data without birth, and asks the
+ *   edge node for a rebirth (NCMD `Node Control/Rebirth`),
+ * - builds the Sparkplug 3.0 host STATE messages (`spBv1.0/STATE/<hostId>`).
+ */
+const spBv10Codec = require('sparkplug-payload').get("spBv1.0");
+
+const NAMESPACE = 'spBv1.0';
+const REBIRTH_METRIC = 'Node Control/Rebirth';
+/** Minimum delay between two rebirth requests sent to the same edge node. */
+const REBIRTH_COOLDOWN_MS = 5000;
+const SEQUENCED_TYPES = ['NDATA', 'DBIRTH', 'DDATA', 'DDEATH'];
+
+/**
+ * @typedef {Object} SparkplugTopic
+ * @property {string} groupId
+ * @property {string} messageType NBIRTH, NDATA, DDATA, NDEATH, DDEATH, NCMD, DCMD...
+ * @property {string} edgeNodeId
+ * @property {string|null} deviceId
+ */
+
+/**
+ * @typedef {Object} MetricDefinition
+ * @property {number|null} alias
+ * @property {string} [type] Sparkplug datatype (e.g. "Int32").
+ */
+
+/**
+ * @typedef {Object} DeviceState
+ * @property {boolean} online
+ * @property {Map<string, MetricDefinition>} metrics
+ */
+
+/**
+ * @typedef {Object} EdgeNodeState
+ * @property {string} groupId
+ * @property {string} edgeNodeId
+ * @property {boolean} online
+ * @property {number|null} bdSeq Birth/death sequence of the current session.
+ * @property {number|null} lastSeq Last message sequence number (0-255).
+ * @property {Map<number, string>} aliases Alias -> metric name (unique per edge node, devices included).
+ * @property {Map<string, MetricDefinition>} metrics Node-level metric definitions.
+ * @property {Map<string, DeviceState>} devices
+ * @property {number} lastRebirthRequest Timestamp of the last NCMD rebirth sent.
+ */
+
+/**
+ * Converts protobuf integers (Long objects) into numbers.
+ * @param {any} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value.toNumber === 'function') return value.toNumber();
+    const num = Number(value);
+    return isNaN(num) ? null : num;
+}
+
+/**
+ * Parses a Sparkplug B topic (`spBv1.0/<group>/<type>/<edgeNode>[/<device>]`).
+ * STATE topics are not edge node topics and return null.
+ * @param {string} topic
+ * @returns {SparkplugTopic|null}
+ */
+function parseTopic(topic) {
+    const parts = topic.split('/');
+    if (parts[0] !== NAMESPACE || parts.length < 4 || parts.length > 5 || parts[1] === 'STATE') return null;
+    return {
+        groupId: parts[1],
+        messageType: parts[2],
+        edgeNodeId: parts[3],
+        deviceId: parts[4] || null
+    };
+}
+
+/**
+ * @param {string} topic
+ * @returns {boolean} True for host application STATE topics (JSON payloads, not protobuf).
+ */
+function isStateTopic(topic) {
+    return topic.startsWith(`${NAMESPACE}/STATE/`);
+}
+
+class SparkplugHost {
+    /**
+     * @param {Object} options
+     * @param {string} options.hostId Sparkplug host application identifier.
+     * @param {function(string, Buffer|string, Object): void} options.publish Publishes through the owning MQTT client.
+     * @param {import('pino').Logger} options.logger
+     */
+    constructor({ hostId, publish, logger }) {
+        if (!hostId || hostId.includes('/') || hostId.includes('+') || hostId.includes('#')) {
+            throw new Error(`Invalid Sparkplug host ID '${hostId}'.`);
+        }
+        this.hostId = hostId;
+        this.publish = publish;
+        this.logger = logger;
+        /** @type {Map<string, EdgeNodeState>} */
+        this.nodes = new Map();
+        // STATE birth and death must carry the same timestamp (Sparkplug 3.0)
+        this.stateTimestamp = Date.now();
+    }
+
+    /** @returns {string} */
+    getStateTopic() {
+        return `${NAMESPACE}/STATE/${this.hostId}`;
+    }
+
+    /**
+     * @param {boolean} online
+     * @returns {string} JSON STATE payload.
+     */
+    buildStatePayload(online) {
+        return JSON.stringify({ online, timestamp: this.stateTimestamp });
+    }
+
+    /**
+     * @returns {import('mqtt').IClientOptions['will']} Last Will publishing the offline STATE.
+     */
+    getWill() {
+        return { topic: this.getStateTopic(), payload: this.buildStatePayload(false), qos: 1, retain: true };
+    }
+
+    /**
+     * Publishes the online STATE (retained). Must be called on every (re)connection.
+     */
+    publishOnline() {
+        this.publish(this.getStateTopic(), this.buildStatePayload(true), { qos: 1, retain: true });
+    }
+
+    /**
+     * Handles a message received on this host's own STATE topic: another session
+     * (or our stale Last Will) declared us offline while we are connected.
+     * @param {Buffer|string} payload
+     */
+    handleStateMessage(payload) {
+        try {
+            const state = JSON.parse(payload.toString());
+            if (state && state.online === false) {
+                this.logger.warn("Sparkplug STATE reported this host offline. Re-publishing online state.");
+                this.publishOnline();
+            }
+        } catch (e) {
+            this.logger.debug({ err: e }, "Ignoring unreadable Sparkplug STATE payload.");
+        }
+    }
+
+    /**
+     * @param {SparkplugTopic} parsed
+     * @returns {EdgeNodeState}
+     */
+    getNode(parsed) {
+        const key = `${parsed.groupId}/${parsed.edgeNodeId}`;
+        let node = this.nodes.get(key);
+        if (!node) {
+            node = {
+                groupId: parsed.groupId,
+                edgeNodeId: parsed.edgeNodeId,
+                online: false,
+                bdSeq: null,
+                lastSeq: null,
+                aliases: new Map(),
+                metrics: new Map(),
+                devices: new Map(),
+                lastRebirthRequest: 0
+            };
+            this.nodes.set(key, node);
+        }
+        return node;
+    }
+
+    /**
+     * Records the metric definitions of a birth certificate.
+     * @param {EdgeNodeState} node
+     * @param {Map<string, MetricDefinition>} target
+     * @param {Array<Object>} metrics
+     */
+    registerMetrics(node, target, metrics) {
+        for (const metric of metrics) {
+            if (!metric.name) continue;
+            const alias = toNumber(metric.alias);
+            target.set(metric.name, { alias, type: metric.type });
+            if (alias !== null) node.aliases.set(alias, metric.name);
+        }
+    }
+
+    /**
+     * Fills metric names (from aliases) and datatypes (from birth definitions).
+     * @param {EdgeNodeState} node
+     * @param {Map<string, MetricDefinition>|null} definitions
+     * @param {Array<Object>} metrics
+     * @returns {number} Number of aliases that could not be resolved.
+     */
+    resolveMetrics(node, definitions, metrics) {
+        let unknown = 0;
+        for (const metric of metrics) {
+            if (!metric.name) {
+                const alias = toNumber(metric.alias);
+                const name = alias !== null ? node.aliases.get(alias) : undefined;
+                if (name === undefined) {
+                    unknown++;
+                    continue;
+                }
+                metric.name = name;
+            }
+            const definition = definitions ? definitions.get(metric.name) : null;
+            if (!metric.type && definition && definition.type) metric.type = definition.type;
+        }
+        return unknown;
+    }
+
+    /**
+     * Validates the sequence number of an edge node message.
+     * @param {EdgeNodeState} node
+     * @param {any} rawSeq
+     * @returns {boolean} False if a gap was detected.
+     */
+    checkSequence(node, rawSeq) {
+        const seq = toNumber(rawSeq);
+        if (seq === null) return true;
+        const expected = node.lastSeq === null ? seq : (node.lastSeq + 1) % 256;
+        node.lastSeq = seq;
+        return seq === expected;
+    }
+
+    /**
+     * Sends an NCMD rebirth request to an edge node (rate-limited per node).
+     * @param {EdgeNodeState} node
+     * @param {string} reason
+     * @returns {boolean} True if a request was sent.
+     */
+    requestRebirth(node, reason) {
+        const now = Date.now();
+        if (now - node.lastRebirthRequest < REBIRTH_COOLDOWN_MS) return false;
+        node.lastRebirthRequest = now;
+
+        const topic = `${NAMESPACE}/${node.groupId}/NCMD/${node.edgeNodeId}`;
+        this.logger.warn(`Requesting Sparkplug rebirth of '${node.groupId}/${node.edgeNodeId}' (${reason}).`);
+        try {
+            const payload = spBv10Codec.encodePayload({
+                timestamp: now,
+                metrics: [{ name: REBIRTH_METRIC, type: 'Boolean', value: true }]
+            });
+            this.publish(topic, payload, { qos: 0, retain: false });
+        } catch (err) {
+            this.logger.error({ err, topic }, "❌ Failed to send Sparkplug rebirth request");
+        }
+        return true;
+    }
+
+    /**
+     * Updates the host state with a decoded edge node message and resolves its aliases in place.
+     * The payload is annotated with `_sparkplug` ({ edgeNode, device }: 'online' | 'offline')
+     * so the tree reflects the node and device state.
+     * @param {string} topic
+     * @param {Object} payload Decoded Sparkplug payload.
+     * @returns {Object} The same payload, resolved.
+     */
+    processMessage(topic, payload) {
+        const parsed = parseTopic(topic);
+        if (!parsed || !payload || typeof payload !== 'object') return payload;
+
+        const { messageType, deviceId } = parsed;
+        const metrics = Array.isArray(payload.metrics) ? payload.metrics : [];
+        const node = this.getNode(parsed);
+        let rebirthReason = null;
+
+        if (messageType === 'NBIRTH') {
+            const bdSeqMetric = metrics.find(m => m.name === 'bdSeq');
+            node.online = true;
+            node.bdSeq = bdSeqMetric ? toNumber(bdSeqMetric.value) : null;
+            node.lastSeq = toNumber(payload.seq);
+            node.aliases.clear();
+            node.metrics.clear();
+            node.devices.clear();
+            this.registerMetrics(node, node.metrics, metrics);
+        } else if (messageType === 'NDEATH') {
+            const bdSeqMetric = metrics.find(m => m.name === 'bdSeq');
+            const bdSeq = bdSeqMetric ? toNumber(bdSeqMetric.value) : null;
+            if (node.bdSeq !== null && bdSeq !== null && bdSeq !== node.bdSeq) {
+                // Late Last Will of a previous session: the node is already back online
+                this.logger.debug(`Ignoring stale NDEATH of '${node.groupId}/${node.edgeNodeId}' (bdSeq ${bdSeq}, current ${node.bdSeq}).`);
+            } else {
+                node.online = false;
+                node.devices.forEach(device => { device.online = false; });
+            }
+        } else if (SEQUENCED_TYPES.includes(messageType)) {
+            if (!node.online) {
+                rebirthReason = `${messageType} received without NBIRTH`;
+            } else if (!this.checkSequence(node, payload.seq)) {
+                rebirthReason = `sequence gap, received ${toNumber(payload.seq)}`;
+            }
+
+            let device = deviceId ? node.devices.get(deviceId) : null;
+            if (messageType === 'DBIRTH' && deviceId) {
+                device = { online: true, metrics: new Map() };
+                node.devices.set(deviceId, device);
+                this.registerMetrics(node, device.metrics, metrics);
+            } else if (messageType === 'DDEATH' && device) {
+                device.online = false;
+            } else if (deviceId && !device && !rebirthReason && messageType === 'DDATA') {
+                rebirthReason = `DDATA received without DBIRTH for device '${deviceId}'`;
+            }
+
+            const unknown = this.resolveMetrics(node, device ? device.metrics : node.metrics, metrics);
+            if (unknown > 0 && !rebirthReason) rebirthReason = `${unknown} unknown metric alias(es)`;
+        } else if (messageType === 'NCMD' || messageType === 'DCMD') {
+            // Commands sent by host applications may use aliases too
+            const device = deviceId ? node.devices.get(deviceId) : null;
+            this.resolveMetrics(node, device ? device.metrics : node.metrics, metrics);
+        }
+
+        if (rebirthReason) this.requestRebirth(node, rebirthReason);
+
+        const state = { edgeNode: node.online ? 'online' : 'offline' };
+        if (deviceId) {
+            const device = node.devices.get(deviceId);
+            state.device = device && device.online && node.online ? 'online' : 'offline';
+        }
+        payload._sparkplug = state;
+        return payload;
+    }
+}
+
+module.exports = {
+    SparkplugHost,
+    parseTopic,
+    isStateTopic,
+    REBIRTH_METRIC
+};
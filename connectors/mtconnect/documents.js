@@ -0,0 +1,242 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * MTConnect Documents
+ * Parses the documents of an MTConnect agent: `/probe` (device / component / data item hierarchy)
+ * and `/current` / `/sample` (observations), plus the `multipart/x-mixed-replace` stream of a
+ * long-polled `/sample` request.
+ */
+const { parseXml } = require('../../core/xmlUtils');
+
+/**
+ * @typedef {Object} DataItemInfo
+ * @property {string} id Data item ID (unique in the agent).
+ * @property {string} [name]
+ * @property {string} type MTConnect type (e.g. `POSITION`, `EXECUTION`).
+ * @property {string} [subType]
+ * @property {'SAMPLE'|'EVENT'|'CONDITION'} category
+ * @property {string} [units]
+ * @property {string} device Device name.
+ * @property {string[]} path Names of the components from the device down to the data item owner.
+ * @property {string} componentId ID of the owning component (or device).
+ */
+
+/**
+ * @typedef {Object} ComponentInfo
+ * @property {string} id
+ * @property {string} name
+ * @property {string} kind Element name (`Device`, `Axes`, `Linear`, `Controller`...).
+ * @property {string|null} parentId
+ * @property {string} device Device name.
+ * @property {string[]} path Names from the device down to this component.
+ */
+
+/**
+ * @typedef {Object} Observation
+ * @property {string} dataItemId
+ * @property {string} [name]
+ * @property {'SAMPLE'|'EVENT'|'CONDITION'} category
+ * @property {string} kind Element name (e.g. `Position`, `Execution`, `Fault`).
+ * @property {number} sequence
+ * @property {string} timestamp ISO 8601 timestamp set by the agent.
+ * @property {string} value Text content (level for conditions: `NORMAL`, `WARNING`, `FAULT`), `UNAVAILABLE` when unknown.
+ * @property {string} [message] Message of a condition.
+ * @property {string} device Device name.
+ * @property {string} componentId
+ * @property {Object<string, string>} attrs All attributes of the observation.
+ */
+
+/** Value of an observation whose data item is not available. */
+const UNAVAILABLE = 'UNAVAILABLE';
+const CATEGORY_CONTAINERS = { Samples: 'SAMPLE', Events: 'EVENT', Condition: 'CONDITION' };
+
+// --- XML ---
+
+/**
+ * @param {Object} element
+ * @param {string} name
+ * @returns {Object|undefined} First child with this name.
+ */
+function child(element, name) {
+    return element && element.children.find(c => c.name === name);
+}
+
+/**
+ * @param {string} xml
+ * @param {string} expectedRoot `MTConnectDevices` or `MTConnectStreams`.
+ * @returns {{root: Object, header: Object}}
+ * @throws {Error} With the agent `errorCode` as `code` for `MTConnectError` documents.
+ */
+function parseDocument(xml, expectedRoot) {
+    const root = parseXml(xml).children[0];
+    if (!root) throw new Error('Empty MTConnect document');
+    if (root.name === 'MTConnectError') {
+        const errors = child(root, 'Errors');
+        const error = (errors ? errors.children[0] : child(root, 'Error')) || { attrs: {}, text: '' };
+        const err = new Error(`MTConnect agent error ${error.attrs.errorCode || ''}: ${error.text || 'unknown'}`.trim());
+        err.code = error.attrs.errorCode || 'MTCONNECT_ERROR';
+        throw err;
+    }
+    if (root.name !== expectedRoot) throw new Error(`Unexpected MTConnect document '${root.name}' (expected ${expectedRoot})`);
+    const header = (child(root, 'Header') || { attrs: {} }).attrs;
+    return { root, header };
+}
+
+// --- Probe ---
+
+/**
+ * Reads the device / component / data item hierarchy of a `/probe` response.
+ * @param {string} xml
+ * @returns {{instanceId: string, devices: ComponentInfo[], components: ComponentInfo[], dataItems: DataItemInfo[]}}
+ */
+function parseProbe(xml) {
+    const { root, header } = parseDocument(xml, 'MTConnectDevices');
+    const devices = [];
+    const components = [];
+    const dataItems = [];
+
+    const visit = (element, parent, device) => {
+        const name = element.attrs.name || element.attrs.id || element.name;
+        const info = {
+            id: element.attrs.id || name,
+            name,
+            kind: element.name,
+            parentId: parent ? parent.id : null,
+            device: device || name,
+            path: parent ? [...parent.path, name] : []
+        };
+        if (parent) components.push(info);
+        else devices.push({ ...info, uuid: element.attrs.uuid });
+
+        const items = child(element, 'DataItems');
+        (items ? items.children : []).filter(c => c.name === 'DataItem').forEach(item => {
+            dataItems.push({
+                id: item.attrs.id,
+                name: item.attrs.name,
+                type: item.attrs.type,
+                subType: item.attrs.subType,
+                category: item.attrs.category,
+                units: item.attrs.units,
+                device: info.device,
+                path: info.path,
+                componentId: info.id
+            });
+        });
+        const nested = child(element, 'Components');
+        (nested ? nested.children : []).forEach(component => visit(component, info, info.device));
+    };
+
+    const devicesElement = child(root, 'Devices');
+    (devicesElement ? devicesElement.children : []).filter(c => c.name === 'Device' || c.name === 'Agent').forEach(device => visit(device, null));
+    return { instanceId: header.instanceId, devices, components, dataItems };
+}
+
+// --- Streams ---
+
+/**
+ * Reads the observations of a `/current` or `/sample` response, in sequence order.
+ * @param {string} xml
+ * @returns {{instanceId: string, firstSequence: number, lastSequence: number, nextSequence: number, observations: Observation[]}}
+ */
+function parseStreams(xml) {
+    const { root, header } = parseDocument(xml, 'MTConnectStreams');
+    const observations = [];
+    const streams = child(root, 'Streams');
+    (streams ? streams.children : []).forEach(deviceStream => {
+        const device = deviceStream.attrs.name;
+        deviceStream.children.filter(c => c.name === 'ComponentStream').forEach(componentStream => {
+            componentStream.children.forEach(container => {
+                const category = CATEGORY_CONTAINERS[container.name];
+                if (!category) return;
+                container.children.forEach(obs => {
+                    observations.push({
+                        dataItemId: obs.attrs.dataItemId,
+                        name: obs.attrs.name,
+                        category,
+                        kind: obs.name,
+                        sequence: parseInt(obs.attrs.sequence, 10),
+                        timestamp: obs.attrs.timestamp,
+                        // Conditions carry their level in the element name and an optional message as text
+                        value: category === 'CONDITION' ? obs.name.toUpperCase() : obs.text,
+                        message: category === 'CONDITION' && obs.text ? obs.text : undefined,
+                        device,
+                        componentId: componentStream.attrs.componentId,
+                        attrs: obs.attrs
+                    });
+                });
+            });
+        });
+    });
+    observations.sort((a, b) => a.sequence - b.sequence);
+    return {
+        instanceId: header.instanceId,
+        firstSequence: parseInt(header.firstSequence, 10),
+        lastSequence: parseInt(header.lastSequence, 10),
+        nextSequence: parseInt(header.nextSequence, 10),
+        observations
+    };
+}
+
+// --- multipart/x-mixed-replace ---
+
+/**
+ * @param {string} contentType Value of the `Content-Type` header.
+ * @returns {string|null} The multipart boundary, or null if the response is a single document.
+ */
+function getBoundary(contentType) {
+    const match = /multipart\/x-mixed-replace\s*;.*boundary="?([^";]+)"?/i.exec(contentType || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * Splits a `multipart/x-mixed-replace` stream into its parts, using their `Content-length`
+ * when present and the next boundary otherwise.
+ */
+class MultipartReader {
+    /**
+     * @param {string} boundary
+     * @param {function(string): void} onPart Receives the body of each part.
+     */
+    constructor(boundary, onPart) {
+        this.delimiter = Buffer.from(`--${boundary}`);
+        this.onPart = onPart;
+        this.buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * @param {Buffer} chunk
+     */
+    push(chunk) {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        while (this.readPart());
+    }
+
+    /**
+     * @returns {boolean} True if a part was consumed.
+     * @private
+     */
+    readPart() {
+        const start = this.buffer.indexOf(this.delimiter);
+        if (start < 0) return false;
+        const headersEnd = this.buffer.indexOf('\r\n\r\n', start);
+        if (headersEnd < 0) return false;
+
+        const headers = this.buffer.toString('utf8', start + this.delimiter.length, headersEnd);
+        const lengthMatch = /content-length:\s*(\d+)/i.exec(headers);
+        const bodyStart = headersEnd + 4;
+        let bodyEnd;
+        if (lengthMatch) {
+            bodyEnd = bodyStart + parseInt(lengthMatch[1], 10);
+            if (this.buffer.length < bodyEnd) return false;
+        } else {
+            bodyEnd = this.buffer.indexOf(this.delimiter, bodyStart);
+            if (bodyEnd < 0) return false;
+        }
+        const body = this.buffer.toString('utf8', bodyStart, bodyEnd);
+        this.buffer = this.buffer.subarray(bodyEnd);
+        if (body.trim()) this.onPart(body);
+        return true;
+    }
+}
+
+module.exports = { UNAVAILABLE, parseXml, parseProbe, parseStreams, getBoundary, MultipartReader };
@@ -0,0 +1,416 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * MTConnect Agent Provider Plugin
+ * Implements the BaseProvider interface for MTConnect agents (CNC machines, robots...), without a separate adapter.
+ * `/probe` gives the device / component / data item hierarchy (topics and I3X model), `/current` the
+ * initial values, then the `/sample` long-poll stream is consumed with `nextSequence` tracking.
+ * Each observation is published on the topic of its data item with its MTConnect timestamp.
+ */
+const axios = require('axios');
+const BaseProvider = require('../baseProvider');
+const semanticManager = require('../../core/semantic/semanticManager');
+const { UNAVAILABLE, parseProbe, parseStreams, getBoundary, MultipartReader } = require('./documents');
+
+const MTCONNECT_NAMESPACE = 'urn:mtconnect.org:MTConnectDevices';
+const DEFAULT_INTERVAL_MS = 1000;
+const DEFAULT_HEARTBEAT_MS = 10000;
+const DEFAULT_COUNT = 1000;
+const DEFAULT_RECONNECT_MS = 5000;
+/** The persisted `nextSequence` is saved at most this often. */
+const STATE_SAVE_INTERVAL_MS = 5000;
+/** Agent errors meaning the requested sequence left the agent buffer. */
+const SEQUENCE_ERRORS = ['OUT_OF_RANGE', 'INVALID_REQUEST'];
+
+/**
+ * @typedef {Object} MtconnectProviderOptions
+ * @property {string} url Agent base URL (e.g. `http://agent:5000`).
+ * @property {string} [device] Device name or UUID, to read a single device of the agent.
+ * @property {string} [topicPrefix] Root of the UNS topics (default `mtconnect`).
+ * @property {number} [interval] Minimum delay (ms) between two `/sample` chunks (default 1000).
+ * @property {number} [heartbeat] Agent heartbeat (ms) on an idle stream (default 10000). The stream is restarted without data for 3 heartbeats.
+ * @property {number} [count] Maximum observations per chunk (default 1000).
+ * @property {'null'|'skip'} [unavailable] UNAVAILABLE values are published with a `null` value (default) or not published.
+ * @property {number} [reconnectInterval] Delay (ms) before reconnecting to the agent (default 5000).
+ */
+
+/**
+ * @param {string} name
+ * @returns {string} A name usable as one topic level.
+ */
+function topicLevel(name) {
+    return String(name).trim().replace(/[\s/+#]+/g, '_');
+}
+
+/**
+ * Builds the I3X instances of a probe: one element per device and component, one per data item.
+ * @param {string} providerId
+ * @param {ReturnType<typeof parseProbe>} probe
+ * @param {Map<string, string>} topics Data item ID -> UNS topic.
+ * @param {string} topicPrefix
+ * @returns {Object[]}
+ */
+function buildI3xElements(providerId, probe, topics, topicPrefix) {
+    const idOf = (id) => `mtc_${providerId}_${String(id).replace(/[^a-zA-Z0-9_-]/g, '_')}`;
+    const elements = [];
+    probe.devices.forEach(device => elements.push({
+        elementId: idOf(device.id),
+        displayName: device.name,
+        typeId: 'MTConnectDevice',
+        namespaceUri: MTCONNECT_NAMESPACE,
+        isComposition: true,
+        topic_mapping: `${topicPrefix}/${topicLevel(device.name)}/#`,
+        attributes: { uuid: device.uuid, mtconnectId: device.id }
+    }));
+    probe.components.forEach(component => elements.push({
+        elementId: idOf(component.id),
+        displayName: component.name,
+        typeId: 'MTConnectComponent',
+        namespaceUri: MTCONNECT_NAMESPACE,
+        parentId: idOf(component.parentId),
+        isComposition: true,
+        attributes: { component: component.kind, mtconnectId: component.id }
+    }));
+    probe.dataItems.forEach(item => elements.push({
+        elementId: idOf(item.id),
+        displayName: item.name || item.id,
+        typeId: 'MTConnectDataItem',
+        namespaceUri: MTCONNECT_NAMESPACE,
+        parentId: idOf(item.componentId),
+        isComposition: false,
+        topic_mapping: topics.get(item.id),
+        attributes: { type: item.type, subType: item.subType, category: item.category, units: item.units, dataItemId: item.id }
+    }));
+    return elements;
+}
+
+class MtconnectProvider extends BaseProvider {
+    /**
+     * @param {import('../baseProvider').ProviderConfig} config
+     * @param {import('../baseProvider').ProviderContext} context
+     */
+    constructor(config, context) {
+        super(config, context);
+        /** @type {MtconnectProviderOptions} */
+        this.options = config.options || {};
+        this.baseUrl = (this.options.url || '').replace(/\/+$/, '');
+        this.devicePath = this.options.device ? `/${encodeURIComponent(this.options.device)}` : '';
+        this.topicPrefix = (this.options.topicPrefix || 'mtconnect').replace(/^\/+|\/+$/g, '');
+        this.interval = parseInt(this.options.interval, 10) || DEFAULT_INTERVAL_MS;
+        this.heartbeat = parseInt(this.options.heartbeat, 10) || DEFAULT_HEARTBEAT_MS;
+        this.count = parseInt(this.options.count, 10) || DEFAULT_COUNT;
+
+        /** @type {Map<string, {topic: string, item: Object}>} Data item ID -> topic and definition. */
+        this.dataItems = new Map();
+        this.instanceId = null;
+        this.nextSequence = null;
+        this.lastStateSave = 0;
+        this.abortController = null;
+        this.watchdog = null;
+        this.reconnectTimer = null;
+        this.closing = false;
+    }
+
+    /**
+     * @param {string} path Request path, e.g. `/probe`.
+     * @param {Object} [params]
+     * @returns {Promise<string>} The XML document.
+     * @private
+     */
+    async request(path, params) {
+        const response = await axios.get(`${this.baseUrl}${this.devicePath}${path}`, {
+            params,
+            responseType: 'text',
+            timeout: this.heartbeat * 3,
+            // MTConnect errors (e.g. OUT_OF_RANGE) come with an error status and an MTConnectError document
+            validateStatus: () => true
+        });
+        return typeof response.data === 'string' ? response.data : String(response.data);
+    }
+
+    /**
+     * Reads the device model and assigns a topic to each data item: `<prefix>/<device>/<components...>/<name or id>`.
+     * @private
+     */
+    async probe() {
+        const probe = parseProbe(await this.request('/probe'));
+        const topics = new Map();
+        this.dataItems.clear();
+        probe.dataItems.forEach(item => {
+            const topic = [this.topicPrefix, item.device, ...item.path, item.name || item.id].map(topicLevel).join('/');
+            topics.set(item.id, topic);
+            this.dataItems.set(item.id, { topic, item });
+        });
+        this.logger.info(`✅ MTConnect probe: ${probe.devices.length} device(s), ${probe.dataItems.length} data items.`);
+
+        if (this.config.registerI3x !== false && probe.devices.length > 0) {
+            semanticManager.registerExternalElements(this.id, buildI3xElements(this.id, probe, topics, this.topicPrefix), {
+                namespaces: [{ uri: MTCONNECT_NAMESPACE, displayName: 'MTConnect' }],
+                objectTypes: [
+                    { elementId: 'MTConnectDevice', displayName: 'MTConnect Device', namespaceUri: MTCONNECT_NAMESPACE, schema: { type: 'object' } },
+                    { elementId: 'MTConnectComponent', displayName: 'MTConnect Component', namespaceUri: MTCONNECT_NAMESPACE, schema: { type: 'object' } },
+                    { elementId: 'MTConnectDataItem', displayName: 'MTConnect Data Item', namespaceUri: MTCONNECT_NAMESPACE, schema: { type: 'object' } }
+                ]
+            });
+        }
+        return probe;
+    }
+
+    /**
+     * Publishes an observation on the topic of its data item.
+     * @param {import('./documents').Observation} obs
+     * @private
+     */
+    emitObservation(obs) {
+        const unavailable = obs.value === UNAVAILABLE;
+        if (unavailable && this.options.unavailable === 'skip') return;
+        const known = this.dataItems.get(obs.dataItemId);
+        const topic = known ? known.topic : [this.topicPrefix, obs.device, obs.componentId, obs.name || obs.dataItemId].map(topicLevel).join('/');
+
+        let value = unavailable ? null : obs.value;
+        if (!unavailable && obs.category === 'SAMPLE' && value !== '' && !isNaN(Number(value))) value = Number(value);
+        const payload = {
+            value,
+            quality: unavailable ? 'Unavailable' : 'Good',
+            timestamp: obs.timestamp,
+            sequence: obs.sequence,
+            type: known ? known.item.type : obs.kind,
+            category: obs.category
+        };
+        if (known && known.item.subType) payload.subType = known.item.subType;
+        if (known && known.item.units) payload.units = known.item.units;
+        if (obs.message) payload.message = obs.message;
+        if (obs.category === 'CONDITION' && obs.attrs.nativeCode) payload.nativeCode = obs.attrs.nativeCode;
+
+        const timestamp = Date.parse(obs.timestamp);
+        this.handleIncomingMessage(topic, payload, Number.isNaN(timestamp) ? {} : { timestamp });
+    }
+
+    /**
+     * Processes a `/current` or `/sample` document and advances `nextSequence`.
+     * @param {string} xml
+     * @private
+     */
+    processStreams(xml) {
+        const streams = parseStreams(xml);
+        if (this.instanceId && streams.instanceId !== this.instanceId) {
+            const err = new Error('MTConnect agent restarted (new instanceId)');
+            err.code = 'INSTANCE_CHANGED';
+            throw err;
+        }
+        streams.observations.forEach(obs => this.emitObservation(obs));
+        this.instanceId = streams.instanceId;
+        this.nextSequence = streams.nextSequence;
+        this.persistSequence();
+        return streams;
+    }
+
+    /**
+     * Saves the stream position (throttled), to resume after a restart while the agent still buffers it.
+     * @param {boolean} [force]
+     * @private
+     */
+    persistSequence(force = false) {
+        const now = Date.now();
+        if (!force && now - this.lastStateSave < STATE_SAVE_INTERVAL_MS) return;
+        this.lastStateSave = now;
+        this.saveState({ url: this.baseUrl + this.devicePath, instanceId: this.instanceId, nextSequence: this.nextSequence });
+    }
+
+    /**
+     * Probes the agent, then resumes from the persisted sequence when the agent still buffers it,
+     * or reads `/current` otherwise.
+     * @private
+     */
+    async start() {
+        await this.probe();
+        const current = parseStreams(await this.request('/current'));
+        const saved = await this.loadState();
+        const canResume = saved && saved.url === this.baseUrl + this.devicePath && saved.instanceId === current.instanceId
+            && saved.nextSequence >= current.firstSequence && saved.nextSequence <= current.nextSequence;
+
+        this.instanceId = null;
+        if (canResume) {
+            this.logger.info(`Resuming MTConnect stream of ${this.id} from sequence ${saved.nextSequence}.`);
+            this.instanceId = saved.instanceId;
+            this.nextSequence = saved.nextSequence;
+        } else {
+            if (saved && saved.instanceId === current.instanceId) {
+                this.logger.warn(`Sequence ${saved.nextSequence} of ${this.id} is no longer buffered by the agent: restarting from the current values.`);
+            }
+            current.observations.forEach(obs => this.emitObservation(obs));
+            this.instanceId = current.instanceId;
+            this.nextSequence = current.nextSequence;
+            this.persistSequence(true);
+        }
+        this.streamSamples();
+    }
+
+    /**
+     * Restarts the watchdog aborting a stream that stays silent for 3 heartbeats.
+     * @private
+     */
+    armWatchdog() {
+        if (this.watchdog) clearTimeout(this.watchdog);
+        this.watchdog = setTimeout(() => {
+            this.logger.warn(`No data from the MTConnect agent for ${this.heartbeat * 3} ms: restarting the stream.`);
+            if (this.abortController) this.abortController.abort();
+        }, this.heartbeat * 3);
+    }
+
+    /**
+     * Consumes the `/sample` long-poll stream from `nextSequence`. Agents answering with a single
+     * document (no multipart support) are polled again after `interval`.
+     * @private
+     */
+    async streamSamples() {
+        if (this.closing) return;
+        const abortController = new AbortController();
+        this.abortController = abortController;
+        const params = { from: this.nextSequence, count: this.count, interval: this.interval, heartbeat: this.heartbeat };
+
+        try {
+            this.armWatchdog();
+            const response = await axios.get(`${this.baseUrl}${this.devicePath}/sample`, {
+                params,
+                responseType: 'stream',
+                signal: abortController.signal,
+                validateStatus: () => true
+            });
+            const boundary = getBoundary(response.headers && response.headers['content-type']);
+
+            await new Promise((resolve, reject) => {
+                const chunks = [];
+                let failed = false;
+                const handlePart = (xml) => {
+                    if (failed) return;
+                    try {
+                        this.processStreams(xml);
+                    } catch (err) {
+                        failed = true;
+                        abortController.abort();
+                        reject(err);
+                    }
+                };
+                const reader = boundary ? new MultipartReader(boundary, handlePart) : null;
+                response.data.on('data', (chunk) => {
+                    this.armWatchdog();
+                    if (reader) reader.push(chunk);
+                    else chunks.push(chunk);
+                });
+                response.data.on('error', (err) => { if (!failed) reject(err); });
+                let ended = false;
+                response.data.on('end', () => {
+                    ended = true;
+                    if (!reader) handlePart(Buffer.concat(chunks).toString('utf8'));
+                    if (!failed) resolve();
+                });
+                // Aborted streams (watchdog, disconnect) close without 'end'
+                response.data.on('close', () => { if (!ended && !failed) reject(new Error('MTConnect stream closed')); });
+            });
+
+            // Single document answer, or stream closed by the agent: continue from nextSequence
+            if (!this.closing && this.abortController === abortController) {
+                this.reconnectTimer = setTimeout(() => {
+                    this.reconnectTimer = null;
+                    this.streamSamples();
+                }, boundary ? 0 : this.interval);
+            }
+        } catch (err) {
+            if (this.closing || this.abortController !== abortController) return;
+            this.handleStreamError(err);
+        } finally {
+            if (this.abortController === abortController && this.watchdog) {
+                clearTimeout(this.watchdog);
+                this.watchdog = null;
+            }
+        }
+    }
+
+    /**
+     * Restarts from `/current` when the agent lost our sequence or restarted, reconnects later on network errors.
+     * @param {Error} err
+     * @private
+     */
+    handleStreamError(err) {
+        if (SEQUENCE_ERRORS.includes(err.code) || err.code === 'INSTANCE_CHANGED') {
+            this.logger.warn(`${err.message}. Resynchronizing from the current values.`);
+            this.instanceId = null;
+            this.restart(0);
+            return;
+        }
+        this.logger.error({ err: err.message }, `MTConnect stream of ${this.id} interrupted.`);
+        this.connected = false;
+        this.updateStatus('offline', err.message);
+        this.restart(parseInt(this.options.reconnectInterval, 10) || DEFAULT_RECONNECT_MS);
+    }
+
+    /**
+     * @param {number} delay
+     * @private
+     */
+    restart(delay) {
+        if (this.closing || this.reconnectTimer) return;
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.closing) return;
+            try {
+                await this.start();
+                if (!this.connected) {
+                    this.connected = true;
+                    this.updateStatus('connected');
+                }
+            } catch (err) {
+                this.handleStreamError(err);
+            }
+        }, delay);
+    }
+
+    async connect() {
+        if (!this.baseUrl) {
+            this.updateStatus('error', 'Missing agent URL');
+            return false;
+        }
+        this.closing = false;
+        this.logger.info(`Connecting to MTConnect agent ${this.baseUrl}${this.devicePath}...`);
+        this.updateStatus('connecting');
+        try {
+            await this.start();
+            this.connected = true;
+            this.updateStatus('connected');
+            return true;
+        } catch (err) {
+            this.logger.error({ err: err.message }, `Failed to connect to the MTConnect agent`);
+            this.updateStatus('error', err.message);
+            this.restart(parseInt(this.options.reconnectInterval, 10) || DEFAULT_RECONNECT_MS);
+            return false;
+        }
+    }
+
+    async disconnect() {
+        this.closing = true;
+        [this.reconnectTimer, this.watchdog].forEach(timer => timer && clearTimeout(timer));
+        this.reconnectTimer = null;
+        this.watchdog = null;
+        if (this.abortController) this.abortController.abort();
+        this.abortController = null;
+        if (this.instanceId) this.persistSequence(true);
+        this.connected = false;
+        this.updateStatus('disconnected');
+    }
+
+    /**
+     * @returns {Promise<import('../baseProvider').ProviderHealth>} With the stream position.
+     */
+    async health() {
+        const base = await super.health();
+        return { ...base, details: { instanceId: this.instanceId, nextSequence: this.nextSequence, dataItems: this.dataItems.size } };
+    }
+
+    publish(topic, payload, options, callback) {
+        // MTConnect agents are read-only
+        if (typeof callback === 'function') callback(new Error('MTConnect provider is read-only'));
+    }
+}
+
+module.exports = MtconnectProvider;
@@ -0,0 +1,417 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * NATS / JetStream Provider Plugin
+ * Implements the BaseProvider interface for NATS servers, as a lightweight edge bus next to MQTT.
+ * Subscriptions are UNS topic patterns (`plant/+/temp`, `plant/#`) translated to NATS subjects
+ * (`plant.*.temp`, `plant.>`), or subjects written as is. With `options.jetstream`, a durable consumer
+ * is used instead, and messages are acknowledged once dispatched so Korelate resumes after a downtime.
+ * NATS headers carry the correlation ID, and `publish()` sends Mapper outputs back to subjects.
+ * Requires the optional `nats` library.
+ */
+const fs = require('fs');
+const path = require('path');
+const mqttMatch = require('mqtt-match');
+const BaseProvider = require('../baseProvider');
+
+const DEFAULT_SERVER = 'nats://localhost:4222';
+const DEFAULT_RECONNECT_MS = 5000;
+const DEFAULT_MAX_ACK_PENDING = 100;
+/** Headers checked (case-insensitive), in order, for the correlation ID. */
+const CORRELATION_HEADERS = ['correlationid', 'correlation-id', 'x-correlation-id', 'nats-msg-id'];
+const DELIVER_POLICIES = ['all', 'new', 'last', 'last_per_subject'];
+
+/**
+ * @typedef {Object} JetStreamOptions
+ * @property {string} stream Stream holding the subscribed subjects.
+ * @property {string} [durable] Durable consumer name (default `korelate-<id>`), created if missing.
+ * @property {'all'|'new'|'last'|'last_per_subject'} [deliverPolicy] Where a new consumer starts (default `all`).
+ * @property {number} [ackWait] Delay (ms) before an unacknowledged message is redelivered (default 30000).
+ * @property {number} [maxAckPending] Messages in flight (default 100).
+ * @property {boolean} [publish] Publish Mapper outputs through JetStream (stored and acknowledged by the stream).
+ */
+
+/**
+ * @typedef {Object} NatsProviderOptions
+ * @property {string|string[]} [servers] Server URLs (default `nats://localhost:4222`).
+ * @property {string} [user] Username.
+ * @property {string} [pass] Password.
+ * @property {string} [token] Authentication token.
+ * @property {string} [credsFilename] NATS credentials file (JWT + NKey) in the certificates folder.
+ * @property {string} [caFilename] CA certificate (in the certificates folder) enabling TLS.
+ * @property {string} [queue] Queue group shared by several Korelate instances (core subscriptions only).
+ * @property {string} [topicPrefix] Prepended to the UNS topics (and removed from the published topics).
+ * @property {JetStreamOptions} [jetstream] Consume a JetStream durable consumer instead of core subscriptions.
+ * @property {number} [reconnectInterval] Delay (ms) between connection attempts while the server is unreachable (default 5000).
+ */
+
+/**
+ * Translates a UNS topic pattern into a NATS subject: `plant/+/temp` -> `plant.*.temp`, `plant/#` -> `plant.>`.
+ * Patterns without `/`, `+` or `#` are already subjects and are returned as is.
+ * @param {string} pattern
+ * @returns {string}
+ */
+function topicPatternToSubject(pattern) {
+    if (!/[/+#]/.test(pattern)) return pattern;
+    return pattern.split('/').filter(Boolean).map(level => {
+        if (level === '+') return '*';
+        if (level === '#') return '>';
+        return level.replace(/[.*>\s]/g, '_');
+    }).join('.');
+}
+
+/**
+ * Translates a NATS subject (or subject pattern) into a UNS topic: `plant.*.temp` -> `plant/+/temp`.
+ * MQTT special characters inside tokens are replaced so that each token stays one level.
+ * @param {string} subject
+ * @returns {string}
+ */
+function subjectToTopic(subject) {
+    return subject.split('.').filter(Boolean).map(token => {
+        if (token === '*') return '+';
+        if (token === '>') return '#';
+        return token.replace(/[/+#]/g, '_');
+    }).join('/');
+}
+
+/**
+ * @param {Object} [msgHeaders] NATS `MsgHdrs`.
+ * @returns {Object<string, string>|undefined} Headers as a plain object (first value of each).
+ */
+function headersToObject(msgHeaders) {
+    if (!msgHeaders || typeof msgHeaders.keys !== 'function') return undefined;
+    const result = {};
+    for (const key of msgHeaders.keys()) result[key] = msgHeaders.get(key);
+    return result;
+}
+
+class NatsProvider extends BaseProvider {
+    /**
+     * @param {import('../baseProvider').ProviderConfig} config
+     * @param {import('../baseProvider').ProviderContext} context
+     */
+    constructor(config, context) {
+        super(config, context);
+        /** @type {NatsProviderOptions} */
+        this.options = config.options || {};
+        this.topicPrefix = (this.options.topicPrefix || '').replace(/^\/+|\/+$/g, '');
+        this.allowedPublish = Array.isArray(config.publish) ? config.publish : [];
+        this.subjects = [...new Set((Array.isArray(config.subscribe) ? config.subscribe : [])
+            .filter(s => typeof s === 'string' && s.trim())
+            .map(s => topicPatternToSubject(s.trim())))];
+
+        this.nats = null; // Library, loaded on connect
+        this.nc = null;
+        this.js = null;
+        this.consumer = null;
+        this.messages = null;
+        this.subscriptions = [];
+        this.reconnectTimer = null;
+        this.closing = false;
+    }
+
+    /**
+     * @param {string} subject
+     * @returns {string} The UNS topic of a message.
+     */
+    buildTopic(subject) {
+        const levels = subjectToTopic(subject);
+        return this.topicPrefix ? `${this.topicPrefix}/${levels}` : levels;
+    }
+
+    /**
+     * @param {string} topic UNS topic.
+     * @returns {string} The subject used to publish it (topic prefix removed).
+     */
+    buildSubject(topic) {
+        const relative = this.topicPrefix && topic.startsWith(`${this.topicPrefix}/`) ? topic.slice(this.topicPrefix.length + 1) : topic;
+        return relative.split('/').filter(Boolean).map(level => level.replace(/[.*>\s]/g, '_')).join('.');
+    }
+
+    /**
+     * @returns {Object} Options of `nats.connect()`.
+     */
+    buildConnectOptions() {
+        const { servers = DEFAULT_SERVER, user, pass, token, credsFilename, caFilename } = this.options;
+        const connectOptions = {
+            servers,
+            name: `korelate-${this.id}`,
+            reconnect: true,
+            maxReconnectAttempts: -1
+        };
+        if (user) Object.assign(connectOptions, { user, pass });
+        if (token) connectOptions.token = token;
+        if (credsFilename) {
+            connectOptions.authenticator = this.nats.credsAuthenticator(fs.readFileSync(path.join(this.context.CERTS_PATH, credsFilename)));
+        }
+        if (caFilename) connectOptions.tls = { caFile: path.join(this.context.CERTS_PATH, caFilename) };
+        return connectOptions;
+    }
+
+    /**
+     * @param {Object<string, string>} [headers]
+     * @returns {string|undefined}
+     */
+    getCorrelationId(headers) {
+        if (!headers) return undefined;
+        const byName = {};
+        Object.keys(headers).forEach(key => { byName[key.toLowerCase()] = headers[key]; });
+        const name = CORRELATION_HEADERS.find(key => byName[key]);
+        return name ? String(byName[name]) : undefined;
+    }
+
+    /**
+     * Forwards a message to the UNS. JetStream messages are acknowledged once dispatched;
+     * a message failing to dispatch is redelivered once, then terminated.
+     * @param {Object} msg NATS `Msg` or JetStream `JsMsg`.
+     * @param {boolean} isJetStream
+     */
+    async handleNatsMessage(msg, isJetStream) {
+        const headers = headersToObject(msg.headers);
+        const metadata = { correlationId: this.getCorrelationId(headers), natsSubject: msg.subject };
+        // JetStream messages are acked below: a failed dispatch must not be acknowledged
+        if (isJetStream) metadata.rejectOnError = true;
+        if (headers) metadata.natsHeaders = headers;
+        if (isJetStream && msg.info) {
+            metadata.natsStreamSequence = msg.info.streamSequence;
+            if (msg.info.timestampNanos) metadata.timestamp = Math.floor(Number(msg.info.timestampNanos) / 1e6);
+        }
+        const payload = Buffer.from(msg.data.buffer, msg.data.byteOffset, msg.data.byteLength);
+
+        try {
+            await this.handleIncomingMessage(this.buildTopic(msg.subject), payload, metadata);
+            if (isJetStream) msg.ack();
+        } catch (err) {
+            this.logger.error({ err, subject: msg.subject }, 'Failed to dispatch NATS message.');
+            if (!isJetStream) return;
+            if (msg.info && msg.info.redelivered) msg.term();
+            else msg.nak();
+        }
+    }
+
+    /**
+     * Creates the durable consumer, or aligns its subjects with the configuration, and starts consuming.
+     * @private
+     */
+    async startJetStream() {
+        const { stream, durable = `korelate-${this.id}`, deliverPolicy = 'all', ackWait = 30000, maxAckPending = DEFAULT_MAX_ACK_PENDING } = this.options.jetstream;
+        if (!stream) throw new Error("'jetstream.stream' is required");
+        if (!DELIVER_POLICIES.includes(deliverPolicy)) throw new Error(`Invalid JetStream deliverPolicy '${deliverPolicy}'`);
+
+        const jsm = await this.nc.jetstreamManager();
+        const filter = this.subjects.length === 1 ? { filter_subject: this.subjects[0] } : { filter_subjects: this.subjects };
+        const settings = { ack_wait: this.nats.nanos(ackWait), max_ack_pending: maxAckPending, ...filter };
+        let exists = true;
+        try {
+            await jsm.consumers.info(stream, durable);
+        } catch (err) {
+            exists = false;
+        }
+        if (exists) {
+            // The delivery position is kept: only the subjects and flow control follow the configuration
+            await jsm.consumers.update(stream, durable, settings);
+        } else {
+            await jsm.consumers.add(stream, {
+                durable_name: durable,
+                ack_policy: this.nats.AckPolicy.Explicit,
+                deliver_policy: deliverPolicy,
+                ...settings
+            });
+            this.logger.info(`Created JetStream durable consumer '${durable}' on stream '${stream}'.`);
+        }
+
+        this.consumer = await this.js.consumers.get(stream, durable);
+        this.messages = await this.consumer.consume({
+            max_messages: maxAckPending,
+            callback: (msg) => this.handleNatsMessage(msg, true)
+        });
+        this.logger.info(`✅ Consuming JetStream '${stream}' with durable '${durable}' (${this.subjects.join(', ')}).`);
+    }
+
+    /**
+     * Follows the connection state reported by the client (it reconnects by itself).
+     * @param {Object} nc NATS connection.
+     * @private
+     */
+    async watchStatus(nc) {
+        try {
+            for await (const status of nc.status()) {
+                if (this.nc !== nc || this.closing) return;
+                if (status.type === 'disconnect') {
+                    this.connected = false;
+                    this.updateStatus('offline', `Disconnected from ${status.data}`);
+                } else if (status.type === 'reconnect') {
+                    this.connected = true;
+                    this.updateStatus('connected');
+                } else if (status.type === 'error') {
+                    this.logger.error(`❌ NATS error: ${status.data}`);
+                }
+            }
+        } catch (err) {
+            // Iterator ends with the connection
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>}
+     */
+    async connect() {
+        this.closing = false;
+        this.updateStatus('connecting');
+        try {
+            this.nats = require('nats');
+        } catch (err) {
+            if (err.code !== 'MODULE_NOT_FOUND') throw err;
+            this.logger.error("Missing dependency 'nats'. Please install it using: npm install nats");
+            this.updateStatus('error', 'Missing nats library');
+            return false;
+        }
+
+        try {
+            const connectOptions = this.buildConnectOptions();
+            this.logger.info(`Connecting to NATS ${[].concat(connectOptions.servers).join(', ')}...`);
+            const nc = await this.nats.connect(connectOptions);
+            this.nc = nc;
+            this.js = nc.jetstream();
+            this.watchStatus(nc);
+            nc.closed().then((err) => {
+                if (this.nc !== nc || this.closing) return;
+                // Only fatal errors (e.g. authorization) close the connection, the client retries the others
+                this.connected = false;
+                this.nc = null;
+                this.updateStatus('error', err ? err.message : 'Connection closed');
+            });
+
+            if (this.subjects.length > 0) {
+                if (this.options.jetstream) {
+                    await this.startJetStream();
+                } else {
+                    const queue = this.options.queue || undefined;
+                    this.subscriptions = this.subjects.map(subject => nc.subscribe(subject, {
+                        queue,
+                        callback: (err, msg) => {
+                            if (err) return this.logger.error(`❌ NATS subscription error on '${subject}': ${err.message}`);
+                            this.handleNatsMessage(msg, false);
+                        }
+                    }));
+                    this.logger.info(`✅ Subscribed to ${this.subjects.join(', ')}${queue ? ` (queue group '${queue}')` : ''}.`);
+                }
+            }
+
+            this.connected = true;
+            this.updateStatus('connected');
+            return true;
+        } catch (err) {
+            this.logger.error({ err }, 'Failed to connect to NATS');
+            this.updateStatus('error', err.message);
+            await this.closeConnection();
+            this.scheduleReconnect();
+            return false;
+        }
+    }
+
+    /**
+     * @private
+     */
+    scheduleReconnect() {
+        if (this.closing || this.reconnectTimer) return;
+        const delay = this.options.reconnectInterval !== undefined ? parseInt(this.options.reconnectInterval, 10) : DEFAULT_RECONNECT_MS;
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closing) this.connect();
+        }, delay);
+    }
+
+    /**
+     * Drains the connection: in-flight messages are dispatched (and acknowledged) before it closes.
+     * @private
+     */
+    async closeConnection() {
+        const nc = this.nc;
+        this.nc = null;
+        this.js = null;
+        this.consumer = null;
+        this.messages = null;
+        this.subscriptions = [];
+        if (!nc) return;
+        try {
+            await nc.drain();
+        } catch (err) {
+            try { await nc.close(); } catch (closeErr) { /* Already closed */ }
+        }
+    }
+
+    async disconnect() {
+        this.closing = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.connected = false;
+        await this.closeConnection();
+        this.updateStatus('disconnected');
+    }
+
+    /**
+     * @returns {Promise<import('../baseProvider').ProviderHealth>} With the backlog of the durable consumer.
+     */
+    async health() {
+        if (!this.connected || !this.consumer) return super.health();
+        try {
+            const info = await this.consumer.info();
+            return {
+                status: 'ok',
+                connected: true,
+                details: { durable: info.name, pending: info.num_pending, ackPending: info.num_ack_pending, redelivered: info.num_redelivered }
+            };
+        } catch (err) {
+            return { status: 'degraded', connected: true, details: { error: err.message } };
+        }
+    }
+
+    /**
+     * Publishes to the subject of the topic. `properties.userProperties` become NATS headers.
+     * With `jetstream.publish`, the callback runs once the stream stored the message.
+     * @param {string} topic
+     * @param {Buffer|string|Object} payload
+     * @param {Object} [options]
+     * @param {Function} [callback]
+     */
+    publish(topic, payload, options = {}, callback) {
+        const done = typeof callback === 'function' ? callback : () => {};
+        if (!this.connected || !this.nc) return done(new Error('NATS provider is not connected'));
+        if (!this.allowedPublish.some(pattern => mqttMatch(pattern, topic))) {
+            const err = new Error(`Publish forbidden for topic: ${topic}`);
+            this.logger.warn(err.message);
+            return done(err);
+        }
+
+        const isObject = payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload);
+        const data = Buffer.isBuffer(payload) ? payload : Buffer.from(isObject ? JSON.stringify(payload) : String(payload));
+        const userProperties = (options.properties && options.properties.userProperties) || {};
+        const publishOptions = {};
+        if (Object.keys(userProperties).length > 0) {
+            publishOptions.headers = this.nats.headers();
+            Object.entries(userProperties).forEach(([key, value]) => publishOptions.headers.set(key, String(value)));
+        }
+        const subject = this.buildSubject(topic);
+
+        try {
+            if (this.options.jetstream && this.options.jetstream.publish) {
+                this.js.publish(subject, data, publishOptions).then(() => done(null), (err) => {
+                    this.logger.error({ err }, `JetStream refused the message for '${subject}'.`);
+                    done(err);
+                });
+            } else {
+                this.nc.publish(subject, data, publishOptions);
+                done(null);
+            }
+        } catch (err) {
+            done(err);
+        }
+    }
+}
+
+module.exports = NatsProvider;
+module.exports.topicPatternToSubject = topicPatternToSubject;
+module.exports.subjectToTopic = subjectToTopic;
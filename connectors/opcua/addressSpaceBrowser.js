@@ -0,0 +1,173 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * OPC UA Address Space Browser
+ * Lazily walks a server's address space (one level per call) so the config UI can
+ * offer a tree picker instead of requiring hand-typed NodeIds.
+ */
+const {
+    OPCUAClient,
+    AttributeIds,
+    BrowseDirection,
+    NodeClass,
+    DataType
+} = require("node-opcua");
+const { APPLICATION_NAME, getCertificateManager, resolveSecurityOptions, buildUserIdentity } = require('./security');
+
+/** Root of the browse tree when no NodeId is requested (ns=0;i=85 is the standard 'Objects' folder). */
+const OBJECTS_FOLDER = "ns=0;i=85";
+
+// AccessLevel bitmask (OPC UA Part 3, 5.6.2)
+const ACCESS_READ = 0x01;
+const ACCESS_WRITE = 0x02;
+const ACCESS_HISTORY = 0x04;
+
+const MAX_CONTINUATIONS = 50;
+
+/**
+ * @typedef {Object} BrowsedNode
+ * @property {string} nodeId Fully qualified NodeId (e.g. "ns=2;s=Line1.Temp").
+ * @property {string} browseName Browse name, without namespace prefix.
+ * @property {string} displayName Localized display name.
+ * @property {string} nodeClass "Object", "Variable", "Method", ...
+ * @property {string} referenceType Reference followed from the parent (e.g. "Organizes").
+ * @property {boolean} hasChildren Whether the node can be expanded in the picker.
+ * @property {string} [dataType] Data type name for Variables (e.g. "Double").
+ * @property {number} [accessLevel] Raw UserAccessLevel bitmask for Variables.
+ * @property {boolean} [readable]
+ * @property {boolean} [writable]
+ * @property {boolean} [historizing] True if the node exposes history (HistoryRead bit).
+ */
+
+/**
+ * Resolves a DataType NodeId into a readable name.
+ * Built-in types (ns=0, numeric) map to the DataType enum, others keep their NodeId.
+ * @param {any} dataTypeNodeId
+ * @returns {string|undefined}
+ */
+function resolveDataTypeName(dataTypeNodeId) {
+    if (!dataTypeNodeId) return undefined;
+    if (dataTypeNodeId.namespace === 0 && typeof dataTypeNodeId.value === 'number' && DataType[dataTypeNodeId.value]) {
+        return DataType[dataTypeNodeId.value];
+    }
+    return dataTypeNodeId.toString();
+}
+
+/**
+ * Collects all references of a browse result, following continuation points.
+ * @param {import('node-opcua').ClientSession} session
+ * @param {any} result First BrowseResult.
+ * @returns {Promise<Array<any>>}
+ */
+async function collectReferences(session, result) {
+    const references = [...(result.references || [])];
+    let continuationPoint = result.continuationPoint;
+    let guard = 0;
+
+    while (continuationPoint && continuationPoint.length && guard++ < MAX_CONTINUATIONS) {
+        const next = await session.browseNext(continuationPoint, false);
+        references.push(...(next.references || []));
+        continuationPoint = next.continuationPoint;
+    }
+    return references;
+}
+
+/**
+ * Browses the direct hierarchical children of a node and enriches Variables
+ * with their data type and access level (a single batched Read).
+ * @param {import('node-opcua').ClientSession} session Active OPC UA session.
+ * @param {string} [nodeId] Node to expand. Defaults to the Objects folder.
+ * @returns {Promise<BrowsedNode[]>}
+ */
+async function browseChildren(session, nodeId) {
+    const result = await session.browse({
+        nodeId: nodeId || OBJECTS_FOLDER,
+        referenceTypeId: "HierarchicalReferences",
+        browseDirection: BrowseDirection.Forward,
+        includeSubtypes: true,
+        nodeClassMask: 0,
+        resultMask: 0x3f
+    });
+
+    if (result.statusCode && result.statusCode.value !== 0) {
+        throw new Error(`Browse failed with status: ${result.statusCode.name}`);
+    }
+
+    const references = await collectReferences(session, result);
+
+    const nodes = references.map(ref => {
+        const nodeClass = NodeClass[ref.nodeClass] || String(ref.nodeClass);
+        return {
+            nodeId: ref.nodeId.toString(),
+            browseName: ref.browseName ? ref.browseName.name : '',
+            displayName: (ref.displayName && ref.displayName.text) || (ref.browseName ? ref.browseName.name : ''),
+            nodeClass,
+            referenceType: ref.referenceTypeId ? ref.referenceTypeId.toString() : '',
+            hasChildren: nodeClass === 'Object' || nodeClass === 'View'
+        };
+    });
+
+    const variables = nodes.filter(n => n.nodeClass === 'Variable');
+    if (variables.length > 0) {
+        const nodesToRead = [];
+        variables.forEach(v => {
+            nodesToRead.push({ nodeId: v.nodeId, attributeId: AttributeIds.DataType });
+            nodesToRead.push({ nodeId: v.nodeId, attributeId: AttributeIds.UserAccessLevel });
+        });
+
+        const dataValues = await session.read(nodesToRead);
+        variables.forEach((v, i) => {
+            const typeDv = dataValues[i * 2];
+            const accessDv = dataValues[i * 2 + 1];
+            if (typeDv && typeDv.value) v.dataType = resolveDataTypeName(typeDv.value.value);
+            if (accessDv && accessDv.value && typeof accessDv.value.value === 'number') {
+                const level = accessDv.value.value;
+                v.accessLevel = level;
+                v.readable = (level & ACCESS_READ) !== 0;
+                v.writable = (level & ACCESS_WRITE) !== 0;
+                v.historizing = (level & ACCESS_HISTORY) !== 0;
+            }
+        });
+    }
+
+    return nodes;
+}
+
+/**
+ * Opens a short-lived session on a server that is not (yet) a running provider,
+ * runs the callback and always tears the connection down.
+ * Accepts the same security / identity settings as the provider (see `security.js`).
+ * @param {{endpointUrl: string, username?: string, password?: string, securityMode?: string, securityPolicy?: string, userCertificate?: string, userPrivateKey?: string, certsPath?: string}} options
+ * @param {(session: import('node-opcua').ClientSession) => Promise<any>} fn
+ * @returns {Promise<any>}
+ */
+async function withTemporarySession(options, fn) {
+    const clientOptions = {
+        applicationName: APPLICATION_NAME,
+        endpointMustExist: false,
+        connectionStrategy: { maxRetry: 0, initialDelay: 500, maxDelay: 1000 },
+        ...resolveSecurityOptions(options)
+    };
+    if (options.certsPath) {
+        clientOptions.clientCertificateManager = await getCertificateManager(options.certsPath);
+    }
+    const userIdentity = buildUserIdentity(options, options.certsPath);
+    const client = OPCUAClient.create(clientOptions);
+
+    let session = null;
+    try {
+        await client.connect(options.endpointUrl);
+        session = await client.createSession(userIdentity);
+        return await fn(session);
+    } finally {
+        if (session) await session.close().catch(() => {});
+        await client.disconnect().catch(() => {});
+    }
+}
+
+module.exports = {
+    OBJECTS_FOLDER,
+    browseChildren,
+    withTemporarySession,
+    resolveDataTypeName
+};
@@ -13,6 +13,8 @@ const {
     DataType 
 } = require("node-opcua");
 const BaseProvider = require('../baseProvider');
+const { browseChildren } = require('./addressSpaceBrowser');
+const { APPLICATION_NAME, getCertificateManager, resolveSecurityOptions, buildUserIdentity } = require('./security');
 
 /**
  * @typedef {Object} OpcUaProviderConfig
@@ -20,11 +22,22 @@ const BaseProvider = require('../baseProvider');
  * @property {string} [endpointUrl] OPC UA server endpoint URL.
  * @property {string} [username] Authentication username.
  * @property {string} [password] Authentication password.
+ * @property {'None'|'Sign'|'SignAndEncrypt'} [securityMode] Message security mode (default: None).
+ * @property {string} [securityPolicy] Security policy, e.g. "Basic256Sha256" (default when a secured mode has no policy).
+ * @property {string} [userCertificate] X.509 user certificate file in CERTS_PATH (takes precedence over username/password).
+ * @property {string} [userPrivateKey] Private key file (PEM) of the X.509 user certificate in CERTS_PATH.
  * @property {number} [publishingInterval] OPC UA publishing interval in ms.
  * @property {number} [samplingInterval] OPC UA sampling interval in ms.
  * @property {Array<string|{nodeId: string, topic: string}>} [subscribe] List of nodeIds or mappings to monitor.
+ * @property {boolean} [backfill] Recover values missed during a connection loss with HistoryRead.
+ * @property {number} [backfillMaxWindowMs] Maximum outage window to backfill (default: 1 hour).
+ * @property {number} [backfillMaxValuesPerNode] Maximum number of values recovered per node (default: 1000).
  */
 
+const DEFAULT_BACKFILL_WINDOW_MS = 60 * 60 * 1000;
+const DEFAULT_BACKFILL_MAX_VALUES = 1000;
+const HISTORY_READ_CHUNK = 500;
+
 class OpcUaProvider extends BaseProvider {
     /**
      * @param {OpcUaProviderConfig} config 
@@ -43,6 +56,12 @@ class OpcUaProvider extends BaseProvider {
         // Map nodeId -> topic for two-way communication
         /** @type {Map<string, string>} */
         this.nodeTopicMap = new Map();
+        // Source timestamp of the last live value per nodeId (start of a backfill window)
+        /** @type {Map<string, Date>} */
+        this.lastValueTimestamps = new Map();
+        /** @type {Date|null} */
+        this.connectionLostAt = null;
+        this.backfillInProgress = false;
     }
 
     /**
@@ -54,31 +73,48 @@ class OpcUaProvider extends BaseProvider {
             this.logger.info(`Connecting to OPC UA server at ${this.endpointUrl}...`);
 
             try {
-                this.client = OPCUAClient.create({
+                const clientOptions = {
+                    applicationName: APPLICATION_NAME,
                     endpointMustExist: false,
                     connectionStrategy: {
                         maxRetry: 10,
                         initialDelay: 2000,
                         maxDelay: 10000
-                    }
-                });
+                    },
+                    ...resolveSecurityOptions(this.config)
+                };
+                // Shared PKI under CERTS_PATH: instance certificate + trusted/rejected server certificates
+                if (this.context.CERTS_PATH) {
+                    clientOptions.clientCertificateManager = await getCertificateManager(this.context.CERTS_PATH);
+                }
+                // Resolved before connecting so a missing user certificate fails fast
+                const userIdentity = buildUserIdentity(this.config, this.context.CERTS_PATH);
+                this.client = OPCUAClient.create(clientOptions);
 
                 this.client.on("backoff", (retry, delay) => {
                     this.logger.warn(`OPC UA connection backoff: retrying in ${delay}ms...`);
                     this.updateStatus('connecting', `Retrying... (${retry})`);
                 });
 
+                this.client.on("connection_lost", () => {
+                    this.connectionLostAt = new Date();
+                    this.logger.warn(`OPC UA connection lost. Reconnecting...`);
+                    this.updateStatus('connecting', 'Connection lost');
+                });
+
+                this.client.on("connection_reestablished", () => {
+                    this.logger.info(`✅ OPC UA connection re-established.`);
+                    this.updateStatus('connected');
+                    if (this.config.backfill) {
+                        // Snapshot before new live values move the per-node watermarks
+                        this.backfillOutage(new Map(this.lastValueTimestamps), this.connectionLostAt, new Date());
+                    }
+                    this.connectionLostAt = null;
+                });
+
                 await this.client.connect(this.endpointUrl);
                 this.logger.info(`✅ Connected to OPC UA server.`);
 
-                let userIdentity = null;
-                if (this.config.username && this.config.password) {
-                    userIdentity = {
-                        userName: this.config.username,
-                        password: this.config.password
-                    };
-                }
-
                 this.session = await this.client.createSession(userIdentity);
                 this.logger.info(`✅ OPC UA Session created.`);
 
@@ -105,7 +141,10 @@ class OpcUaProvider extends BaseProvider {
                 resolve(true);
             } catch (err) {
                 this.logger.error({ err }, "❌ Failed to connect to OPC UA server.");
-                this.updateStatus('error', err.message);
+                const hint = /certificate/i.test(err.message || '')
+                    ? ' (if the server certificate was rejected, trust it in Configuration > OPC UA Certificates)'
+                    : '';
+                this.updateStatus('error', err.message + hint);
                 resolve(false);
             }
         });
@@ -148,6 +187,7 @@ class OpcUaProvider extends BaseProvider {
 
             monitoredItem.on("changed", (dataValue) => {
                 let val = dataValue.value.value;
+                this.lastValueTimestamps.set(nodeId, dataValue.sourceTimestamp || new Date());
                 
                 // Format the payload as JSON to match the UNS Viewer expectations
                 const payloadObj = {
@@ -164,6 +204,110 @@ class OpcUaProvider extends BaseProvider {
         });
     }
 
+    /**
+     * Recovers the values missed during an outage through HistoryRead and injects them
+     * with their source timestamps, flagged as backfill (stored only: no alerts, webhooks or mapping).
+     * @param {Map<string, Date>} watermarks Last live source timestamp per nodeId before reconnection.
+     * @param {Date|null} lostAt When the connection was lost (fallback for nodes without a watermark).
+     * @param {Date} reconnectedAt End of the outage window.
+     * @returns {Promise<number>} Number of recovered values.
+     */
+    async backfillOutage(watermarks, lostAt, reconnectedAt) {
+        if (!this.session || this.backfillInProgress) return 0;
+        this.backfillInProgress = true;
+
+        const maxWindowMs = this.config.backfillMaxWindowMs || DEFAULT_BACKFILL_WINDOW_MS;
+        const maxValues = this.config.backfillMaxValuesPerNode || DEFAULT_BACKFILL_MAX_VALUES;
+        const floor = new Date(reconnectedAt.getTime() - maxWindowMs);
+        let total = 0;
+
+        try {
+            for (const [nodeId, topic] of this.nodeTopicMap.entries()) {
+                const watermark = watermarks.get(nodeId) || lostAt;
+                if (!watermark) continue;
+                const start = watermark < floor ? floor : watermark;
+
+                let values;
+                try {
+                    values = await this.readHistory(nodeId, start, reconnectedAt, maxValues);
+                } catch (err) {
+                    this.logger.warn({ err: err.message, nodeId }, "OPC UA backfill: HistoryRead failed for node.");
+                    continue;
+                }
+
+                for (const dataValue of values) {
+                    const ts = dataValue.sourceTimestamp || dataValue.serverTimestamp;
+                    if (!ts || ts <= start || ts >= reconnectedAt) continue;
+                    // Already delivered live after reconnection (e.g. initial value of a re-created monitored item)
+                    const live = this.lastValueTimestamps.get(nodeId);
+                    if (live && live > watermark && ts >= live) continue;
+
+                    this.handleIncomingMessage(topic, {
+                        value: dataValue.value ? dataValue.value.value : null,
+                        quality: dataValue.statusCode ? dataValue.statusCode.name : 'Good',
+                        timestamp: ts
+                    }, { timestamp: ts, isBackfill: true });
+                    total++;
+                }
+
+                // Yield between nodes so live traffic keeps flowing during large recoveries
+                await new Promise(resolve => setImmediate(resolve));
+            }
+
+            this.logger.info(`✅ OPC UA backfill: recovered ${total} value(s) since ${(lostAt || floor).toISOString()}.`);
+        } catch (err) {
+            this.logger.error({ err }, "❌ OPC UA backfill failed.");
+        } finally {
+            this.backfillInProgress = false;
+        }
+        return total;
+    }
+
+    /**
+     * Reads raw history for a node, following continuation points up to maxValues.
+     * @param {string} nodeId
+     * @param {Date} start
+     * @param {Date} end
+     * @param {number} maxValues
+     * @returns {Promise<Array<import('node-opcua').DataValue>>}
+     */
+    async readHistory(nodeId, start, end, maxValues) {
+        const values = [];
+        let continuationPoint;
+
+        do {
+            const result = await this.session.readHistoryValue(
+                { nodeId, continuationPoint },
+                start,
+                end,
+                { numValuesPerNode: Math.min(HISTORY_READ_CHUNK, maxValues - values.length), returnBounds: false }
+            );
+
+            // Severity bit set: Bad status (e.g. BadHistoryOperationUnsupported)
+            if (result.statusCode && (result.statusCode.value & 0x80000000) !== 0) {
+                throw new Error(`HistoryRead failed with status: ${result.statusCode.name}`);
+            }
+
+            values.push(...((result.historyData && result.historyData.dataValues) || []));
+            continuationPoint = result.continuationPoint && result.continuationPoint.length ? result.continuationPoint : undefined;
+        } while (continuationPoint && values.length < maxValues);
+
+        return values;
+    }
+
+    /**
+     * Browses one level of the server address space through the active session.
+     * Used by the config UI tree picker (see configApi `/opcua/browse`).
+     * @param {string} [nodeId] Node to expand. Defaults to the Objects folder.
+     * @returns {Promise<import('./addressSpaceBrowser').BrowsedNode[]>}
+     */
+    async browse(nodeId) {
+        if (!this.session) {
+            throw new Error("OPC UA session not active");
+        }
+        return browseChildren(this.session, nodeId);
+    }
+
     async disconnect() {
         this.connected = false;
         try {
@@ -0,0 +1,297 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * OPC UA Security & Certificate Store
+ * Shared PKI of all OPC UA clients, stored under `CERTS_PATH/opcua/pki`:
+ * - `own/`: Korelate application instance certificate (generated on first use),
+ * - `trusted/certs/`: server certificates accepted for secure channels,
+ * - `rejected/`: unknown server certificates, waiting for approval in the config UI.
+ */
+const fs = require('fs');
+const path = require('path');
+const { X509Certificate } = require('crypto');
+const {
+    OPCUACertificateManager,
+    MessageSecurityMode,
+    SecurityPolicy,
+    UserTokenType,
+    makeSubject,
+    makeApplicationUrn,
+    getHostname
+} = require("node-opcua");
+
+/** Application name advertised to servers (also the CN of the instance certificate). */
+const APPLICATION_NAME = "Korelate";
+
+const SECURITY_MODES = ['None', 'Sign', 'SignAndEncrypt'];
+const SECURITY_POLICIES = ['None', 'Basic128Rsa15', 'Basic256', 'Basic256Sha256', 'Aes128_Sha256_RsaOaep', 'Aes256_Sha256_RsaPss'];
+const DEFAULT_SECURE_POLICY = 'Basic256Sha256';
+const CERT_FILE_PATTERN = /\.(pem|der|crt|cer)$/i;
+
+/** @type {Map<string, Promise<import('node-opcua').OPCUACertificateManager>>} */
+const managers = new Map();
+
+/**
+ * @typedef {Object} CertificateInfo
+ * @property {string} thumbprint Lowercase hex SHA-1 thumbprint (used as identifier by the API).
+ * @property {string} subject Certificate subject (e.g. "CN=KEPServerEX/O=Kepware").
+ * @property {string|null} applicationUri OPC UA application URI (SubjectAltName URI).
+ * @property {string} validFrom ISO date.
+ * @property {string} validTo ISO date.
+ * @property {boolean} expired
+ * @property {string} filename File name inside the store folder.
+ */
+
+/**
+ * @param {string} certsPath
+ * @returns {string} Root folder of the OPC UA PKI.
+ */
+function getPkiRoot(certsPath) {
+    return path.join(certsPath, 'opcua', 'pki');
+}
+
+/**
+ * @returns {string} Application URI, must match the instance certificate SubjectAltName.
+ */
+function getApplicationUri() {
+    return makeApplicationUrn(getHostname(), APPLICATION_NAME);
+}
+
+/**
+ * Returns the (initialized) certificate manager of a PKI folder.
+ * A single instance per folder is shared by all providers and the config API,
+ * so trust decisions made in the UI are immediately visible to reconnecting clients.
+ * @param {string} certsPath
+ * @returns {Promise<import('node-opcua').OPCUACertificateManager>}
+ */
+function getCertificateManager(certsPath) {
+    const rootFolder = getPkiRoot(certsPath);
+    if (!managers.has(rootFolder)) {
+        const cm = new OPCUACertificateManager({
+            rootFolder,
+            automaticallyAcceptUnknownCertificate: false
+        });
+        const ready = cm.initialize().then(() => cm);
+        ready.catch(() => managers.delete(rootFolder));
+        managers.set(rootFolder, ready);
+    }
+    return managers.get(rootFolder);
+}
+
+/**
+ * @param {import('node-opcua').OPCUACertificateManager} cm
+ * @returns {string} Path of the application instance certificate (node-opcua client default).
+ */
+function getApplicationCertificateFile(cm) {
+    return path.join(cm.rootDir, 'own', 'certs', 'client_certificate.pem');
+}
+
+/**
+ * Creates the self-signed application instance certificate if it does not exist yet.
+ * OPCUAClient would create it on its first secure connection; doing it here lets
+ * administrators download it and trust it on the server beforehand.
+ * @param {import('node-opcua').OPCUACertificateManager} cm
+ * @returns {Promise<string>} Certificate file path.
+ */
+async function ensureApplicationCertificate(cm) {
+    const certificateFile = getApplicationCertificateFile(cm);
+    if (!fs.existsSync(certificateFile)) {
+        const hostname = getHostname();
+        await cm.createSelfSignedCertificate({
+            applicationUri: getApplicationUri(),
+            dns: [hostname],
+            outputFile: certificateFile,
+            subject: makeSubject(APPLICATION_NAME, hostname),
+            startDate: new Date(),
+            validity: 365 * 10
+        });
+    }
+    return certificateFile;
+}
+
+/**
+ * Converts a PEM (or DER) certificate buffer into DER.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+function toDer(buffer) {
+    const match = /-----BEGIN CERTIFICATE-----([\s\S]+?)-----END CERTIFICATE-----/.exec(buffer.toString('latin1'));
+    return match ? Buffer.from(match[1].replace(/\s+/g, ''), 'base64') : buffer;
+}
+
+/**
+ * @param {string} filePath PEM or DER certificate.
+ * @returns {CertificateInfo}
+ */
+function describeCertificate(filePath) {
+    const cert = new X509Certificate(fs.readFileSync(filePath));
+    const uriMatch = /URI:([^,\s]+)/.exec(cert.subjectAltName || '');
+    const validTo = new Date(cert.validTo);
+    return {
+        thumbprint: cert.fingerprint.replace(/:/g, '').toLowerCase(),
+        subject: cert.subject.split('\n').join(', '),
+        applicationUri: uriMatch ? uriMatch[1] : null,
+        validFrom: new Date(cert.validFrom).toISOString(),
+        validTo: validTo.toISOString(),
+        expired: validTo.getTime() < Date.now(),
+        filename: path.basename(filePath)
+    };
+}
+
+/**
+ * Lists and parses the certificates of a store folder. Unreadable files are skipped.
+ * @param {string} folder
+ * @returns {Array<CertificateInfo & {filePath: string}>}
+ */
+function readFolder(folder) {
+    if (!fs.existsSync(folder)) return [];
+    return fs.readdirSync(folder)
+        .filter(f => CERT_FILE_PATTERN.test(f))
+        .map(f => {
+            const filePath = path.join(folder, f);
+            try {
+                return { ...describeCertificate(filePath), filePath };
+            } catch (e) {
+                return null;
+            }
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Lists the application certificate and the trusted / rejected server certificates.
+ * @param {string} certsPath
+ * @returns {Promise<{applicationUri: string, applicationCertificate: CertificateInfo|null, trusted: CertificateInfo[], rejected: CertificateInfo[]}>}
+ */
+async function listCertificates(certsPath) {
+    const cm = await getCertificateManager(certsPath);
+    const ownFile = getApplicationCertificateFile(cm);
+    const strip = ({ filePath, ...info }) => info;
+    return {
+        applicationUri: getApplicationUri(),
+        applicationCertificate: fs.existsSync(ownFile) ? describeCertificate(ownFile) : null,
+        trusted: readFolder(cm.trustedFolder).map(strip),
+        rejected: readFolder(cm.rejectedFolder).map(strip)
+    };
+}
+
+/**
+ * Finds a server certificate by thumbprint in the trusted or rejected store.
+ * @param {import('node-opcua').OPCUACertificateManager} cm
+ * @param {string} thumbprint
+ * @returns {{status: 'trusted'|'rejected', filePath: string}|null}
+ */
+function findCertificate(cm, thumbprint) {
+    const wanted = String(thumbprint || '').toLowerCase();
+    for (const [status, folder] of [['trusted', cm.trustedFolder], ['rejected', cm.rejectedFolder]]) {
+        const entry = readFolder(folder).find(c => c.thumbprint === wanted);
+        if (entry) return { status, filePath: entry.filePath };
+    }
+    return null;
+}
+
+/**
+ * Moves a server certificate to the trusted or rejected store.
+ * @param {string} certsPath
+ * @param {string} thumbprint
+ * @param {'trusted'|'rejected'} status
+ * @returns {Promise<boolean>} False if the certificate is unknown.
+ */
+async function setCertificateTrust(certsPath, thumbprint, status) {
+    const cm = await getCertificateManager(certsPath);
+    const found = findCertificate(cm, thumbprint);
+    if (!found) return false;
+
+    const der = toDer(fs.readFileSync(found.filePath));
+    if (status === 'trusted') {
+        await cm.trustCertificate(der);
+    } else {
+        await cm.rejectCertificate(der);
+    }
+    return true;
+}
+
+/**
+ * Deletes a server certificate from the store (a server presenting it again will be rejected).
+ * @param {string} certsPath
+ * @param {string} thumbprint
+ * @returns {Promise<boolean>} False if the certificate is unknown.
+ */
+async function removeCertificate(certsPath, thumbprint) {
+    const cm = await getCertificateManager(certsPath);
+    const found = findCertificate(cm, thumbprint);
+    if (!found) return false;
+
+    if (found.status === 'trusted') {
+        await cm.removeTrustedCertificate(String(thumbprint).toLowerCase());
+    }
+    if (fs.existsSync(found.filePath)) fs.unlinkSync(found.filePath);
+    return true;
+}
+
+/**
+ * Maps the provider `securityMode` / `securityPolicy` settings to OPCUAClient options.
+ * A secured mode without an explicit policy defaults to Basic256Sha256.
+ * @param {{securityMode?: string, securityPolicy?: string}} config
+ * @returns {{securityMode: number, securityPolicy: string}}
+ */
+function resolveSecurityOptions(config = {}) {
+    const mode = config.securityMode || 'None';
+    if (!SECURITY_MODES.includes(mode)) {
+        throw new Error(`Invalid OPC UA securityMode '${mode}'. Expected one of: ${SECURITY_MODES.join(', ')}`);
+    }
+    let policy = config.securityPolicy || 'None';
+    if (!SECURITY_POLICIES.includes(policy)) {
+        throw new Error(`Invalid OPC UA securityPolicy '${policy}'. Expected one of: ${SECURITY_POLICIES.join(', ')}`);
+    }
+    if (mode === 'None') policy = 'None';
+    else if (policy === 'None') policy = DEFAULT_SECURE_POLICY;
+
+    return {
+        securityMode: MessageSecurityMode[mode],
+        securityPolicy: SecurityPolicy[policy]
+    };
+}
+
+/**
+ * Builds the session user identity: X.509 certificate, username/password, or anonymous (null).
+ * Certificate and key files are resolved inside `certsPath` (uploaded through the Certificate Manager).
+ * @param {{username?: string, password?: string, userCertificate?: string, userPrivateKey?: string}} config
+ * @param {string} [certsPath]
+ * @returns {Object|null}
+ */
+function buildUserIdentity(config = {}, certsPath) {
+    if (config.userCertificate) {
+        if (!config.userPrivateKey) {
+            throw new Error("X.509 user authentication requires both 'userCertificate' and 'userPrivateKey'.");
+        }
+        if (!certsPath) {
+            throw new Error("X.509 user authentication requires a certificates directory (CERTS_PATH).");
+        }
+        return {
+            type: UserTokenType.Certificate,
+            certificateData: toDer(fs.readFileSync(path.join(certsPath, path.basename(config.userCertificate)))),
+            privateKey: fs.readFileSync(path.join(certsPath, path.basename(config.userPrivateKey)), 'utf8')
+        };
+    }
+    if (config.username && config.password) {
+        return { userName: config.username, password: config.password };
+    }
+    return null;
+}
+
+module.exports = {
+    APPLICATION_NAME,
+    SECURITY_MODES,
+    SECURITY_POLICIES,
+    getPkiRoot,
+    getApplicationUri,
+    getCertificateManager,
+    ensureApplicationCertificate,
+    describeCertificate,
+    listCertificates,
+    setCertificateTrust,
+    removeCertificate,
+    resolveSecurityOptions,
+    buildUserIdentity
+};
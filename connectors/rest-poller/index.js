@@ -3,14 +3,51 @@
  * @author Sebastien Lalaurette
  * * REST API Poller Provider Plugin
  * Implements the BaseProvider interface for polling HTTP GET endpoints.
+ * Each endpoint has its own interval, JSONPath extraction rules splitting responses into
+ * templated topics, pagination and conditional requests (ETag / Last-Modified).
+ * Authenticates with Basic, Bearer, API key or OAuth2 client credentials.
  */
 const BaseProvider = require('../baseProvider');
 const axios = require('axios');
+const mustache = require('mustache');
+const jsonPath = require('./jsonPath');
+const { OAuth2TokenProvider } = require('./oauth2');
+
+/** Default safety limit of pages fetched per poll. */
+const DEFAULT_MAX_PAGES = 10;
+
+/**
+ * @typedef {Object} RestPaginationConfig
+ * @property {'cursor'|'page'|'offset'|'link'} type
+ * @property {string} [param] Query parameter of the cursor, page number or offset (defaults: 'cursor', 'page', 'offset').
+ * @property {string} [cursorPath] cursor: JSONPath of the next cursor in the response (default `$.next_cursor`).
+ * @property {string} [nextPath] link: JSONPath of the next page URL (default: `Link: <...>; rel="next"` header).
+ * @property {number} [start] page: first page number (default 1).
+ * @property {string} [sizeParam] page/offset: query parameter of the page size.
+ * @property {number} [size] page/offset: page size. A shorter page ends the pagination.
+ * @property {number} [maxPages] Pages fetched at most per poll (default 10).
+ */
+
+/**
+ * @typedef {Object} RestEndpointConfig
+ * @property {string} [id] Endpoint name, used in logs, default topics and templates.
+ * @property {string} url
+ * @property {number} [interval] Polling interval in ms (default: the provider `interval`).
+ * @property {Object<string, string>} [headers] Extra request headers.
+ * @property {Object<string, string|number>} [params] Query parameters.
+ * @property {string} [topic] UNS topic, or a Mustache template over `item`, `index`, `endpoint` and `provider`
+ *   (e.g. `plant/{{item.site}}/pumps/{{item.id}}`).
+ * @property {string} [extract] JSONPath selecting the records of the response (e.g. `$.data[*]`). Each record
+ *   becomes one message. Without it, the whole body is forwarded.
+ * @property {boolean} [conditional] Send If-None-Match / If-Modified-Since and skip unchanged responses (default true).
+ *   Ignored with `pagination`: every page is fetched on each poll.
+ * @property {RestPaginationConfig} [pagination]
+ */
 
 class RestPollerProvider extends BaseProvider {
     /**
-     * @param {import('../baseProvider').ProviderConfig} config 
-     * @param {import('../baseProvider').ProviderContext} context 
+     * @param {import('../baseProvider').ProviderConfig} config
+     * @param {import('../baseProvider').ProviderContext} context
      */
     constructor(config, context) {
         super(config, context);
@@ -18,22 +55,59 @@ class RestPollerProvider extends BaseProvider {
         this.endpoint = this.options.endpoint;
         this.interval = this.options.interval || 60000;
         this.topic = this.options.topic || `rest/${this.id}`;
-        
-        // Auth options: { type: 'basic', username: '', password: '' } 
+        this.timeoutMs = this.options.timeoutMs || 10000;
+
+        // Auth options: { type: 'basic', username: '', password: '' }
         // or { type: 'bearer', token: '' } or { type: 'apikey', headerName: '', apiKey: '' }
+        // or { type: 'oauth2', tokenUrl: '', clientId: '', clientSecret: '', scope: '' }
         this.auth = this.options.auth || {};
         this.customHeaders = this.options.headers || {};
-        
-        this.timer = null;
-        this.isPolling = false;
+        /** @type {OAuth2TokenProvider|null} */
+        this.oauth = null;
+
+        /** @type {Array<RestEndpointConfig & {timer: NodeJS.Timeout|null, isPolling: boolean, etag: string|null, lastModified: string|null}>} */
+        this.endpoints = this.buildEndpoints();
+    }
+
+    /**
+     * Merges the single `endpoint` option (legacy) and the `endpoints` list.
+     * @returns {Array<Object>}
+     */
+    buildEndpoints() {
+        const list = [];
+        if (this.endpoint) {
+            list.push({
+                id: 'default',
+                url: this.endpoint,
+                topic: this.topic,
+                extract: this.options.extract,
+                pagination: this.options.pagination,
+                conditional: this.options.conditional
+            });
+        }
+        (Array.isArray(this.options.endpoints) ? this.options.endpoints : []).forEach((ep, i) => {
+            const id = ep.id || `endpoint${i + 1}`;
+            list.push({ topic: `rest/${this.id}/${id}`, ...ep, id });
+        });
+        return list.map(ep => ({ ...ep, timer: null, isPolling: false, etag: null, lastModified: null }));
     }
 
     async connect() {
-        this.logger.info(`Starting REST Poller for ${this.id} on ${this.endpoint}`);
-        if (!this.endpoint) {
+        this.logger.info(`Starting REST Poller for ${this.id} on ${this.endpoints.map(ep => ep.url).join(', ')}`);
+        if (this.endpoints.length === 0 || this.endpoints.some(ep => !ep.url)) {
             this.updateStatus('error', 'Missing endpoint URL');
             return false;
         }
+        try {
+            this.endpoints.forEach(ep => {
+                if (ep.extract) jsonPath.compile(ep.extract);
+            });
+            if (this.auth.type === 'oauth2') this.oauth = new OAuth2TokenProvider(this.auth, this.logger);
+        } catch (err) {
+            this.logger.error({ err: err.message }, `Invalid REST Poller configuration for ${this.id}`);
+            this.updateStatus('error', err.message);
+            return false;
+        }
         this.connected = true;
         this.updateStatus('connected');
         this.startPolling();
@@ -41,47 +115,197 @@ class RestPollerProvider extends BaseProvider {
     }
 
     startPolling() {
-        if (this.timer) clearInterval(this.timer);
-        this.timer = setInterval(() => this.poll(), this.interval);
-        setImmediate(() => this.poll());
+        for (const ep of this.endpoints) {
+            if (ep.timer) clearInterval(ep.timer);
+            ep.timer = setInterval(() => this.pollEndpoint(ep), ep.interval || this.interval);
+            setImmediate(() => this.pollEndpoint(ep));
+        }
     }
 
+    /**
+     * Polls every endpoint once.
+     * @returns {Promise<void>}
+     */
     async poll() {
-        if (this.isPolling || !this.connected) return;
-        this.isPolling = true;
+        await Promise.all(this.endpoints.map(ep => this.pollEndpoint(ep)));
+    }
 
-        try {
-            const requestConfig = {
-                headers: { ...this.customHeaders },
-                timeout: 10000
+    /**
+     * Adds the configured credentials to a request.
+     * @param {import('axios').AxiosRequestConfig} requestConfig
+     */
+    async applyAuth(requestConfig) {
+        if (this.auth.type === 'basic') {
+            requestConfig.auth = {
+                username: this.auth.username,
+                password: this.auth.password
             };
+        } else if (this.auth.type === 'bearer') {
+            requestConfig.headers['Authorization'] = `Bearer ${this.auth.token}`;
+        } else if (this.auth.type === 'apikey') {
+            const headerName = this.auth.headerName || 'x-api-key';
+            requestConfig.headers[headerName] = this.auth.apiKey;
+        } else if (this.oauth) {
+            requestConfig.headers['Authorization'] = `Bearer ${await this.oauth.getToken()}`;
+        }
+    }
 
-            if (this.auth.type === 'basic') {
-                requestConfig.auth = {
-                    username: this.auth.username,
-                    password: this.auth.password
-                };
-            } else if (this.auth.type === 'bearer') {
-                requestConfig.headers['Authorization'] = `Bearer ${this.auth.token}`;
-            } else if (this.auth.type === 'apikey') {
-                const headerName = this.auth.headerName || 'x-api-key';
-                requestConfig.headers[headerName] = this.auth.apiKey;
+    /**
+     * Sends one GET request. With OAuth2, a 401 renews the token and retries once.
+     * @param {Object} ep Endpoint.
+     * @param {string} url
+     * @param {Object} params Query parameters.
+     * @param {boolean} conditional Whether to send the validators of the previous response.
+     * @returns {Promise<import('axios').AxiosResponse>}
+     */
+    async request(ep, url, params, conditional) {
+        const buildConfig = async () => {
+            const requestConfig = {
+                headers: { ...this.customHeaders, ...(ep.headers || {}) },
+                params,
+                timeout: this.timeoutMs,
+                validateStatus: status => (status >= 200 && status < 300) || status === 304
+            };
+            if (conditional && ep.conditional !== false) {
+                if (ep.etag) requestConfig.headers['If-None-Match'] = ep.etag;
+                if (ep.lastModified) requestConfig.headers['If-Modified-Since'] = ep.lastModified;
             }
+            await this.applyAuth(requestConfig);
+            return requestConfig;
+        };
 
-            const response = await axios.get(this.endpoint, requestConfig);
-            
-            // Forward JSON payload or raw text
-            this.handleIncomingMessage(this.topic, response.data);
-            
+        try {
+            return await axios.get(url, await buildConfig());
         } catch (err) {
-            this.logger.error({ err: err.message }, `Error polling REST API for ${this.id}`);
+            if (!this.oauth || err.response?.status !== 401) throw err;
+            this.logger.info(`OAuth2 token rejected by ${url}, requesting a new one.`);
+            this.oauth.invalidate();
+            return axios.get(url, await buildConfig());
+        }
+    }
+
+    /**
+     * Polls one endpoint, following its pagination, and forwards the extracted records.
+     * @param {Object} ep Endpoint.
+     * @returns {Promise<void>}
+     */
+    async pollEndpoint(ep) {
+        if (ep.isPolling || !this.connected) return;
+        ep.isPolling = true;
+
+        try {
+            const pagination = ep.pagination || null;
+            const maxPages = pagination ? (pagination.maxPages || DEFAULT_MAX_PAGES) : 1;
+            let url = ep.url;
+            let params = { ...(ep.params || {}) };
+            if (pagination?.type === 'page') params[pagination.param || 'page'] = pagination.start ?? 1;
+            if (pagination?.type === 'offset') params[pagination.param || 'offset'] = 0;
+            if (pagination?.size && pagination.sizeParam) params[pagination.sizeParam] = pagination.size;
+
+            let emitted = 0;
+            for (let page = 0; page < maxPages && this.connected; page++) {
+                // Paginated endpoints are always fetched in full: an unchanged first page says nothing about the next ones
+                const response = await this.request(ep, url, params, !pagination);
+                if (response.status === 304) {
+                    this.logger.debug(`REST endpoint ${ep.id} of ${this.id} not modified.`);
+                    return;
+                }
+
+                const records = this.extractRecords(ep, response.data);
+                records.forEach(record => this.emitRecord(ep, record, emitted++));
+                if (!pagination) {
+                    ep.etag = response.headers?.etag || null;
+                    ep.lastModified = response.headers?.['last-modified'] || null;
+                }
+
+                const next = pagination ? this.getNextPage(pagination, response, records, url, params) : null;
+                if (!next) break;
+                ({ url, params } = next);
+            }
+        } catch (err) {
+            this.logger.error({ err: err.message, endpoint: ep.id }, `Error polling REST API for ${this.id}`);
         } finally {
-            this.isPolling = false;
+            ep.isPolling = false;
+        }
+    }
+
+    /**
+     * Applies the endpoint extraction rule to a response body.
+     * @param {Object} ep
+     * @param {any} data
+     * @returns {any[]}
+     */
+    extractRecords(ep, data) {
+        if (!ep.extract) return [data];
+        if (data === null || typeof data !== 'object') {
+            this.logger.warn(`REST endpoint ${ep.id} of ${this.id} did not return JSON: nothing to extract.`);
+            return [];
+        }
+        return jsonPath.query(data, ep.extract);
+    }
+
+    /**
+     * Computes the request of the next page, or null when the pagination is over.
+     * @param {RestPaginationConfig} pagination
+     * @param {import('axios').AxiosResponse} response
+     * @param {any[]} records Records extracted from the current page.
+     * @param {string} url Current URL.
+     * @param {Object} params Current query parameters.
+     * @returns {{url: string, params: Object}|null}
+     */
+    getNextPage(pagination, response, records, url, params) {
+        const isLastPage = records.length === 0 || (pagination.size && records.length < pagination.size);
+        switch (pagination.type) {
+            case 'cursor': {
+                const cursor = jsonPath.queryFirst(response.data, pagination.cursorPath || '$.next_cursor');
+                if (cursor === undefined || cursor === null || cursor === '') return null;
+                return { url, params: { ...params, [pagination.param || 'cursor']: cursor } };
+            }
+            case 'page': {
+                if (isLastPage) return null;
+                const param = pagination.param || 'page';
+                return { url, params: { ...params, [param]: Number(params[param]) + 1 } };
+            }
+            case 'offset': {
+                if (isLastPage) return null;
+                const param = pagination.param || 'offset';
+                return { url, params: { ...params, [param]: Number(params[param]) + records.length } };
+            }
+            case 'link': {
+                const next = pagination.nextPath
+                    ? jsonPath.queryFirst(response.data, pagination.nextPath)
+                    : parseLinkHeader(response.headers?.link).next;
+                // The next URL carries its own query string
+                return next ? { url: new URL(next, url).toString(), params: {} } : null;
+            }
+            default:
+                return null;
         }
     }
 
+    /**
+     * Forwards one extracted record to its (templated) topic.
+     * @param {Object} ep
+     * @param {any} record
+     * @param {number} index Position of the record in the poll (across pages).
+     */
+    emitRecord(ep, record, index) {
+        let topic = ep.topic;
+        if (topic.includes('{{')) {
+            const view = { item: record, index, endpoint: ep.id, provider: this.id };
+            const rendered = mustache.render(topic, view, {}, { escape: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)) });
+            // Missing fields leave empty levels behind: they are collapsed
+            topic = rendered.split('/').map(level => level.trim()).filter(Boolean).join('/') || `rest/${this.id}/${ep.id}`;
+        }
+        // Forward JSON payload or raw text
+        this.handleIncomingMessage(topic, record);
+    }
+
     async disconnect() {
-        if (this.timer) clearInterval(this.timer);
+        this.endpoints.forEach(ep => {
+            if (ep.timer) clearInterval(ep.timer);
+            ep.timer = null;
+        });
         this.connected = false;
         this.updateStatus('disconnected');
     }
@@ -93,4 +317,19 @@ class RestPollerProvider extends BaseProvider {
     }
 }
 
+/**
+ * Parses an RFC 8288 Link header into a map of relation -> URL.
+ * @param {string} [header]
+ * @returns {Object<string, string>}
+ */
+function parseLinkHeader(header) {
+    const links = {};
+    if (!header) return links;
+    for (const part of header.split(',')) {
+        const match = part.match(/<([^>]*)>\s*;\s*rel="?([^";]+)"?/i);
+        if (match) match[2].split(/\s+/).forEach(rel => { links[rel.toLowerCase()] = match[1]; });
+    }
+    return links;
+}
+
 module.exports = RestPollerProvider;
@@ -0,0 +1,223 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Minimal JSONPath Evaluator
+ * Supports the subset needed to extract records from REST responses:
+ * `$`, `.key`, `['key']`, `[0]`, `[-1]`, `[*]`, `.*`, `..key` (recursive descent),
+ * `[0:10]` slices and `[?(@.field <op> value)]` filters (==, !=, >, >=, <, <=, or a bare `@.field` existence test).
+ */
+
+/**
+ * @typedef {Object} PathSegment
+ * @property {'key'|'index'|'wildcard'|'slice'|'filter'} type
+ * @property {boolean} [recursive] True for `..` segments.
+ * @property {string} [key]
+ * @property {number} [index]
+ * @property {number} [start]
+ * @property {number} [end]
+ * @property {{path: string[], op: string|null, value: any}} [filter]
+ */
+
+/** @type {Map<string, PathSegment[]>} */
+const compiled = new Map();
+
+/**
+ * Parses a filter literal: quoted string, number, true/false/null.
+ * @param {string} text
+ */
+function parseLiteral(text) {
+    const trimmed = text.trim();
+    if (/^(['"]).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+    if (trimmed === 'true') return true;
+    if (trimmed === 'false') return false;
+    if (trimmed === 'null') return null;
+    if (trimmed !== '' && !isNaN(trimmed)) return Number(trimmed);
+    throw new Error(`Invalid JSONPath filter value: ${text}`);
+}
+
+/**
+ * Parses the body of a `[...]` selector.
+ * @param {string} body
+ * @param {boolean} recursive
+ * @returns {PathSegment}
+ */
+function parseBracket(body, recursive) {
+    const content = body.trim();
+    if (content === '*') return { type: 'wildcard', recursive };
+    if (/^(['"]).*\1$/.test(content)) return { type: 'key', key: content.slice(1, -1), recursive };
+    if (/^-?\d+$/.test(content)) return { type: 'index', index: parseInt(content, 10), recursive };
+
+    const slice = content.match(/^(-?\d*):(-?\d*)$/);
+    if (slice) {
+        return {
+            type: 'slice',
+            start: slice[1] === '' ? 0 : parseInt(slice[1], 10),
+            end: slice[2] === '' ? Infinity : parseInt(slice[2], 10),
+            recursive
+        };
+    }
+
+    const filter = content.match(/^\?\(\s*@((?:\.[\w$-]+)*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+?))?\s*\)$/);
+    if (filter) {
+        return {
+            type: 'filter',
+            filter: {
+                path: filter[1].split('.').filter(Boolean),
+                op: filter[2] || null,
+                value: filter[2] ? parseLiteral(filter[3]) : undefined
+            },
+            recursive
+        };
+    }
+    throw new Error(`Unsupported JSONPath selector: [${body}]`);
+}
+
+/**
+ * Compiles a JSONPath expression into segments (cached).
+ * @param {string} expression
+ * @returns {PathSegment[]}
+ */
+function compile(expression) {
+    if (compiled.has(expression)) return compiled.get(expression);
+    const expr = expression.trim();
+    if (!expr.startsWith('$')) throw new Error(`JSONPath must start with '$': ${expression}`);
+
+    const segments = [];
+    let i = 1;
+    while (i < expr.length) {
+        let recursive = false;
+        if (expr.startsWith('..', i)) {
+            recursive = true;
+            i += 2;
+        } else if (expr[i] === '.') {
+            i += 1;
+        }
+
+        if (expr[i] === '[') {
+            // Find the matching bracket, ignoring brackets inside quotes
+            let depth = 0;
+            let quote = null;
+            let j = i;
+            for (; j < expr.length; j++) {
+                const c = expr[j];
+                if (quote) {
+                    if (c === quote) quote = null;
+                } else if (c === '"' || c === "'") {
+                    quote = c;
+                } else if (c === '[') {
+                    depth++;
+                } else if (c === ']' && --depth === 0) {
+                    break;
+                }
+            }
+            if (j >= expr.length) throw new Error(`Unclosed '[' in JSONPath: ${expression}`);
+            segments.push(parseBracket(expr.slice(i + 1, j), recursive));
+            i = j + 1;
+        } else {
+            const match = expr.slice(i).match(/^(\*|[^.[]+)/);
+            if (!match) throw new Error(`Invalid JSONPath: ${expression}`);
+            segments.push(match[1] === '*' ? { type: 'wildcard', recursive } : { type: 'key', key: match[1], recursive });
+            i += match[1].length;
+        }
+    }
+    compiled.set(expression, segments);
+    return segments;
+}
+
+/**
+ * Lists the direct children of a node.
+ * @param {any} node
+ * @returns {any[]}
+ */
+function children(node) {
+    if (Array.isArray(node)) return node;
+    if (node !== null && typeof node === 'object') return Object.values(node);
+    return [];
+}
+
+/**
+ * Lists a node and all its descendants (for `..`).
+ * @param {any} node
+ * @returns {any[]}
+ */
+function descendants(node) {
+    const result = [node];
+    for (const child of children(node)) result.push(...descendants(child));
+    return result;
+}
+
+/**
+ * @param {any} item
+ * @param {{path: string[], op: string|null, value: any}} filter
+ */
+function matchesFilter(item, filter) {
+    const actual = filter.path.reduce((acc, key) => (acc !== null && acc !== undefined ? acc[key] : undefined), item);
+    switch (filter.op) {
+        case null: return actual !== undefined && actual !== null && actual !== false;
+        case '==': return actual === filter.value;
+        case '!=': return actual !== filter.value;
+        case '>': return actual > filter.value;
+        case '>=': return actual >= filter.value;
+        case '<': return actual < filter.value;
+        case '<=': return actual <= filter.value;
+        default: return false;
+    }
+}
+
+/**
+ * Applies one segment to a node (not recursively).
+ * @param {any} node
+ * @param {PathSegment} segment
+ * @returns {any[]}
+ */
+function select(node, segment) {
+    if (node === null || typeof node !== 'object') return [];
+    switch (segment.type) {
+        case 'key':
+            return Object.prototype.hasOwnProperty.call(node, segment.key) ? [node[segment.key]] : [];
+        case 'index': {
+            if (!Array.isArray(node)) return [];
+            const index = segment.index < 0 ? node.length + segment.index : segment.index;
+            return index >= 0 && index < node.length ? [node[index]] : [];
+        }
+        case 'wildcard':
+            return children(node);
+        case 'slice':
+            return Array.isArray(node) ? node.slice(segment.start, segment.end === Infinity ? undefined : segment.end) : [];
+        case 'filter':
+            return children(node).filter(item => matchesFilter(item, segment.filter));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Evaluates a JSONPath expression.
+ * @param {any} data
+ * @param {string} expression
+ * @returns {any[]} All matched values (empty if none).
+ */
+function query(data, expression) {
+    let nodes = [data];
+    for (const segment of compile(expression)) {
+        const next = [];
+        for (const node of nodes) {
+            const targets = segment.recursive ? descendants(node) : [node];
+            for (const target of targets) next.push(...select(target, segment));
+        }
+        nodes = next;
+    }
+    return nodes;
+}
+
+/**
+ * Returns the first value matched by a JSONPath expression.
+ * @param {any} data
+ * @param {string} expression
+ * @returns {any} The value, or undefined.
+ */
+function queryFirst(data, expression) {
+    return query(data, expression)[0];
+}
+
+module.exports = { query, queryFirst, compile };
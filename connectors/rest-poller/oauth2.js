@@ -0,0 +1,93 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * OAuth2 Client Credentials Token Provider
+ * Fetches and caches access tokens for machine-to-machine REST APIs, refreshing them
+ * shortly before they expire or when the API rejects them.
+ */
+const axios = require('axios');
+
+/** Tokens are renewed this long before their announced expiry. */
+const EXPIRY_MARGIN_MS = 30000;
+/** Lifetime assumed when the token endpoint does not return `expires_in`. */
+const DEFAULT_TOKEN_LIFETIME_S = 3600;
+
+/**
+ * @typedef {Object} OAuth2Config
+ * @property {'oauth2'} type
+ * @property {string} tokenUrl Token endpoint (e.g. https://login.example.com/oauth2/token).
+ * @property {string} clientId
+ * @property {string} clientSecret
+ * @property {string} [scope] Space-separated scopes.
+ * @property {string} [audience] Audience parameter (Auth0, Okta...).
+ * @property {'basic'|'body'} [clientAuth] How the client credentials are sent (default 'basic').
+ */
+
+class OAuth2TokenProvider {
+    /**
+     * @param {OAuth2Config} config
+     * @param {import('pino').Logger} logger
+     */
+    constructor(config, logger) {
+        if (!config.tokenUrl || !config.clientId) throw new Error("OAuth2 auth requires 'tokenUrl' and 'clientId'.");
+        this.config = config;
+        this.logger = logger;
+        /** @type {string|null} */
+        this.token = null;
+        this.expiresAt = 0;
+        /** @type {Promise<string>|null} In-flight token request shared by concurrent callers. */
+        this.pending = null;
+    }
+
+    /**
+     * Returns a valid access token, requesting a new one if needed.
+     * @returns {Promise<string>}
+     */
+    async getToken() {
+        if (this.token && Date.now() < this.expiresAt - EXPIRY_MARGIN_MS) return this.token;
+        if (!this.pending) {
+            this.pending = this.requestToken().finally(() => { this.pending = null; });
+        }
+        return this.pending;
+    }
+
+    /**
+     * Drops the cached token (after a 401), so the next call requests a new one.
+     */
+    invalidate() {
+        this.token = null;
+        this.expiresAt = 0;
+    }
+
+    /**
+     * @returns {Promise<string>}
+     */
+    async requestToken() {
+        const { tokenUrl, clientId, clientSecret, scope, audience, clientAuth } = this.config;
+        const form = new URLSearchParams({ grant_type: 'client_credentials' });
+        if (scope) form.append('scope', scope);
+        if (audience) form.append('audience', audience);
+
+        const requestConfig = {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+            timeout: 10000
+        };
+        if (clientAuth === 'body') {
+            form.append('client_id', clientId);
+            form.append('client_secret', clientSecret || '');
+        } else {
+            requestConfig.auth = { username: clientId, password: clientSecret || '' };
+        }
+
+        const response = await axios.post(tokenUrl, form.toString(), requestConfig);
+        if (!response.data || !response.data.access_token) {
+            throw new Error(`OAuth2 token endpoint did not return an access_token (${tokenUrl}).`);
+        }
+        this.token = response.data.access_token;
+        this.expiresAt = Date.now() + (Number(response.data.expires_in) || DEFAULT_TOKEN_LIFETIME_S) * 1000;
+        this.logger.debug(`OAuth2 token obtained from ${tokenUrl}, valid until ${new Date(this.expiresAt).toISOString()}.`);
+        return this.token;
+    }
+}
+
+module.exports = { OAuth2TokenProvider };
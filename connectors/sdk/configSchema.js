@@ -0,0 +1,106 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Connector Config Schema
+ * Validates the `configSchema` declared by connector plugins (a JSON Schema subset the
+ * configuration page renders as a form) and checks provider configurations against it.
+ */
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'array', 'object'];
+
+/** Keys of the provider configuration that belong to Korelate, not to the plugin. */
+const RESERVED_KEYS = ['id', 'type', 'subscribe', 'publish', 'enabled', 'deadband'];
+
+/**
+ * Checks a plugin's config schema declaration.
+ * Each property supports `type`, `title`, `description`, `default`, `enum`, `minimum`, `maximum`,
+ * `placeholder` and `secret` (rendered as a password field). Arrays hold strings or numbers.
+ * @param {any} schema
+ * @returns {string[]} Problems found (empty when valid).
+ */
+function validateConfigSchema(schema) {
+    if (!schema || typeof schema !== 'object' || Array.isArray(schema)) return ['configSchema must be an object.'];
+    if (!schema.properties || typeof schema.properties !== 'object') return ["configSchema must declare 'properties'."];
+
+    const errors = [];
+    for (const [key, field] of Object.entries(schema.properties)) {
+        if (RESERVED_KEYS.includes(key)) errors.push(`'${key}' is reserved by Korelate and cannot be declared.`);
+        if (!field || !FIELD_TYPES.includes(field.type)) {
+            errors.push(`'${key}' must have a type among ${FIELD_TYPES.join(', ')}.`);
+            continue;
+        }
+        if (field.enum !== undefined && (!Array.isArray(field.enum) || field.enum.length === 0)) errors.push(`'${key}.enum' must be a non-empty array.`);
+        if (field.default !== undefined && checkValue(field, field.default)) errors.push(`'${key}.default' does not match its type.`);
+    }
+    if (schema.required !== undefined) {
+        if (!Array.isArray(schema.required)) errors.push("'required' must be an array.");
+        else schema.required.filter(key => !schema.properties[key]).forEach(key => errors.push(`Required property '${key}' is not declared.`));
+    }
+    return errors;
+}
+
+/**
+ * @param {Object} field Property declaration.
+ * @param {any} value
+ * @returns {string|null} Why the value does not match, or null.
+ */
+function checkValue(field, value) {
+    switch (field.type) {
+        case 'string':
+            if (typeof value !== 'string') return 'must be a string';
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+            if (field.type === 'integer' && !Number.isInteger(value)) return 'must be an integer';
+            if (field.minimum !== undefined && value < field.minimum) return `must be >= ${field.minimum}`;
+            if (field.maximum !== undefined && value > field.maximum) return `must be <= ${field.maximum}`;
+            break;
+        case 'boolean':
+            if (typeof value !== 'boolean') return 'must be a boolean';
+            break;
+        case 'array':
+            if (!Array.isArray(value)) return 'must be an array';
+            break;
+        case 'object':
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object';
+            break;
+    }
+    if (Array.isArray(field.enum) && !field.enum.includes(value)) return `must be one of ${field.enum.join(', ')}`;
+    return null;
+}
+
+/**
+ * Checks a provider configuration against a plugin schema.
+ * @param {Object} schema
+ * @param {Object} config
+ * @returns {string[]} Problems found (empty when valid).
+ */
+function validateConfig(schema, config) {
+    const errors = [];
+    for (const key of schema.required || []) {
+        if (config[key] === undefined || config[key] === null || config[key] === '') errors.push(`'${key}' is required.`);
+    }
+    for (const [key, field] of Object.entries(schema.properties || {})) {
+        if (config[key] === undefined || config[key] === null) continue;
+        const problem = checkValue(field, config[key]);
+        if (problem) errors.push(`'${key}' ${problem}.`);
+    }
+    return errors;
+}
+
+/**
+ * Returns a copy of the configuration with the schema defaults filled in.
+ * @param {Object} schema
+ * @param {Object} config
+ * @returns {Object}
+ */
+function applyConfigDefaults(schema, config) {
+    const result = { ...config };
+    for (const [key, field] of Object.entries(schema.properties || {})) {
+        if (result[key] === undefined && field.default !== undefined) result[key] = field.default;
+    }
+    return result;
+}
+
+module.exports = { RESERVED_KEYS, validateConfigSchema, validateConfig, applyConfigDefaults };
@@ -0,0 +1,212 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Connector Conformance Suite
+ * Reusable Jest suite checking that a provider honours the contract expected by the Korelate core:
+ * lifecycle, status transitions, message shape, health and write acknowledgement.
+ * Plugin authors call `runConformanceTests()` from a test file, usually against a mock server.
+ */
+
+const os = require('os');
+const { EventEmitter } = require('events');
+const BaseProvider = require('../baseProvider');
+const { validateConfigSchema, validateConfig } = require('./configSchema');
+
+/** Statuses understood by the UI status bar. */
+const KNOWN_STATUSES = ['connecting', 'connected', 'offline', 'error', 'disconnected', 'stopped'];
+const HEALTH_STATUSES = ['ok', 'degraded', 'down'];
+
+/**
+ * Builds an in-memory provider context recording what the provider sends to the core.
+ * @param {Object} [overrides] Extra or replaced context members.
+ * @returns {Object} The context, with `messages` ({sourceId, topic, payload, options}) and `statuses` ({status, error}) arrays.
+ */
+function createMockContext(overrides = {}) {
+    const noop = () => {};
+    const logger = { trace: noop, debug: noop, info: noop, warn: noop, error: noop, fatal: noop };
+    logger.child = () => logger;
+    const routes = [];
+    const route = (method) => (path, ...handlers) => routes.push({ method, path, handler: handlers[handlers.length - 1] });
+    const state = new Map();
+
+    const context = {
+        logger,
+        messages: [],
+        statuses: [],
+        routes,
+        config: {},
+        CERTS_PATH: os.tmpdir(),
+        isShuttingDown: () => false,
+        activeConnections: new Map(),
+        dispatcherEvents: new EventEmitter(),
+        app: { get: route('get'), post: route('post'), put: route('put'), delete: route('delete'), use: route('use') },
+        stateStore: {
+            load: async (id) => state.has(id) ? JSON.parse(state.get(id)) : null,
+            save: async (id, value) => { state.set(id, JSON.stringify(value)); }
+        },
+        handleMessage: (sourceId, topic, payload, options) => context.messages.push({ sourceId, topic, payload, options }),
+        updateConnectorStatus: (sourceId, status, error = null) => context.statuses.push({ sourceId, status, error }),
+        ...overrides
+    };
+    return context;
+}
+
+/**
+ * Resolves once `predicate()` is truthy, or rejects after `timeout` ms.
+ * @param {Function} predicate
+ * @param {number} timeout
+ * @param {string} description Used in the timeout error.
+ */
+async function waitFor(predicate, timeout, description) {
+    const deadline = Date.now() + timeout;
+    while (!predicate()) {
+        if (Date.now() > deadline) throw new Error(`Timed out after ${timeout}ms waiting for ${description}.`);
+        await new Promise(r => setTimeout(r, 20));
+    }
+}
+
+/**
+ * @param {{sourceId: string, topic: any, payload: any, options: any}} message
+ * @param {Object} config
+ * @returns {string[]} Contract violations of one forwarded message.
+ */
+function checkMessageShape(message, config) {
+    const errors = [];
+    if (message.sourceId !== config.id) errors.push(`sourceId '${message.sourceId}' is not the provider id '${config.id}'.`);
+    if (typeof message.topic !== 'string' || !message.topic) errors.push('topic must be a non-empty string.');
+    else if (/[+#]/.test(message.topic)) errors.push(`topic '${message.topic}' contains MQTT wildcards.`);
+
+    const { payload } = message;
+    if (payload === undefined || typeof payload === 'function' || typeof payload === 'symbol') {
+        errors.push(`payload of type ${typeof payload} cannot be stored.`);
+    } else if (payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload)) {
+        try { JSON.stringify(payload); } catch (err) { errors.push(`payload is not JSON-serializable (${err.message}).`); }
+    }
+
+    const options = message.options || {};
+    if (options.connectorType !== config.type) errors.push("options.connectorType is missing: forward messages with handleIncomingMessage().");
+    if (options.timestamp !== undefined && isNaN(new Date(options.timestamp).getTime())) errors.push(`options.timestamp '${options.timestamp}' is not a valid date.`);
+    return errors;
+}
+
+/**
+ * @typedef {Object} ConformanceOptions
+ * @property {string} [name] Suite name (defaults to the provider type).
+ * @property {typeof BaseProvider} Provider The provider class under test.
+ * @property {Object|function(): Object} config Provider configuration (a factory when it depends on `setup`).
+ * @property {function(): Promise<void>} [setup] Starts the mock server (beforeAll).
+ * @property {function(): Promise<void>} [teardown] Stops the mock server (afterAll).
+ * @property {function(BaseProvider, Object): Promise<void>} [trigger] Makes the source emit data once connected (e.g. publishes on the mock server). Polling providers usually need none.
+ * @property {boolean} [expectMessages=true] Whether the provider must forward at least one message after connecting.
+ * @property {{topic: string, payload: any, options?: Object, verify?: function(): Promise<void>}} [write] A write the provider must acknowledge (omit for read-only providers).
+ * @property {number} [timeout=5000] Max wait (ms) for the connection, the first message and the write.
+ * @property {number} [quietPeriod=300] Time (ms) during which a disconnected provider must stay silent.
+ */
+
+/**
+ * Declares the conformance suite with the Jest globals of the calling test file.
+ * @param {ConformanceOptions} options
+ */
+function runConformanceTests(options) {
+    const { Provider, setup, teardown, trigger, write, expectMessages = true, timeout = 5000, quietPeriod = 300 } = options;
+    const buildConfig = () => JSON.parse(JSON.stringify(typeof options.config === 'function' ? options.config() : options.config));
+    const label = options.name || (typeof options.config === 'object' ? options.config.type : Provider.name);
+
+    describe(`${label} connector conformance`, () => {
+        let context;
+        let provider;
+        let config;
+
+        if (setup) beforeAll(setup, timeout);
+        if (teardown) afterAll(teardown, timeout);
+
+        beforeEach(() => {
+            config = buildConfig();
+            context = createMockContext();
+            provider = new Provider(config, context);
+        });
+
+        afterEach(async () => {
+            try { await provider.disconnect(); } catch (err) { /* already reported by the lifecycle tests */ }
+        });
+
+        test('extends BaseProvider and declares a valid config schema', () => {
+            expect(provider).toBeInstanceOf(BaseProvider);
+            if (Provider.configSchema) {
+                expect(validateConfigSchema(Provider.configSchema)).toEqual([]);
+                expect(validateConfig(Provider.configSchema, config)).toEqual([]);
+            }
+        });
+
+        test('does not connect or forward data from its constructor', async () => {
+            await new Promise(r => setTimeout(r, 50));
+            expect(provider.connected).toBe(false);
+            expect(context.messages).toEqual([]);
+            expect(context.statuses.map(s => s.status)).not.toContain('connected');
+        });
+
+        test('connects and reports known status transitions', async () => {
+            await provider.connect();
+            await waitFor(() => provider.connected, timeout, 'provider.connected');
+            await waitFor(() => context.statuses.some(s => s.status === 'connected'), timeout, "the 'connected' status");
+
+            context.statuses.forEach(s => {
+                expect(s.sourceId).toBe(config.id);
+                expect(KNOWN_STATUSES).toContain(s.status);
+            });
+            expect(context.statuses[context.statuses.length - 1].status).toBe('connected');
+        }, timeout * 2);
+
+        if (expectMessages) {
+            test('forwards messages with the UNS shape', async () => {
+                await provider.connect();
+                await waitFor(() => provider.connected, timeout, 'provider.connected');
+                if (trigger) await trigger(provider, context);
+                await waitFor(() => context.messages.length > 0, timeout, 'a forwarded message');
+
+                context.messages.forEach(message => expect(checkMessageShape(message, config)).toEqual([]));
+            }, timeout * 3);
+        }
+
+        test('reports its health', async () => {
+            const offline = await provider.health();
+            expect(HEALTH_STATUSES).toContain(offline.status);
+            expect(offline.connected).toBe(false);
+
+            await provider.connect();
+            await waitFor(() => provider.connected, timeout, 'provider.connected');
+            const online = await provider.health();
+            expect(online.connected).toBe(true);
+            expect(['ok', 'degraded']).toContain(online.status);
+        }, timeout * 2);
+
+        if (write) {
+            test('acknowledges writes', async () => {
+                await provider.connect();
+                await waitFor(() => provider.connected, timeout, 'provider.connected');
+                await expect(provider.write(write.topic, write.payload, write.options || {})).resolves.toBeUndefined();
+                if (write.verify) await write.verify();
+            }, timeout * 3);
+        }
+
+        test('stops forwarding and reports disconnection after disconnect()', async () => {
+            await provider.connect();
+            await waitFor(() => provider.connected, timeout, 'provider.connected');
+            await provider.disconnect();
+
+            expect(provider.connected).toBe(false);
+            expect(context.statuses[context.statuses.length - 1].status).toBe('disconnected');
+            context.messages.length = 0;
+            await new Promise(r => setTimeout(r, quietPeriod));
+            expect(context.messages).toEqual([]);
+        }, timeout * 2);
+
+        test('tolerates disconnect() before connect() and twice in a row', async () => {
+            await provider.disconnect();
+            await provider.disconnect();
+            expect(provider.connected).toBe(false);
+        });
+    });
+}
+
+module.exports = { KNOWN_STATUSES, createMockContext, checkMessageShape, runConformanceTests };
@@ -0,0 +1,26 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Connector Plugin SDK
+ * Entry point for `korelate-plugin-<type>` packages: the base class to extend, the config schema
+ * helpers and the conformance suite to run against the plugin.
+ *
+ *     const { BaseProvider } = require('korelate/connectors/sdk');
+ *     class MyProvider extends BaseProvider {
+ *         static configSchema = { properties: { host: { type: 'string', title: 'Host' } }, required: ['host'] };
+ *     }
+ */
+
+const BaseProvider = require('../baseProvider');
+const { RESERVED_KEYS, validateConfigSchema, validateConfig, applyConfigDefaults } = require('./configSchema');
+
+module.exports = {
+    BaseProvider,
+    RESERVED_KEYS,
+    validateConfigSchema,
+    validateConfig,
+    applyConfigDefaults,
+    // The conformance suite needs the Jest globals: only loaded from test files
+    get runConformanceTests() { return require('./conformance').runConformanceTests; },
+    get createMockContext() { return require('./conformance').createMockContext; }
+};
@@ -2,26 +2,74 @@
  * @license Apache License, Version 2.0
  * @author Sebastien Lalaurette
  * * SNMP Poller Provider Plugin
- * Implements the BaseProvider interface for polling SNMP devices.
+ * Implements the BaseProvider interface for polling SNMP devices (v1, v2c, v3).
+ * Besides `get` polling, it walks subtrees (e.g. interface tables) and receives
+ * traps and informs. OIDs can be rendered with symbolic names from the MIB files in data/mibs.
  */
+const mustache = require('mustache');
 const BaseProvider = require('../baseProvider');
+const { MibResolver } = require('./mibResolver');
+
+const SYS_UPTIME_OID = '1.3.6.1.2.1.1.3.0';
+const SNMP_TRAP_OID = '1.3.6.1.6.3.1.1.4.1.0';
+/** SNMPv1 generic traps map to 1.3.6.1.6.3.1.1.5.<generic + 1> (RFC 3584). */
+const GENERIC_TRAP_BASE = '1.3.6.1.6.3.1.1.5';
+const ENTERPRISE_SPECIFIC = 6;
+
+/**
+ * @typedef {Object} SnmpUserConfig
+ * @property {string} name
+ * @property {'noAuthNoPriv'|'authNoPriv'|'authPriv'} [level] Default: derived from the keys.
+ * @property {'md5'|'sha'|'sha224'|'sha256'|'sha384'|'sha512'} [authProtocol] Default 'sha'.
+ * @property {string} [authKey]
+ * @property {'des'|'aes'|'aes256b'|'aes256r'} [privProtocol] Default 'aes'.
+ * @property {string} [privKey]
+ */
+
+/**
+ * @typedef {Object} SnmpWalkConfig
+ * @property {string} oid Root OID, numeric or symbolic (e.g. `IF-MIB::ifTable`).
+ * @property {string} [name] Topic level of the walk (default: symbolic name of the root, or its OID).
+ * @property {boolean} [table] Publish one message per table row (default: detected from the OIDs).
+ */
+
+/**
+ * @typedef {Object} SnmpTrapConfig
+ * @property {boolean} [enabled]
+ * @property {number} [port] UDP port (default 162, which needs privileges: use e.g. 1162 otherwise).
+ * @property {string} [address] Bind address (default: all interfaces).
+ * @property {string[]} [communities] Accepted v1/v2c communities (default: the provider community; empty list: any).
+ * @property {SnmpUserConfig[]} [users] Accepted SNMPv3 users (default: the provider `user`).
+ * @property {string} [engineID] SNMPv3 engine ID of the receiver (hex).
+ * @property {string} [topic] Mustache template over `provider`, `agent`, `trap` and `trapOid`
+ *   (default `snmp/{{provider}}/traps/{{agent}}/{{trap}}`).
+ */
 
 class SnmpProvider extends BaseProvider {
     /**
-     * @param {import('../baseProvider').ProviderConfig} config 
-     * @param {import('../baseProvider').ProviderContext} context 
+     * @param {import('../baseProvider').ProviderConfig} config
+     * @param {import('../baseProvider').ProviderContext} context
      */
     constructor(config, context) {
         super(config, context);
         this.options = config.options || {};
         this.target = this.options.target || '127.0.0.1';
         this.community = this.options.community || 'public';
-        this.oids = this.options.oids || []; // Array of string OIDs
+        this.oids = this.options.oids || []; // Array of string OIDs (numeric or MODULE::name)
+        /** @type {Array<string|SnmpWalkConfig>} */
+        this.walks = this.options.walks || [];
         this.interval = this.options.interval || 60000;
         this.topic = this.options.topic || `snmp/${this.id}`;
         this.version = this.options.version || 'v2c';
-        
+        /** @type {'numeric'|'module'|'name'} Rendering of OIDs in payload keys. */
+        this.oidFormat = this.options.oidFormat || 'numeric';
+        /** @type {SnmpTrapConfig} */
+        this.trapConfig = this.options.traps || {};
+
         this.session = null;
+        this.receiver = null;
+        /** @type {MibResolver|null} */
+        this.mib = null;
         this.timer = null;
         this.isPolling = false;
         this.snmp = null;
@@ -38,9 +86,22 @@ class SnmpProvider extends BaseProvider {
         }
 
         try {
-            const version = this.version === 'v1' ? this.snmp.Version1 : this.snmp.Version2c;
-            this.session = this.snmp.createSession(this.target, this.community, { version });
-            
+            this.mib = new MibResolver(this.snmp, { mibDir: this.options.mibDir }, this.logger);
+            this.mib.load();
+            this.pollOids = this.oids.map(oid => this.mib.toNumeric(oid));
+            this.walkRoots = this.walks.map(walk => this.resolveWalk(walk));
+
+            if (this.pollOids.length > 0 || this.walkRoots.length > 0) {
+                const sessionOptions = { port: this.options.port || 161 };
+                if (this.version === 'v3') {
+                    this.session = this.snmp.createV3Session(this.target, this.buildUser(this.options.user), { ...sessionOptions, version: this.snmp.Version3 });
+                } else {
+                    const version = this.version === 'v1' ? this.snmp.Version1 : this.snmp.Version2c;
+                    this.session = this.snmp.createSession(this.target, this.community, { ...sessionOptions, version });
+                }
+            }
+            if (this.trapConfig.enabled) this.startTrapReceiver();
+
             this.connected = true;
             this.updateStatus('connected');
             this.startPolling();
@@ -52,22 +113,80 @@ class SnmpProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Converts a user config (protocol names) into a net-snmp user.
+     * @param {SnmpUserConfig} user
+     * @returns {Object}
+     */
+    buildUser(user) {
+        if (!user || !user.name) throw new Error("SNMPv3 requires a 'user' with a 'name'.");
+        const level = user.level || (user.privKey ? 'authPriv' : (user.authKey ? 'authNoPriv' : 'noAuthNoPriv'));
+        const result = { name: user.name, level: this.snmp.SecurityLevel[level] };
+        if (result.level === undefined) throw new Error(`Unknown SNMPv3 security level '${level}'.`);
+        if (level !== 'noAuthNoPriv') {
+            result.authProtocol = this.snmp.AuthProtocols[user.authProtocol || 'sha'];
+            result.authKey = user.authKey;
+        }
+        if (level === 'authPriv') {
+            result.privProtocol = this.snmp.PrivProtocols[user.privProtocol || 'aes'];
+            result.privKey = user.privKey;
+        }
+        return result;
+    }
+
+    /**
+     * @param {string|SnmpWalkConfig} walk
+     * @returns {{oid: string, name: string, table: boolean|undefined}}
+     */
+    resolveWalk(walk) {
+        const config = typeof walk === 'string' ? { oid: walk } : walk;
+        const oid = this.mib.toNumeric(config.oid);
+        return { oid, name: config.name || this.mib.format(oid, 'name'), table: config.table };
+    }
+
     startPolling() {
         if (this.timer) clearInterval(this.timer);
-        if (this.oids.length === 0) {
-            this.logger.warn(`No OIDs configured for SNMP provider ${this.id}. Poller will not start.`);
+        if (this.pollOids.length === 0 && this.walkRoots.length === 0) {
+            if (!this.trapConfig.enabled) this.logger.warn(`No OIDs configured for SNMP provider ${this.id}. Poller will not start.`);
             return;
         }
         this.timer = setInterval(() => this.poll(), this.interval);
         setImmediate(() => this.poll());
     }
 
+    /**
+     * Converts a varbind value for the JSON payload.
+     * @param {any} value
+     */
+    convertValue(value) {
+        // Convert Buffer value to string if necessary
+        return Buffer.isBuffer(value) ? value.toString() : value;
+    }
+
     async poll() {
         if (this.isPolling || !this.connected || !this.session) return;
         this.isPolling = true;
 
         try {
-            this.session.get(this.oids, (error, varbinds) => {
+            if (this.pollOids.length > 0) await this.pollGet();
+            for (const walk of this.walkRoots) {
+                if (!this.connected) break;
+                await this.pollWalk(walk);
+            }
+        } catch (err) {
+            this.logger.error({ err: err.message }, `Exception during SNMP poll for ${this.id}`);
+        } finally {
+            this.isPolling = false;
+        }
+    }
+
+    /**
+     * Reads the configured scalar OIDs into one message.
+     * @returns {Promise<void>}
+     */
+    pollGet() {
+        return new Promise((resolve) => {
+            this.session.get(this.pollOids, (error, varbinds) => {
                 if (error) {
                     this.logger.error({ err: error.message }, `SNMP Poll Error for ${this.id}`);
                 } else {
@@ -76,20 +195,142 @@ class SnmpProvider extends BaseProvider {
                         if (this.snmp.isVarbindError(varbinds[i])) {
                             this.logger.warn(this.snmp.varbindError(varbinds[i]));
                         } else {
-                            const oid = varbinds[i].oid;
-                            // Convert Buffer value to string if necessary
-                            const value = Buffer.isBuffer(varbinds[i].value) ? varbinds[i].value.toString() : varbinds[i].value;
-                            payload[oid] = value;
+                            payload[this.mib.format(varbinds[i].oid, this.oidFormat)] = this.convertValue(varbinds[i].value);
                         }
                     }
                     this.handleIncomingMessage(this.topic, payload);
                 }
-                this.isPolling = false;
+                resolve();
             });
-        } catch (err) {
-            this.logger.error({ err: err.message }, `Exception during SNMP poll for ${this.id}`);
-            this.isPolling = false;
+        });
+    }
+
+    /**
+     * Walks a subtree. Tables (`<table>.1.<column>.<index>`) are published as one message per row
+     * under `<topic>/<walk name>/<index>`, other subtrees as one message under `<topic>/<walk name>`.
+     * @param {{oid: string, name: string, table: boolean|undefined}} walk
+     * @returns {Promise<void>}
+     */
+    pollWalk(walk) {
+        const varbinds = [];
+        return new Promise((resolve) => {
+            const feed = (batch) => {
+                for (const varbind of batch) {
+                    if (this.snmp.isVarbindError(varbind)) this.logger.warn(this.snmp.varbindError(varbind));
+                    else varbinds.push(varbind);
+                }
+            };
+            this.session.subtree(walk.oid, this.options.maxRepetitions || 20, feed, (error) => {
+                if (error) {
+                    this.logger.error({ err: error.message, oid: walk.oid }, `SNMP walk error for ${this.id}`);
+                } else {
+                    this.publishWalk(walk, varbinds);
+                }
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * @param {{oid: string, name: string, table: boolean|undefined}} walk
+     * @param {Array<{oid: string, value: any}>} varbinds
+     */
+    publishWalk(walk, varbinds) {
+        const prefix = `${walk.oid}.`;
+        const suffixes = varbinds.map(vb => vb.oid.startsWith(prefix) ? vb.oid.slice(prefix.length).split('.') : []);
+        const isTable = walk.table !== undefined
+            ? walk.table
+            : suffixes.length > 0 && suffixes.every(arcs => arcs.length >= 3 && arcs[0] === '1');
+        const walkTopic = `${this.topic}/${walk.name}`;
+
+        if (!isTable) {
+            const payload = {};
+            varbinds.forEach(vb => { payload[this.mib.format(vb.oid, this.oidFormat)] = this.convertValue(vb.value); });
+            this.handleIncomingMessage(walkTopic, payload);
+            return;
         }
+
+        const rows = new Map();
+        varbinds.forEach((vb, i) => {
+            const arcs = suffixes[i];
+            if (arcs.length < 3) return;
+            const index = arcs.slice(2).join('.');
+            const columnOid = `${walk.oid}.1.${arcs[1]}`;
+            const column = this.oidFormat === 'numeric' ? arcs[1] : this.mib.format(columnOid, this.oidFormat);
+            if (!rows.has(index)) rows.set(index, {});
+            rows.get(index)[column] = this.convertValue(vb.value);
+        });
+        rows.forEach((row, index) => this.handleIncomingMessage(`${walkTopic}/${index}`, row));
+    }
+
+    // --- Traps & Informs ---
+
+    startTrapReceiver() {
+        const communities = this.trapConfig.communities || [this.community];
+        const users = this.trapConfig.users || (this.options.user ? [this.options.user] : []);
+        const receiverOptions = {
+            port: this.trapConfig.port || 162,
+            address: this.trapConfig.address || null,
+            includeAuthentication: true,
+            // An empty community list accepts any community
+            disableAuthorization: communities.length === 0
+        };
+        if (this.trapConfig.engineID) receiverOptions.engineID = this.trapConfig.engineID;
+
+        this.receiver = this.snmp.createReceiver(receiverOptions, (error, notification) => this.handleNotification(error, notification));
+        const authorizer = this.receiver.getAuthorizer();
+        communities.forEach(community => authorizer.addCommunity(community));
+        users.forEach(user => authorizer.addUser(this.buildUser(user)));
+        this.logger.info(`SNMP trap receiver of ${this.id} listening on UDP ${receiverOptions.port}.`);
+    }
+
+    /**
+     * Publishes a received trap or inform as an event.
+     * @param {Error|null} error
+     * @param {{pdu: Object, rinfo: {address: string}}|null} notification
+     */
+    handleNotification(error, notification) {
+        if (error) {
+            if (error.code === 'EADDRINUSE' || error.code === 'EACCES') {
+                this.logger.error({ err: error.message }, `SNMP trap receiver of ${this.id} cannot listen.`);
+                this.updateStatus('error', `Trap port: ${error.message}`);
+            } else {
+                this.logger.warn({ err: error.message }, `Invalid SNMP notification received by ${this.id}`);
+            }
+            return;
+        }
+
+        const { pdu, rinfo } = notification;
+        const isV1 = pdu.type === this.snmp.PduType.Trap;
+        let trapOid = null;
+        let uptime = isV1 ? pdu.upTime : null;
+        if (isV1) {
+            trapOid = pdu.generic === ENTERPRISE_SPECIFIC ? `${pdu.enterprise}.0.${pdu.specific}` : `${GENERIC_TRAP_BASE}.${pdu.generic + 1}`;
+        }
+
+        const varbinds = {};
+        for (const vb of pdu.varbinds || []) {
+            if (vb.oid === SYS_UPTIME_OID) uptime = vb.value;
+            else if (vb.oid === SNMP_TRAP_OID) trapOid = String(vb.value);
+            else varbinds[this.mib.format(vb.oid, this.oidFormat)] = this.convertValue(vb.value);
+        }
+
+        const agent = isV1 && pdu.agentAddr && pdu.agentAddr !== '0.0.0.0' ? pdu.agentAddr : rinfo.address;
+        const payload = {
+            type: pdu.type === this.snmp.PduType.InformRequest ? 'inform' : 'trap',
+            version: isV1 ? 'v1' : (pdu.user ? 'v3' : 'v2c'),
+            agent,
+            trapOid,
+            trap: trapOid ? this.mib.format(trapOid, 'module') : null,
+            uptime,
+            varbinds
+        };
+        if (pdu.user) payload.user = pdu.user;
+
+        const view = { provider: this.id, agent, trap: trapOid ? this.mib.format(trapOid, 'name') : 'unknown', trapOid };
+        const template = this.trapConfig.topic || 'snmp/{{provider}}/traps/{{agent}}/{{trap}}';
+        const topic = mustache.render(template, view, {}, { escape: String }).split('/').filter(Boolean).join('/');
+        this.handleIncomingMessage(topic, payload);
     }
 
     async disconnect() {
@@ -98,6 +339,10 @@ class SnmpProvider extends BaseProvider {
         if (this.session) {
             this.session.close();
         }
+        if (this.receiver) {
+            this.receiver.close();
+            this.receiver = null;
+        }
         this.updateStatus('disconnected');
     }
 
@@ -0,0 +1,133 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * SNMP MIB Resolver
+ * Loads MIB modules from the data directory into a net-snmp module store and translates
+ * numeric OIDs into symbolic names (and back), including instance suffixes such as `ifDescr.3`.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+const MIB_EXTENSIONS = ['.mib', '.my', '.txt'];
+/** MIBs shipped with net-snmp but not preloaded, needed to name interface tables and link traps. */
+const BUNDLED_MIBS = ['IANAifType-MIB.mib', 'IF-MIB.mib'];
+
+class MibResolver {
+    /**
+     * @param {Object} snmp The net-snmp module.
+     * @param {{mibDir?: string}} config `mibDir` is relative to data/ (default `mibs`).
+     * @param {import('pino').Logger} logger
+     */
+    constructor(snmp, config = {}, logger) {
+        this.snmp = snmp;
+        this.logger = logger;
+        this.mibDir = path.resolve(DATA_DIR, config.mibDir || 'mibs');
+        if (this.mibDir !== DATA_DIR && !this.mibDir.startsWith(DATA_DIR + path.sep)) {
+            throw new Error(`MIB directory must be inside the data folder: ${config.mibDir}`);
+        }
+        this.store = snmp.createModuleStore();
+        /** @type {Map<string, string>} Numeric OID -> module-qualified name ('' when unknown). */
+        this.cache = new Map();
+    }
+
+    /**
+     * Loads every MIB file of the MIB directory. Files are retried while at least one more loads,
+     * so modules importing each other do not need to be named in dependency order.
+     * @returns {string[]} Names of the files that could not be loaded.
+     */
+    load() {
+        const bundledDir = path.join(path.dirname(require.resolve('net-snmp')), 'lib', 'mibs');
+        for (const name of BUNDLED_MIBS) {
+            try {
+                this.store.loadFromFile(path.join(bundledDir, name));
+            } catch (err) {
+                this.logger.debug({ err: err.message }, `Bundled MIB ${name} not available.`);
+            }
+        }
+        this.cache.clear();
+        if (!fs.existsSync(this.mibDir)) return [];
+        let pending = fs.readdirSync(this.mibDir)
+            .filter(name => MIB_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+            .sort();
+        const errors = {};
+
+        let progress = true;
+        while (pending.length > 0 && progress) {
+            progress = false;
+            pending = pending.filter(name => {
+                try {
+                    this.store.loadFromFile(path.join(this.mibDir, name));
+                    progress = true;
+                    return false;
+                } catch (err) {
+                    errors[name] = err.message;
+                    return true;
+                }
+            });
+        }
+        pending.forEach(name => this.logger.warn({ err: errors[name] }, `Failed to load MIB file ${name}.`));
+        return pending;
+    }
+
+    /**
+     * Translates a numeric OID into `MODULE::name.instance` using the longest known prefix.
+     * @param {string} oid
+     * @returns {string|null} Null if no prefix of the OID is known.
+     */
+    lookup(oid) {
+        if (this.cache.has(oid)) return this.cache.get(oid) || null;
+
+        let result = null;
+        const arcs = oid.split('.');
+        for (let length = arcs.length; !result && length > 1; length--) {
+            const base = arcs.slice(0, length).join('.');
+            const name = this.translate(base, this.snmp.OidFormat.module);
+            if (name) result = length === arcs.length ? name : `${name}.${arcs.slice(length).join('.')}`;
+        }
+        this.cache.set(oid, result || '');
+        return result;
+    }
+
+    /**
+     * @param {string} oid
+     * @param {number} format net-snmp OidFormat.
+     * @returns {string|null}
+     */
+    translate(oid, format) {
+        try {
+            return this.store.translate(oid, format) || null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Renders an OID in the configured format.
+     * @param {string} oid Numeric OID.
+     * @param {'numeric'|'module'|'name'} format `module` gives `IF-MIB::ifDescr.3`, `name` gives `ifDescr.3`.
+     * @returns {string} The OID itself if it cannot be translated.
+     */
+    format(oid, format) {
+        if (format !== 'module' && format !== 'name') return oid;
+        const name = this.lookup(oid);
+        if (!name) return oid;
+        return format === 'name' ? name.split('::').pop() : name;
+    }
+
+    /**
+     * Resolves a symbolic OID (`IF-MIB::ifDescr.3`, `SNMPv2-MIB::sysDescr.0`) into its numeric form.
+     * Numeric OIDs are returned unchanged.
+     * @param {string} oid
+     * @returns {string}
+     */
+    toNumeric(oid) {
+        if (/^\.?\d+(\.\d+)*$/.test(oid)) return oid.replace(/^\./, '');
+        const match = oid.match(/^(.+::[^.]+)((?:\.\d+)*)$/);
+        const numeric = match ? this.translate(match[1], this.snmp.OidFormat.oid) : null;
+        if (!numeric) throw new Error(`Unknown OID name '${oid}'. Load its MIB file in ${this.mibDir}.`);
+        return numeric + match[2];
+    }
+}
+
+module.exports = { MibResolver };
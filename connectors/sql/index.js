@@ -4,10 +4,27 @@
  * * SQL Poller Provider Plugin
  * Implements the BaseProvider interface for polling relational databases.
  * Supports PostgreSQL, MySQL, and MS SQL Server.
+ * The polling cursor is persisted across restarts, and an optional sink mode
+ * writes publishes (e.g. from the Mapper) into a table.
  */
 
 const BaseProvider = require('../baseProvider');
+const mqttMatch = require('mqtt-match');
 const { v4: uuidv4 } = require('uuid');
+const { buildSinkStatement, extractRow } = require('./sinkStatement');
+
+/**
+ * @typedef {Object} SqlProviderOptions
+ * @property {'postgres'|'mysql'|'mssql'} [driver] Database driver (default: postgres).
+ * @property {string|Object} connection Connection string or driver options.
+ * @property {string} [query] SELECT query to poll. Without query, the provider only acts as a sink.
+ * @property {number} [interval] Polling interval in ms (default: 60000).
+ * @property {string} [cursorColumn] Column used to fetch only new rows (persisted across restarts).
+ * @property {any} [initialCursor] Cursor value used when no cursor has been persisted yet.
+ * @property {string} [topic] Base topic (default: sql/<id>).
+ * @property {string} [topicColumn] Column appended to the base topic.
+ * @property {import('./sinkStatement').SqlSinkConfig} [sink] Write-back mode: publishes become INSERT/UPSERT statements.
+ */
 
 class SqlPollerProvider extends BaseProvider {
     /**
@@ -26,6 +43,12 @@ class SqlPollerProvider extends BaseProvider {
         this.topicColumn = this.options.topicColumn; // Optional: use a column as sub-topic
         
         this.lastCursorValue = this.options.initialCursor || null;
+        /** @type {import('./sinkStatement').SqlSinkConfig|null} */
+        this.sink = this.options.sink || null;
+        /** @type {{text: string, columns: string[]}|null} */
+        this.sinkStatement = null;
+        // A sink writes into a production database: nothing is writable unless explicitly allowed
+        this.allowedPublish = this.config.publish || [];
         this.pool = null;
         this.timer = null;
         this.isPolling = false;
@@ -47,9 +70,15 @@ class SqlPollerProvider extends BaseProvider {
                 throw new Error(`Unsupported SQL driver: ${this.driver}`);
             }
 
+            if (this.sink) {
+                this.sinkStatement = buildSinkStatement(this.driver, this.sink);
+                this.logger.info(`SQL sink enabled on table ${this.sink.table} (${this.sink.mode || 'insert'}).`);
+            }
+            await this.restoreCursor();
+
             this.connected = true;
             this.updateStatus('connected');
-            this.startPolling();
+            if (this.query) this.startPolling();
             return true;
         } catch (err) {
             this.logger.error({ err }, `Failed to connect to ${this.driver} database`);
@@ -58,6 +87,36 @@ class SqlPollerProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Restores the cursor persisted by a previous run, unless the query or cursor column changed
+     * (the saved value would then filter the wrong data).
+     */
+    async restoreCursor() {
+        if (!this.cursorColumn) return;
+        const state = await this.loadState();
+        if (!state || state.cursor === undefined || state.cursor === null) return;
+
+        if (state.cursorColumn !== this.cursorColumn || state.query !== this.query) {
+            this.logger.info(`Ignoring persisted cursor of ${this.id}: query or cursor column changed.`);
+            return;
+        }
+        this.lastCursorValue = state.cursorType === 'date' ? new Date(state.cursor) : state.cursor;
+        this.logger.info(`Resuming ${this.id} from persisted cursor ${state.cursor}.`);
+    }
+
+    /**
+     * Persists the current cursor (Dates are stored as ISO strings and revived on load).
+     */
+    async persistCursor() {
+        const isDate = this.lastCursorValue instanceof Date;
+        await this.saveState({
+            cursorColumn: this.cursorColumn,
+            query: this.query,
+            cursor: isDate ? this.lastCursorValue.toISOString() : this.lastCursorValue,
+            cursorType: isDate ? 'date' : typeof this.lastCursorValue
+        });
+    }
+
     startPolling() {
         if (this.timer) clearInterval(this.timer);
         this.timer = setInterval(() => this.poll(), this.interval);
@@ -105,6 +164,7 @@ class SqlPollerProvider extends BaseProvider {
 
             if (results.length > 0) {
                 this.logger.debug(`Polled ${results.length} rows from ${this.id}`);
+                const previousCursor = this.lastCursorValue;
                 
                 results.forEach(row => {
                     const subTopic = this.topicColumn ? row[this.topicColumn] : null;
@@ -119,6 +179,10 @@ class SqlPollerProvider extends BaseProvider {
                         }
                     }
                 });
+
+                if (this.cursorColumn && this.lastCursorValue !== previousCursor) {
+                    await this.persistCursor();
+                }
             }
         } catch (err) {
             this.logger.error({ err }, `Error during SQL poll for ${this.id}`);
@@ -140,10 +204,65 @@ class SqlPollerProvider extends BaseProvider {
         this.updateStatus('disconnected');
     }
 
+    /**
+     * Sink mode: writes the published message as a row of the configured table.
+     * @param {string} topic
+     * @param {Buffer|string|Object} payload
+     * @param {Object} [options]
+     * @param {Function} [callback]
+     */
     publish(topic, payload, options, callback) {
-        const err = new Error("SQL Poller Provider does not support outbound publishing yet.");
-        this.logger.warn(err.message);
-        if (callback) callback(err);
+        if (!this.sinkStatement) {
+            const err = new Error("SQL provider has no sink configured (options.sink): publishing is not supported.");
+            this.logger.warn(err.message);
+            if (callback) callback(err);
+            return;
+        }
+        if (!this.connected || !this.pool) {
+            if (callback) callback(new Error('SQL provider is not connected'));
+            return;
+        }
+
+        const isAllowed = this.allowedPublish.some(pattern => mqttMatch(pattern, topic));
+        if (!isAllowed) {
+            const err = new Error(`Publish forbidden for topic: ${topic}`);
+            this.logger.warn(err.message);
+            if (callback) callback(err);
+            return;
+        }
+
+        let params;
+        try {
+            params = extractRow(this.sink, this.sinkStatement.columns, topic, payload);
+        } catch (err) {
+            if (callback) callback(err);
+            return;
+        }
+
+        this.executeStatement(this.sinkStatement.text, params)
+            .then(() => { if (callback) callback(); })
+            .catch(err => {
+                this.logger.error({ err, topic }, `Error writing to SQL sink table ${this.sink.table}`);
+                if (callback) callback(err);
+            });
+    }
+
+    /**
+     * Executes a parameterized statement with the driver-specific API.
+     * @param {string} text Statement with driver placeholders ($n, ?, @pn).
+     * @param {Array<any>} params
+     * @returns {Promise<void>}
+     */
+    async executeStatement(text, params) {
+        if (this.driver === 'postgres') {
+            await this.pool.query(text, params);
+        } else if (this.driver === 'mysql') {
+            await this.pool.execute(text, params);
+        } else if (this.driver === 'mssql') {
+            const request = this.pool.request();
+            params.forEach((value, i) => request.input(`p${i}`, value));
+            await request.query(text);
+        }
     }
 }
 
@@ -0,0 +1,145 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * SQL Sink Statement Builder
+ * Turns UNS publishes into parameterized INSERT / UPSERT statements for the
+ * sink (write-back) mode of the SQL connector.
+ */
+
+// Table and column names are interpolated in the SQL text: only plain (optionally schema-qualified) identifiers are allowed
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+/**
+ * @typedef {Object} SqlSinkConfig
+ * @property {string} table Target table (e.g. "mes.measurements").
+ * @property {Object<string, string>} columns Column -> source mapping. Sources are `$topic`, `$timestamp`
+ * (publish time), `$payload` (raw payload) or a dot path in the JSON payload (e.g. "value", "meta.unit").
+ * @property {'insert'|'upsert'} [mode] Statement type (default: insert).
+ * @property {string[]} [keyColumns] Conflict key of upserts (a unique/primary key of the table).
+ */
+
+/**
+ * Validates a sink configuration.
+ * @param {SqlSinkConfig} sink
+ * @throws {Error} If the configuration is incomplete or unsafe.
+ */
+function validateSinkConfig(sink) {
+    if (!sink || typeof sink !== 'object') throw new Error("SQL sink: missing 'sink' configuration.");
+    if (!IDENTIFIER.test(sink.table || '')) throw new Error(`SQL sink: invalid table name '${sink.table}'.`);
+
+    const columns = Object.keys(sink.columns || {});
+    if (columns.length === 0) throw new Error("SQL sink: 'columns' mapping is empty.");
+    columns.forEach(col => {
+        if (!IDENTIFIER.test(col) || col.includes('.')) throw new Error(`SQL sink: invalid column name '${col}'.`);
+    });
+
+    const mode = sink.mode || 'insert';
+    if (mode !== 'insert' && mode !== 'upsert') throw new Error(`SQL sink: unsupported mode '${mode}'.`);
+    if (mode === 'upsert') {
+        const keys = sink.keyColumns || [];
+        if (keys.length === 0) throw new Error("SQL sink: upsert mode requires 'keyColumns'.");
+        keys.forEach(key => {
+            if (!columns.includes(key)) throw new Error(`SQL sink: key column '${key}' is not part of the column mapping.`);
+        });
+    }
+}
+
+/**
+ * Builds the parameterized statement for a driver.
+ * Placeholders: `$1..$n` (postgres), `?` (mysql), `@p0..@pn` (mssql).
+ * @param {'postgres'|'mysql'|'mssql'} driver
+ * @param {SqlSinkConfig} sink
+ * @returns {{text: string, columns: string[]}}
+ */
+function buildSinkStatement(driver, sink) {
+    validateSinkConfig(sink);
+    const columns = Object.keys(sink.columns);
+    const keys = sink.keyColumns || [];
+    const updates = columns.filter(c => !keys.includes(c));
+    const upsert = sink.mode === 'upsert';
+    const columnList = columns.join(', ');
+    let text;
+
+    if (driver === 'postgres') {
+        const values = columns.map((_, i) => `$${i + 1}`).join(', ');
+        text = `INSERT INTO ${sink.table} (${columnList}) VALUES (${values})`;
+        if (upsert) {
+            text += updates.length > 0
+                ? ` ON CONFLICT (${keys.join(', ')}) DO UPDATE SET ${updates.map(c => `${c} = EXCLUDED.${c}`).join(', ')}`
+                : ` ON CONFLICT (${keys.join(', ')}) DO NOTHING`;
+        }
+    } else if (driver === 'mysql') {
+        const values = columns.map(() => '?').join(', ');
+        text = `INSERT INTO ${sink.table} (${columnList}) VALUES (${values})`;
+        if (upsert) {
+            // Without updatable columns, re-assigning a key column keeps the row unchanged
+            const assignments = (updates.length > 0 ? updates : [keys[0]]).map(c => `${c} = VALUES(${c})`);
+            text += ` ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+        }
+    } else if (driver === 'mssql') {
+        const params = columns.map((_, i) => `@p${i}`);
+        if (upsert) {
+            const source = columns.map((c, i) => `${params[i]} AS ${c}`).join(', ');
+            const on = keys.map(k => `target.${k} = source.${k}`).join(' AND ');
+            text = `MERGE INTO ${sink.table} AS target USING (SELECT ${source}) AS source ON (${on})`;
+            if (updates.length > 0) {
+                text += ` WHEN MATCHED THEN UPDATE SET ${updates.map(c => `target.${c} = source.${c}`).join(', ')}`;
+            }
+            text += ` WHEN NOT MATCHED THEN INSERT (${columnList}) VALUES (${columns.map(c => `source.${c}`).join(', ')});`;
+        } else {
+            text = `INSERT INTO ${sink.table} (${columnList}) VALUES (${params.join(', ')})`;
+        }
+    } else {
+        throw new Error(`Unsupported SQL driver: ${driver}`);
+    }
+
+    return { text, columns };
+}
+
+/**
+ * Resolves a dot path in an object.
+ * @param {any} obj
+ * @param {string} pathStr
+ * @returns {any}
+ */
+function getByPath(obj, pathStr) {
+    return pathStr.split('.').reduce((acc, key) => (acc !== null && acc !== undefined ? acc[key] : undefined), obj);
+}
+
+/**
+ * Extracts the statement parameters of a published message, in column order.
+ * Scalar (non-object) payloads are exposed as `value`. Objects are stored as JSON text.
+ * @param {SqlSinkConfig} sink
+ * @param {string[]} columns Column order returned by buildSinkStatement().
+ * @param {string} topic
+ * @param {Buffer|string|Object} payload
+ * @returns {Array<any>}
+ */
+function extractRow(sink, columns, topic, payload) {
+    const raw = Buffer.isBuffer(payload) ? payload.toString() : (typeof payload === 'object' ? JSON.stringify(payload) : String(payload));
+    let data = payload;
+    if (typeof payload !== 'object' || Buffer.isBuffer(payload)) {
+        try { data = JSON.parse(raw); } catch (e) { data = raw; }
+    }
+    if (data === null || typeof data !== 'object') data = { value: data };
+
+    const now = new Date();
+    return columns.map(col => {
+        const source = sink.columns[col];
+        let value;
+        if (source === '$topic') value = topic;
+        else if (source === '$timestamp') value = now;
+        else if (source === '$payload') value = raw;
+        else value = getByPath(data, source);
+
+        if (value === undefined) return null;
+        if (value !== null && typeof value === 'object' && !(value instanceof Date)) return JSON.stringify(value);
+        return value;
+    });
+}
+
+module.exports = {
+    validateSinkConfig,
+    buildSinkStatement,
+    extractRow
+};
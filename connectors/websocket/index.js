@@ -0,0 +1,382 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * WebSocket / Server-Sent Events Client Provider Plugin
+ * Implements the BaseProvider interface for vendor cloud APIs and microservices pushing telemetry
+ * over WebSockets (`ws://`, `wss://`) or Server-Sent Events (`http(s)://`).
+ * Subscribe messages are sent on open, each frame is split into records with a JSONPath,
+ * routed with a topic path / Mustache template, and the connection is restored with an exponential backoff.
+ * `publish()` sends outbound frames on WebSocket connections.
+ */
+const WebSocket = require('ws');
+const axios = require('axios');
+const mustache = require('mustache');
+const mqttMatch = require('mqtt-match');
+const BaseProvider = require('../baseProvider');
+const jsonPath = require('../rest-poller/jsonPath');
+const { OAuth2TokenProvider } = require('../rest-poller/oauth2');
+const { SseParser } = require('./sse');
+
+const DEFAULT_RECONNECT_MS = 1000;
+const DEFAULT_MAX_RECONNECT_MS = 60000;
+const DEFAULT_PING_INTERVAL_MS = 30000;
+const HANDSHAKE_TIMEOUT_MS = 10000;
+
+/**
+ * @typedef {Object} WebSocketProviderOptions
+ * @property {string} url `ws://` / `wss://` for WebSockets, `http://` / `https://` for Server-Sent Events.
+ * @property {'ws'|'sse'} [protocol] Forces the protocol (default: from the URL scheme).
+ * @property {Object<string, string>} [headers] Extra handshake / request headers.
+ * @property {Object} [auth] Same as the REST poller: `{ type: 'basic'|'bearer'|'apikey'|'oauth2', ... }`.
+ * @property {string[]} [subprotocols] WebSocket subprotocols.
+ * @property {Array<string|Object>} [subscribeMessages] Frames sent after each (re)connection (objects are sent as JSON).
+ * @property {string} [extract] JSONPath splitting a frame into records (e.g. `$.data[*]`, default: the whole frame).
+ * @property {string} [topicPath] JSONPath of the topic in a record (e.g. `$.channel`), available as `{{topic}}` in `topic`.
+ * @property {string} [topic] Topic, or Mustache template over `item`, `frame`, `topic`, `event`, `index` and `provider`
+ *   (default `{{topic}}` with a `topicPath`, `ws/<id>` otherwise).
+ * @property {string} [payloadPath] JSONPath of the payload in a record (default: the whole record).
+ * @property {string} [correlationPath] JSONPath of the correlation ID in a record.
+ * @property {string} [publishTemplate] Mustache template of outbound frames over `topic`, `payload` (JSON text) and `provider`
+ *   (default: the payload alone).
+ * @property {number} [reconnectInterval] First reconnection delay in ms, doubled after each failure (default 1000).
+ * @property {number} [maxReconnectInterval] Maximum reconnection delay in ms (default 60000).
+ * @property {number} [pingInterval] WebSocket ping interval in ms, 0 to disable (default 30000). A missed pong closes the connection.
+ */
+
+/**
+ * @param {string} url
+ * @returns {'ws'|'sse'}
+ */
+function protocolOf(url) {
+    return /^wss?:\/\//i.test(url) ? 'ws' : 'sse';
+}
+
+class WebSocketProvider extends BaseProvider {
+    /**
+     * @param {import('../baseProvider').ProviderConfig} config
+     * @param {import('../baseProvider').ProviderContext} context
+     */
+    constructor(config, context) {
+        super(config, context);
+        /** @type {WebSocketProviderOptions} */
+        this.options = config.options || {};
+        this.url = this.options.url || '';
+        this.protocol = this.options.protocol || protocolOf(this.url);
+        this.allowedPublish = Array.isArray(config.publish) ? config.publish : [];
+        this.topicTemplate = this.options.topic || (this.options.topicPath ? '{{topic}}' : `ws/${this.id}`);
+        this.baseReconnectMs = parseInt(this.options.reconnectInterval, 10) || DEFAULT_RECONNECT_MS;
+        this.maxReconnectMs = parseInt(this.options.maxReconnectInterval, 10) || DEFAULT_MAX_RECONNECT_MS;
+
+        this.auth = this.options.auth || {};
+        /** @type {OAuth2TokenProvider|null} */
+        this.oauth = null;
+        this.socket = null;
+        this.sseAbort = null;
+        this.lastEventId = null;
+        /** Reconnection delay requested by the SSE server (`retry:`), never below `reconnectInterval`. */
+        this.serverRetryMs = 0;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.pingTimer = null;
+        this.lastMessageAt = null;
+        this.closing = false;
+    }
+
+    /**
+     * @returns {Promise<Object<string, string>>} Handshake headers, with the authentication of the REST poller.
+     * @private
+     */
+    async buildHeaders() {
+        const headers = { ...(this.options.headers || {}) };
+        if (this.auth.type === 'basic') {
+            headers['Authorization'] = `Basic ${Buffer.from(`${this.auth.username}:${this.auth.password}`).toString('base64')}`;
+        } else if (this.auth.type === 'bearer') {
+            headers['Authorization'] = `Bearer ${this.auth.token}`;
+        } else if (this.auth.type === 'apikey') {
+            headers[this.auth.headerName || 'x-api-key'] = this.auth.apiKey;
+        } else if (this.oauth) {
+            headers['Authorization'] = `Bearer ${await this.oauth.getToken()}`;
+        }
+        return headers;
+    }
+
+    async connect() {
+        if (!this.url) {
+            this.updateStatus('error', 'Missing URL');
+            return false;
+        }
+        try {
+            ['extract', 'topicPath', 'payloadPath', 'correlationPath'].forEach(key => {
+                if (this.options[key]) jsonPath.compile(this.options[key]);
+            });
+            if (this.auth.type === 'oauth2') this.oauth = new OAuth2TokenProvider(this.auth, this.logger);
+        } catch (err) {
+            this.logger.error({ err: err.message }, `Invalid WebSocket / SSE configuration for ${this.id}`);
+            this.updateStatus('error', err.message);
+            return false;
+        }
+
+        this.closing = false;
+        this.logger.info(`Connecting to ${this.protocol === 'ws' ? 'WebSocket' : 'SSE'} ${this.url}...`);
+        this.updateStatus('connecting');
+        try {
+            await this.open();
+            return true;
+        } catch (err) {
+            this.logger.error({ err: err.message }, `Failed to connect to ${this.url}`);
+            this.updateStatus('error', err.message);
+            this.scheduleReconnect();
+            return false;
+        }
+    }
+
+    /**
+     * @returns {Promise<void>} Resolves once the connection is open.
+     * @private
+     */
+    async open() {
+        const headers = await this.buildHeaders();
+        if (this.protocol === 'ws') await this.openWebSocket(headers);
+        else await this.openEventSource(headers);
+        this.reconnectAttempts = 0;
+        this.connected = true;
+        this.updateStatus('connected');
+    }
+
+    /**
+     * @param {Object<string, string>} headers
+     * @returns {Promise<void>}
+     * @private
+     */
+    openWebSocket(headers) {
+        return new Promise((resolve, reject) => {
+            const ws = new WebSocket(this.url, this.options.subprotocols, { headers, handshakeTimeout: HANDSHAKE_TIMEOUT_MS });
+            this.socket = ws;
+            let opened = false;
+
+            ws.on('open', () => {
+                opened = true;
+                this.sendSubscribeMessages(ws);
+                this.startPing(ws);
+                resolve();
+            });
+            ws.on('message', (data, isBinary) => this.handleFrame(isBinary ? data : data.toString('utf8')));
+            ws.on('pong', () => { ws.isAlive = true; });
+            ws.on('error', (err) => {
+                if (!opened) reject(err);
+                else this.logger.error(`❌ WebSocket error on ${this.id}: ${err.message}`);
+            });
+            ws.on('close', (code, reason) => {
+                if (this.socket !== ws) return;
+                this.socket = null;
+                this.stopPing();
+                if (!opened) return reject(new Error(`Connection closed (${code})`));
+                this.handleConnectionLoss(`Connection closed (${code}${reason && reason.length ? `: ${reason}` : ''})`);
+            });
+        });
+    }
+
+    /**
+     * Opens the event stream. On reconnection, `Last-Event-ID` lets the server resume the stream.
+     * @param {Object<string, string>} headers
+     * @returns {Promise<void>}
+     * @private
+     */
+    async openEventSource(headers) {
+        const abortController = new AbortController();
+        this.sseAbort = abortController;
+        const requestHeaders = { Accept: 'text/event-stream', 'Cache-Control': 'no-cache', ...headers };
+        if (this.lastEventId) requestHeaders['Last-Event-ID'] = this.lastEventId;
+
+        const response = await axios.get(this.url, { headers: requestHeaders, responseType: 'stream', signal: abortController.signal });
+        const parser = new SseParser(
+            (evt) => {
+                this.lastEventId = evt.id;
+                this.handleFrame(evt.data, { event: evt.event, id: evt.id });
+            },
+            (retry) => { this.serverRetryMs = retry; }
+        );
+        let lost = false;
+        const onLoss = (reason) => {
+            if (lost || this.sseAbort !== abortController) return;
+            lost = true;
+            this.sseAbort = null;
+            this.handleConnectionLoss(reason);
+        };
+        response.data.on('data', (chunk) => parser.push(chunk));
+        response.data.on('end', () => onLoss('Event stream ended by the server'));
+        response.data.on('error', (err) => onLoss(err.message));
+        response.data.on('close', () => onLoss('Event stream closed'));
+    }
+
+    /**
+     * @param {WebSocket} ws
+     * @private
+     */
+    sendSubscribeMessages(ws) {
+        const messages = Array.isArray(this.options.subscribeMessages) ? this.options.subscribeMessages : [];
+        messages.forEach(message => ws.send(typeof message === 'string' ? message : JSON.stringify(message)));
+        if (messages.length > 0) this.logger.info(`Sent ${messages.length} subscribe message(s) to ${this.url}.`);
+    }
+
+    /**
+     * Pings the server periodically; a ping left without pong means a dead connection.
+     * @param {WebSocket} ws
+     * @private
+     */
+    startPing(ws) {
+        const interval = this.options.pingInterval !== undefined ? parseInt(this.options.pingInterval, 10) : DEFAULT_PING_INTERVAL_MS;
+        if (!interval) return;
+        ws.isAlive = true;
+        this.pingTimer = setInterval(() => {
+            if (!ws.isAlive) {
+                this.logger.warn(`No pong from ${this.url}: closing the connection.`);
+                ws.terminate();
+                return;
+            }
+            ws.isAlive = false;
+            ws.ping();
+        }, interval);
+    }
+
+    /** @private */
+    stopPing() {
+        if (this.pingTimer) clearInterval(this.pingTimer);
+        this.pingTimer = null;
+    }
+
+    /**
+     * @param {string} reason
+     * @private
+     */
+    handleConnectionLoss(reason) {
+        if (this.closing) return;
+        this.logger.warn(`Connection of ${this.id} lost: ${reason}`);
+        this.connected = false;
+        this.updateStatus('offline', reason);
+        this.scheduleReconnect();
+    }
+
+    /**
+     * Reconnects after `reconnectInterval`, doubled after each failed attempt up to `maxReconnectInterval`.
+     * An SSE `retry:` hint may only lengthen the base delay, so that `retry: 0` cannot cause a tight loop.
+     * @private
+     */
+    scheduleReconnect() {
+        if (this.closing || this.reconnectTimer) return;
+        const base = Math.max(this.baseReconnectMs, this.serverRetryMs);
+        const delay = Math.min(base * Math.pow(2, this.reconnectAttempts), this.maxReconnectMs);
+        this.reconnectAttempts++;
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            if (this.closing) return;
+            try {
+                await this.open();
+                this.logger.info(`✅ Reconnected to ${this.url}.`);
+            } catch (err) {
+                this.logger.warn(`Reconnection to ${this.url} failed: ${err.message}`);
+                this.updateStatus('offline', err.message);
+                this.scheduleReconnect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Splits a frame into records and forwards each one to its topic.
+     * @param {string|Buffer} raw Text frame, SSE data, or binary frame.
+     * @param {{event?: string, id?: string}} [meta] SSE event type and ID.
+     */
+    handleFrame(raw, meta = {}) {
+        this.lastMessageAt = new Date().toISOString();
+        let frame = raw;
+        try {
+            frame = JSON.parse(Buffer.isBuffer(raw) ? raw.toString('utf8') : raw);
+        } catch (err) {
+            // Not JSON: forwarded as is
+        }
+        const isObject = frame !== null && typeof frame === 'object' && !Buffer.isBuffer(frame);
+        const records = isObject && this.options.extract ? jsonPath.query(frame, this.options.extract) : [frame];
+
+        records.forEach((record, index) => {
+            const isRecordObject = record !== null && typeof record === 'object' && !Buffer.isBuffer(record);
+            const pick = (key) => (this.options[key] && isRecordObject ? jsonPath.queryFirst(record, this.options[key]) : undefined);
+
+            const payload = this.options.payloadPath ? pick('payloadPath') : record;
+            if (payload === undefined) return;
+            const metadata = {};
+            const correlationId = pick('correlationPath');
+            if (correlationId !== undefined && correlationId !== null) metadata.correlationId = String(correlationId);
+            if (meta.event) metadata.sseEvent = meta.event;
+            if (meta.id) metadata.sseId = meta.id;
+
+            const topic = this.renderTopic({ item: record, frame, topic: pick('topicPath'), event: meta.event, index, provider: this.id });
+            this.handleIncomingMessage(topic, payload, metadata);
+        });
+    }
+
+    /**
+     * @param {Object} view
+     * @returns {string} The rendered topic, or `ws/<id>` when the template renders empty.
+     * @private
+     */
+    renderTopic(view) {
+        if (!this.topicTemplate.includes('{{')) return this.topicTemplate;
+        const rendered = mustache.render(this.topicTemplate, view, {}, { escape: value => (typeof value === 'object' ? JSON.stringify(value) : String(value)) });
+        // Missing fields leave empty levels behind: they are collapsed
+        return rendered.split('/').map(level => level.trim().replace(/[+#]/g, '_')).filter(Boolean).join('/') || `ws/${this.id}`;
+    }
+
+    async disconnect() {
+        this.closing = true;
+        if (this.reconnectTimer) clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.stopPing();
+        if (this.socket) {
+            const ws = this.socket;
+            this.socket = null;
+            try { ws.close(1000); } catch (err) { ws.terminate(); }
+        }
+        if (this.sseAbort) {
+            this.sseAbort.abort();
+            this.sseAbort = null;
+        }
+        this.connected = false;
+        this.updateStatus('disconnected');
+    }
+
+    /**
+     * @returns {Promise<import('../baseProvider').ProviderHealth>}
+     */
+    async health() {
+        const base = await super.health();
+        return { ...base, details: { protocol: this.protocol, lastMessageAt: this.lastMessageAt, reconnectAttempts: this.reconnectAttempts } };
+    }
+
+    /**
+     * Sends an outbound frame (WebSocket only), built from `publishTemplate` when set.
+     * @param {string} topic
+     * @param {Buffer|string|Object} payload
+     * @param {Object} [options]
+     * @param {Function} [callback]
+     */
+    publish(topic, payload, options, callback) {
+        const done = typeof callback === 'function' ? callback : () => {};
+        if (this.protocol !== 'ws') return done(new Error('Server-Sent Events connections are receive-only'));
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return done(new Error('WebSocket is not connected'));
+        if (!this.allowedPublish.some(pattern => mqttMatch(pattern, topic))) {
+            const err = new Error(`Publish forbidden for topic: ${topic}`);
+            this.logger.warn(err.message);
+            return done(err);
+        }
+
+        const isObject = payload !== null && typeof payload === 'object' && !Buffer.isBuffer(payload);
+        let frame = isObject ? JSON.stringify(payload) : payload;
+        if (this.options.publishTemplate) {
+            const text = Buffer.isBuffer(frame) ? frame.toString('utf8') : String(frame);
+            frame = mustache.render(this.options.publishTemplate, { topic, payload: text, provider: this.id }, {}, { escape: value => String(value) });
+        }
+        this.socket.send(frame, (err) => done(err || null));
+    }
+}
+
+module.exports = WebSocketProvider;
@@ -0,0 +1,80 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Server-Sent Events Parser
+ * Splits a `text/event-stream` response into events, following the WHATWG rules:
+ * `data:` lines are joined with newlines, `event:` sets the type, `id:` the last event ID,
+ * `retry:` the reconnection delay, and lines starting with `:` are comments (keep-alives).
+ */
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * @typedef {Object} SseEvent
+ * @property {string} event Event type (`message` by default).
+ * @property {string} data
+ * @property {string|null} id Last event ID, sent back as `Last-Event-ID` when reconnecting.
+ */
+
+class SseParser {
+    /**
+     * @param {function(SseEvent): void} onEvent
+     * @param {function(number): void} [onRetry] Receives the reconnection delay requested by the server.
+     */
+    constructor(onEvent, onRetry) {
+        this.onEvent = onEvent;
+        this.onRetry = onRetry || (() => {});
+        this.buffer = '';
+        // Keeps the bytes of a UTF-8 character split across chunks
+        this.decoder = new StringDecoder('utf8');
+        this.lastEventId = null;
+        this.reset();
+    }
+
+    /** @private */
+    reset() {
+        this.eventType = '';
+        this.dataLines = [];
+    }
+
+    /**
+     * @param {Buffer|string} chunk
+     */
+    push(chunk) {
+        let text = this.buffer + (typeof chunk === 'string' ? chunk : this.decoder.write(chunk));
+        // A trailing CR may be the first half of a CRLF split across chunks: wait for the next one
+        const pendingCr = text.endsWith('\r') ? '\r' : '';
+        if (pendingCr) text = text.slice(0, -1);
+        const lines = text.split(/\r\n|\r|\n/);
+        // The last element is an incomplete line (or '' after a line break)
+        this.buffer = lines.pop() + pendingCr;
+        lines.forEach(line => this.readLine(line));
+    }
+
+    /**
+     * @param {string} line
+     * @private
+     */
+    readLine(line) {
+        if (line === '') {
+            if (this.dataLines.length > 0) {
+                this.onEvent({ event: this.eventType || 'message', data: this.dataLines.join('\n'), id: this.lastEventId });
+            }
+            this.reset();
+            return;
+        }
+        if (line.startsWith(':')) return;
+
+        const colon = line.indexOf(':');
+        const field = colon >= 0 ? line.slice(0, colon) : line;
+        let value = colon >= 0 ? line.slice(colon + 1) : '';
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') this.dataLines.push(value);
+        else if (field === 'event') this.eventType = value;
+        else if (field === 'id' && !value.includes('\0')) this.lastEventId = value;
+        else if (field === 'retry' && /^\d+$/.test(value)) this.onRetry(parseInt(value, 10));
+    }
+}
+
+module.exports = { SseParser };
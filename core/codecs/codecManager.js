@@ -0,0 +1,238 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Payload Codec Manager
+ * Associates topic patterns with a payload codec (see payloadCodecs.js). Rules are stored in
+ * data/payload_codecs.json and evaluated in order, the first enabled matching pattern wins.
+ * The dispatcher sends the resolved codec to its worker threads for decoding; the mapper and the
+ * publish API encode outgoing payloads of the same topics with it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mqttMatch = require('mqtt-match');
+const { createCodec, listCodecs } = require('./payloadCodecs');
+
+/**
+ * @typedef {Object} CodecRule
+ * @property {string} pattern MQTT-style topic pattern (e.g. "factory/+/telemetry/#").
+ * @property {string} codec Codec name ('protobuf', 'cbor', 'msgpack', 'custom').
+ * @property {string} [schemaFile] `.proto` file uploaded to data/schemas (Protobuf).
+ * @property {string} [messageType] Fully qualified Protobuf message name.
+ * @property {string} [module] Custom codec module in data/codecs.
+ * @property {boolean} [enabled] Defaults to true.
+ */
+
+/**
+ * @typedef {import('./payloadCodecs').CodecSpec & {pattern: string, revision: number}} ResolvedCodec
+ * Codec spec of a rule, with the directories and the revision used by the workers to refresh their cache.
+ */
+
+// --- Module-level State ---
+let logger = null;
+let CONFIG_FILE = null;
+let SCHEMA_DIR = path.join(__dirname, '..', '..', 'data', 'schemas');
+let CODEC_DIR = path.join(__dirname, '..', '..', 'data', 'codecs');
+/** @type {CodecRule[]} */
+let rules = [];
+/** Incremented whenever rules or schema files change. */
+let revision = 0;
+/** @type {Map<string, import('./payloadCodecs').PayloadCodec>} */
+const encoders = new Map();
+
+/**
+ * Initializes the manager and loads the saved rules.
+ * @param {Object} appLogger Pino logger.
+ * @param {{dataPath: string}} options
+ */
+function init(appLogger, options) {
+    logger = appLogger.child({ component: 'CodecManager' });
+    CONFIG_FILE = path.join(options.dataPath, 'payload_codecs.json');
+    SCHEMA_DIR = path.join(options.dataPath, 'schemas');
+    CODEC_DIR = path.join(options.dataPath, 'codecs');
+    rules = [];
+    invalidate();
+
+    if (!fs.existsSync(CONFIG_FILE)) return;
+    try {
+        const saved = JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+        rules = (saved.rules || []).map(normalizeRule);
+        logger.info(`✅ Loaded ${rules.length} payload codec rule(s).`);
+    } catch (err) {
+        logger.error({ err }, `❌ Invalid payload codec rules in ${CONFIG_FILE}. Binary topics will not be decoded.`);
+        rules = [];
+    }
+}
+
+/**
+ * Validates a rule and drops unknown fields.
+ * @param {CodecRule} rule
+ * @returns {CodecRule}
+ */
+function normalizeRule(rule) {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) throw new Error("Each codec rule needs a topic 'pattern'.");
+    if (!listCodecs().includes(rule.codec)) throw new Error(`Unknown payload codec '${rule.codec}' for '${rule.pattern}'. Available: ${listCodecs().join(', ')}.`);
+    const normalized = { pattern: rule.pattern.trim(), codec: rule.codec, enabled: rule.enabled !== false };
+    ['schemaFile', 'messageType', 'module'].forEach(key => {
+        if (rule[key]) normalized[key] = String(rule[key]);
+    });
+    return normalized;
+}
+
+/**
+ * Drops the cached encoders and makes the workers rebuild their decoders.
+ */
+function invalidate() {
+    revision++;
+    encoders.clear();
+}
+
+/**
+ * @param {CodecRule} rule
+ * @returns {ResolvedCodec}
+ */
+function toResolvedCodec(rule) {
+    const { enabled, ...spec } = rule;
+    return { ...spec, schemaDir: SCHEMA_DIR, codecDir: CODEC_DIR, revision };
+}
+
+/**
+ * Finds the codec of a topic.
+ * @param {string} topic
+ * @returns {ResolvedCodec|null} Null for topics handled by the default JSON / string parsing.
+ */
+function resolve(topic) {
+    const rule = rules.find(r => r.enabled && mqttMatch(r.pattern, topic));
+    return rule ? toResolvedCodec(rule) : null;
+}
+
+/**
+ * Encodes an outgoing value with a resolved codec.
+ * @param {ResolvedCodec} codec
+ * @param {any} value
+ * @returns {Buffer}
+ */
+function encode(codec, value) {
+    const key = JSON.stringify(codec);
+    if (!encoders.has(key)) encoders.set(key, createCodec(codec));
+    return encoders.get(key).encode(value);
+}
+
+/**
+ * @returns {CodecRule[]}
+ */
+function getRules() {
+    return rules.map(rule => ({ ...rule }));
+}
+
+/**
+ * Validates (including building each codec once) and saves a new rule set.
+ * @param {CodecRule[]} newRules
+ * @throws {Error} If a rule is invalid, its schema does not compile or its library is missing.
+ */
+function setRules(newRules) {
+    if (!Array.isArray(newRules)) throw new Error("'rules' must be an array of codec rules.");
+    const normalized = newRules.map(normalizeRule);
+    normalized.forEach(rule => {
+        try {
+            createCodec(toResolvedCodec(rule));
+        } catch (err) {
+            throw new Error(`Codec rule '${rule.pattern}': ${err.message}`);
+        }
+    });
+
+    fs.mkdirSync(path.dirname(CONFIG_FILE), { recursive: true });
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify({ rules: normalized }, null, 2));
+    rules = normalized;
+    invalidate();
+    logger.info(`✅ Saved ${rules.length} payload codec rule(s).`);
+}
+
+/**
+ * @returns {string} Directory of the uploaded `.proto` files.
+ */
+function getSchemaDir() {
+    return SCHEMA_DIR;
+}
+
+/**
+ * Lists the uploaded `.proto` files and the custom codec modules.
+ * @returns {{schemas: string[], modules: string[]}}
+ */
+function listFiles() {
+    const list = (dir, pattern) => fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => pattern.test(name)) : [];
+    return { schemas: list(SCHEMA_DIR, /\.proto$/i), modules: list(CODEC_DIR, /\.c?js$/i) };
+}
+
+/**
+ * Parses a `.proto` file and lists its message types.
+ * @param {string} filePath
+ * @returns {string[]}
+ */
+function listMessageTypes(filePath) {
+    const protobuf = require('protobufjs');
+    const root = new protobuf.Root().loadSync(filePath, { keepCase: true });
+    root.resolveAll();
+    const types = [];
+    const collect = (namespace) => (namespace.nestedArray || []).forEach(nested => {
+        if (nested instanceof protobuf.Type) types.push(nested.fullName.replace(/^\./, ''));
+        if (nested.nestedArray) collect(nested);
+    });
+    collect(root);
+    return types;
+}
+
+/**
+ * Checks that an uploaded `.proto` file parses, and refreshes the codecs using it.
+ * @param {string} fileName
+ * @returns {string[]} Message types declared by the file.
+ */
+function validateSchema(fileName) {
+    const types = listMessageTypes(path.join(SCHEMA_DIR, path.basename(fileName)));
+    invalidate();
+    return types;
+}
+
+/**
+ * Validates an upload saved under a temporary name, then moves it into place. An invalid upload
+ * is removed and leaves the schema of the same name untouched.
+ * @param {string} uploadPath Temporary file of the schema directory (imports resolve next to it).
+ * @param {string} fileName Target `.proto` file name.
+ * @returns {string[]} Message types declared by the file.
+ */
+function installSchema(uploadPath, fileName) {
+    try {
+        const types = listMessageTypes(uploadPath);
+        fs.renameSync(uploadPath, path.join(SCHEMA_DIR, path.basename(fileName)));
+        invalidate();
+        return types;
+    } finally {
+        fs.rmSync(uploadPath, { force: true });
+    }
+}
+
+/**
+ * Deletes an uploaded `.proto` file unless a rule still uses it.
+ * @param {string} fileName
+ */
+function deleteSchema(fileName) {
+    const name = path.basename(fileName);
+    const user = rules.find(rule => rule.schemaFile === name);
+    if (user) throw new Error(`Schema '${name}' is used by the codec rule '${user.pattern}'.`);
+    fs.rmSync(path.join(SCHEMA_DIR, name), { force: true });
+    invalidate();
+}
+
+module.exports = {
+    init,
+    resolve,
+    encode,
+    getRules,
+    setRules,
+    getSchemaDir,
+    listFiles,
+    listCodecs,
+    validateSchema,
+    installSchema,
+    deleteSchema
+};
@@ -0,0 +1,143 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Payload Codecs
+ * Binary payload formats understood by the dispatcher workers (decoding) and by the mapper and
+ * publish API (encoding): Protobuf (`.proto` files of data/schemas), CBOR (optional `cbor-x` library),
+ * MessagePack (optional `@msgpack/msgpack` library) and custom JS modules dropped in data/codecs.
+ * This module holds no state shared with the main thread so that it can be loaded inside worker threads.
+ */
+
+const path = require('path');
+const { requireLibrary, resolveInside } = require('../moduleUtils');
+
+const DATA_DIR = path.join(__dirname, '..', '..', 'data');
+
+/**
+ * @typedef {Object} CodecSpec
+ * @property {string} codec Registered codec name: 'protobuf', 'cbor', 'msgpack', 'custom' or a plugin one.
+ * @property {string} [schemaFile] `.proto` file of the schema directory (Protobuf).
+ * @property {string} [messageType] Fully qualified Protobuf message name (e.g. "plant.Telemetry").
+ * @property {string} [module] JS module of the custom codec directory, exporting `decode(buffer)` and optionally `encode(value)`.
+ * @property {string} [schemaDir] Absolute schema directory (default data/schemas).
+ * @property {string} [codecDir] Absolute custom codec directory (default data/codecs).
+ */
+
+/**
+ * @typedef {Object} PayloadCodec
+ * @property {function(Buffer): any} decode Returns a structured-cloneable, JSON-friendly value.
+ * @property {function(any): Buffer} encode
+ */
+
+/**
+ * @callback CodecFactory
+ * @param {CodecSpec} spec
+ * @returns {{decode: function(Buffer): any, encode?: function(any): (Buffer|Uint8Array)}}
+ */
+
+/**
+ * Converts decoded values into JSON-friendly ones: byte strings become base64 (like Protobuf `bytes`)
+ * and Maps (CBOR / MessagePack maps with non-string keys) become objects.
+ * @param {any} value
+ * @returns {any}
+ */
+function toPlainValue(value) {
+    if (value instanceof Uint8Array) return Buffer.from(value.buffer, value.byteOffset, value.byteLength).toString('base64');
+    if (value instanceof Map) {
+        const obj = {};
+        value.forEach((v, k) => { obj[String(k)] = toPlainValue(v); });
+        return obj;
+    }
+    if (Array.isArray(value)) return value.map(toPlainValue);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        const obj = {};
+        Object.keys(value).forEach(k => { obj[k] = toPlainValue(value[k]); });
+        return obj;
+    }
+    return value;
+}
+
+// --- Codec Registry ---
+
+/** @type {Object<string, CodecFactory>} */
+const factories = {};
+
+/**
+ * Registers a codec, usable in the `codec` field of the payload codec rules.
+ * Plugins registering codecs must do it in a module loaded by the worker threads as well.
+ * @param {string} name
+ * @param {CodecFactory} factory
+ */
+function registerCodec(name, factory) {
+    factories[name] = factory;
+}
+
+registerCodec('protobuf', (spec) => {
+    if (!spec.schemaFile || !spec.messageType) throw new Error("Protobuf codec: set 'schemaFile' and 'messageType'.");
+    const protobuf = requireLibrary('protobufjs');
+    // google/protobuf/*.proto imports are resolved from the definitions bundled with protobufjs
+    const root = new protobuf.Root().loadSync(resolveInside(spec.schemaDir || path.join(DATA_DIR, 'schemas'), spec.schemaFile), { keepCase: true });
+    const type = root.lookupType(spec.messageType);
+    return {
+        decode: (buffer) => type.toObject(type.decode(buffer), { longs: String, enums: String, bytes: String, defaults: true }),
+        // fromObject accepts the decoded representation back (enum names, longs and bytes as strings)
+        encode: (value) => type.encode(type.fromObject(value)).finish()
+    };
+});
+
+registerCodec('cbor', () => {
+    const cbor = requireLibrary('cbor-x');
+    return { decode: (buffer) => cbor.decode(buffer), encode: (value) => cbor.encode(value) };
+});
+
+registerCodec('msgpack', () => {
+    const msgpack = requireLibrary('@msgpack/msgpack');
+    return { decode: (buffer) => msgpack.decode(buffer), encode: (value) => msgpack.encode(value) };
+});
+
+registerCodec('custom', (spec) => {
+    if (!spec.module) throw new Error("Custom codec: set 'module'.");
+    const modulePath = resolveInside(spec.codecDir || path.join(DATA_DIR, 'codecs'), spec.module);
+    delete require.cache[modulePath]; // Pick up edited modules when the rules are reloaded
+    const custom = require(modulePath);
+    if (typeof custom.decode !== 'function') throw new Error(`Custom codec '${spec.module}' does not export a decode function.`);
+    return {
+        decode: (buffer) => custom.decode(buffer),
+        encode: (value) => {
+            if (typeof custom.encode !== 'function') throw new Error(`Custom codec '${spec.module}' does not export an encode function.`);
+            return custom.encode(value);
+        }
+    };
+});
+
+/**
+ * Creates a codec from its spec.
+ * @param {CodecSpec} spec
+ * @returns {PayloadCodec}
+ */
+function createCodec(spec) {
+    const factory = factories[spec.codec];
+    if (!factory) throw new Error(`Unknown payload codec '${spec.codec}'. Available: ${Object.keys(factories).join(', ')}.`);
+    const codec = factory(spec);
+    return {
+        decode: (buffer) => toPlainValue(codec.decode(buffer)),
+        encode: (value) => {
+            const encoded = codec.encode(value);
+            return Buffer.isBuffer(encoded) ? encoded : Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+        }
+    };
+}
+
+/**
+ * @returns {string[]} Names of the registered codecs.
+ */
+function listCodecs() {
+    return Object.keys(factories);
+}
+
+module.exports = {
+    registerCodec,
+    createCodec,
+    listCodecs,
+    toPlainValue
+};
@@ -16,6 +16,8 @@ const path = require('path');
 const mustache = require('mustache');
 const mqttMatch = require('mqtt-match');
 const spBv10Codec = require('sparkplug-payload').get("spBv10"); 
+const outboxManager = require('../../storage/outboxManager');
+const codecManager = require('../codecs/codecManager');
 
 const MAPPINGS_FILE_PATH = path.join(__dirname, '..', '..', 'data', 'mappings.json');
 
@@ -319,6 +321,7 @@ class MapperEngine {
                                     let outputPayloadForMetrics; 
 
                                     const shouldOutputSparkplug = isSparkplugOrigin && outputTopic.startsWith('spBv1.0/');
+                                    const outputCodec = shouldOutputSparkplug ? null : codecManager.resolve(outputTopic);
                                     
                                     if (shouldOutputSparkplug) {
                                         try {
@@ -329,6 +332,16 @@ class MapperEngine {
                                             this.updateMetrics(rule, target, topic, null, null, `Sparkplug Encoding Error: ${encodeErr.message}`, null, correlationId);
                                             continue; 
                                         }
+                                    } else if (outputCodec) {
+                                        // Binary output topic: encoded with the payload codec registered for it
+                                        try {
+                                            outputPayload = codecManager.encode(outputCodec, res.payload);
+                                            outputPayloadForMetrics = JSON.stringify(res.payload, this.payloadReplacer);
+                                        } catch (encodeErr) {
+                                            this.engineLogger.error({ err: encodeErr, rule: rule.sourceTopic, target: target.id, codec: outputCodec.codec, correlationId }, "❌ Mapper Engine: Failed to encode payload with the topic codec.");
+                                            this.updateMetrics(rule, target, topic, null, null, `${outputCodec.codec} Encoding Error: ${encodeErr.message}`, null, correlationId);
+                                            continue;
+                                        }
                                     } else {
                                         outputPayload = JSON.stringify(res.payload, this.payloadReplacer);
                                         outputPayloadForMetrics = outputPayload;
@@ -337,7 +350,7 @@ class MapperEngine {
                                     const targetConnectorId = target.targetConnectorId || sourceId; 
                                     const connection = this.activeConnections.get(targetConnectorId);
                                     
-                                    if (connection && connection.connected) {
+                                    if (connection && (connection.connected || outboxManager.isEnabled())) {
                                         if (this.isPublishAllowed(targetConnectorId, outputTopic)) {
                                             const publishOptions = { qos: 1, retain: false };
                                             if (correlationId) {
@@ -346,6 +359,16 @@ class MapperEngine {
                                                 };
                                             }
 
+                                            if (outboxManager.shouldQueue(targetConnectorId, connection)) {
+                                                // Store-and-forward: delivered in order when the connector is back
+                                                if (outboxManager.enqueue(targetConnectorId, outputTopic, outputPayload, publishOptions, 'mapper')) {
+                                                    this.updateMetrics(rule, target, topic, null, null, null, `Target connector '${targetConnectorId}' offline. Output queued in outbox for '${outputTopic}'.`, correlationId);
+                                                } else {
+                                                    this.updateMetrics(rule, target, topic, null, null, `Target connector '${targetConnectorId}' offline and the outbox could not store the output.`, null, correlationId);
+                                                }
+                                                continue;
+                                            }
+
                                             connection.publish(outputTopic, outputPayload, publishOptions);
                                             
                                             this.broadcastCallback(JSON.stringify({
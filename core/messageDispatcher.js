@@ -12,19 +12,33 @@
  * [UPDATED] Handles ingress Correlation IDs or generates them if missing.
  * [UPDATED] Eradicated silent catches: Added logger tracking for deep JSON parsing failures.
  * [UPDATED] Delegated heavy JSON parsing and Sparkplug B decoding to a pool of Worker Threads to unblock Event Loop.
+ * [UPDATED] Topics with a payload codec (Protobuf, CBOR, MessagePack, custom) are decoded by the same workers.
  */
 
 const crypto = require('crypto');
 const { Worker } = require('worker_threads');
+const { EventEmitter } = require('events');
 const os = require('os');
+const path = require('path');
+const codecManager = require('./codecs/codecManager');
 
 /**
  * @typedef {Object} MessageOptions
  * @property {boolean} [isSparkplugOrigin] Whether the message is a Sparkplug B payload.
+ * @property {boolean} [isDecoded] The provider already decoded (and enriched) the payload object, e.g. the
+ *   Sparkplug host application resolving metric aliases: it is used as is instead of decoding `rawBuffer` again.
  * @property {Buffer} [rawBuffer] Original binary buffer of the payload.
  * @property {string} [decodeError] Error message if initial decoding failed.
  * @property {string} [correlationId] Existing correlation ID for tracking.
  * @property {string} [connectorType] Type of connector.
+ * @property {Date|string|number} [timestamp] Original source timestamp (defaults to reception time).
+ * @property {boolean} [isBackfill] Historical value recovered after an outage (e.g. OPC UA HistoryRead).
+ *   Stored with its source timestamp and marked `_backfilled`, but not throttled, broadcast live,
+ *   mapped, alerted on or sent to webhooks.
+ * @property {boolean} [rejectOnError] The provider acknowledges the message to its source once dispatched
+ *   (AMQP, NATS JetStream): a dispatch failure rejects the returned promise, after being logged, so that
+ *   the message can be redelivered instead of acknowledged. Such messages are not throttled either: a dropped
+ *   message would be acknowledged and lost, and the broker already paces them (prefetch, max ack pending).
  */
 
 /**
@@ -39,11 +53,22 @@ const os = require('os');
  * @property {string} [correlationId] A unique identifier for tracking.
  */
 
+/**
+ * @typedef {Object} DispatchedMessage
+ * @property {string} sourceId The ID of the provider that delivered the data.
+ * @property {string} connectorType The type of connector.
+ * @property {string} topic The UNS topic.
+ * @property {any} payload The normalized payload object (as seen by the Mapper and Alert engines).
+ * @property {Date} timestamp Reception timestamp.
+ * @property {string} correlationId Trace identifier.
+ */
+
 /**
  * @typedef {Object} WorkerTask
  * @property {number} id Task identifier.
- * @property {string} action Action to perform ('decode_sparkplug' | 'parse_json').
+ * @property {string} action Action to perform ('decode_sparkplug' | 'parse_json' | 'decode_codec').
  * @property {any} payload Data to process.
+ * @property {import('./codecs/codecManager').ResolvedCodec} [codec] Codec of the topic ('decode_codec').
  */
 
 // --- Helper Functions ---
@@ -81,6 +106,9 @@ function safeJsonParse(str, reqLogger) {
 const workerScript = `
     const { parentPort } = require('worker_threads');
     let spBv10Codec = null; // Lazy load to save memory if unused
+    let payloadCodecs = null;
+    const codecs = new Map(); // Codec spec (JSON) -> codec, rebuilt when the rules or schemas change
+    let codecRevision = null;
 
     parentPort.on('message', (task) => {
         try {
@@ -92,6 +120,16 @@ const workerScript = `
                 const str = Buffer.from(task.payload).toString('utf-8');
                 const parsed = JSON.parse(str);
                 parentPort.postMessage({ id: task.id, result: parsed });
+            } else if (task.action === 'decode_codec') {
+                if (!payloadCodecs) payloadCodecs = require(${JSON.stringify(path.join(__dirname, 'codecs', 'payloadCodecs.js'))});
+                if (task.codec.revision !== codecRevision) {
+                    codecs.clear();
+                    codecRevision = task.codec.revision;
+                }
+                const key = JSON.stringify(task.codec);
+                if (!codecs.has(key)) codecs.set(key, payloadCodecs.createCodec(task.codec));
+                const decoded = codecs.get(key).decode(Buffer.from(task.payload));
+                parentPort.postMessage({ id: task.id, result: decoded });
             } else {
                 throw new Error('Unknown action');
             }
@@ -132,17 +170,18 @@ class PayloadWorkerPool {
 
     /**
      * Executes a task in the worker pool.
-     * @param {'decode_sparkplug' | 'parse_json'} action 
+     * @param {'decode_sparkplug' | 'parse_json' | 'decode_codec'} action 
      * @param {any} payload 
+     * @param {import('./codecs/codecManager').ResolvedCodec} [codec] Required by 'decode_codec'.
      * @returns {Promise<any>}
      */
-    execute(action, payload) {
+    execute(action, payload, codec) {
         return new Promise((resolve, reject) => {
             const id = ++this.taskId;
             this.callbacks.set(id, { resolve, reject });
             const worker = this.workers[this.nextWorker];
             this.nextWorker = (this.nextWorker + 1) % this.workers.length;
-            worker.postMessage({ id, action, payload });
+            worker.postMessage({ id, action, payload, codec });
         });
     }
 }
@@ -180,6 +219,13 @@ const errorUtils = require('./errorUtils');
 
 const MAX_PAYLOAD_SIZE_BYTES = 2 * 1024 * 1024; // 2 MB
 
+/**
+ * Live UNS feed. Emits a 'message' event ({@link DispatchedMessage}) for every normalized message,
+ * allowing northbound connectors (e.g. Modbus server mode) to mirror live values.
+ */
+const dispatcherEvents = new EventEmitter();
+dispatcherEvents.setMaxListeners(0);
+
 // --- Smart Throttling State ---
 /** @type {Map<string, number>} */
 const namespaceCounts = new Map();
@@ -194,13 +240,15 @@ let throttleResetTimer = null;
  * @param {string} topic - The destination topic/node
  * @param {any} payload - The payload (String, Buffer, or parsed JS Object)
  * @param {MessageOptions} [options] - Metadata injected by the provider
+ * @returns {Promise<void>} Rejects on dispatch failure only with `options.rejectOnError`.
  */
 async function handleMessage(providerId, topic, payload, options = {}) {
     metricsManager.incrementMessagesProcessed();
-    const timestamp = new Date();
     
     // Use ingress correlationId if provided, otherwise generate a new one
-    const { isSparkplugOrigin = false, rawBuffer = null, decodeError = null, correlationId: ingressCorrelationId, connectorType = 'unknown' } = options;
+    const { isSparkplugOrigin = false, isDecoded = false, rawBuffer = null, decodeError = null, correlationId: ingressCorrelationId, connectorType = 'unknown', isBackfill = false, rejectOnError = false } = options;
+    const sourceTimestamp = options.timestamp ? new Date(options.timestamp) : null;
+    const timestamp = sourceTimestamp && !isNaN(sourceTimestamp.getTime()) ? sourceTimestamp : new Date();
     const correlationId = ingressCorrelationId || crypto.randomUUID(); 
 
     let payloadObjectForMapper = null; 
@@ -212,18 +260,22 @@ async function handleMessage(providerId, topic, payload, options = {}) {
 
     try {
         // --- 1. Smart Namespace Rate Limiting (Anti-Spam) ---
-        // Abstraction: Determine namespace based on path separators. If no '/', use the whole topic.
-        const parts = topic.includes('/') ? topic.split('/') : [topic];
-        const namespace = parts.length > 1 ? `${providerId}:${parts[0]}/${parts[1]}` : `${providerId}:${parts[0]}`;
-
-        const count = (namespaceCounts.get(namespace) || 0) + 1;
-        namespaceCounts.set(namespace, count);
-
-        if (count > MAX_MSGS_PER_SEC_PER_NAMESPACE) {
-            if (count === MAX_MSGS_PER_SEC_PER_NAMESPACE + 1) {
-                 handlerLogger.warn(`⚠️ High frequency detected on namespace '${namespace}'. Throttling excess messages.`);
+        // Backfilled history arrives in bursts by design: it is paced by the provider and not counted here.
+        // Neither are acknowledged deliveries, paced by their broker: throttling would ack them unprocessed.
+        if (!isBackfill && !rejectOnError) {
+            // Abstraction: Determine namespace based on path separators. If no '/', use the whole topic.
+            const parts = topic.includes('/') ? topic.split('/') : [topic];
+            const namespace = parts.length > 1 ? `${providerId}:${parts[0]}/${parts[1]}` : `${providerId}:${parts[0]}`;
+
+            const count = (namespaceCounts.get(namespace) || 0) + 1;
+            namespaceCounts.set(namespace, count);
+
+            if (count > MAX_MSGS_PER_SEC_PER_NAMESPACE) {
+                if (count === MAX_MSGS_PER_SEC_PER_NAMESPACE + 1) {
+                     handlerLogger.warn(`⚠️ High frequency detected on namespace '${namespace}'. Throttling excess messages.`);
+                }
+                return; 
             }
-            return; 
         }
 
         // --- 2. Payload Size Protection ---
@@ -241,13 +293,15 @@ async function handleMessage(providerId, topic, payload, options = {}) {
             payloadObjectForMapper = oversizeMsg;
         } else {
             // --- 3. Payload Formatting & Normalization (Worker Pool Offloading) ---
+            const codec = (Buffer.isBuffer(payload) || typeof payload === 'string') ? codecManager.resolve(topic) : null;
+
             if (decodeError) {
                 // The provider tried to decode it (e.g. Protobuf) but failed
                 payloadStringForWs = rawBuffer ? rawBuffer.toString('hex') : "unknown_hex";
                 payloadStringForDb = JSON.stringify({ raw_payload_hex: payloadStringForWs, decode_error: decodeError });
                 payloadObjectForMapper = safeJsonParse(payloadStringForDb, handlerLogger);
 
-            } else if (isSparkplugOrigin && rawBuffer && Buffer.isBuffer(rawBuffer)) {
+            } else if (isSparkplugOrigin && !isDecoded && rawBuffer && Buffer.isBuffer(rawBuffer)) {
                 // [NEW] Offloaded Sparkplug decoding to Worker Thread
                 try {
                     payloadObjectForMapper = await workerPool.execute('decode_sparkplug', rawBuffer);
@@ -265,6 +319,25 @@ async function handleMessage(providerId, topic, payload, options = {}) {
                     payloadStringForDb = JSON.stringify({ raw_payload_hex: payloadStringForWs, decode_error: err.message });
                     payloadObjectForMapper = { raw_payload_hex: payloadStringForWs, decode_error: err.message };
                 }
+            } else if (codec && !isSparkplugOrigin) {
+                // Binary topic: decoded by the codec registered for its pattern
+                try {
+                    payloadObjectForMapper = await workerPool.execute('decode_codec', payload, codec);
+                    payloadStringForWs = JSON.stringify(payloadObjectForMapper, longReplacer, 2);
+                    payloadStringForDb = JSON.stringify(payloadObjectForMapper, longReplacer);
+                } catch (err) {
+                    errorUtils.logError({
+                        logger: handlerLogger,
+                        err,
+                        code: 'PAYLOAD_CODEC_DECODE_ERROR',
+                        traceId: correlationId,
+                        message: `❌ Error decoding ${codec.codec} payload in Worker`,
+                        context: { topic, pattern: codec.pattern }
+                    });
+                    payloadStringForWs = Buffer.from(payload).toString('hex');
+                    payloadObjectForMapper = { raw_payload_hex: payloadStringForWs, decode_error: err.message, codec: codec.codec };
+                    payloadStringForDb = JSON.stringify(payloadObjectForMapper);
+                }
             } else if (typeof payload === 'object' && !Buffer.isBuffer(payload)) {
                 // The Provider ALREADY decoded the payload into a JS Object (e.g. legacy Sparkplug logic or HTTP ingest)
                 payloadObjectForMapper = payload;
@@ -313,6 +386,27 @@ async function handleMessage(providerId, topic, payload, options = {}) {
                 // If it's a non-JSON string, it MUST be wrapped.
                 // Our fallback already set payloadStringForDb = JSON.stringify({raw_payload: ...})
             }
+
+            // --- 3.6 Backfill Marker ---
+            if (isBackfill && payloadObjectForMapper && typeof payloadObjectForMapper === 'object') {
+                payloadObjectForMapper._backfilled = true;
+                payloadStringForDb = JSON.stringify(payloadObjectForMapper, longReplacer);
+            }
+        }
+
+        // Stale history only goes to storage: no live broadcast, mapping, alerts or webhooks
+        if (isBackfill) {
+            dataManager.insertMessage({
+                sourceId: providerId,
+                connectorType,
+                timestamp,
+                topic,
+                payloadStringForDb,
+                isSparkplugOrigin,
+                needsDb: false,
+                correlationId
+            });
+            return;
         }
 
         // --- 4. Broadcast WebSocket ---
@@ -327,6 +421,14 @@ async function handleMessage(providerId, topic, payload, options = {}) {
         };
         wsManager.broadcast(JSON.stringify(finalMessageObject));
 
+        if (dispatcherEvents.listenerCount('message') > 0) {
+            try {
+                dispatcherEvents.emit('message', { sourceId: providerId, connectorType, topic, payload: payloadObjectForMapper, timestamp, correlationId });
+            } catch (listenerErr) {
+                handlerLogger.error({ err: listenerErr, topic }, "A live UNS listener failed while handling a message");
+            }
+        }
+
         // --- 5. DB / Mapper / Alert Execution ---
         const needsDb = mapperEngine.rulesForTopicRequireDb(topic);
         dataManager.insertMessage({ 
@@ -361,6 +463,7 @@ async function handleMessage(providerId, topic, payload, options = {}) {
             message: `❌ UNEXPECTED ERROR processing topic ${topic}`,
             context: { topic }
         });
+        if (rejectOnError) throw err;
     }
 }
 
@@ -409,4 +512,4 @@ function init(appLogger, appConfig, appWsManager, appMapperEngine, appDataManage
     return handleMessage; 
 }
 
-module.exports = { init, setWorkerPool, resetThrottling, stop, handleMessage };
+module.exports = { init, setWorkerPool, resetThrottling, stop, handleMessage, dispatcherEvents };
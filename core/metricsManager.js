@@ -19,6 +19,8 @@ const wsManager = require('./websocketManager');
 // --- In-Memory Counters ---
 let messagesProcessedTotal = 0;
 const errorsTotal = new Map(); // Map<string, number>
+const suppressedTotal = new Map(); // Map<connectorId, number>
+const bridgedTotal = new Map(); // Map<"connector\u0000bridge\u0000result", number>
 
 /**
  * Increments the total messages processed counter.
@@ -36,6 +38,33 @@ function incrementError(code = 'unknown_error') {
     errorsTotal.set(code, current + 1);
 }
 
+/**
+ * Increments the counter of messages dropped by a connector's report-by-exception deadband.
+ * @param {string} connectorId The connector ID.
+ */
+function incrementSuppressed(connectorId) {
+    suppressedTotal.set(connectorId, (suppressedTotal.get(connectorId) || 0) + 1);
+}
+
+/**
+ * @param {string} connectorId The connector ID.
+ * @returns {number} Messages suppressed by the deadband of this connector.
+ */
+function getSuppressedCount(connectorId) {
+    return suppressedTotal.get(connectorId) || 0;
+}
+
+/**
+ * Increments the counter of messages handled by an MQTT bridge rule.
+ * @param {string} connectorId The connector receiving the bridged messages.
+ * @param {string} bridge The bridge rule name.
+ * @param {string} result 'forwarded', 'queued', 'rateLimited', 'loops', 'denied' or 'errors'.
+ */
+function incrementBridged(connectorId, bridge, result) {
+    const key = `${connectorId}\u0000${bridge}\u0000${result}`;
+    bridgedTotal.set(key, (bridgedTotal.get(key) || 0) + 1);
+}
+
 /**
  * Generates Prometheus-formatted metrics.
  * @returns {string}
@@ -62,7 +91,42 @@ function getPrometheusMetrics() {
     metrics += '# TYPE korelate_dlq_size gauge\n';
     metrics += `korelate_dlq_size ${dlqSize}\n\n`;
 
-    // 4. Error Rates
+    // 4. Outbox (store-and-forward) per connector
+    const outboxManager = require('../storage/outboxManager');
+    const outboxes = outboxManager.getSummary();
+    metrics += '# HELP korelate_outbox_pending Current number of outbound messages queued for an offline connector.\n';
+    metrics += '# TYPE korelate_outbox_pending gauge\n';
+    outboxes.forEach(o => { metrics += `korelate_outbox_pending{connector="${o.connectorId}"} ${o.pending}\n`; });
+    metrics += '\n# HELP korelate_outbox_drained_total Total number of queued messages delivered after reconnection.\n';
+    metrics += '# TYPE korelate_outbox_drained_total counter\n';
+    outboxes.forEach(o => { metrics += `korelate_outbox_drained_total{connector="${o.connectorId}"} ${o.drained}\n`; });
+    metrics += '\n# HELP korelate_outbox_dropped_total Total number of queued messages dropped (overflow, expired, rejected).\n';
+    metrics += '# TYPE korelate_outbox_dropped_total counter\n';
+    outboxes.forEach(o => {
+        for (const [reason, count] of Object.entries(o.dropped)) {
+            metrics += `korelate_outbox_dropped_total{connector="${o.connectorId}",reason="${reason}"} ${count}\n`;
+        }
+    });
+    metrics += '\n';
+
+    // 5. Report-by-exception suppression per connector
+    metrics += '# HELP korelate_messages_suppressed_total Total number of unchanged or in-deadband messages dropped by a connector.\n';
+    metrics += '# TYPE korelate_messages_suppressed_total counter\n';
+    for (const [connectorId, count] of suppressedTotal.entries()) {
+        metrics += `korelate_messages_suppressed_total{connector="${connectorId}"} ${count}\n`;
+    }
+    metrics += '\n';
+
+    // 6. MQTT bridges per connector and rule
+    metrics += '# HELP korelate_bridge_messages_total Total number of messages handled by an MQTT bridge, by result.\n';
+    metrics += '# TYPE korelate_bridge_messages_total counter\n';
+    for (const [key, count] of bridgedTotal.entries()) {
+        const [connectorId, bridge, result] = key.split('\u0000');
+        metrics += `korelate_bridge_messages_total{connector="${connectorId}",bridge="${bridge.replace(/["\\]/g, '\\$&')}",result="${result}"} ${count}\n`;
+    }
+    metrics += '\n';
+
+    // 7. Error Rates
     metrics += '# HELP korelate_errors_total Total number of errors encountered.\n';
     metrics += '# TYPE korelate_errors_total counter\n';
     if (errorsTotal.size === 0) {
@@ -80,5 +144,8 @@ function getPrometheusMetrics() {
 module.exports = {
     incrementMessagesProcessed,
     incrementError,
+    incrementSuppressed,
+    incrementBridged,
+    getSuppressedCount,
     getPrometheusMetrics
 };
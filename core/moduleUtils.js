@@ -0,0 +1,41 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Module Utilities
+ * Loading of optional libraries and of user files (schemas, custom modules) from the data directory.
+ * Holds no state so that it can be loaded inside worker threads.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Loads an optional library with an actionable error when it is missing.
+ * @param {string} name
+ */
+function requireLibrary(name) {
+    try {
+        return require(name);
+    } catch (err) {
+        if (err.code === 'MODULE_NOT_FOUND') throw new Error(`Missing dependency '${name}'. Please install it using: npm install ${name}`);
+        throw err;
+    }
+}
+
+/**
+ * Resolves a file name inside a directory, refusing path traversal.
+ * @param {string} dir
+ * @param {string} fileName
+ * @returns {string}
+ */
+function resolveInside(dir, fileName) {
+    const filePath = path.resolve(dir, fileName);
+    if (!filePath.startsWith(path.resolve(dir) + path.sep)) throw new Error(`Invalid file name: ${fileName}`);
+    if (!fs.existsSync(filePath)) throw new Error(`File not found: ${fileName}`);
+    return filePath;
+}
+
+module.exports = {
+    requireLibrary,
+    resolveInside
+};
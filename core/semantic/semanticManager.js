@@ -175,9 +175,30 @@ class SemanticManager {
         sourceRels.get(type).add(targetId);
     }
 
-    registerExternalElements(providerId, elements) {
+    /**
+     * Stores elements discovered by a provider (remote I3X server, BACnet scan...) as external instances.
+     * @param {string} providerId
+     * @param {Object[]} elements
+     * @param {{namespaces?: Object[], objectTypes?: Object[]}} [definitions] Namespaces and types the elements refer to, added when missing.
+     */
+    registerExternalElements(providerId, elements, definitions = {}) {
         let hasChanges = false;
         this.model.external_instances = this.model.external_instances || [];
+
+        (definitions.namespaces || []).forEach(ns => {
+            this.model.namespaces = this.model.namespaces || [];
+            if (!this.model.namespaces.some(existing => existing.uri === ns.uri)) {
+                this.model.namespaces.push(ns);
+                hasChanges = true;
+            }
+        });
+        (definitions.objectTypes || []).forEach(type => {
+            this.model.objectTypes = this.model.objectTypes || [];
+            if (!this.model.objectTypes.some(existing => existing.elementId === type.elementId)) {
+                this.model.objectTypes.push(type);
+                hasChanges = true;
+            }
+        });
         
         const existingExtMap = new Map(this.model.external_instances.map(e => [e.elementId, e]));
 
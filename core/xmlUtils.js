@@ -0,0 +1,75 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * XML Utilities
+ * Minimal dependency-free XML reader shared by the connectors importing XML documents
+ * (MTConnect agent documents, ETS group-address exports). Namespaces, DTDs and processing
+ * instructions are ignored.
+ */
+
+/**
+ * @typedef {Object} XmlElement
+ * @property {string} name Element name, namespace prefix removed.
+ * @property {Object<string, string>} attrs Attributes, entities decoded.
+ * @property {XmlElement[]} children
+ * @property {string} text Text and CDATA content, trimmed.
+ */
+
+/**
+ * Decodes the predefined and numeric character references of XML text.
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+        const lower = entity.toLowerCase();
+        if (lower.startsWith('#x')) return String.fromCodePoint(parseInt(lower.slice(2), 16));
+        if (lower.startsWith('#')) return String.fromCodePoint(parseInt(lower.slice(1), 10));
+        return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+    });
+}
+
+/**
+ * Parses XML into a tree of elements, under a `#document` root.
+ * @param {string} xml
+ * @returns {XmlElement}
+ */
+function parseXml(xml) {
+    const root = { name: '#document', attrs: {}, children: [], text: '' };
+    const stack = [root];
+    const tagRe = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][^>]*>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/g;
+    const attrRe = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+    let lastIndex = 0;
+    let match;
+    while ((match = tagRe.exec(xml)) !== null) {
+        const current = stack[stack.length - 1];
+        current.text += decodeEntities(xml.slice(lastIndex, match.index));
+        lastIndex = tagRe.lastIndex;
+
+        const [, cdata, closing, name, attrText, selfClosing] = match;
+        if (cdata !== undefined) {
+            current.text += cdata;
+            continue;
+        }
+        if (!name) continue; // Comment, declaration
+        if (closing) {
+            current.text = current.text.trim();
+            if (stack.length > 1) stack.pop();
+            continue;
+        }
+        const attrs = {};
+        let attr;
+        while ((attr = attrRe.exec(attrText)) !== null) {
+            attrs[attr[1]] = decodeEntities(attr[2] !== undefined ? attr[2] : attr[3]);
+        }
+        const element = { name: name.replace(/^.*:/, ''), attrs, children: [], text: '' };
+        current.children.push(element);
+        if (!selfClosing) stack.push(element);
+    }
+    return root;
+}
+
+module.exports = {
+    decodeEntities,
+    parseXml
+};
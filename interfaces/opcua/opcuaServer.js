@@ -0,0 +1,373 @@
+/**
+ * @license Apache License, Version 2.0 (the "License")
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * @author Sebastien Lalaurette
+ * @copyright (c) 2025-2026 Sebastien Lalaurette
+ * * Northbound OPC UA Server
+ * Exposes the live UNS (one folder per connector, one variable per topic) and the
+ * I3X semantic model (object types and instances) to OPC UA-only clients such as
+ * historians or MES. Client writes are routed back through the owning connector.
+ */
+
+const mqttMatch = require('mqtt-match');
+
+const NAMESPACE_URI = "urn:korelate:uns";
+
+/**
+ * @typedef {Object} UnsOpcUaServerOptions
+ * @property {import('../../boot/config').AppConfig} config App configuration (OPCUA_SERVER_* keys).
+ * @property {Object} logger Pino logger.
+ * @property {import('events').EventEmitter} dispatcherEvents Live UNS feed (see messageDispatcher).
+ * @property {Map<string, any>} activeConnections Connector connections, keyed by provider ID.
+ * @property {Object} [mapperEngine] Used for the per-connector publish permission check.
+ * @property {Object} [semanticManager] I3X model source.
+ */
+
+/**
+ * Splits a topic into browse-name-safe segments.
+ * @param {string} topic
+ * @returns {string[]}
+ */
+function topicSegments(topic) {
+    return String(topic).split('/').map(s => s || '_');
+}
+
+/**
+ * Extracts the scalar value to expose from a dispatched payload.
+ * JSON objects carrying a `value` field expose that field, other objects are serialized.
+ * @param {any} payload
+ * @returns {any}
+ */
+function extractScalar(payload) {
+    if (payload && typeof payload === 'object' && !Buffer.isBuffer(payload)) {
+        if (payload.value !== undefined && (payload.value === null || typeof payload.value !== 'object')) {
+            return payload.value;
+        }
+        return JSON.stringify(payload);
+    }
+    return payload;
+}
+
+class UnsOpcUaServer {
+    /**
+     * @param {UnsOpcUaServerOptions} options
+     */
+    constructor(options) {
+        this.config = options.config;
+        this.logger = options.logger.child({ component: 'OpcUaServer' });
+        this.dispatcherEvents = options.dispatcherEvents;
+        this.activeConnections = options.activeConnections;
+        this.mapperEngine = options.mapperEngine || null;
+        this.semanticManager = options.semanticManager || null;
+
+        this.port = this.config.OPCUA_SERVER_PORT || 4841;
+        /** @type {string[]} Topics OPC UA clients may write to (empty = read-only). */
+        this.allowedWrites = Array.isArray(this.config.OPCUA_SERVER_PUBLISH) ? this.config.OPCUA_SERVER_PUBLISH : [];
+
+        this.opcua = null;
+        this.server = null;
+        this.namespace = null;
+        this.unsFolder = null;
+        this.instancesFolder = null;
+
+        /** @type {Map<string, any>} "sourceId/topic/path" -> folder or variable node */
+        this.nodesByPath = new Map();
+        /** @type {Map<string, {variable: any, dataType: number, value: any, timestamp: Date, rawPayload: boolean}>} */
+        this.topicVariables = new Map();
+        /** @type {Map<string, any>} I3X elementId -> instance object node */
+        this.instanceNodes = new Map();
+        /** @type {Set<string>} elementId|path pairs already linked to a topic variable */
+        this.instanceLinks = new Set();
+
+        this.onMessage = this.onMessage.bind(this);
+    }
+
+    /**
+     * Creates the address space and starts listening.
+     * @returns {Promise<void>}
+     */
+    async start() {
+        this.opcua = require("node-opcua");
+        const { OPCUAServer } = this.opcua;
+
+        const serverOptions = {
+            port: this.port,
+            resourcePath: "/",
+            buildInfo: {
+                productName: "Korelate UNS Server",
+                productUri: NAMESPACE_URI,
+                manufacturerName: "Korelate",
+                softwareVersion: "1.0",
+                buildDate: new Date()
+            },
+            allowAnonymous: !this.config.OPCUA_SERVER_USERNAME
+        };
+
+        if (this.config.OPCUA_SERVER_USERNAME) {
+            serverOptions.userManager = {
+                isValidUser: (userName, password) =>
+                    userName === this.config.OPCUA_SERVER_USERNAME && password === this.config.OPCUA_SERVER_PASSWORD
+            };
+        }
+
+        this.server = new OPCUAServer(serverOptions);
+        await this.server.initialize();
+
+        const addressSpace = this.server.engine.addressSpace;
+        this.namespace = addressSpace.getOwnNamespace();
+
+        const root = this.namespace.addFolder(addressSpace.rootFolder.objects, { browseName: "Korelate", nodeId: "s=Korelate" });
+        this.unsFolder = this.namespace.addFolder(root, { browseName: "UNS", nodeId: "s=UNS" });
+
+        this.buildSemanticModel(root);
+
+        await this.server.start();
+        if (this.dispatcherEvents) this.dispatcherEvents.on('message', this.onMessage);
+
+        this.logger.info(`✅ OPC UA server listening on opc.tcp://localhost:${this.port}/ (${this.allowedWrites.length > 0 ? 'writes enabled' : 'read-only'})`);
+    }
+
+    /**
+     * Mirrors the I3X object types and instances (parent/child hierarchy).
+     * @param {any} root Korelate root folder.
+     */
+    buildSemanticModel(root) {
+        if (!this.semanticManager) return;
+        const model = this.semanticManager.getModel() || {};
+        const instances = this.semanticManager.getAllInstances() || [];
+        const typeNodes = new Map();
+
+        (model.objectTypes || []).forEach(type => {
+            if (!type.elementId) return;
+            try {
+                typeNodes.set(type.elementId, this.namespace.addObjectType({
+                    browseName: type.elementId,
+                    displayName: type.displayName || type.elementId,
+                    nodeId: `s=types/${type.elementId}`
+                }));
+            } catch (err) {
+                this.logger.warn({ err: err.message, typeId: type.elementId }, "Skipping I3X object type");
+            }
+        });
+
+        this.instancesFolder = this.namespace.addFolder(root, { browseName: "Instances", nodeId: "s=Instances" });
+
+        // Parents first, so children can be organized under them
+        const pending = [...instances];
+        let progressed = true;
+        while (pending.length > 0 && progressed) {
+            progressed = false;
+            for (let i = pending.length - 1; i >= 0; i--) {
+                const inst = pending[i];
+                const hasParent = inst.parentId && inst.parentId !== '/';
+                if (hasParent && !this.instanceNodes.has(inst.parentId) && pending.some(p => p.elementId === inst.parentId)) continue;
+
+                const parentNode = (hasParent && this.instanceNodes.get(inst.parentId)) || this.instancesFolder;
+                try {
+                    const node = this.namespace.addObject({
+                        browseName: inst.elementId,
+                        displayName: inst.displayName || inst.elementId,
+                        nodeId: `s=instances/${inst.elementId}`,
+                        organizedBy: parentNode,
+                        typeDefinition: typeNodes.get(inst.typeId)
+                    });
+                    this.instanceNodes.set(inst.elementId, node);
+                } catch (err) {
+                    this.logger.warn({ err: err.message, elementId: inst.elementId }, "Skipping I3X instance");
+                }
+                pending.splice(i, 1);
+                progressed = true;
+            }
+        }
+
+        this.logger.info(`OPC UA server: mirrored ${typeNodes.size} object type(s) and ${this.instanceNodes.size} instance(s).`);
+    }
+
+    /**
+     * Returns (creating if needed) the folder holding a given path.
+     * @param {string[]} pathSegments [sourceId, ...topicSegments]
+     * @returns {any}
+     */
+    ensureFolder(pathSegments) {
+        let parent = this.unsFolder;
+        for (let i = 0; i < pathSegments.length; i++) {
+            const key = pathSegments.slice(0, i + 1).join('/');
+            let node = this.nodesByPath.get(key);
+            if (!node) {
+                node = this.namespace.addFolder(parent, { browseName: pathSegments[i], nodeId: `s=uns/${key}` });
+                this.nodesByPath.set(key, node);
+            }
+            parent = node;
+        }
+        return parent;
+    }
+
+    /**
+     * Whether OPC UA clients may write a topic: it must match OPCUA_SERVER_PUBLISH
+     * and the owning connector's own 'publish' list (same check as the Mapper).
+     * @param {string} sourceId
+     * @param {string} topic
+     * @returns {boolean}
+     */
+    isWriteAllowed(sourceId, topic) {
+        if (!this.allowedWrites.some(pattern => mqttMatch(pattern, topic))) return false;
+        if (this.mapperEngine && typeof this.mapperEngine.isPublishAllowed === 'function') {
+            return this.mapperEngine.isPublishAllowed(sourceId, topic);
+        }
+        return true;
+    }
+
+    /**
+     * Creates the variable mirroring a topic. Its data type is inferred from the first value.
+     * @param {string} sourceId
+     * @param {string} topic
+     * @param {any} value
+     */
+    createTopicVariable(sourceId, topic, value) {
+        const { DataType, Variant } = this.opcua;
+        const segments = [sourceId, ...topicSegments(topic)];
+        const key = segments.join('/');
+        const parent = this.ensureFolder(segments.slice(0, -1));
+
+        let dataType = DataType.String;
+        if (typeof value === 'number') dataType = DataType.Double;
+        else if (typeof value === 'boolean') dataType = DataType.Boolean;
+
+        const writable = this.isWriteAllowed(sourceId, topic);
+        // A topic can also be a parent of deeper topics: keep both, the value lives in '_value'
+        const collides = this.nodesByPath.has(key);
+
+        const entry = { variable: null, dataType, value: null, timestamp: new Date(), rawPayload: false };
+        entry.variable = this.namespace.addVariable({
+            componentOf: collides ? this.nodesByPath.get(key) : parent,
+            browseName: collides ? '_value' : segments[segments.length - 1],
+            nodeId: `s=uns/${key}${collides ? '/_value' : ''}`,
+            dataType,
+            minimumSamplingInterval: 1000,
+            accessLevel: writable ? "CurrentRead | CurrentWrite" : "CurrentRead",
+            userAccessLevel: writable ? "CurrentRead | CurrentWrite" : "CurrentRead",
+            value: {
+                get: () => new Variant({ dataType: entry.dataType, value: entry.value }),
+                // Callback form: the write status is only known once the connector confirms the publish
+                set: (variant, callback) => {
+                    this.handleClientWrite(sourceId, topic, entry, variant).then(status => callback(null, status), callback);
+                }
+            }
+        });
+
+        if (!collides) this.nodesByPath.set(key, entry.variable);
+        this.topicVariables.set(key, entry);
+        return entry;
+    }
+
+    /**
+     * Converts a value to the variable's data type.
+     * @param {number} dataType
+     * @param {any} value
+     * @returns {any}
+     */
+    coerce(dataType, value) {
+        const { DataType } = this.opcua;
+        if (dataType === DataType.Double) {
+            const n = Number(value);
+            return Number.isFinite(n) ? n : null;
+        }
+        if (dataType === DataType.Boolean) return value === true || value === 'true' || value === 1;
+        if (value === null || value === undefined) return null;
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    }
+
+    /**
+     * Live UNS feed listener.
+     * @param {import('../../core/messageDispatcher').DispatchedMessage} msg
+     */
+    onMessage(msg) {
+        if (!msg || !msg.topic || !msg.sourceId) return;
+        try {
+            const key = [msg.sourceId, ...topicSegments(msg.topic)].join('/');
+            const scalar = extractScalar(msg.payload);
+
+            let entry = this.topicVariables.get(key);
+            if (!entry) entry = this.createTopicVariable(msg.sourceId, msg.topic, scalar);
+
+            entry.value = this.coerce(entry.dataType, scalar);
+            entry.timestamp = msg.timestamp ? new Date(msg.timestamp) : new Date();
+            entry.rawPayload = !(msg.payload && typeof msg.payload === 'object');
+
+            this.linkSemanticInstance(msg.topic, key, entry.variable);
+        } catch (err) {
+            this.logger.warn({ err: err.message, topic: msg.topic }, "OPC UA server: failed to mirror message");
+        }
+    }
+
+    /**
+     * Adds an 'Organizes' reference from the I3X instance resolved for a topic to its variable.
+     */
+    linkSemanticInstance(topic, key, variable) {
+        if (!this.semanticManager || this.instanceNodes.size === 0) return;
+        const mapping = this.semanticManager.resolveTopic(topic);
+        if (!mapping || !this.instanceNodes.has(mapping.elementId)) return;
+
+        const linkKey = `${mapping.elementId}|${key}`;
+        if (this.instanceLinks.has(linkKey)) return;
+        this.instanceLinks.add(linkKey);
+        this.instanceNodes.get(mapping.elementId).addReference({ referenceType: "Organizes", nodeId: variable.nodeId });
+    }
+
+    /**
+     * Routes a client write to the connector that owns the topic. The mirrored value is only
+     * updated once the publish succeeded (the dispatcher echo refreshes it as well).
+     * @returns {Promise<import('node-opcua').StatusCode>}
+     */
+    async handleClientWrite(sourceId, topic, entry, variant) {
+        const { StatusCodes } = this.opcua;
+
+        if (!this.isWriteAllowed(sourceId, topic)) {
+            this.logger.warn({ sourceId, topic }, "OPC UA write rejected: topic not allowed.");
+            return StatusCodes.BadUserAccessDenied;
+        }
+
+        const connection = this.activeConnections ? this.activeConnections.get(sourceId) : null;
+        if (!connection || !connection.connected) {
+            this.logger.warn({ sourceId, topic }, "OPC UA write rejected: owning connector not connected.");
+            return StatusCodes.BadNotConnected;
+        }
+
+        const value = this.coerce(entry.dataType, variant.value);
+        const payload = entry.rawPayload
+            ? String(value)
+            : JSON.stringify({ value, timestamp: new Date().toISOString() });
+
+        try {
+            await new Promise((resolve, reject) => {
+                connection.publish(topic, payload, { qos: 1, retain: false }, (err) => (err ? reject(err) : resolve()));
+            });
+        } catch (err) {
+            this.logger.error({ err, sourceId, topic }, "OPC UA write: publish failed.");
+            return StatusCodes.BadCommunicationError;
+        }
+
+        entry.value = value;
+        this.logger.info(`OPC UA write: ${sourceId}/${topic} <- ${JSON.stringify(value)}`);
+        return StatusCodes.Good;
+    }
+
+    /**
+     * Stops the server and detaches from the live feed.
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.dispatcherEvents) this.dispatcherEvents.removeListener('message', this.onMessage);
+        if (this.server) {
+            await this.server.shutdown(1000);
+            this.server = null;
+            this.logger.info("OPC UA server stopped.");
+        }
+    }
+}
+
+module.exports = { UnsOpcUaServer, extractScalar, NAMESPACE_URI };
@@ -16,6 +16,7 @@
 const express = require('express');
 const userManager = require('../../storage/userManager');
 const dlqManager = require('../../storage/dlqManager');
+const outboxManager = require('../../storage/outboxManager');
 const fs = require('fs');
 const path = require('path');
 const multer = require('multer');
@@ -288,6 +289,50 @@ module.exports = (logger, db, dataManager, dataPath) => {
         }
     });
 
+    // --- Outbox (Store-and-Forward) Management ---
+
+    router.get('/outbox', (req, res, next) => {
+        try {
+            res.json({ enabled: outboxManager.isEnabled(), outboxes: outboxManager.getSummary() });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.get('/outbox/:connectorId', (req, res, next) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+            const { connectorId } = req.params;
+            res.json({
+                connectorId,
+                pending: outboxManager.getPendingCount(connectorId),
+                messages: outboxManager.getMessages(connectorId, limit)
+            });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.post('/outbox/:connectorId/drain', async (req, res, next) => {
+        try {
+            const { connectorId } = req.params;
+            const published = await outboxManager.drain(connectorId);
+            res.json({ success: true, published, pending: outboxManager.getPendingCount(connectorId) });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.post('/outbox/:connectorId/clear', (req, res, next) => {
+        try {
+            const count = outboxManager.clear(req.params.connectorId);
+            logger.info(`[AdminAPI] Outbox of '${req.params.connectorId}' cleared by admin (${count} messages).`);
+            res.json({ success: true, message: `Discarded ${count} queued messages.` });
+        } catch (err) {
+            next(err);
+        }
+    });
+
     // --- Alerts Maintenance Functions ---
     router.get('/admin/stats', async (req, res, next) => {
         // Handled by alertApi natively now, but keeping proxy route for safety
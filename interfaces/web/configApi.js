@@ -13,7 +13,10 @@ const fs = require('fs');
 const path = require('path');
 const dotenv = require('dotenv');
 const multer = require('multer');
+const mqttMatch = require('mqtt-match');
 const { mergeConfigFromDb } = require('../../boot/config');
+const { STATE_KEY_PREFIX } = require('../../storage/connectorStateStore');
+const codecManager = require('../../core/codecs/codecManager');
 
 module.exports = (envPath, envExamplePath, dataPath, logger, db, dataManager, appConfig, connectorManager) => {
     const router = express.Router();
@@ -69,6 +72,51 @@ module.exports = (envPath, envExamplePath, dataPath, logger, db, dataManager, ap
 
     const uploadJson = multer({ storage: storageJson, fileFilter: fileFilterJson });
 
+    // Configure Multer for KNX ETS exports (.knxproj project or group-address XML/CSV export).
+    // Saved under a temporary name: an export is only replaced once the upload parses.
+    const knxPath = path.join(dataPath, 'knx');
+    const uploadEts = multer({
+        storage: multer.diskStorage({
+            destination: function (req, file, cb) {
+                fs.mkdirSync(knxPath, { recursive: true });
+                cb(null, knxPath);
+            },
+            filename: function (req, file, cb) {
+                cb(null, `${path.basename(file.originalname)}.${Date.now()}.upload`);
+            }
+        }),
+        limits: { fileSize: 50 * 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            if (file.originalname.match(/\.(knxproj|xml|csv)$/i)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only ETS exports (.knxproj, .xml, .csv) are allowed!'), false);
+            }
+        }
+    });
+
+    // Configure Multer for Protobuf schemas of the payload codecs (data/schemas, shared with the Kafka decoders).
+    // Saved under a temporary name: the schema is only replaced once the upload parses.
+    const uploadProto = multer({
+        storage: multer.diskStorage({
+            destination: function (req, file, cb) {
+                fs.mkdirSync(codecManager.getSchemaDir(), { recursive: true });
+                cb(null, codecManager.getSchemaDir());
+            },
+            filename: function (req, file, cb) {
+                cb(null, `${path.basename(file.originalname)}.${Date.now()}.upload`);
+            }
+        }),
+        limits: { fileSize: 1024 * 1024 },
+        fileFilter: (req, file, cb) => {
+            if (file.originalname.match(/\.proto$/i)) {
+                cb(null, true);
+            } else {
+                cb(new Error('Only Protobuf schemas (.proto) are allowed!'), false);
+            }
+        }
+    });
+
 
     // --- Certificate Routes ---
 
@@ -77,7 +125,10 @@ module.exports = (envPath, envExamplePath, dataPath, logger, db, dataManager, ap
             if (!fs.existsSync(certsPath)) {
                 return res.json([]);
             }
-            const files = fs.readdirSync(certsPath);
+            // Sub-folders (e.g. the OPC UA PKI) are not selectable certificate files
+            const files = fs.readdirSync(certsPath, { withFileTypes: true })
+                .filter(entry => entry.isFile())
+                .map(entry => entry.name);
             res.json(files);
         } catch (err) {
             next(err);
@@ -92,6 +143,549 @@ module.exports = (envPath, envExamplePath, dataPath, logger, db, dataManager, ap
         res.json({ message: 'Certificate uploaded successfully', filename: req.file.filename });
     });
 
+    // --- OPC UA Certificate Trust Store Routes ---
+    // Lazy-loaded like the browse route: node-opcua is only needed when OPC UA is used
+
+    router.get('/certs/opcua', async (req, res) => {
+        try {
+            const { listCertificates } = require('../../connectors/opcua/security');
+            res.json(await listCertificates(certsPath));
+        } catch (err) {
+            logger.error({ err }, "Failed to list OPC UA certificates");
+            res.status(500).json({ error: `Failed to list OPC UA certificates: ${err.message}` });
+        }
+    });
+
+    /**
+     * Downloads the Korelate application instance certificate (generated on first request),
+     * to be trusted on OPC UA servers that require secure channels.
+     */
+    router.get('/certs/opcua/own', async (req, res) => {
+        try {
+            const { getCertificateManager, ensureApplicationCertificate } = require('../../connectors/opcua/security');
+            const certificateFile = await ensureApplicationCertificate(await getCertificateManager(certsPath));
+            res.download(certificateFile, 'korelate_opcua_client.pem');
+        } catch (err) {
+            logger.error({ err }, "Failed to create the OPC UA application certificate");
+            res.status(500).json({ error: `Failed to create the OPC UA application certificate: ${err.message}` });
+        }
+    });
+
+    router.post('/certs/opcua/:thumbprint/:action', async (req, res) => {
+        const { thumbprint, action } = req.params;
+        if (action !== 'trust' && action !== 'reject') {
+            return res.status(400).json({ error: "Invalid action. Expected 'trust' or 'reject'." });
+        }
+        try {
+            const { setCertificateTrust } = require('../../connectors/opcua/security');
+            const found = await setCertificateTrust(certsPath, thumbprint, action === 'trust' ? 'trusted' : 'rejected');
+            if (!found) return res.status(404).json({ error: 'Certificate not found.' });
+            logger.info(`✅ OPC UA server certificate ${thumbprint} ${action === 'trust' ? 'trusted' : 'rejected'}.`);
+            res.json({ message: `Certificate ${action === 'trust' ? 'trusted' : 'rejected'}.` });
+        } catch (err) {
+            logger.error({ err, thumbprint }, "Failed to update OPC UA certificate trust");
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    router.delete('/certs/opcua/:thumbprint', async (req, res) => {
+        const { thumbprint } = req.params;
+        try {
+            const { removeCertificate } = require('../../connectors/opcua/security');
+            if (!(await removeCertificate(certsPath, thumbprint))) {
+                return res.status(404).json({ error: 'Certificate not found.' });
+            }
+            logger.info(`OPC UA server certificate ${thumbprint} deleted.`);
+            res.json({ message: 'Certificate deleted.' });
+        } catch (err) {
+            logger.error({ err, thumbprint }, "Failed to delete OPC UA certificate");
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // --- OPC UA Address Space Browse Route ---
+
+    /**
+     * Browses one level of an OPC UA address space for the config UI tree picker.
+     * Reuses the session of a running provider when possible, otherwise opens a
+     * short-lived session with the endpoint/credentials typed in the form.
+     * Body: { providerId?, endpointUrl?, username?, password?, nodeId?, securityMode?, securityPolicy?, userCertificate?, userPrivateKey? }
+     */
+    router.post('/opcua/browse', async (req, res) => {
+        const { providerId, endpointUrl, username, password, nodeId, securityMode, securityPolicy, userCertificate, userPrivateKey } = req.body || {};
+
+        try {
+            // Lazy-loaded: node-opcua is heavy and only needed when an OPC UA server is browsed
+            const { browseChildren, withTemporarySession, OBJECTS_FOLDER } = require('../../connectors/opcua/addressSpaceBrowser');
+            const running = providerId && connectorManager && connectorManager.providers
+                ? connectorManager.providers.get(providerId)
+                : null;
+
+            const sameEndpoint = !endpointUrl || (running && running.endpointUrl === endpointUrl);
+            if (running && typeof running.browse === 'function' && running.session && sameEndpoint) {
+                return res.json({ nodeId: nodeId || OBJECTS_FOLDER, source: 'provider', children: await running.browse(nodeId) });
+            }
+
+            if (!endpointUrl) {
+                return res.status(400).json({ error: "Missing 'endpointUrl' (or the provider is not connected)." });
+            }
+            if (!/^opc\.tcp:\/\//i.test(endpointUrl)) {
+                return res.status(400).json({ error: "Invalid endpoint URL. Expected opc.tcp://host:port" });
+            }
+
+            // The form never echoes stored passwords: fall back to the saved provider config, but only
+            // towards its own endpoint so that stored credentials are never sent to another host
+            let effectivePassword = password;
+            if (!effectivePassword && username && providerId && Array.isArray(appConfig.DATA_PROVIDERS)) {
+                const saved = appConfig.DATA_PROVIDERS.find(p => p.id === providerId);
+                if (saved && saved.username === username && saved.password) {
+                    if (saved.endpointUrl !== endpointUrl) {
+                        return res.status(400).json({ error: "The saved password is only used for the saved endpoint. Enter the password to browse another endpoint." });
+                    }
+                    effectivePassword = saved.password;
+                }
+            }
+
+            const children = await withTemporarySession(
+                { endpointUrl, username, password: effectivePassword, securityMode, securityPolicy, userCertificate, userPrivateKey, certsPath },
+                (session) => browseChildren(session, nodeId)
+            );
+            res.json({ nodeId: nodeId || OBJECTS_FOLDER, source: 'temporary', children });
+        } catch (err) {
+            logger.warn({ err: err.message, endpointUrl, nodeId }, "OPC UA browse failed");
+            res.status(502).json({ error: `OPC UA browse failed: ${err.message}` });
+        }
+    });
+
+    // --- BACnet Device Discovery Route ---
+
+    /**
+     * Runs a Who-Is discovery on a running BACnet provider (it owns the UDP port) and returns
+     * the devices with their object lists, for the config UI point picker.
+     * Body: { timeoutMs?, lowLimit?, highLimit?, address? }
+     */
+    router.post('/bacnet/:providerId/discover', async (req, res) => {
+        const provider = connectorManager && connectorManager.providers
+            ? connectorManager.providers.get(req.params.providerId)
+            : null;
+        if (!provider || provider.type !== 'bacnet') {
+            return res.status(404).json({ error: `BACnet provider '${req.params.providerId}' is not running. Save the provider first.` });
+        }
+        if (!provider.connected) return res.status(409).json({ error: "Provider is not connected." });
+
+        try {
+            const devices = await provider.discover(req.body || {});
+            res.json({ providerId: provider.id, devices });
+        } catch (err) {
+            logger.warn({ err: err.message, providerId: provider.id }, "BACnet discovery failed");
+            res.status(502).json({ error: `BACnet discovery failed: ${err.message}` });
+        }
+    });
+
+    // --- KNX ETS Import Routes ---
+
+    router.get('/knx/ets', (req, res, next) => {
+        try {
+            if (!fs.existsSync(knxPath)) return res.json([]);
+            res.json(fs.readdirSync(knxPath).filter(name => /\.(knxproj|xml|csv)$/i.test(name)));
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    /**
+     * Uploads an ETS export to data/knx/ once group addresses can be read from it. An upload that
+     * cannot be parsed is discarded and leaves the existing export of the same name in place.
+     */
+    router.post('/knx/ets', uploadEts.single('ets'), (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded or invalid file type.' });
+        }
+        const filename = path.basename(req.file.originalname);
+        try {
+            const { parseEtsExport } = require('../../connectors/knx/etsImport');
+            const groupAddresses = parseEtsExport(fs.readFileSync(req.file.path));
+            if (groupAddresses.length === 0) throw new Error('No group address found in the file.');
+            fs.renameSync(req.file.path, path.join(knxPath, filename));
+            logger.info(`✅ ETS export uploaded: ${filename} (${groupAddresses.length} group addresses)`);
+            res.json({
+                message: 'ETS export imported successfully',
+                filename,
+                groupAddresses: groupAddresses.length,
+                withDpt: groupAddresses.filter(ga => ga.dpt).length
+            });
+        } catch (err) {
+            fs.rmSync(req.file.path, { force: true });
+            logger.warn({ err: err.message, file: filename }, "ETS import failed");
+            res.status(400).json({ error: `ETS import failed: ${err.message}` });
+        }
+    });
+
+    // --- Payload Codec Routes ---
+
+    router.get('/codecs', (req, res, next) => {
+        try {
+            res.json({ rules: codecManager.getRules(), codecs: codecManager.listCodecs(), ...codecManager.listFiles() });
+        } catch (err) {
+            next(err);
+        }
+    });
+
+    router.put('/codecs', (req, res) => {
+        try {
+            codecManager.setRules(req.body.rules);
+            res.json({ message: 'Payload codec rules saved.', rules: codecManager.getRules() });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    /**
+     * Uploads a .proto file to data/schemas/. An upload that does not parse is discarded
+     * and leaves the existing schema of the same name in place.
+     */
+    router.post('/codecs/schemas', uploadProto.single('schema'), (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: 'No file uploaded or invalid file type.' });
+        }
+        const filename = path.basename(req.file.originalname);
+        try {
+            const messageTypes = codecManager.installSchema(req.file.path, filename);
+            logger.info(`✅ Protobuf schema uploaded: ${filename} (${messageTypes.length} message types)`);
+            res.json({ message: 'Schema uploaded successfully', filename, messageTypes });
+        } catch (err) {
+            logger.warn({ err: err.message, file: filename }, "Protobuf schema upload failed");
+            res.status(400).json({ error: `Invalid Protobuf schema: ${err.message}` });
+        }
+    });
+
+    router.delete('/codecs/schemas/:fileName', (req, res) => {
+        try {
+            codecManager.deleteSchema(req.params.fileName);
+            res.json({ message: 'Schema deleted.' });
+        } catch (err) {
+            res.status(409).json({ error: err.message });
+        }
+    });
+
+    // --- Runtime MQTT Subscriptions ---
+
+    /**
+     * Resolves a running provider supporting runtime subscriptions, or answers with an error.
+     * @returns {Object|null}
+     */
+    function getSubscribableProvider(req, res) {
+        const provider = connectorManager && connectorManager.providers
+            ? connectorManager.providers.get(req.params.providerId)
+            : null;
+        if (!provider) {
+            res.status(404).json({ error: `Provider '${req.params.providerId}' is not running.` });
+            return null;
+        }
+        if (typeof provider.addSubscription !== 'function') {
+            res.status(400).json({ error: `Provider '${req.params.providerId}' (${provider.type}) does not support runtime subscriptions.` });
+            return null;
+        }
+        return provider;
+    }
+
+    /**
+     * Stores DATA_PROVIDERS and updates the running configuration (read by the Mapper's publish checks).
+     * @param {Object[]} providers
+     */
+    async function saveProvidersConfig(providers) {
+        await new Promise((resolve, reject) => {
+            db.run(
+                "INSERT INTO app_config (key, value, updated_at) VALUES (?, ?, current_timestamp) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at",
+                'DATA_PROVIDERS',
+                JSON.stringify(providers),
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+        appConfig.DATA_PROVIDERS = providers;
+    }
+
+    /**
+     * Writes the provider's current subscription list back to the stored DATA_PROVIDERS,
+     * without reloading the connectors (the live client is already up to date).
+     */
+    async function persistSubscriptions(provider) {
+        const providers = (appConfig.DATA_PROVIDERS || []).map(p =>
+            p.id === provider.id ? { ...p, subscribe: provider.getSubscribeConfig() } : p
+        );
+        await saveProvidersConfig(providers);
+        const updated = providers.find(p => p.id === provider.id);
+        if (updated && typeof connectorManager.markApplied === 'function') connectorManager.markApplied(updated);
+    }
+
+    router.get('/providers/:providerId/subscriptions', (req, res) => {
+        const provider = getSubscribableProvider(req, res);
+        if (!provider) return;
+        res.json({ providerId: provider.id, connected: provider.connected, subscriptions: provider.getSubscriptions() });
+    });
+
+    /**
+     * Subscribes a live MQTT provider to a topic filter (or updates its options).
+     * Body: { topic, qos?, noLocal? }. Shared subscriptions use `$share/<group>/<filter>`.
+     */
+    router.post('/providers/:providerId/subscriptions', async (req, res) => {
+        const provider = getSubscribableProvider(req, res);
+        if (!provider) return;
+        if (!provider.connected) return res.status(409).json({ error: "Provider is not connected." });
+
+        try {
+            const subscription = await provider.addSubscription(req.body || {});
+            await persistSubscriptions(provider);
+            res.status(201).json({ subscription, subscriptions: provider.getSubscriptions(), subscribe: provider.getSubscribeConfig() });
+        } catch (err) {
+            if (err.code === 'INVALID_SUBSCRIPTION') return res.status(400).json({ error: err.message });
+            logger.warn({ err: err.message, providerId: provider.id }, "Runtime subscription failed");
+            res.status(502).json({ error: `Subscription failed: ${err.message}` });
+        }
+    });
+
+    /**
+     * Unsubscribes a live MQTT provider from a topic filter. Query: ?topic=<exact filter>
+     */
+    router.delete('/providers/:providerId/subscriptions', async (req, res) => {
+        const provider = getSubscribableProvider(req, res);
+        if (!provider) return;
+        const topic = typeof req.query.topic === 'string' ? req.query.topic : '';
+        if (!topic) return res.status(400).json({ error: "Missing 'topic' query parameter." });
+        if (!provider.connected) return res.status(409).json({ error: "Provider is not connected." });
+
+        try {
+            const removed = await provider.removeSubscription(topic);
+            if (!removed) return res.status(404).json({ error: `No subscription to '${topic}'.` });
+            await persistSubscriptions(provider);
+            res.json({ subscriptions: provider.getSubscriptions(), subscribe: provider.getSubscribeConfig() });
+        } catch (err) {
+            logger.warn({ err: err.message, providerId: provider.id }, "Runtime unsubscription failed");
+            res.status(502).json({ error: `Unsubscription failed: ${err.message}` });
+        }
+    });
+
+    // --- Runtime Provider Management ---
+
+    /**
+     * Validates a provider configuration sent to the CRUD routes.
+     * @returns {string|null} The error message, or null if valid.
+     */
+    function validateProviderConfig(providerConfig) {
+        if (!providerConfig || typeof providerConfig !== 'object' || Array.isArray(providerConfig)) return "The body must be a provider configuration object.";
+        if (typeof providerConfig.id !== 'string' || !providerConfig.id.trim() || /\s/.test(providerConfig.id)) return "'id' is required and must not contain spaces.";
+        if (typeof providerConfig.type !== 'string' || !providerConfig.type) return "'type' is required.";
+        if (!connectorManager.isSupported(providerConfig.type)) return `Unsupported provider type '${providerConfig.type}'.`;
+        const schemaErrors = connectorManager.validateProviderConfig(providerConfig);
+        if (schemaErrors.length > 0) return schemaErrors.join(' ');
+        if (providerConfig.type === 'mqtt' && providerConfig.bridges !== undefined) {
+            if (!Array.isArray(providerConfig.bridges)) return "'bridges' must be an array of bridge rules.";
+            const { normalizeRule } = require('../../connectors/mqtt/bridge');
+            try {
+                providerConfig.bridges.forEach(rule => normalizeRule(rule, providerConfig.id));
+            } catch (err) {
+                return err.message;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Answers with the runtime state of a provider (after a CRUD operation).
+     */
+    function sendProviderState(res, providerId, statusCode = 200) {
+        res.status(statusCode).json({
+            provider: (appConfig.DATA_PROVIDERS || []).find(p => p.id === providerId) || null,
+            ...connectorManager.getRuntimeState(providerId)
+        });
+    }
+
+    /**
+     * Lists the configured providers with their runtime state.
+     */
+    router.get('/providers', (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        res.json((appConfig.DATA_PROVIDERS || []).map(p => ({ id: p.id, type: p.type, enabled: p.enabled !== false, ...connectorManager.getRuntimeState(p.id) })));
+    });
+
+    /**
+     * Adds a provider and starts it (unless `enabled: false`), without touching the others.
+     */
+    router.post('/providers', async (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        const providerConfig = req.body;
+        const invalid = validateProviderConfig(providerConfig);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const providers = appConfig.DATA_PROVIDERS || [];
+        if (providers.some(p => p.id === providerConfig.id)) return res.status(409).json({ error: `Provider '${providerConfig.id}' already exists.` });
+
+        try {
+            await saveProvidersConfig([...providers, providerConfig]);
+            if (providerConfig.enabled === false) await connectorManager.stopProvider(providerConfig.id);
+            else connectorManager.startProvider(providerConfig);
+            logger.info(`✅ Provider '${providerConfig.id}' added at runtime.`);
+            sendProviderState(res, providerConfig.id, 201);
+        } catch (err) {
+            logger.error({ err, providerId: providerConfig.id }, "Failed to add provider");
+            res.status(500).json({ error: `Failed to add provider: ${err.message}` });
+        }
+    });
+
+    /**
+     * Replaces the configuration of a provider and restarts only this provider.
+     * A different `id` in the body renames it.
+     */
+    router.put('/providers/:providerId', async (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        const { providerId } = req.params;
+        const providerConfig = { ...req.body, id: (req.body && req.body.id) || providerId };
+        const invalid = validateProviderConfig(providerConfig);
+        if (invalid) return res.status(400).json({ error: invalid });
+        const providers = appConfig.DATA_PROVIDERS || [];
+        if (!providers.some(p => p.id === providerId)) return res.status(404).json({ error: `Provider '${providerId}' not found.` });
+        const renamed = providerConfig.id !== providerId;
+        if (renamed && providers.some(p => p.id === providerConfig.id)) return res.status(409).json({ error: `Provider '${providerConfig.id}' already exists.` });
+
+        try {
+            await saveProvidersConfig(providers.map(p => p.id === providerId ? providerConfig : p));
+            if (renamed) await connectorManager.removeProvider(providerId);
+            if (providerConfig.enabled === false) await connectorManager.stopProvider(providerConfig.id);
+            else await connectorManager.reloadProvider(providerConfig);
+            logger.info(`✅ Provider '${providerConfig.id}' reconfigured at runtime.`);
+            sendProviderState(res, providerConfig.id);
+        } catch (err) {
+            logger.error({ err, providerId }, "Failed to reconfigure provider");
+            res.status(500).json({ error: `Failed to reconfigure provider: ${err.message}` });
+        }
+    });
+
+    /**
+     * Stops a provider and deletes it from the configuration (its outbox is cleared).
+     */
+    router.delete('/providers/:providerId', async (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        const { providerId } = req.params;
+        const providers = appConfig.DATA_PROVIDERS || [];
+        if (!providers.some(p => p.id === providerId)) return res.status(404).json({ error: `Provider '${providerId}' not found.` });
+
+        try {
+            await saveProvidersConfig(providers.filter(p => p.id !== providerId));
+            await connectorManager.removeProvider(providerId);
+            logger.info(`✅ Provider '${providerId}' deleted at runtime.`);
+            res.json({ message: `Provider '${providerId}' deleted.` });
+        } catch (err) {
+            logger.error({ err, providerId }, "Failed to delete provider");
+            res.status(500).json({ error: `Failed to delete provider: ${err.message}` });
+        }
+    });
+
+    /**
+     * Starts or stops a provider. The choice is saved (`enabled`), so it survives restarts.
+     * @param {'start'|'stop'} action
+     */
+    const setProviderRunning = (action) => async (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        const { providerId } = req.params;
+        const providers = appConfig.DATA_PROVIDERS || [];
+        const current = providers.find(p => p.id === providerId);
+        if (!current) return res.status(404).json({ error: `Provider '${providerId}' not found.` });
+
+        const providerConfig = { ...current };
+        if (action === 'stop') providerConfig.enabled = false;
+        else delete providerConfig.enabled;
+
+        try {
+            await saveProvidersConfig(providers.map(p => p.id === providerId ? providerConfig : p));
+            if (action === 'stop') await connectorManager.stopProvider(providerId);
+            else if (!connectorManager.providers.has(providerId)) connectorManager.startProvider(providerConfig);
+            else connectorManager.markApplied(providerConfig);
+            sendProviderState(res, providerId);
+        } catch (err) {
+            logger.error({ err, providerId }, `Failed to ${action} provider`);
+            res.status(500).json({ error: `Failed to ${action} provider: ${err.message}` });
+        }
+    };
+
+    router.post('/providers/:providerId/start', setProviderRunning('start'));
+    router.post('/providers/:providerId/stop', setProviderRunning('stop'));
+
+    // --- Connector Plugin SDK Hooks ---
+
+    /**
+     * Lists the installed `korelate-plugin-<type>` packages with their config schema.
+     */
+    router.get('/plugins', (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        res.json(connectorManager.listPluginTypes().map(type => connectorManager.describeType(type)).filter(Boolean));
+    });
+
+    router.get('/plugins/:type', (req, res) => {
+        if (!connectorManager) return res.status(503).json({ error: "Connector manager not available." });
+        const info = connectorManager.describeType(req.params.type);
+        if (!info) return res.status(404).json({ error: `Unsupported provider type '${req.params.type}'.` });
+        res.json(info);
+    });
+
+    /**
+     * Resolves a running provider for the SDK hook routes, or answers with a 404.
+     * @returns {Object|null}
+     */
+    function getRunningProvider(req, res) {
+        const provider = connectorManager && connectorManager.providers
+            ? connectorManager.providers.get(req.params.providerId)
+            : null;
+        if (!provider) res.status(404).json({ error: `Provider '${req.params.providerId}' is not running.` });
+        return provider || null;
+    }
+
+    router.get('/providers/:providerId/health', async (req, res) => {
+        const provider = getRunningProvider(req, res);
+        if (!provider) return;
+        try {
+            res.json({ providerId: provider.id, ...(await provider.health()) });
+        } catch (err) {
+            res.json({ providerId: provider.id, status: 'down', connected: !!provider.connected, message: err.message });
+        }
+    });
+
+    /**
+     * Lists the children of a node of the provider's source. Body: { nodeId? }
+     */
+    router.post('/providers/:providerId/browse', async (req, res) => {
+        const provider = getRunningProvider(req, res);
+        if (!provider) return;
+        try {
+            const nodeId = req.body && req.body.nodeId ? String(req.body.nodeId) : '';
+            res.json({ nodeId, nodes: await provider.browse(nodeId) });
+        } catch (err) {
+            if (err.code === 'NOT_SUPPORTED') return res.status(501).json({ error: err.message });
+            logger.warn({ err: err.message, providerId: provider.id }, "Provider browse failed");
+            res.status(502).json({ error: `Browse failed: ${err.message}` });
+        }
+    });
+
+    /**
+     * Writes a value through a provider and waits for its acknowledgement.
+     * Body: { topic, payload }. The topic must match the provider's `publish` list.
+     */
+    router.post('/providers/:providerId/write', async (req, res) => {
+        const provider = getRunningProvider(req, res);
+        if (!provider) return;
+        const { topic, payload } = req.body || {};
+        if (typeof topic !== 'string' || !topic) return res.status(400).json({ error: "Missing 'topic'." });
+        const allowed = (provider.config.publish || []).some(pattern => mqttMatch(pattern, topic));
+        if (!allowed) return res.status(403).json({ error: `Provider '${provider.id}' does not allow publishing to '${topic}'.` });
+        if (!provider.connected) return res.status(409).json({ error: "Provider is not connected." });
+
+        try {
+            await provider.write(topic, typeof payload === 'string' ? payload : JSON.stringify(payload));
+            res.json({ message: `Written to '${topic}'.` });
+        } catch (err) {
+            logger.warn({ err: err.message, providerId: provider.id, topic }, "Provider write failed");
+            res.status(502).json({ error: `Write failed: ${err.message}` });
+        }
+    });
+
     // --- UNS Model Routes ---
 
     router.get('/model', (req, res, next) => {
@@ -195,6 +789,8 @@ module.exports = (envPath, envExamplePath, dataPath, logger, db, dataManager, ap
             db.all("SELECT key, value FROM app_config", (err, rows) => {
                 if (!err && rows) {
                     rows.forEach(row => {
+                        // Connector runtime states (cursors...) are not settings: never round-trip them through the editor
+                        if (row.key.startsWith(STATE_KEY_PREFIX)) return;
                         try {
                             config[row.key] = JSON.parse(row.value);
                         } catch (e) {
@@ -226,6 +822,7 @@ module.exports = (envPath, envExamplePath, dataPath, logger, db, dataManager, ap
         const dbUpdates = [];
 
         for (const [key, val] of Object.entries(newConfig)) {
+            if (key.startsWith(STATE_KEY_PREFIX)) continue; // Owned by the connectors themselves
             if (immutableKeys.includes(key)) {
                 // Only mark for .env update if the value actually changed
                 const currentVal = String(appConfig[key]);
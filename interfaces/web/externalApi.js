@@ -12,6 +12,7 @@
  */
 const express = require('express');
 const mqttMatch = require('mqtt-match');
+const outboxManager = require('../../storage/outboxManager');
 
 /**
  * Creates a router for the external publish API.
@@ -80,7 +81,7 @@ module.exports = (getMainConnection, logger, db, longReplacer) => {
         // At this point, the client is IP-authorized (by server.js) and API key is valid
         const mainConnection = getMainConnection(); // Get the connection at request time
         
-        if (!mainConnection || !mainConnection.connected) {
+        if (!mainConnection || !(mainConnection.connected || outboxManager.isEnabled())) {
             return res.status(503).json({ error: "MQTT client is not connected." });
         }
 
@@ -116,7 +117,18 @@ module.exports = (getMainConnection, logger, db, longReplacer) => {
             finalPayload = payload.toString();
         }
         
-        // 4. Publish
+        // 4. Publish (or queue while the connector is offline)
+        const connectorId = outboxManager.resolveConnectorId(mainConnection);
+        if (outboxManager.shouldQueue(connectorId, mainConnection)) {
+            if (!outboxManager.enqueue(connectorId, topic, finalPayload, { qos: qosLevel, retain: retainFlag }, 'external-api')) {
+                return res.status(503).json({ error: "MQTT client is not connected." });
+            }
+            logger.info(`📥 [API_KEY_AUTH] Queued publish from '${apiKeyConfig.name}' to '${topic}' (connector offline)`);
+            return res.status(202).json({ success: true, queued: true, message: `Connector offline. Message to ${topic} queued.` });
+        }
+        if (!mainConnection.connected) {
+            return res.status(503).json({ error: "MQTT client is not connected." });
+        }
         mainConnection.publish(topic, finalPayload, { qos: qosLevel, retain: retainFlag }, (err) => {
             if (err) {
                 return next(err);
@@ -20,6 +20,8 @@ const multer = require('multer');
 const spBv10Codec = require('sparkplug-payload').get("spBv1.0");
 const featureGate = require('./middlewares/featureGate');
 const metricsManager = require('../../core/metricsManager');
+const outboxManager = require('../../storage/outboxManager');
+const codecManager = require('../../core/codecs/codecManager');
 const auth = require('./middlewares/auth');
 
 /**
@@ -344,14 +346,28 @@ function createRouter(deps) {
     router.post('/api/publish/message', featureGate(config, 'VIEW_PUBLISH_ENABLED'), ipFilterMiddleware, auth.requireRole('operator'), (req, res, next) => {
         const { topic, payload, format, qos, retain, sourceId } = req.body;
         const conn = getConnectorConnection(sourceId);
-        if (!conn || !conn.connected) return res.status(503).json({ error: "Provider not connected" });
+        const connectorId = sourceId || outboxManager.resolveConnectorId(conn);
+        if (!conn || !(conn.connected || outboxManager.isEnabled())) return res.status(503).json({ error: "Provider not connected" });
         let finalPayload = payload;
-        if (format === 'json' || typeof payload === 'object') {
+        if (format === 'codec') {
+            // Binary topic: the JSON input is encoded with the payload codec registered for the topic
+            const codec = codecManager.resolve(topic);
+            if (!codec) return res.status(400).json({ error: `No payload codec is registered for topic '${topic}'.` });
+            try { finalPayload = codecManager.encode(codec, typeof payload === 'string' ? JSON.parse(payload) : payload); } catch(e) { return res.status(400).json({ error: `${codec.codec} encoding failed: ${e.message}` }); }
+        } else if (format === 'json' || typeof payload === 'object') {
             try { finalPayload = JSON.stringify(typeof payload === 'string' ? JSON.parse(payload) : payload); } catch(e) {}
         } else if (format === 'sparkplugb') {
             try { finalPayload = spBv10Codec.encodePayload(JSON.parse(payload)); } catch(e) { return res.status(400).json({ error: e.message }); }
         }
-        conn.publish(topic, finalPayload, { qos: parseInt(qos)||0, retain: !!retain }, (err) => {
+        const publishOptions = { qos: parseInt(qos)||0, retain: !!retain };
+        if (outboxManager.shouldQueue(connectorId, conn)) {
+            if (!outboxManager.enqueue(connectorId, topic, finalPayload, publishOptions, 'publish-api')) {
+                return res.status(503).json({ error: "Provider not connected" });
+            }
+            return res.status(202).json({ success: true, queued: true, message: `Provider '${connectorId}' is offline. Message queued in its outbox.` });
+        }
+        if (!conn.connected) return res.status(503).json({ error: "Provider not connected" });
+        conn.publish(topic, finalPayload, publishOptions, (err) => {
             if (err) return next(err);
             res.json({ success: true });
         });
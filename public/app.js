@@ -21,7 +21,7 @@
 
 // ---  Module Imports ---
 import { state, subscribe } from './state.js';
-import { mqttPatternToRegex, makeResizable, trackEvent } from './utils.js';
+import { mqttPatternToRegex, makeResizable, trackEvent, showToast } from './utils.js';
 import { createTreeManager } from './tree-manager.js';
 import { createPayloadViewer } from './payload-viewer.js';
 import { connectWebSocket, getWebSocket, sendWebSocketMessage } from './ws-client.js';
@@ -148,6 +148,7 @@ document.addEventListener('DOMContentLoaded', () => {
     const btnExpandAll = document.getElementById('btn-expand-all');
     const btnCollapseAll = document.getElementById('btn-collapse-all');
     const btnCreateAlert = document.getElementById('btn-create-alert-from-tree');
+    const btnSubscribeFromTree = document.getElementById('btn-subscribe-from-tree');
 
     // Other Elements
     const historyTotalMessages = document.getElementById('history-total-messages');
@@ -450,9 +451,36 @@ document.addEventListener('DOMContentLoaded', () => {
                 };            }
         }
 
+        if (btnSubscribeFromTree) {
+            const canSubscribe = currentUser?.role === 'admin' && providersMap[sourceId] === 'mqtt';
+            btnSubscribeFromTree.style.display = canSubscribe ? 'block' : 'none';
+            if (canSubscribe) btnSubscribeFromTree.onclick = () => subscribeFromTree(sourceId, topic);
+        }
+
         sendWebSocketMessage({ type: 'get-topic-history', sourceId: sourceId, topic: topic });
     }
 
+    /**
+     * Adds a runtime subscription to an MQTT connector (admin only), prefilled with the selected branch.
+     */
+    async function subscribeFromTree(sourceId, topic) {
+        const filter = prompt(`Subscribe '${sourceId}' to topic filter (e.g. $share/group/filter):`, `${topic}/#`);
+        if (!filter || !filter.trim()) return;
+        const safeBasePath = appBasePath.endsWith('/') ? appBasePath.slice(0, -1) : appBasePath;
+        try {
+            const res = await fetch(`${safeBasePath}/api/env/providers/${encodeURIComponent(sourceId)}/subscriptions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ topic: filter.trim() })
+            });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || `API returned ${res.status}`);
+            showToast(`Subscribed '${sourceId}' to '${result.subscription.topic}'.`, "success");
+        } catch (e) {
+            showToast(`Subscription failed: ${e.message}`, "error");
+        }
+    }
+
     function handleMainTreeCheckboxClick(event, nodeContainer, sourceId, topic) {
         event.stopPropagation();
         const checkbox = event.target;
@@ -741,11 +769,19 @@ document.addEventListener('DOMContentLoaded', () => {
                     break;
 
                 case 'connector-status': 
+                    if (message.status === 'removed') {
+                        // Provider deleted at runtime from the configuration page
+                        const removedItem = document.getElementById(`connector-status-${message.sourceId}`);
+                        if (removedItem) removedItem.remove();
+                        break;
+                    }
                     import('./view.mapper.js').then(m => {
                         if (m.addAvailableMapperProvider) m.addAvailableMapperProvider(message.sourceId, guessProviderType(message.sourceId));
                     }).catch(err => { /* ignore */ });
                     updateSingleBrokerStatus(message.sourceId, message.status, message.error); 
                     break;
+
+                case 'connector-bridge-stats': updateBridgeStats(message.sourceId, message.bridges); break;
             }
         } catch (e) { console.error("Error processing message:", e, message); }
     }
@@ -812,6 +848,27 @@ document.addEventListener('DOMContentLoaded', () => {
         if (error) item.title = `Error: ${error}`; else item.title = `${sourceId}: ${status}`;
     }
 
+    /**
+     * Shows the forwarding rate of an MQTT connector's bridges next to its status, with the counters in the tooltip.
+     */
+    function updateBridgeStats(sourceId, bridges) {
+        const item = document.getElementById(`connector-status-${sourceId}`);
+        if (!item || !Array.isArray(bridges)) return;
+        let badge = item.querySelector('.bridge-rate');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'bridge-rate';
+            item.appendChild(badge);
+        }
+        const rate = bridges.reduce((sum, b) => sum + (b.rate || 0), 0);
+        const dropped = bridges.reduce((sum, b) => sum + b.rateLimited + b.denied + b.errors, 0);
+        badge.textContent = `⇄ ${Math.round(rate * 10) / 10}/s`;
+        badge.classList.toggle('bridge-warning', dropped > 0);
+        badge.title = bridges.map(b =>
+            `${b.name}: ${b.forwarded} forwarded, ${b.queued} queued, ${b.rateLimited} rate-limited, ${b.loops} loops, ${b.denied} denied, ${b.errors} errors`
+        ).join('\n');
+    }
+
     async function startApp() {
         window.location.reload();
     } 
@@ -16,6 +16,7 @@ class AdminDbPanel extends HTMLElement {
     connectedCallback() {
         this.render();
         this.loadDlqStatus();
+        this.loadOutboxStatus();
     }
 
     async loadDlqStatus() {
@@ -35,6 +36,92 @@ class AdminDbPanel extends HTMLElement {
         }
     }
 
+    async loadOutboxStatus() {
+        const tbody = this.querySelector('#outbox-table-body');
+        if (!tbody) return;
+        try {
+            const res = await fetch('api/admin/outbox');
+            const data = await res.json();
+            tbody.innerHTML = '';
+            const outboxes = data.outboxes || [];
+            if (!data.enabled || outboxes.length === 0) {
+                const row = tbody.insertRow();
+                const cell = row.insertCell();
+                cell.colSpan = 6;
+                cell.style.textAlign = 'center';
+                cell.textContent = data.enabled ? 'No outbound message has been queued.' : 'Outbox disabled (OUTBOX_ENABLED=false).';
+                return;
+            }
+            outboxes.forEach(o => {
+                const row = tbody.insertRow();
+                row.insertCell().textContent = o.connectorId;
+                row.insertCell().textContent = o.connected ? '🟢 Connected' : '🔴 Offline';
+                row.insertCell().textContent = o.pending;
+                row.insertCell().textContent = o.oldestQueuedAt ? new Date(o.oldestQueuedAt).toLocaleString() : '-';
+                row.insertCell().textContent = `${o.drained} / ${o.dropped.overflow + o.dropped.expired + o.dropped.rejected}`;
+
+                const actions = row.insertCell();
+                actions.style.whiteSpace = 'nowrap';
+                const addButton = (label, className, handler) => {
+                    const btn = document.createElement('button');
+                    btn.className = className;
+                    btn.textContent = label;
+                    btn.disabled = o.pending === 0;
+                    btn.onclick = handler;
+                    actions.appendChild(btn);
+                };
+                addButton('View', 'mapper-button', () => this.onViewOutbox(o.connectorId));
+                addButton('Retry', 'mapper-button', () => this.onDrainOutbox(o.connectorId));
+                addButton('Clear', 'danger-button', () => this.onClearOutbox(o.connectorId));
+            });
+        } catch (e) {
+            console.error("Outbox Status Error:", e);
+        }
+    }
+
+    async onViewOutbox(connectorId) {
+        const preview = this.querySelector('#outbox-preview');
+        try {
+            const res = await fetch(`api/admin/outbox/${encodeURIComponent(connectorId)}?limit=50`);
+            const data = await res.json();
+            const lines = (data.messages || []).map(m => {
+                const payload = m.payloadEncoding === 'base64' ? `<binary ${m.payload.length} b64 chars>` : m.payload;
+                return `[${new Date(m.queuedAt).toLocaleString()}] (${m.origin}) ${m.topic}: ${payload.length > 200 ? payload.substring(0, 200) + '...' : payload}`;
+            });
+            preview.textContent = `${connectorId}: ${data.pending} pending (showing the ${lines.length} oldest)\n\n${lines.join('\n')}`;
+            preview.style.display = 'block';
+        } catch (e) {
+            showToast("Failed to load outbox messages.", "error");
+        }
+    }
+
+    async onDrainOutbox(connectorId) {
+        try {
+            const res = await fetch(`api/admin/outbox/${encodeURIComponent(connectorId)}/drain`, { method: 'POST' });
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error);
+            showToast(`${data.published} message(s) delivered, ${data.pending} pending.`, data.pending > 0 ? "warning" : "success");
+        } catch (e) {
+            showToast("Failed to drain outbox: " + e.message, "error");
+        }
+        this.loadOutboxStatus();
+    }
+
+    async onClearOutbox(connectorId) {
+        const isConfirmed = await confirmModal('Clear Outbox', `Are you sure you want to PERMANENTLY delete all queued messages for '${connectorId}'?`, 'Clear Outbox', true);
+        if (!isConfirmed) return;
+        try {
+            const res = await fetch(`api/admin/outbox/${encodeURIComponent(connectorId)}/clear`, { method: 'POST' });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.error);
+            showToast(data.message, "success");
+            this.querySelector('#outbox-preview').style.display = 'none';
+        } catch (e) {
+            showToast("Failed to clear outbox: " + e.message, "error");
+        }
+        this.loadOutboxStatus();
+    }
+
     async onImportDB() {
         const importInput = this.querySelector('#db-import-input');
         const btnImportDb = this.querySelector('#btn-import-db');
@@ -153,6 +240,23 @@ class AdminDbPanel extends HTMLElement {
                     <div id="dlq-status-message" style="margin-top: 10px; font-size: 0.9em; text-align: center;"></div>
                 </div>
 
+                <div style="background-color: var(--color-bg-secondary); border: 1px solid var(--color-border); border-radius: 8px; padding: 20px; margin-bottom: 20px;">
+                    <h3 style="margin-top:0;">Outbound Outbox (Store-and-Forward)</h3>
+                    <p style="font-size: 0.9em; margin-bottom: 15px;">
+                        Messages published (mapper outputs, publish APIs) while their target connector was offline. They are delivered in order when it reconnects.
+                    </p>
+                    <table style="width: 100%; border-collapse: collapse; font-size: 0.9em; margin-bottom: 10px;">
+                        <thead>
+                            <tr style="text-align: left;">
+                                <th>Connector</th><th>Status</th><th>Pending</th><th>Oldest</th><th>Delivered / Dropped</th><th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="outbox-table-body"></tbody>
+                    </table>
+                    <button id="btn-refresh-outbox" class="mapper-button">Refresh</button>
+                    <pre id="outbox-preview" style="display: none; margin-top: 10px; max-height: 300px; overflow: auto; background-color: var(--color-bg-tertiary); padding: 10px; border-radius: 4px; font-size: 0.85em; white-space: pre-wrap;"></pre>
+                </div>
+
                 <div style="background-color: rgba(220, 53, 69, 0.05); border: 1px solid var(--color-danger); border-radius: 8px; padding: 20px;">
                     <h3 style="margin-top:0; color: var(--color-danger);">⚠️ Danger Zone</h3>
                     <p style="font-size: 0.9em; margin-bottom: 15px;">
@@ -170,6 +274,7 @@ class AdminDbPanel extends HTMLElement {
         this.querySelector('#btn-reset-db').onclick = () => this.onResetDB();
         this.querySelector('#btn-replay-dlq').onclick = () => this.onReplayDlq();
         this.querySelector('#btn-clear-dlq').onclick = () => this.onClearDlq();
+        this.querySelector('#btn-refresh-outbox').onclick = () => this.loadOutboxStatus();
     }
 }
 
@@ -15,6 +15,10 @@ document.addEventListener('DOMContentLoaded', () => {
     let providersList = [];
     let editingProviderIndex = -1;
     let availableCertFiles = [];
+    let pendingOpcuaMappings = [];
+    let pendingBacnetMappings = [];
+    let providerStates = {}; // Runtime state per provider ID (GET api/env/providers)
+    let availablePlugins = []; // Installed korelate-plugin-* packages (GET api/env/plugins)
 
     // --- DOM Elements: Core ---
     const btnModeWizard = document.getElementById('btn-mode-wizard');
@@ -57,9 +61,33 @@ document.addEventListener('DOMContentLoaded', () => {
     const provTypeSelect = document.getElementById('prov-type');
     const btnProvCancel = document.getElementById('btn-prov-cancel');
 
+    // --- DOM Elements: OPC UA Browser ---
+    const opcuaBrowserModal = document.getElementById('opcua-browser-modal');
+    const opcuaBrowseTree = document.getElementById('opcua-browse-tree');
+    const opcuaBrowsePrefix = document.getElementById('opcua-browse-prefix');
+    const opcuaBrowseCount = document.getElementById('opcua-browse-count');
+    const opcuaMappingsSummary = document.getElementById('prov-opcua-mappings');
+
+    // --- DOM Elements: BACnet Discovery ---
+    const bacnetDiscoveryModal = document.getElementById('bacnet-discovery-modal');
+    const bacnetDiscoverTree = document.getElementById('bacnet-discover-tree');
+    const bacnetDiscoverCount = document.getElementById('bacnet-discover-count');
+    const bacnetMappingsSummary = document.getElementById('prov-bacnet-mappings');
+
+    // --- DOM Elements: MQTT Live Subscriptions ---
+    const liveSubsSection = document.getElementById('prov-mqtt-live-subs-section');
+    const liveSubsList = document.getElementById('prov-mqtt-live-subs');
+
     // --- DOM Elements: Assets ---
     const certList = document.getElementById('cert-list');
     const certUploadInput = document.getElementById('cert-upload-input');
+    const opcuaRejectedList = document.getElementById('opcua-rejected-list');
+    const opcuaTrustedList = document.getElementById('opcua-trusted-list');
+    const opcuaAppCertInfo = document.getElementById('opcua-app-cert-info');
+    const codecSchemaList = document.getElementById('codec-schema-list');
+    const codecSchemaUploadInput = document.getElementById('codec-schema-upload-input');
+    const codecRulesInput = document.getElementById('codec-rules');
+    const codecAvailableInfo = document.getElementById('codec-available-info');
 
     // ==========================================
     // 1. DATA LOADING & POPULATION
@@ -83,6 +111,7 @@ document.addEventListener('DOMContentLoaded', () => {
             populateAdvancedForm(currentConfigData);
             populateWizard(currentConfigData);
             renderProvidersList();
+            loadProviderStates();
             updatePerennialGroups();
             
             // Re-trigger populate certificates in case they loaded before config
@@ -262,6 +291,17 @@ document.addEventListener('DOMContentLoaded', () => {
     // 3. WIZARD: PROVIDERS BUILDER
     // ==========================================
 
+    /**
+     * Renders a subscription entry for display. Entries can be strings or
+     * objects (e.g. typed Modbus mappings declared in Advanced mode).
+     */
+    function formatSubscription(sub) {
+        if (typeof sub === 'string') return sub;
+        if (sub && sub.topic && sub.qos !== undefined) return `${sub.topic} (QoS ${sub.qos}${sub.noLocal ? ', no-local' : ''})`;
+        if (sub && sub.topic) return `${sub.nodeId ?? sub.address ?? '?'}::${sub.topic}`;
+        return JSON.stringify(sub);
+    }
+
     function renderProvidersList() {
         providersListContainer.innerHTML = '';
         if (providersList.length === 0) {
@@ -273,16 +313,20 @@ document.addEventListener('DOMContentLoaded', () => {
             const card = document.createElement('div');
             card.className = 'provider-card';
             
-            const subs = Array.isArray(prov.subscribe) ? prov.subscribe.join(', ') : 'None';
+            const subs = Array.isArray(prov.subscribe) ? prov.subscribe.map(formatSubscription).join(', ') : 'None';
             const pubs = Array.isArray(prov.publish) && prov.publish.length > 0 ? prov.publish.join(', ') : 'Read-Only';
             
+            const runtime = providerStates[prov.id];
+            const stateLabel = prov.enabled === false ? 'stopped' : (runtime && runtime.status) || '';
+            
             card.innerHTML = `
                 <div class="provider-info">
-                    <h4>${prov.id} <span style="font-size:0.8em; color:var(--color-text-muted);">[${prov.type.toUpperCase()}]</span></h4>
+                    <h4>${prov.id} <span style="font-size:0.8em; color:var(--color-text-muted);">[${prov.type.toUpperCase()}]</span>${stateLabel ? `<span class="provider-state state-${stateLabel}" title="${runtime && runtime.error ? runtime.error : stateLabel}">${stateLabel}</span>` : ''}</h4>
                     <p>Sub: ${subs}</p>
                     <p>Pub: ${pubs}</p>
                 </div>
                 <div class="provider-actions">
+                    <button type="button" class="tool-button btn-toggle-prov" data-index="${index}">${prov.enabled === false ? 'Start' : 'Stop'}</button>
                     <button type="button" class="tool-button btn-edit-prov" data-index="${index}">Edit</button>
                     <button type="button" class="tool-button button-danger btn-del-prov" data-index="${index}">Delete</button>
                 </div>
@@ -290,10 +334,69 @@ document.addEventListener('DOMContentLoaded', () => {
             providersListContainer.appendChild(card);
         });
 
+        document.querySelectorAll('.btn-toggle-prov').forEach(btn => btn.onclick = (e) => toggleProvider(e.target.dataset.index));
         document.querySelectorAll('.btn-edit-prov').forEach(btn => btn.onclick = (e) => openProviderModal(e.target.dataset.index));
         document.querySelectorAll('.btn-del-prov').forEach(btn => btn.onclick = (e) => deleteProvider(e.target.dataset.index));
     }
 
+    // --- Runtime Provider Management (applied without a server restart) ---
+
+    /**
+     * Refreshes the runtime state (running, status) shown on the provider cards.
+     */
+    async function loadProviderStates() {
+        try {
+            const response = await fetch('api/env/providers');
+            if (!response.ok) return;
+            providerStates = {};
+            (await response.json()).forEach(state => { providerStates[state.id] = state; });
+            renderProvidersList();
+        } catch (e) { /* states are informative only */ }
+    }
+
+    /**
+     * Saves one provider through the runtime API: only this provider is (re)started.
+     * @param {string|null} originalId ID of the edited provider (null when adding).
+     * @param {Object} provider
+     * @returns {Promise<boolean>}
+     */
+    async function applyProviderChange(originalId, provider) {
+        try {
+            let response = await fetch(originalId ? `api/env/providers/${encodeURIComponent(originalId)}` : 'api/env/providers', {
+                method: originalId ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(provider)
+            });
+            // Provider edited in the page but never saved on the server (e.g. imported config)
+            if (originalId && response.status === 404) {
+                response = await fetch('api/env/providers', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(provider) });
+            }
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Failed to apply provider.');
+            showToast(`Provider '${provider.id}' applied.`, 'success');
+            return true;
+        } catch (error) {
+            showToast(error.message, 'error');
+            return false;
+        }
+    }
+
+    async function toggleProvider(index) {
+        const prov = providersList[index];
+        const action = prov.enabled === false ? 'start' : 'stop';
+        try {
+            const response = await fetch(`api/env/providers/${encodeURIComponent(prov.id)}/${action}`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || `Failed to ${action} provider.`);
+            providersList[index] = result.provider;
+            providerStates[prov.id] = result;
+            renderProvidersList();
+            showToast(`Provider '${prov.id}' ${action === 'stop' ? 'stopped' : 'started'}.`, 'success');
+        } catch (error) {
+            showToast(error.message, 'error');
+        }
+    }
+
     function updateProvConditionalGroups() {
         const t = provTypeSelect.value;
         document.getElementById('prov-group-mqtt').classList.toggle('active', t === 'mqtt');
@@ -310,30 +413,188 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('prov-group-rest').classList.toggle('active', t === 'rest');
         document.getElementById('prov-group-snmp').classList.toggle('active', t === 'snmp');
         document.getElementById('prov-group-kafka').classList.toggle('active', t === 'kafka');
+        document.getElementById('prov-group-amqp').classList.toggle('active', t === 'amqp');
+        document.getElementById('prov-group-nats').classList.toggle('active', t === 'nats');
+        document.getElementById('prov-group-mtconnect').classList.toggle('active', t === 'mtconnect');
+        document.getElementById('prov-group-websocket').classList.toggle('active', t === 'websocket');
+        document.getElementById('prov-group-plugin').classList.toggle('active', t === 'plugin');
+        updateFileModeGroups();
+        document.getElementById('prov-snmp-v3-group').style.display = document.getElementById('prov-snmp-version').value === 'v3' ? 'grid' : 'none';
     }
     provTypeSelect.addEventListener('change', updateProvConditionalGroups);
+    provTypeSelect.addEventListener('change', () => {
+        if (provTypeSelect.value === 'knx') loadKnxEtsFiles(document.getElementById('prov-knx-ets').value);
+    });
+
+    // --- External Plugins (form generated from their configSchema) ---
+
+    async function loadPluginTypes() {
+        try {
+            const response = await fetch('api/env/plugins');
+            if (!response.ok) return;
+            availablePlugins = await response.json();
+        } catch (e) {
+            availablePlugins = [];
+        }
+        renderPluginTypeOptions();
+    }
+
+    function renderPluginTypeOptions(selected) {
+        const select = document.getElementById('prov-plugin-type');
+        select.innerHTML = '';
+        const types = availablePlugins.map(p => p.type);
+        if (selected && !types.includes(selected)) types.push(selected);
+        if (types.length === 0) select.innerHTML = '<option value="">No plugin installed</option>';
+        types.forEach(type => {
+            const opt = document.createElement('option');
+            opt.value = type;
+            opt.textContent = availablePlugins.some(p => p.type === type) ? type : `${type} (not installed)`;
+            select.appendChild(opt);
+        });
+        if (selected) select.value = selected;
+    }
+
+    /**
+     * Renders the fields of a plugin's configSchema, filled with the values of a provider config.
+     * @param {string} type Plugin type.
+     * @param {Object} [values] Provider configuration being edited.
+     */
+    function renderPluginFields(type, values = {}) {
+        const container = document.getElementById('prov-plugin-fields');
+        container.innerHTML = '';
+        const plugin = availablePlugins.find(p => p.type === type);
+        const schema = plugin && plugin.configSchema;
+        if (!schema || !schema.properties) {
+            if (plugin) container.innerHTML = '<p style="font-size:0.85em; color:var(--color-text-secondary);">This plugin declares no configSchema: edit its options in Advanced mode.</p>';
+            return;
+        }
+        if (plugin.schemaErrors && plugin.schemaErrors.length > 0) {
+            container.innerHTML = `<p style="font-size:0.85em; color:var(--color-danger);">Invalid configSchema: ${plugin.schemaErrors.join(' ')}</p>`;
+            return;
+        }
+
+        for (const [key, field] of Object.entries(schema.properties)) {
+            const group = document.createElement('div');
+            group.className = 'wiz-form-group';
+            const label = document.createElement('label');
+            label.textContent = (field.title || key) + ((schema.required || []).includes(key) ? ' *' : '');
+            if (field.description) label.title = field.description;
+            const value = values[key] !== undefined ? values[key] : field.default;
+            let input;
+
+            if (Array.isArray(field.enum)) {
+                input = document.createElement('select');
+                field.enum.forEach(option => {
+                    const opt = document.createElement('option');
+                    opt.value = JSON.stringify(option);
+                    opt.textContent = String(option);
+                    input.appendChild(opt);
+                });
+                if (value !== undefined) input.value = JSON.stringify(value);
+            } else if (field.type === 'boolean') {
+                input = document.createElement('input');
+                input.type = 'checkbox';
+                input.style.width = 'auto';
+                input.checked = value === true;
+            } else if (field.type === 'object') {
+                input = document.createElement('textarea');
+                input.rows = 3;
+                input.value = value !== undefined ? JSON.stringify(value, null, 2) : '';
+            } else {
+                input = document.createElement('input');
+                input.type = field.secret ? 'password' : (field.type === 'number' || field.type === 'integer' ? 'number' : 'text');
+                if (field.type === 'number') input.step = 'any';
+                if (field.minimum !== undefined) input.min = field.minimum;
+                if (field.maximum !== undefined) input.max = field.maximum;
+                input.value = value === undefined ? '' : (Array.isArray(value) ? value.join(', ') : value);
+            }
+            if (field.placeholder) input.placeholder = field.placeholder;
+            input.dataset.pluginKey = key;
+            group.appendChild(label);
+            group.appendChild(input);
+            container.appendChild(group);
+        }
+    }
+
+    /**
+     * Reads the generated plugin fields back into configuration values.
+     * @returns {Object}
+     * @throws {Error} On invalid JSON in an object field.
+     */
+    function readPluginFields(type) {
+        const plugin = availablePlugins.find(p => p.type === type);
+        const properties = (plugin && plugin.configSchema && plugin.configSchema.properties) || {};
+        const result = {};
+        document.querySelectorAll('#prov-plugin-fields [data-plugin-key]').forEach(input => {
+            const key = input.dataset.pluginKey;
+            const field = properties[key] || {};
+            if (Array.isArray(field.enum)) result[key] = JSON.parse(input.value);
+            else if (field.type === 'boolean') result[key] = input.checked;
+            else if (input.value === '') return;
+            else if (field.type === 'number' || field.type === 'integer') result[key] = Number(input.value);
+            else if (field.type === 'array') result[key] = input.value.split(',').map(v => v.trim()).filter(Boolean);
+            else if (field.type === 'object') {
+                try { result[key] = JSON.parse(input.value); } catch (e) { throw new Error(`'${field.title || key}' must be valid JSON.`); }
+            } else result[key] = input.value;
+        });
+        return result;
+    }
+
+    document.getElementById('prov-plugin-type').addEventListener('change', (e) => renderPluginFields(e.target.value));
+
+    function updateFileModeGroups() {
+        const mode = document.getElementById('prov-file-mode').value;
+        const isFolder = mode === 'tail' || mode === 'ingest';
+        document.getElementById('prov-file-path-group').style.display = isFolder ? 'none' : 'block';
+        document.getElementById('prov-file-watch-group').style.display = isFolder ? 'grid' : 'none';
+        document.getElementById('prov-file-speed-group').style.display = mode === 'replay' ? 'block' : 'none';
+    }
+    document.getElementById('prov-file-mode').addEventListener('change', updateFileModeGroups);
 
     function openProviderModal(index = -1) {
         editingProviderIndex = parseInt(index);
         document.getElementById('provider-modal-title').textContent = index >= 0 ? "Edit Provider" : "Add Provider";
         providerBuilderForm.reset();
+        pendingOpcuaMappings = [];
+        renderOpcuaMappingsSummary();
+        pendingBacnetMappings = [];
+        renderBacnetMappingsSummary();
+        liveSubsSection.style.display = 'none';
         
+        renderPluginTypeOptions();
+        renderPluginFields(document.getElementById('prov-plugin-type').value);
+
         if (index >= 0) {
             const p = providersList[index];
             document.getElementById('prov-id').value = p.id || '';
-            document.getElementById('prov-type').value = p.type || 'mqtt';
-            document.getElementById('prov-subscribe').value = Array.isArray(p.subscribe) ? p.subscribe.join(', ') : '#';
+            const isBuiltin = [...provTypeSelect.options].some(o => o.value === p.type && o.value !== 'plugin');
+            document.getElementById('prov-type').value = isBuiltin || !p.type ? (p.type || 'mqtt') : 'plugin';
+            if (!isBuiltin && p.type) {
+                renderPluginTypeOptions(p.type);
+                renderPluginFields(p.type, p);
+            }
+            document.getElementById('prov-subscribe').value = Array.isArray(p.subscribe) ? p.subscribe.filter(s => typeof s === 'string').join(', ') : '#';
             document.getElementById('prov-publish').value = Array.isArray(p.publish) ? p.publish.join(', ') : '';
+            const deadband = p.deadband && typeof p.deadband === 'object' ? p.deadband : {};
+            document.getElementById('prov-rbe-enabled').checked = !!p.deadband;
+            document.getElementById('prov-rbe-absolute').value = deadband.absolute || '';
+            document.getElementById('prov-rbe-percent').value = deadband.percent || '';
+            document.getElementById('prov-rbe-silence').value = deadband.maxSilence || '';
 
             if (p.type === 'mqtt') {
                 document.getElementById('prov-mqtt-host').value = p.host || '';
                 document.getElementById('prov-mqtt-port').value = p.port || '';
                 document.getElementById('prov-mqtt-protocol').value = p.protocol || 'mqtt';
                 document.getElementById('prov-mqtt-client').value = p.clientId || '';
+                document.getElementById('prov-mqtt-version').value = String(p.protocolVersion) === '5' ? '5' : '4';
                 document.getElementById('prov-mqtt-user').value = p.username || '';
                 document.getElementById('prov-mqtt-alpn').value = p.alpnProtocol || '';
                 document.getElementById('prov-mqtt-keepalive').value = p.keepalive || '';
                 document.getElementById('prov-mqtt-clean').checked = p.clean !== false;
+                document.getElementById('prov-mqtt-sparkplug-host').value = p.sparkplugHostId || '';
+                document.getElementById('prov-mqtt-bridges').value = Array.isArray(p.bridges) && p.bridges.length > 0 ? JSON.stringify(p.bridges, null, 2) : '';
+                liveSubsSection.style.display = 'block';
+                loadLiveSubscriptions(p.id);
                 document.getElementById('prov-mqtt-ca').value = p.caFilename || '';
                 document.getElementById('prov-mqtt-cert').value = p.certFilename || '';
                 document.getElementById('prov-mqtt-key').value = p.keyFilename || '';
@@ -341,7 +602,13 @@ document.addEventListener('DOMContentLoaded', () => {
             } else if (p.type === 'opcua') {
                 document.getElementById('prov-opcua-url').value = p.endpointUrl || '';
                 document.getElementById('prov-opcua-user').value = p.username || '';
+                document.getElementById('prov-opcua-backfill').checked = p.backfill === true;
+                document.getElementById('prov-opcua-secmode').value = p.securityMode || 'None';
+                document.getElementById('prov-opcua-secpolicy').value = p.securityPolicy && p.securityPolicy !== 'None' ? p.securityPolicy : 'Basic256Sha256';
+                document.getElementById('prov-opcua-usercert').value = p.userCertificate || '';
+                document.getElementById('prov-opcua-userkey').value = p.userPrivateKey || '';
             } else if (p.type === 'modbus') {
+                document.getElementById('prov-modbus-mode').value = p.mode || 'client';
                 document.getElementById('prov-modbus-host').value = p.host || '';
                 document.getElementById('prov-modbus-port').value = p.port || '';
                 document.getElementById('prov-modbus-unit').value = p.unitId || '';
@@ -363,10 +630,18 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('prov-bacnet-target').value = p.targetDeviceIp || '';
                 document.getElementById('prov-bacnet-broadcast').value = p.broadcastAddress || '';
                 document.getElementById('prov-bacnet-rate').value = p.pollingInterval || '';
+                document.getElementById('prov-bacnet-cov-lifetime').value = p.covLifetime || '';
+                document.getElementById('prov-bacnet-topic-prefix').value = p.topicPrefix || '';
+                document.getElementById('prov-bacnet-cov').checked = p.cov !== false;
+                document.getElementById('prov-bacnet-autodiscover').checked = !!p.autoDiscover;
+                document.getElementById('prov-bacnet-register-i3x').checked = p.registerI3x !== false;
             } else if (p.type === 'knx') {
                 document.getElementById('prov-knx-host').value = p.host || '';
                 document.getElementById('prov-knx-port').value = p.port || '';
                 document.getElementById('prov-knx-phys').value = p.physAddr || '';
+                loadKnxEtsFiles(p.etsFile || '');
+                document.getElementById('prov-knx-topic-prefix').value = p.topicPrefix || '';
+                document.getElementById('prov-knx-register-i3x').checked = p.registerI3x !== false;
             } else if (p.type === 'i3x') {
                 document.getElementById('prov-i3x-url').value = p.baseUrl || '';
                 document.getElementById('prov-i3x-key').value = p.apiKey || '';
@@ -376,6 +651,11 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('prov-file-path').value = p.filePath || '';
                 document.getElementById('prov-file-topic').value = p.defaultTopic || '';
                 document.getElementById('prov-file-rate').value = p.streamRateMs || '';
+                document.getElementById('prov-file-mode').value = p.mode || 'stream';
+                document.getElementById('prov-file-watch').value = p.watchPath || '';
+                document.getElementById('prov-file-archive').value = p.archiveDir || '';
+                document.getElementById('prov-file-ts-column').value = p.timestampColumn || '';
+                document.getElementById('prov-file-speed').value = p.speed || '';
             } else if (p.type === 'sql') {
                 document.getElementById('prov-sql-driver').value = p.options?.driver || 'postgres';
                 document.getElementById('prov-sql-connection').value = p.options?.connection || '';
@@ -383,6 +663,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('prov-sql-interval').value = p.options?.interval || '';
                 document.getElementById('prov-sql-cursor').value = p.options?.cursorColumn || '';
                 document.getElementById('prov-sql-topic-col').value = p.options?.topicColumn || '';
+                document.getElementById('prov-sql-sink-table').value = p.options?.sink?.table || '';
+                document.getElementById('prov-sql-sink-mode').value = p.options?.sink?.mode || 'insert';
+                document.getElementById('prov-sql-sink-keys').value = (p.options?.sink?.keyColumns || []).join(', ');
+                document.getElementById('prov-sql-sink-columns').value = p.options?.sink?.columns ? JSON.stringify(p.options.sink.columns, null, 2) : '';
             } else if (p.type === 'rest') {
                 document.getElementById('prov-rest-endpoint').value = p.options?.endpoint || '';
                 document.getElementById('prov-rest-interval').value = p.options?.interval || '';
@@ -396,7 +680,16 @@ document.addEventListener('DOMContentLoaded', () => {
                 } else if (p.options?.auth?.type === 'apikey') {
                     document.getElementById('prov-rest-keyname').value = p.options.auth.headerName || '';
                     document.getElementById('prov-rest-keyval').value = p.options.auth.apiKey || '';
+                } else if (p.options?.auth?.type === 'oauth2') {
+                    document.getElementById('prov-rest-token-url').value = p.options.auth.tokenUrl || '';
+                    document.getElementById('prov-rest-client-id').value = p.options.auth.clientId || '';
+                    document.getElementById('prov-rest-scope').value = p.options.auth.scope || '';
                 }
+                document.getElementById('prov-rest-topic').value = p.options?.topic || '';
+                document.getElementById('prov-rest-extract').value = p.options?.extract || '';
+                const pagination = p.options?.pagination;
+                document.getElementById('prov-rest-pagination').value = pagination?.type || 'none';
+                document.getElementById('prov-rest-pagination-param').value = pagination ? (pagination.cursorPath || pagination.nextPath || pagination.param || '') : '';
                 
                 // Trigger event to hide/show DOM
                 document.getElementById('prov-rest-auth-type').dispatchEvent(new Event('change'));
@@ -406,10 +699,58 @@ document.addEventListener('DOMContentLoaded', () => {
                 document.getElementById('prov-snmp-version').value = p.options?.version || 'v2c';
                 document.getElementById('prov-snmp-interval').value = p.options?.interval || '';
                 document.getElementById('prov-snmp-oids').value = Array.isArray(p.options?.oids) ? p.options.oids.join(', ') : '';
+                document.getElementById('prov-snmp-walks').value = Array.isArray(p.options?.walks) ? p.options.walks.map(w => (typeof w === 'string' ? w : w.oid)).join(', ') : '';
+                document.getElementById('prov-snmp-oid-format').value = p.options?.oidFormat || 'numeric';
+                document.getElementById('prov-snmp-user').value = p.options?.user?.name || '';
+                document.getElementById('prov-snmp-traps').checked = p.options?.traps?.enabled === true;
+                document.getElementById('prov-snmp-trap-port').value = p.options?.traps?.port || '';
+                document.getElementById('prov-snmp-version').dispatchEvent(new Event('change'));
             } else if (p.type === 'kafka') {
                 document.getElementById('prov-kafka-brokers').value = Array.isArray(p.options?.brokers) ? p.options.brokers.join(', ') : '';
                 document.getElementById('prov-kafka-clientid').value = p.options?.clientId || '';
                 document.getElementById('prov-kafka-groupid').value = p.options?.groupId || '';
+                const decoderName = (d) => (typeof d === 'object' && d !== null ? d.format : d);
+                document.getElementById('prov-kafka-value-decoder').value = decoderName(p.options?.valueDecoder) || 'auto';
+                document.getElementById('prov-kafka-key-decoder').value = decoderName(p.options?.keyDecoder) || 'string';
+                document.getElementById('prov-kafka-registry-url').value = p.options?.schemaRegistry?.url || '';
+                document.getElementById('prov-kafka-registry-user').value = p.options?.schemaRegistry?.username || '';
+                document.getElementById('prov-kafka-registry-pass').value = p.options?.schemaRegistry?.password || '';
+                document.getElementById('prov-kafka-topic-template').value = p.options?.topicTemplate || '';
+                document.getElementById('prov-kafka-correlation-template').value = p.options?.correlationIdTemplate || '';
+            } else if (p.type === 'amqp') {
+                document.getElementById('prov-amqp-url').value = p.options?.url || '';
+                document.getElementById('prov-amqp-user').value = p.options?.username || '';
+                document.getElementById('prov-amqp-pass').value = p.options?.password || '';
+                document.getElementById('prov-amqp-queue').value = p.options?.queue || '';
+                document.getElementById('prov-amqp-prefetch').value = p.options?.prefetch || '';
+                document.getElementById('prov-amqp-topic-prefix').value = p.options?.topicPrefix || '';
+                document.getElementById('prov-amqp-publish-exchange').value = p.options?.publishExchange || '';
+                document.getElementById('prov-amqp-exchanges').value = Object.entries(p.options?.exchanges || {}).map(([name, kind]) => `${name}:${kind}`).join(', ');
+            } else if (p.type === 'nats') {
+                document.getElementById('prov-nats-servers').value = [].concat(p.options?.servers || []).join(', ');
+                document.getElementById('prov-nats-user').value = p.options?.user || '';
+                document.getElementById('prov-nats-pass').value = p.options?.pass || '';
+                document.getElementById('prov-nats-topic-prefix').value = p.options?.topicPrefix || '';
+                document.getElementById('prov-nats-queue').value = p.options?.queue || '';
+                document.getElementById('prov-nats-stream').value = p.options?.jetstream?.stream || '';
+                document.getElementById('prov-nats-durable').value = p.options?.jetstream?.durable || '';
+                document.getElementById('prov-nats-deliver').value = p.options?.jetstream?.deliverPolicy || 'all';
+                document.getElementById('prov-nats-js-publish').checked = p.options?.jetstream?.publish === true;
+            } else if (p.type === 'mtconnect') {
+                document.getElementById('prov-mtconnect-url').value = p.options?.url || '';
+                document.getElementById('prov-mtconnect-device').value = p.options?.device || '';
+                document.getElementById('prov-mtconnect-topic-prefix').value = p.options?.topicPrefix || '';
+                document.getElementById('prov-mtconnect-interval').value = p.options?.interval || '';
+                document.getElementById('prov-mtconnect-unavailable').value = p.options?.unavailable || 'null';
+            } else if (p.type === 'websocket') {
+                document.getElementById('prov-ws-url').value = p.options?.url || '';
+                document.getElementById('prov-ws-headers').value = p.options?.headers ? JSON.stringify(p.options.headers) : '';
+                document.getElementById('prov-ws-subscribe').value = Array.isArray(p.options?.subscribeMessages) && p.options.subscribeMessages.length > 0 ? JSON.stringify(p.options.subscribeMessages, null, 2) : '';
+                document.getElementById('prov-ws-extract').value = p.options?.extract || '';
+                document.getElementById('prov-ws-topic-path').value = p.options?.topicPath || '';
+                document.getElementById('prov-ws-topic').value = p.options?.topic || '';
+                document.getElementById('prov-ws-payload-path').value = p.options?.payloadPath || '';
+                document.getElementById('prov-ws-publish-template').value = p.options?.publishTemplate || '';
             }
         }
         
@@ -426,9 +767,11 @@ document.addEventListener('DOMContentLoaded', () => {
     btnCloseProviderHelp.onclick = () => { providerHelpModal.style.display = 'none'; };
     providerHelpModal.onclick = (e) => { if (e.target === providerHelpModal) providerHelpModal.style.display = 'none'; };
 
-    providerBuilderForm.onsubmit = (e) => {
+    providerBuilderForm.onsubmit = async (e) => {
         e.preventDefault();
-        const type = provTypeSelect.value;
+        const isPlugin = provTypeSelect.value === 'plugin';
+        const type = isPlugin ? document.getElementById('prov-plugin-type').value : provTypeSelect.value;
+        if (!type) return showToast("Select an installed plugin.", "warning");
         
         const subStr = document.getElementById('prov-subscribe').value;
         const pubStr = document.getElementById('prov-publish').value;
@@ -445,6 +788,7 @@ document.addEventListener('DOMContentLoaded', () => {
             newProv.port = parseInt(document.getElementById('prov-mqtt-port').value) || 1883;
             newProv.protocol = document.getElementById('prov-mqtt-protocol').value;
             newProv.clientId = document.getElementById('prov-mqtt-client').value.trim();
+            if (document.getElementById('prov-mqtt-version').value === '5') newProv.protocolVersion = 5;
             newProv.username = document.getElementById('prov-mqtt-user').value.trim();
             newProv.alpnProtocol = document.getElementById('prov-mqtt-alpn').value.trim();
             
@@ -452,6 +796,17 @@ document.addEventListener('DOMContentLoaded', () => {
             if (keepAliveVal) newProv.keepalive = parseInt(keepAliveVal);
             
             newProv.clean = document.getElementById('prov-mqtt-clean').checked;
+            const sparkplugHostId = document.getElementById('prov-mqtt-sparkplug-host').value.trim();
+            if (sparkplugHostId) newProv.sparkplugHostId = sparkplugHostId;
+            const bridgesVal = document.getElementById('prov-mqtt-bridges').value.trim();
+            if (bridgesVal) {
+                try {
+                    newProv.bridges = JSON.parse(bridgesVal);
+                } catch (e) {
+                    return showToast("Invalid JSON in MQTT Bridges.", "error");
+                }
+                if (!Array.isArray(newProv.bridges)) return showToast("MQTT Bridges must be a JSON array of rules.", "error");
+            }
             
             const pass = document.getElementById('prov-mqtt-pass').value;
             if (pass) newProv.password = pass; 
@@ -467,6 +822,17 @@ document.addEventListener('DOMContentLoaded', () => {
         } else if (type === 'opcua') {
             newProv.endpointUrl = document.getElementById('prov-opcua-url').value.trim();
             newProv.username = document.getElementById('prov-opcua-user').value.trim();
+            if (document.getElementById('prov-opcua-backfill').checked) newProv.backfill = true;
+            const securityMode = document.getElementById('prov-opcua-secmode').value;
+            if (securityMode !== 'None') {
+                newProv.securityMode = securityMode;
+                newProv.securityPolicy = document.getElementById('prov-opcua-secpolicy').value;
+            }
+            const userCertificate = document.getElementById('prov-opcua-usercert').value;
+            if (userCertificate) {
+                newProv.userCertificate = userCertificate;
+                newProv.userPrivateKey = document.getElementById('prov-opcua-userkey').value;
+            }
             const pass = document.getElementById('prov-opcua-pass').value;
             if (pass) newProv.password = pass; 
             else if (editingProviderIndex >= 0 && providersList[editingProviderIndex].password) {
@@ -474,6 +840,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } else if (type === 'modbus') {
             newProv.host = document.getElementById('prov-modbus-host').value.trim();
+            if (document.getElementById('prov-modbus-mode').value === 'server') newProv.mode = 'server';
             if (document.getElementById('prov-modbus-port').value) newProv.port = parseInt(document.getElementById('prov-modbus-port').value);
             if (document.getElementById('prov-modbus-unit').value) newProv.unitId = parseInt(document.getElementById('prov-modbus-unit').value);
             if (document.getElementById('prov-modbus-rate').value) newProv.pollingInterval = parseInt(document.getElementById('prov-modbus-rate').value);
@@ -497,10 +864,24 @@ document.addEventListener('DOMContentLoaded', () => {
             newProv.broadcastAddress = document.getElementById('prov-bacnet-broadcast').value.trim();
             if (document.getElementById('prov-bacnet-port').value) newProv.port = parseInt(document.getElementById('prov-bacnet-port').value);
             if (document.getElementById('prov-bacnet-rate').value) newProv.pollingInterval = parseInt(document.getElementById('prov-bacnet-rate').value);
+            if (document.getElementById('prov-bacnet-cov-lifetime').value) newProv.covLifetime = parseInt(document.getElementById('prov-bacnet-cov-lifetime').value);
+            const bacnetTopicPrefix = document.getElementById('prov-bacnet-topic-prefix').value.trim();
+            if (bacnetTopicPrefix) newProv.topicPrefix = bacnetTopicPrefix;
+            if (!document.getElementById('prov-bacnet-cov').checked) newProv.cov = false;
+            if (document.getElementById('prov-bacnet-autodiscover').checked) newProv.autoDiscover = true;
+            if (!document.getElementById('prov-bacnet-register-i3x').checked) newProv.registerI3x = false;
+            // Only editable in Advanced mode
+            const previousBacnet = editingProviderIndex >= 0 ? providersList[editingProviderIndex] : null;
+            if (previousBacnet && previousBacnet.discoveryTimeout) newProv.discoveryTimeout = previousBacnet.discoveryTimeout;
         } else if (type === 'knx') {
             newProv.host = document.getElementById('prov-knx-host').value.trim();
             newProv.physAddr = document.getElementById('prov-knx-phys').value.trim();
             if (document.getElementById('prov-knx-port').value) newProv.port = parseInt(document.getElementById('prov-knx-port').value);
+            const etsFile = document.getElementById('prov-knx-ets').value;
+            if (etsFile) newProv.etsFile = etsFile;
+            const knxTopicPrefix = document.getElementById('prov-knx-topic-prefix').value.trim();
+            if (knxTopicPrefix) newProv.topicPrefix = knxTopicPrefix;
+            if (!document.getElementById('prov-knx-register-i3x').checked) newProv.registerI3x = false;
         } else if (type === 'i3x') {
             newProv.baseUrl = document.getElementById('prov-i3x-url').value.trim();
             newProv.apiKey = document.getElementById('prov-i3x-key').value.trim();
@@ -510,6 +891,24 @@ document.addEventListener('DOMContentLoaded', () => {
             newProv.filePath = document.getElementById('prov-file-path').value.trim();
             newProv.defaultTopic = document.getElementById('prov-file-topic').value.trim();
             newProv.streamRateMs = parseInt(document.getElementById('prov-file-rate').value) || 1000;
+            const fileMode = document.getElementById('prov-file-mode').value;
+            if (fileMode !== 'stream') newProv.mode = fileMode;
+            if (fileMode === 'tail' || fileMode === 'ingest') {
+                newProv.watchPath = document.getElementById('prov-file-watch').value.trim();
+                delete newProv.filePath;
+            }
+            const archiveDir = document.getElementById('prov-file-archive').value.trim();
+            if (fileMode === 'ingest' && archiveDir) newProv.archiveDir = archiveDir;
+            const tsColumn = document.getElementById('prov-file-ts-column').value.trim();
+            if (tsColumn) newProv.timestampColumn = tsColumn;
+            if (fileMode === 'replay' && document.getElementById('prov-file-speed').value) newProv.speed = parseFloat(document.getElementById('prov-file-speed').value);
+            // Options only editable in Advanced mode
+            if (editingProviderIndex >= 0) {
+                const previous = providersList[editingProviderIndex];
+                ['loop', 'fromStart', 'pollIntervalMs'].forEach(key => {
+                    if (previous.type === 'file' && previous[key] !== undefined) newProv[key] = previous[key];
+                });
+            }
         } else if (type === 'sql') {
             newProv.options = {
                 driver: document.getElementById('prov-sql-driver').value,
@@ -519,6 +918,20 @@ document.addEventListener('DOMContentLoaded', () => {
             if (document.getElementById('prov-sql-interval').value) newProv.options.interval = parseInt(document.getElementById('prov-sql-interval').value);
             if (document.getElementById('prov-sql-cursor').value) newProv.options.cursorColumn = document.getElementById('prov-sql-cursor').value.trim();
             if (document.getElementById('prov-sql-topic-col').value) newProv.options.topicColumn = document.getElementById('prov-sql-topic-col').value.trim();
+            const sinkTable = document.getElementById('prov-sql-sink-table').value.trim();
+            if (sinkTable) {
+                let columns;
+                try {
+                    columns = JSON.parse(document.getElementById('prov-sql-sink-columns').value || '{}');
+                } catch (e) {
+                    return showToast("Invalid JSON in SQL sink Column Mapping.", "error");
+                }
+                newProv.options.sink = { table: sinkTable, columns };
+                if (document.getElementById('prov-sql-sink-mode').value === 'upsert') {
+                    newProv.options.sink.mode = 'upsert';
+                    newProv.options.sink.keyColumns = document.getElementById('prov-sql-sink-keys').value.split(',').map(s => s.trim()).filter(Boolean);
+                }
+            }
         } else if (type === 'rest') {
             newProv.options = {
                 endpoint: document.getElementById('prov-rest-endpoint').value.trim(),
@@ -534,6 +947,38 @@ document.addEventListener('DOMContentLoaded', () => {
             } else if (newProv.options.auth.type === 'apikey') {
                 newProv.options.auth.headerName = document.getElementById('prov-rest-keyname').value.trim();
                 newProv.options.auth.apiKey = document.getElementById('prov-rest-keyval').value.trim();
+            } else if (newProv.options.auth.type === 'oauth2') {
+                newProv.options.auth.tokenUrl = document.getElementById('prov-rest-token-url').value.trim();
+                newProv.options.auth.clientId = document.getElementById('prov-rest-client-id').value.trim();
+                const scope = document.getElementById('prov-rest-scope').value.trim();
+                if (scope) newProv.options.auth.scope = scope;
+                const secret = document.getElementById('prov-rest-client-secret').value;
+                if (secret) newProv.options.auth.clientSecret = secret;
+                else if (editingProviderIndex >= 0 && providersList[editingProviderIndex].options?.auth?.clientSecret) {
+                    newProv.options.auth.clientSecret = providersList[editingProviderIndex].options.auth.clientSecret;
+                }
+            }
+            const restTopic = document.getElementById('prov-rest-topic').value.trim();
+            if (restTopic) newProv.options.topic = restTopic;
+            const restExtract = document.getElementById('prov-rest-extract').value.trim();
+            if (restExtract) newProv.options.extract = restExtract;
+            const paginationType = document.getElementById('prov-rest-pagination').value;
+            if (paginationType !== 'none') {
+                const paginationParam = document.getElementById('prov-rest-pagination-param').value.trim();
+                newProv.options.pagination = { type: paginationType };
+                if (paginationParam.startsWith('$')) newProv.options.pagination[paginationType === 'link' ? 'nextPath' : 'cursorPath'] = paginationParam;
+                else if (paginationParam) newProv.options.pagination.param = paginationParam;
+            }
+            // Options only editable in Advanced mode
+            if (editingProviderIndex >= 0) {
+                const previous = providersList[editingProviderIndex];
+                ['endpoints', 'headers', 'timeoutMs', 'conditional'].forEach(key => {
+                    if (previous.type === 'rest' && previous.options?.[key] !== undefined) newProv.options[key] = previous.options[key];
+                });
+                const previousPagination = previous.type === 'rest' ? previous.options?.pagination : null;
+                if (newProv.options.pagination && previousPagination?.type === paginationType) {
+                    newProv.options.pagination = { ...previousPagination, ...newProv.options.pagination };
+                }
             }
         } else if (type === 'snmp') {
             newProv.options = {
@@ -544,14 +989,196 @@ document.addEventListener('DOMContentLoaded', () => {
             if (document.getElementById('prov-snmp-interval').value) newProv.options.interval = parseInt(document.getElementById('prov-snmp-interval').value);
             const oidsRaw = document.getElementById('prov-snmp-oids').value;
             if (oidsRaw) newProv.options.oids = oidsRaw.split(',').map(s=>s.trim()).filter(Boolean);
+            const previousSnmp = editingProviderIndex >= 0 && providersList[editingProviderIndex].type === 'snmp' ? (providersList[editingProviderIndex].options || {}) : {};
+            const walksRaw = document.getElementById('prov-snmp-walks').value;
+            if (walksRaw) {
+                // Keep the name / table settings of walks edited in Advanced mode
+                const previousWalks = (previousSnmp.walks || []).filter(w => typeof w === 'object');
+                newProv.options.walks = walksRaw.split(',').map(s => s.trim()).filter(Boolean).map(oid => previousWalks.find(w => w.oid === oid) || oid);
+            }
+            const oidFormat = document.getElementById('prov-snmp-oid-format').value;
+            if (oidFormat !== 'numeric') newProv.options.oidFormat = oidFormat;
+            if (newProv.options.version === 'v3') {
+                newProv.options.user = { ...(previousSnmp.user || {}), name: document.getElementById('prov-snmp-user').value.trim() };
+                const authKey = document.getElementById('prov-snmp-auth-key').value;
+                const privKey = document.getElementById('prov-snmp-priv-key').value;
+                if (authKey) newProv.options.user.authKey = authKey;
+                if (privKey) newProv.options.user.privKey = privKey;
+            }
+            if (document.getElementById('prov-snmp-traps').checked) {
+                newProv.options.traps = { ...(previousSnmp.traps || {}), enabled: true };
+                const trapPort = parseInt(document.getElementById('prov-snmp-trap-port').value);
+                if (trapPort) newProv.options.traps.port = trapPort;
+            }
+            // Options only editable in Advanced mode
+            ['topic', 'port', 'mibDir', 'maxRepetitions'].forEach(key => {
+                if (previousSnmp[key] !== undefined) newProv.options[key] = previousSnmp[key];
+            });
         } else if (type === 'kafka') {
             newProv.options = {};
             const brokersRaw = document.getElementById('prov-kafka-brokers').value;
             if (brokersRaw) newProv.options.brokers = brokersRaw.split(',').map(s=>s.trim()).filter(Boolean);
             if (document.getElementById('prov-kafka-clientid').value) newProv.options.clientId = document.getElementById('prov-kafka-clientid').value.trim();
             if (document.getElementById('prov-kafka-groupid').value) newProv.options.groupId = document.getElementById('prov-kafka-groupid').value.trim();
+
+            // Keep the options only editable in Advanced mode (topics, decoder specs with schema files, header decoder...)
+            const previousOptions = editingProviderIndex >= 0 ? (providersList[editingProviderIndex].options || {}) : {};
+            newProv.options = { ...previousOptions, ...newProv.options };
+            const keepSpec = (selected, previous) => (typeof previous === 'object' && previous !== null && previous.format === selected ? previous : selected);
+            newProv.options.valueDecoder = keepSpec(document.getElementById('prov-kafka-value-decoder').value, previousOptions.valueDecoder);
+            newProv.options.keyDecoder = keepSpec(document.getElementById('prov-kafka-key-decoder').value, previousOptions.keyDecoder);
+            const registryUrl = document.getElementById('prov-kafka-registry-url').value.trim();
+            if (registryUrl) {
+                newProv.options.schemaRegistry = { ...(previousOptions.schemaRegistry || {}), url: registryUrl };
+                const registryUser = document.getElementById('prov-kafka-registry-user').value.trim();
+                if (registryUser) {
+                    newProv.options.schemaRegistry.username = registryUser;
+                    newProv.options.schemaRegistry.password = document.getElementById('prov-kafka-registry-pass').value;
+                } else {
+                    delete newProv.options.schemaRegistry.username;
+                    delete newProv.options.schemaRegistry.password;
+                }
+            } else if (newProv.options.schemaRegistry) {
+                delete newProv.options.schemaRegistry.url;
+            }
+            const topicTemplate = document.getElementById('prov-kafka-topic-template').value.trim();
+            if (topicTemplate) newProv.options.topicTemplate = topicTemplate; else delete newProv.options.topicTemplate;
+            const correlationTemplate = document.getElementById('prov-kafka-correlation-template').value.trim();
+            if (correlationTemplate) newProv.options.correlationIdTemplate = correlationTemplate; else delete newProv.options.correlationIdTemplate;
+        } else if (type === 'amqp') {
+            // Keep the options only editable in Advanced mode (CA file, queue arguments, heartbeat...)
+            const previousOptions = editingProviderIndex >= 0 && providersList[editingProviderIndex].type === 'amqp' ? (providersList[editingProviderIndex].options || {}) : {};
+            newProv.options = { ...previousOptions };
+            const setOption = (key, value) => { if (value) newProv.options[key] = value; else delete newProv.options[key]; };
+            setOption('url', document.getElementById('prov-amqp-url').value.trim());
+            setOption('username', document.getElementById('prov-amqp-user').value.trim());
+            setOption('password', document.getElementById('prov-amqp-user').value.trim() ? document.getElementById('prov-amqp-pass').value : '');
+            setOption('queue', document.getElementById('prov-amqp-queue').value.trim());
+            setOption('prefetch', parseInt(document.getElementById('prov-amqp-prefetch').value) || 0);
+            setOption('topicPrefix', document.getElementById('prov-amqp-topic-prefix').value.trim());
+            setOption('publishExchange', document.getElementById('prov-amqp-publish-exchange').value.trim());
+            const exchanges = {};
+            document.getElementById('prov-amqp-exchanges').value.split(',').map(s => s.trim()).filter(Boolean).forEach(entry => {
+                const [name, kind] = entry.split(':').map(s => s.trim());
+                if (name) exchanges[name] = kind || 'topic';
+            });
+            setOption('exchanges', Object.keys(exchanges).length > 0 ? exchanges : null);
+        } else if (type === 'nats') {
+            // Keep the options only editable in Advanced mode (token, creds file, CA file, ack settings...)
+            const previousOptions = editingProviderIndex >= 0 && providersList[editingProviderIndex].type === 'nats' ? (providersList[editingProviderIndex].options || {}) : {};
+            newProv.options = { ...previousOptions };
+            const setOption = (target, key, value) => { if (value) target[key] = value; else delete target[key]; };
+            const servers = document.getElementById('prov-nats-servers').value.split(',').map(s => s.trim()).filter(Boolean);
+            setOption(newProv.options, 'servers', servers.length > 1 ? servers : servers[0]);
+            setOption(newProv.options, 'user', document.getElementById('prov-nats-user').value.trim());
+            setOption(newProv.options, 'pass', document.getElementById('prov-nats-user').value.trim() ? document.getElementById('prov-nats-pass').value : '');
+            setOption(newProv.options, 'topicPrefix', document.getElementById('prov-nats-topic-prefix').value.trim());
+            setOption(newProv.options, 'queue', document.getElementById('prov-nats-queue').value.trim());
+            const stream = document.getElementById('prov-nats-stream').value.trim();
+            if (stream) {
+                const jetstream = { ...(previousOptions.jetstream || {}), stream, deliverPolicy: document.getElementById('prov-nats-deliver').value };
+                setOption(jetstream, 'durable', document.getElementById('prov-nats-durable').value.trim());
+                setOption(jetstream, 'publish', document.getElementById('prov-nats-js-publish').checked);
+                newProv.options.jetstream = jetstream;
+            } else {
+                delete newProv.options.jetstream;
+            }
+        } else if (type === 'mtconnect') {
+            // Keep the options only editable in Advanced mode (heartbeat, count, reconnect interval)
+            const previousOptions = editingProviderIndex >= 0 && providersList[editingProviderIndex].type === 'mtconnect' ? (providersList[editingProviderIndex].options || {}) : {};
+            newProv.options = { ...previousOptions, url: document.getElementById('prov-mtconnect-url').value.trim() };
+            const setOption = (key, value) => { if (value) newProv.options[key] = value; else delete newProv.options[key]; };
+            setOption('device', document.getElementById('prov-mtconnect-device').value.trim());
+            setOption('topicPrefix', document.getElementById('prov-mtconnect-topic-prefix').value.trim());
+            setOption('interval', parseInt(document.getElementById('prov-mtconnect-interval').value) || 0);
+            setOption('unavailable', document.getElementById('prov-mtconnect-unavailable').value === 'skip' ? 'skip' : '');
+        } else if (type === 'websocket') {
+            // Keep the options only editable in Advanced mode (auth, subprotocols, backoff, ping...)
+            const previousOptions = editingProviderIndex >= 0 && providersList[editingProviderIndex].type === 'websocket' ? (providersList[editingProviderIndex].options || {}) : {};
+            newProv.options = { ...previousOptions, url: document.getElementById('prov-ws-url').value.trim() };
+            const setOption = (key, value) => { if (value) newProv.options[key] = value; else delete newProv.options[key]; };
+            const readJson = (id, label, check) => {
+                const raw = document.getElementById(id).value.trim();
+                if (!raw) return null;
+                const value = JSON.parse(raw);
+                if (!check(value)) throw new Error(label);
+                return value;
+            };
+            try {
+                setOption('headers', readJson('prov-ws-headers', 'WebSocket headers must be a JSON object.', v => v && typeof v === 'object' && !Array.isArray(v)));
+                setOption('subscribeMessages', readJson('prov-ws-subscribe', 'Subscribe messages must be a JSON array.', Array.isArray));
+            } catch (e) {
+                return showToast(e instanceof SyntaxError ? 'Invalid JSON in the WebSocket / SSE settings.' : e.message, 'error');
+            }
+            setOption('extract', document.getElementById('prov-ws-extract').value.trim());
+            setOption('topicPath', document.getElementById('prov-ws-topic-path').value.trim());
+            setOption('topic', document.getElementById('prov-ws-topic').value.trim());
+            setOption('payloadPath', document.getElementById('prov-ws-payload-path').value.trim());
+            setOption('publishTemplate', document.getElementById('prov-ws-publish-template').value.trim());
+        }
+
+        // External plugin: schema fields, plus the options only editable in Advanced mode
+        if (isPlugin) {
+            const previous = editingProviderIndex >= 0 && providersList[editingProviderIndex].type === type ? providersList[editingProviderIndex] : {};
+            let fields;
+            try {
+                fields = readPluginFields(type);
+            } catch (err) {
+                return showToast(err.message, 'error');
+            }
+            const plugin = availablePlugins.find(p => p.type === type);
+            const schemaKeys = Object.keys((plugin && plugin.configSchema && plugin.configSchema.properties) || {});
+            const reserved = ['id', 'type', 'subscribe', 'publish', 'enabled', 'deadband', ...schemaKeys];
+            Object.entries(previous).forEach(([key, value]) => { if (!reserved.includes(key)) newProv[key] = value; });
+            Object.assign(newProv, fields);
+        }
+
+        // Report by exception (per-topic deadbands and ignored fields are only editable in Advanced mode: keep them)
+        if (document.getElementById('prov-rbe-enabled').checked) {
+            const previous = editingProviderIndex >= 0 ? providersList[editingProviderIndex].deadband : null;
+            newProv.deadband = {};
+            if (previous && typeof previous === 'object') {
+                if (previous.topics) newProv.deadband.topics = previous.topics;
+                if (previous.ignoreFields) newProv.deadband.ignoreFields = previous.ignoreFields;
+            }
+            const absolute = parseFloat(document.getElementById('prov-rbe-absolute').value);
+            if (absolute > 0) newProv.deadband.absolute = absolute;
+            const percent = parseFloat(document.getElementById('prov-rbe-percent').value);
+            if (percent > 0) newProv.deadband.percent = percent;
+            const maxSilence = parseInt(document.getElementById('prov-rbe-silence').value);
+            if (maxSilence > 0) newProv.deadband.maxSilence = maxSilence;
+        }
+
+        // Object-style subscriptions (e.g. typed Modbus mappings) are only editable in Advanced mode: keep them
+        if (editingProviderIndex >= 0 && Array.isArray(providersList[editingProviderIndex].subscribe)) {
+            newProv.subscribe.push(...providersList[editingProviderIndex].subscribe.filter(s => typeof s !== 'string'));
+        }
+
+        // Variables picked in the OPC UA address space browser
+        if (type === 'opcua') {
+            pendingOpcuaMappings.forEach(m => {
+                if (!newProv.subscribe.some(s => typeof s === 'object' && s.nodeId === m.nodeId)) newProv.subscribe.push(m);
+            });
+            // The browser replaces the default '#' wildcard, which is not a valid NodeId
+            if (pendingOpcuaMappings.length > 0) newProv.subscribe = newProv.subscribe.filter(s => s !== '#');
+        }
+
+        // Points picked in the BACnet discovery
+        if (type === 'bacnet') {
+            pendingBacnetMappings.forEach(m => {
+                const exists = newProv.subscribe.some(s => typeof s === 'object'
+                    && s.address === m.address && s.objectType === m.objectType && s.instance === m.instance);
+                if (!exists) newProv.subscribe.push(m);
+            });
+            if (pendingBacnetMappings.length > 0) newProv.subscribe = newProv.subscribe.filter(s => s !== '#');
         }
 
+        // A stopped provider stays stopped when it is edited
+        if (editingProviderIndex >= 0 && providersList[editingProviderIndex].enabled === false) newProv.enabled = false;
+
+        const originalId = editingProviderIndex >= 0 ? providersList[editingProviderIndex].id : null;
+        if (!(await applyProviderChange(originalId, newProv))) return;
+
         if (editingProviderIndex >= 0) {
             providersList[editingProviderIndex] = newProv;
         } else {
@@ -560,10 +1187,416 @@ document.addEventListener('DOMContentLoaded', () => {
 
         providerModal.style.display = 'none';
         renderProvidersList();
+        loadProviderStates();
+    };
+
+    // --- MQTT Live Subscriptions ---
+
+    function renderLiveSubscriptions(providerId, subscriptions) {
+        liveSubsList.innerHTML = '';
+        if (subscriptions.length === 0) {
+            const li = document.createElement('li');
+            li.className = 'cert-item';
+            li.style.color = '#888';
+            li.textContent = 'No subscriptions.';
+            liveSubsList.appendChild(li);
+            return;
+        }
+        subscriptions.forEach(sub => {
+            const li = document.createElement('li');
+            li.className = 'cert-item';
+            const label = document.createElement('span');
+            label.textContent = formatSubscription(sub);
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'btn-copy-cert';
+            btn.textContent = 'Unsubscribe';
+            btn.onclick = () => updateLiveSubscription(providerId, 'DELETE', `?topic=${encodeURIComponent(sub.topic)}`, null, `Unsubscribed from '${sub.topic}'.`);
+            li.appendChild(label);
+            li.appendChild(btn);
+            liveSubsList.appendChild(li);
+        });
+    }
+
+    async function loadLiveSubscriptions(providerId) {
+        liveSubsList.innerHTML = '<li class="cert-item" style="justify-content:center; color:#888;">Loading...</li>';
+        try {
+            const res = await fetch(`api/env/providers/${encodeURIComponent(providerId)}/subscriptions`);
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || 'Fetch failed.');
+            renderLiveSubscriptions(providerId, data.subscriptions);
+        } catch (e) {
+            liveSubsList.innerHTML = '';
+            const li = document.createElement('li');
+            li.className = 'cert-item';
+            li.style.color = 'var(--color-danger)';
+            li.textContent = `Live subscriptions unavailable: ${e.message}`;
+            liveSubsList.appendChild(li);
+        }
+    }
+
+    /**
+     * Applies a runtime (un)subscription, then syncs the edited provider with the saved configuration.
+     */
+    async function updateLiveSubscription(providerId, method, query, body, successMessage) {
+        try {
+            const res = await fetch(`api/env/providers/${encodeURIComponent(providerId)}/subscriptions${query}`, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Request failed');
+
+            const provider = providersList.find(p => p.id === providerId);
+            if (provider) provider.subscribe = result.subscribe;
+            document.getElementById('prov-subscribe').value = result.subscribe.filter(s => typeof s === 'string').join(', ');
+            renderLiveSubscriptions(providerId, result.subscriptions);
+            renderProvidersList();
+            showToast(successMessage, "success");
+        } catch (e) {
+            showToast(`Subscription error: ${e.message}`, "error");
+        }
+    }
+
+    document.getElementById('btn-prov-mqtt-livesub-add')?.addEventListener('click', () => {
+        if (editingProviderIndex < 0) return;
+        const topic = document.getElementById('prov-mqtt-livesub-topic').value.trim();
+        if (!topic) return showToast("Enter a topic filter to subscribe to.", "warning");
+        const body = {
+            topic,
+            qos: parseInt(document.getElementById('prov-mqtt-livesub-qos').value),
+            noLocal: document.getElementById('prov-mqtt-livesub-nolocal').checked
+        };
+        updateLiveSubscription(providersList[editingProviderIndex].id, 'POST', '', body, `Subscribed to '${topic}'.`)
+            .then(() => { document.getElementById('prov-mqtt-livesub-topic').value = ''; });
+    });
+
+    // --- OPC UA Address Space Browser ---
+
+    function renderOpcuaMappingsSummary() {
+        opcuaMappingsSummary.textContent = pendingOpcuaMappings.length > 0
+            ? `${pendingOpcuaMappings.length} browsed node(s) will be added on save.`
+            : '';
+    }
+
+    /**
+     * Builds a UNS topic from the browse path, replacing characters reserved by MQTT topics.
+     */
+    function buildOpcuaTopic(pathSegments) {
+        const prefix = opcuaBrowsePrefix.value.trim().replace(/\/+$/, '');
+        const segments = pathSegments.map(seg => seg.trim().replace(/[\s/+#]+/g, '_')).filter(Boolean);
+        return [prefix, ...segments].filter(Boolean).join('/');
+    }
+
+    async function fetchOpcuaChildren(nodeId) {
+        const body = {
+            providerId: document.getElementById('prov-id').value.trim() || undefined,
+            endpointUrl: document.getElementById('prov-opcua-url').value.trim() || undefined,
+            username: document.getElementById('prov-opcua-user').value.trim() || undefined,
+            password: document.getElementById('prov-opcua-pass').value || undefined,
+            userCertificate: document.getElementById('prov-opcua-usercert').value || undefined,
+            userPrivateKey: document.getElementById('prov-opcua-userkey').value || undefined,
+            nodeId
+        };
+        const securityMode = document.getElementById('prov-opcua-secmode').value;
+        if (securityMode !== 'None') {
+            body.securityMode = securityMode;
+            body.securityPolicy = document.getElementById('prov-opcua-secpolicy').value;
+        }
+        const response = await fetch('api/env/opcua/browse', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Browse failed.');
+        return result.children || [];
+    }
+
+    function updateOpcuaSelectionCount() {
+        const count = opcuaBrowseTree.querySelectorAll('input[type="checkbox"]:checked').length;
+        opcuaBrowseCount.textContent = `${count} variable(s) selected`;
+    }
+
+    async function renderOpcuaLevel(container, nodeId, pathSegments) {
+        container.innerHTML = '<div class="opcua-tree-status">Loading...</div>';
+        let children;
+        try {
+            children = await fetchOpcuaChildren(nodeId);
+        } catch (err) {
+            container.innerHTML = '';
+            const errDiv = document.createElement('div');
+            errDiv.className = 'opcua-tree-status';
+            errDiv.style.color = 'var(--color-danger)';
+            errDiv.textContent = err.message;
+            container.appendChild(errDiv);
+            return;
+        }
+
+        container.innerHTML = '';
+        if (children.length === 0) {
+            container.innerHTML = '<div class="opcua-tree-status">(empty)</div>';
+            return;
+        }
+
+        children.forEach(child => {
+            const childPath = [...pathSegments, child.browseName || child.displayName];
+            const row = document.createElement('div');
+            row.className = 'opcua-tree-node';
+
+            const line = document.createElement('div');
+            line.className = 'opcua-tree-line';
+
+            const toggle = document.createElement('span');
+            toggle.className = 'opcua-tree-toggle';
+            toggle.textContent = child.hasChildren ? '▸' : '';
+            line.appendChild(toggle);
+
+            if (child.nodeClass === 'Variable') {
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.nodeId = child.nodeId;
+                checkbox.dataset.path = JSON.stringify(childPath);
+                checkbox.onchange = updateOpcuaSelectionCount;
+                line.appendChild(checkbox);
+            }
+
+            const label = document.createElement('span');
+            label.textContent = child.displayName;
+            label.title = child.nodeId;
+            line.appendChild(label);
+
+            if (child.nodeClass === 'Variable') {
+                const meta = document.createElement('span');
+                meta.className = 'opcua-tree-meta';
+                const access = [child.readable ? 'R' : '', child.writable ? 'W' : '', child.historizing ? 'H' : ''].join('');
+                meta.textContent = `${child.dataType || '?'}${access ? ' · ' + access : ''}`;
+                line.appendChild(meta);
+            }
+
+            row.appendChild(line);
+
+            if (child.hasChildren) {
+                const childContainer = document.createElement('div');
+                childContainer.className = 'opcua-tree-children';
+                childContainer.style.display = 'none';
+                row.appendChild(childContainer);
+
+                let loaded = false;
+                const expand = async () => {
+                    const isOpen = childContainer.style.display !== 'none';
+                    childContainer.style.display = isOpen ? 'none' : 'block';
+                    toggle.textContent = isOpen ? '▸' : '▾';
+                    if (!isOpen && !loaded) {
+                        loaded = true;
+                        await renderOpcuaLevel(childContainer, child.nodeId, childPath);
+                    }
+                };
+                toggle.onclick = expand;
+                label.onclick = expand;
+                label.style.cursor = 'pointer';
+            }
+
+            container.appendChild(row);
+        });
+    }
+
+    document.getElementById('btn-opcua-browse').onclick = () => {
+        if (!document.getElementById('prov-opcua-url').value.trim()) {
+            return showToast("Endpoint URL is required to browse the server.", "warning");
+        }
+        if (!opcuaBrowsePrefix.value) opcuaBrowsePrefix.value = document.getElementById('prov-id').value.trim();
+        opcuaBrowserModal.style.display = 'flex';
+        updateOpcuaSelectionCount();
+        renderOpcuaLevel(opcuaBrowseTree, undefined, []).then(updateOpcuaSelectionCount);
+    };
+
+    document.getElementById('btn-opcua-browse-cancel').onclick = () => { opcuaBrowserModal.style.display = 'none'; };
+
+    document.getElementById('btn-opcua-browse-add').onclick = () => {
+        opcuaBrowseTree.querySelectorAll('input[type="checkbox"]:checked').forEach(cb => {
+            if (!pendingOpcuaMappings.some(m => m.nodeId === cb.dataset.nodeId)) {
+                pendingOpcuaMappings.push({ nodeId: cb.dataset.nodeId, topic: buildOpcuaTopic(JSON.parse(cb.dataset.path)) });
+            }
+        });
+        renderOpcuaMappingsSummary();
+        opcuaBrowserModal.style.display = 'none';
+    };
+
+    // --- KNX ETS Import ---
+
+    async function loadKnxEtsFiles(selected) {
+        const select = document.getElementById('prov-knx-ets');
+        try {
+            const res = await fetch('api/env/knx/ets');
+            if (!res.ok) throw new Error("Fetch failed.");
+            const files = await res.json();
+            select.innerHTML = '<option value="">None</option>';
+            files.forEach(f => {
+                const option = document.createElement('option');
+                option.value = f;
+                option.textContent = f;
+                select.appendChild(option);
+            });
+        } catch (e) {
+            showToast(`Could not list ETS exports: ${e.message}`, "error");
+        }
+        // Keep a configured file selected even if it is missing from data/knx
+        if (selected && !Array.from(select.options).some(o => o.value === selected)) {
+            const option = document.createElement('option');
+            option.value = selected;
+            option.textContent = `${selected} (missing)`;
+            select.appendChild(option);
+        }
+        select.value = selected || '';
+    }
+
+    document.getElementById('knx-ets-upload-input').addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const fd = new FormData();
+        fd.append('ets', file);
+        showToast("Importing ETS export...", "info");
+
+        try {
+            const res = await fetch('api/env/knx/ets', { method: 'POST', body: fd });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Upload failed');
+            showToast(`ETS export imported: ${result.groupAddresses} group addresses (${result.withDpt} with a DPT).`, "success");
+            e.target.value = '';
+            loadKnxEtsFiles(result.filename);
+        } catch (err) {
+            e.target.value = '';
+            showToast(`ETS import error: ${err.message}`, "error");
+        }
+    });
+
+    // --- BACnet Device Discovery ---
+
+    function renderBacnetMappingsSummary() {
+        bacnetMappingsSummary.textContent = pendingBacnetMappings.length > 0
+            ? `${pendingBacnetMappings.length} discovered point(s) will be added on save.`
+            : '';
+    }
+
+    function updateBacnetSelectionCount() {
+        const count = bacnetDiscoverTree.querySelectorAll('input[type="checkbox"]:checked').length;
+        bacnetDiscoverCount.textContent = `${count} point(s) selected`;
+    }
+
+    function renderBacnetDevices(devices) {
+        bacnetDiscoverTree.innerHTML = '';
+        if (devices.length === 0) {
+            bacnetDiscoverTree.innerHTML = '<div class="opcua-tree-status">No device answered the Who-Is.</div>';
+            return;
+        }
+
+        devices.forEach(device => {
+            const row = document.createElement('div');
+            row.className = 'opcua-tree-node';
+            const line = document.createElement('div');
+            line.className = 'opcua-tree-line';
+            const label = document.createElement('strong');
+            label.textContent = `${device.name || 'Device'} (#${device.deviceId})`;
+            line.appendChild(label);
+            const meta = document.createElement('span');
+            meta.className = 'opcua-tree-meta';
+            meta.textContent = [device.address, device.vendorName, device.modelName].filter(Boolean).join(' · ');
+            line.appendChild(meta);
+            row.appendChild(line);
+
+            const children = document.createElement('div');
+            children.className = 'opcua-tree-children';
+            device.objects.forEach(object => {
+                const objectLine = document.createElement('div');
+                objectLine.className = 'opcua-tree-line';
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.mapping = JSON.stringify({
+                    address: device.address,
+                    objectType: object.objectId.type,
+                    instance: object.objectId.instance,
+                    topic: object.topic
+                });
+                checkbox.onchange = updateBacnetSelectionCount;
+                objectLine.appendChild(checkbox);
+                const objectLabel = document.createElement('span');
+                objectLabel.textContent = object.name || `${object.objectId.type}:${object.objectId.instance}`;
+                objectLabel.title = object.topic;
+                objectLine.appendChild(objectLabel);
+                const objectMeta = document.createElement('span');
+                objectMeta.className = 'opcua-tree-meta';
+                objectMeta.textContent = `${object.objectId.type}:${object.objectId.instance}${object.brickClass ? ' · ' + object.brickClass : ''}`;
+                objectLine.appendChild(objectMeta);
+                children.appendChild(objectLine);
+            });
+            row.appendChild(children);
+            bacnetDiscoverTree.appendChild(row);
+        });
+    }
+
+    async function runBacnetDiscovery() {
+        const providerId = editingProviderIndex >= 0 ? providersList[editingProviderIndex].id : document.getElementById('prov-id').value.trim();
+        const body = {};
+        const address = document.getElementById('bacnet-discover-address').value.trim();
+        const timeoutMs = document.getElementById('bacnet-discover-timeout').value;
+        if (address) body.address = address;
+        if (timeoutMs) body.timeoutMs = parseInt(timeoutMs);
+
+        bacnetDiscoverTree.innerHTML = '<div class="opcua-tree-status">Scanning...</div>';
+        try {
+            const response = await fetch(`api/env/bacnet/${encodeURIComponent(providerId)}/discover`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.error || 'Discovery failed.');
+            renderBacnetDevices(result.devices || []);
+        } catch (err) {
+            bacnetDiscoverTree.innerHTML = '';
+            const errDiv = document.createElement('div');
+            errDiv.className = 'opcua-tree-status';
+            errDiv.style.color = 'var(--color-danger)';
+            errDiv.textContent = err.message;
+            bacnetDiscoverTree.appendChild(errDiv);
+        }
+        updateBacnetSelectionCount();
+    }
+
+    document.getElementById('btn-bacnet-discover').onclick = () => {
+        if (editingProviderIndex < 0) {
+            return showToast("Save the provider first: discovery runs on the running BACnet client.", "warning");
+        }
+        bacnetDiscoveryModal.style.display = 'flex';
+        runBacnetDiscovery();
+    };
+
+    document.getElementById('btn-bacnet-discover-run').onclick = runBacnetDiscovery;
+    document.getElementById('btn-bacnet-discover-cancel').onclick = () => { bacnetDiscoveryModal.style.display = 'none'; };
+
+    document.getElementById('btn-bacnet-discover-add').onclick = () => {
+        bacnetDiscoverTree.querySelectorAll('input[type="checkbox"]:checked').forEach(cb => {
+            const mapping = JSON.parse(cb.dataset.mapping);
+            const exists = pendingBacnetMappings.some(m => m.address === mapping.address
+                && m.objectType === mapping.objectType && m.instance === mapping.instance);
+            if (!exists) pendingBacnetMappings.push(mapping);
+        });
+        renderBacnetMappingsSummary();
+        bacnetDiscoveryModal.style.display = 'none';
     };
 
     async function deleteProvider(index) {
-        if(await confirmModal("Delete Provider", "Remove this data provider?", "Delete", true)) {
+        if(await confirmModal("Delete Provider", "Remove this data provider? It is stopped immediately and its queued writes are discarded.", "Delete", true)) {
+            try {
+                const response = await fetch(`api/env/providers/${encodeURIComponent(providersList[index].id)}`, { method: 'DELETE' });
+                // 404: provider only present in the page (never saved)
+                if (!response.ok && response.status !== 404) throw new Error((await response.json()).error || 'Failed to delete provider.');
+            } catch (error) {
+                return showToast(error.message, 'error');
+            }
             providersList.splice(index, 1);
             renderProvidersList();
         }
@@ -793,6 +1826,188 @@ document.addEventListener('DOMContentLoaded', () => {
         } catch (e) { certList.innerHTML = `<li class="cert-item" style="color:var(--color-danger);">Error: ${e.message}</li>`; }
     }
 
+    // --- OPC UA Trust Store ---
+
+    /**
+     * Renders one store (rejected / trusted) of the OPC UA PKI with its actions.
+     * Certificate fields come from remote servers, so they are only inserted as text.
+     */
+    function renderOpcuaCertList(listEl, certs, actions) {
+        listEl.innerHTML = '';
+        if (certs.length === 0) {
+            listEl.innerHTML = '<li class="cert-item" style="justify-content:center; color:#888;">None</li>';
+            return;
+        }
+        certs.forEach(cert => {
+            const li = document.createElement('li');
+            li.className = 'cert-item';
+
+            const label = document.createElement('span');
+            label.textContent = `${cert.subject}${cert.applicationUri ? ` (${cert.applicationUri})` : ''}`;
+            label.title = `Thumbprint: ${cert.thumbprint}\nValid: ${cert.validFrom} → ${cert.validTo}`;
+            if (cert.expired) label.style.color = 'var(--color-danger)';
+
+            const buttons = document.createElement('span');
+            buttons.style.display = 'flex';
+            buttons.style.gap = '5px';
+            actions.forEach(({ text, handler }) => {
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn-copy-cert';
+                btn.textContent = text;
+                btn.onclick = () => handler(cert);
+                buttons.appendChild(btn);
+            });
+
+            li.appendChild(label);
+            li.appendChild(buttons);
+            listEl.appendChild(li);
+        });
+    }
+
+    async function updateOpcuaCertificate(method, url, successMessage) {
+        try {
+            const res = await fetch(url, { method });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Request failed');
+            showToast(successMessage, "success");
+            loadOpcuaCertificates();
+        } catch (e) {
+            showToast(`Certificate error: ${e.message}`, "error");
+        }
+    }
+
+    async function deleteOpcuaCertificate(cert) {
+        if (await confirmModal("Delete Certificate", `Delete the certificate of '${cert.subject}'? The server will be rejected again on its next connection.`, "Delete", true)) {
+            updateOpcuaCertificate('DELETE', `api/env/certs/opcua/${cert.thumbprint}`, "Certificate deleted.");
+        }
+    }
+
+    async function loadOpcuaCertificates() {
+        if (!opcuaRejectedList) return;
+        try {
+            const res = await fetch('api/env/certs/opcua');
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || "Fetch failed.");
+
+            opcuaAppCertInfo.textContent = data.applicationCertificate
+                ? `Application URI: ${data.applicationUri} — expires ${data.applicationCertificate.validTo.substring(0, 10)}`
+                : `Application URI: ${data.applicationUri} — certificate not generated yet`;
+
+            renderOpcuaCertList(opcuaRejectedList, data.rejected, [
+                { text: 'Trust', handler: (cert) => updateOpcuaCertificate('POST', `api/env/certs/opcua/${cert.thumbprint}/trust`, "Certificate trusted. Restart the connector if it has stopped retrying.") },
+                { text: 'Delete', handler: deleteOpcuaCertificate }
+            ]);
+            renderOpcuaCertList(opcuaTrustedList, data.trusted, [
+                { text: 'Revoke', handler: (cert) => updateOpcuaCertificate('POST', `api/env/certs/opcua/${cert.thumbprint}/reject`, "Certificate moved to the rejected list.") },
+                { text: 'Delete', handler: deleteOpcuaCertificate }
+            ]);
+        } catch (e) {
+            opcuaRejectedList.innerHTML = '';
+            const li = document.createElement('li');
+            li.className = 'cert-item';
+            li.style.color = 'var(--color-danger)';
+            li.textContent = `Error: ${e.message}`;
+            opcuaRejectedList.appendChild(li);
+            opcuaTrustedList.innerHTML = '';
+        }
+    }
+
+    document.getElementById('btn-opcua-certs-refresh')?.addEventListener('click', loadOpcuaCertificates);
+
+    // --- Payload Codecs ---
+
+    async function loadPayloadCodecs() {
+        if (!codecSchemaList) return;
+        try {
+            const res = await fetch('api/env/codecs');
+            const data = await res.json();
+            if (!res.ok) throw new Error(data.error || "Fetch failed.");
+
+            codecRulesInput.value = data.rules.length > 0 ? JSON.stringify(data.rules, null, 2) : '';
+            codecAvailableInfo.textContent = `Codecs: ${data.codecs.join(', ')}${data.modules.length > 0 ? ` — custom modules: ${data.modules.join(', ')}` : ''}`;
+
+            codecSchemaList.innerHTML = data.schemas.length === 0 ? '<li class="cert-item" style="justify-content:center; color:#888;">No schemas</li>' : '';
+            data.schemas.forEach(name => {
+                const li = document.createElement('li');
+                li.className = 'cert-item';
+                const label = document.createElement('span');
+                label.textContent = name;
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.className = 'btn-copy-cert';
+                btn.textContent = 'Delete';
+                btn.onclick = () => deleteCodecSchema(name);
+                li.appendChild(label);
+                li.appendChild(btn);
+                codecSchemaList.appendChild(li);
+            });
+        } catch (e) {
+            codecSchemaList.innerHTML = '';
+            const li = document.createElement('li');
+            li.className = 'cert-item';
+            li.style.color = 'var(--color-danger)';
+            li.textContent = `Error: ${e.message}`;
+            codecSchemaList.appendChild(li);
+        }
+    }
+
+    async function deleteCodecSchema(name) {
+        if (!await confirmModal("Delete Schema", `Delete the Protobuf schema '${name}'?`, "Delete", true)) return;
+        try {
+            const res = await fetch(`api/env/codecs/schemas/${encodeURIComponent(name)}`, { method: 'DELETE' });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Request failed');
+            showToast("Schema deleted.", "success");
+            loadPayloadCodecs();
+        } catch (e) {
+            showToast(`Schema error: ${e.message}`, "error");
+        }
+    }
+
+    document.getElementById('btn-codec-rules-save')?.addEventListener('click', async () => {
+        let rules = [];
+        const rulesVal = codecRulesInput.value.trim();
+        if (rulesVal) {
+            try {
+                rules = JSON.parse(rulesVal);
+            } catch (e) {
+                return showToast("Codec rules must be valid JSON.", "error");
+            }
+            if (!Array.isArray(rules)) return showToast("Codec rules must be a JSON array of rules.", "error");
+        }
+        try {
+            const res = await fetch('api/env/codecs', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ rules }) });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Save failed');
+            showToast(result.message, "success");
+            loadPayloadCodecs();
+        } catch (e) {
+            showToast(`Codec error: ${e.message}`, "error");
+        }
+    });
+
+    codecSchemaUploadInput?.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const fd = new FormData();
+        fd.append('schema', file);
+        showToast("Uploading schema...", "info");
+
+        try {
+            const res = await fetch('api/env/codecs/schemas', { method: 'POST', body: fd });
+            const result = await res.json();
+            if (!res.ok) throw new Error(result.error || 'Upload failed');
+            showToast(`Schema uploaded: ${result.messageTypes.length} message type(s).`, "success");
+            loadPayloadCodecs();
+        } catch (e) {
+            showToast(`Upload error: ${e.message}`, "error");
+        } finally {
+            codecSchemaUploadInput.value = '';
+        }
+    });
+
     // Automatically handle file upload for Certificates when the input changes
     certUploadInput.addEventListener('change', async (e) => {
         const file = e.target.files[0];
@@ -816,5 +2031,8 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // --- Init ---
     loadConfig();
+    loadPluginTypes();
     loadCertificates();
+    loadOpcuaCertificates();
+    loadPayloadCodecs();
 });
\ No newline at end of file
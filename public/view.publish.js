@@ -15,6 +15,7 @@
  * [UPDATED] Subscribes to Proxy-based reactive state for auto-filling and theming.
  * [UPDATED] Implemented View Lifecycle Teardown (mount/unmount) to prevent memory leaks.
  * [UPDATED] Fixed Ace Editor remounting bug by clearing DOM on destroy.
+ * [UPDATED] 'Topic Codec' format: JSON input encoded server-side with the payload codec of the topic.
  */
 
 import { state, subscribe, unsubscribe } from './state.js';
@@ -59,6 +60,11 @@ const PAYLOAD_TEMPLATES = {
             { "name": "Motor/Temp", "value": 82.5, "type": "Float" }
         ],
         "seq": 0
+    }, null, 2),
+    codec: JSON.stringify({
+        "machine_id": "M1",
+        "temperature": 21.5,
+        "state": "RUN"
     }, null, 2)
 };
 
@@ -352,7 +358,7 @@ function onFormatChange() {
     const format = publishFormatSelect.value;
     if (!aceEditor) return;
     
-    if (format === 'json' || format === 'sparkplugb') {
+    if (format === 'json' || format === 'sparkplugb' || format === 'codec') {
         aceEditor.session.setMode('ace/mode/json');
     } else {
         aceEditor.session.setMode('ace/mode/text');
@@ -411,7 +417,7 @@ async function onPublishSubmit(event) {
             throw new Error(result.error || `HTTP error! Status: ${response.status}`);
         }
 
-        showToast(`${result.message || 'Message published!'}`, 'success');
+        showToast(`${result.message || 'Message published!'}`, result.queued ? 'warning' : 'success');
         
     } catch (err) {
         console.error("Publish error:", err);
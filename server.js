@@ -27,6 +27,7 @@ const { initServices } = require('./boot/services');
 
 // --- Router Module ---
 const { createRouter } = require('./interfaces/web/router');
+const outboxManager = require('./storage/outboxManager');
 
 // --- Constants & Paths ---
 const DATA_PATH = path.join(__dirname, 'data');
@@ -95,6 +96,8 @@ const state = {
         const info = { status, error, timestamp: Date.now() };
         connectorStatuses.set(sourceId, info);
         if (services.wsManager) services.wsManager.broadcast(JSON.stringify({ type: 'connector-status', sourceId, ...info }));
+        // Deferred: providers may report 'connected' before their connection object reflects it
+        if (status === 'connected') setImmediate(() => outboxManager.drain(sourceId));
     }
 };
 
@@ -168,9 +171,11 @@ let services = {};
             setTimeout(() => process.exit(1), 5000).unref();
             try {
                 const dataManager = require('./storage/dataManager');
+                outboxManager.stop();
                 await dataManager.stop();
                 await new Promise(r => services.wsManager.close(r));
                 await new Promise(r => server.close(r));
+                if (services.opcuaServer) await services.opcuaServer.stop();
                 await services.connectorManager.closeAll(); 
                 await dataManager.close();
                 process.exit(0);
@@ -0,0 +1,68 @@
+/**
+ * @license Apache License, Version 2.0 (the "License")
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * @author Sebastien Lalaurette
+ * @copyright (c) 2025-2026 Sebastien Lalaurette
+ *
+ * Connector State Store
+ *
+ * Persists small runtime states of data providers (polling cursors, offsets...) in the
+ * `app_config` table, under one `CONNECTOR_STATE_<providerId>` key per provider,
+ * so they survive restarts. These keys are internal: they are hidden from the config API.
+ */
+
+const STATE_KEY_PREFIX = 'CONNECTOR_STATE_';
+
+/**
+ * @param {Object} db DuckDB connection (holding the `app_config` table).
+ * @param {import('pino').Logger} logger
+ */
+module.exports = (db, logger) => {
+    const log = logger.child({ component: 'ConnectorStateStore' });
+
+    /**
+     * Loads the persisted state of a provider.
+     * @param {string} providerId
+     * @returns {Promise<Object|null>} The saved state, or null if none.
+     */
+    function load(providerId) {
+        return new Promise((resolve, reject) => {
+            db.all("SELECT value FROM app_config WHERE key = ?", STATE_KEY_PREFIX + providerId, (err, rows) => {
+                if (err) return reject(err);
+                if (!rows || rows.length === 0) return resolve(null);
+                try {
+                    const value = rows[0].value;
+                    resolve(typeof value === 'string' ? JSON.parse(value) : value);
+                } catch (e) {
+                    log.warn({ err: e, providerId }, "Ignoring unreadable connector state.");
+                    resolve(null);
+                }
+            });
+        });
+    }
+
+    /**
+     * Saves (replaces) the state of a provider.
+     * @param {string} providerId
+     * @param {Object} state JSON-serializable state.
+     * @returns {Promise<void>}
+     */
+    function save(providerId, state) {
+        return new Promise((resolve, reject) => {
+            db.run(
+                "INSERT INTO app_config (key, value, updated_at) VALUES (?, ?, current_timestamp) ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at",
+                STATE_KEY_PREFIX + providerId,
+                JSON.stringify(state),
+                (err) => err ? reject(err) : resolve()
+            );
+        });
+    }
+
+    return { load, save };
+};
+
+module.exports.STATE_KEY_PREFIX = STATE_KEY_PREFIX;
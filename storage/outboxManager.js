@@ -0,0 +1,500 @@
+/**
+ * @license Apache License, Version 2.0 (the "License")
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ * @author Sebastien Lalaurette
+ * @copyright (c) 2025-2026 Sebastien Lalaurette
+ *
+ * Outbox Manager (Store-and-Forward)
+ *
+ * Queues outbound publishes (mapper outputs, publish API calls) on disk while their target
+ * connector is offline, and drains them in order once the connector is connected again.
+ * One size-bounded JSONL file per connector under data/outbox/. Delivery is at-least-once:
+ * a message whose publish timed out is kept and re-sent on the next drain.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logError } = require('../core/errorUtils');
+
+// --- Module-level State ---
+let logger = null;
+let config = null;
+let OUTBOX_DIR = null;
+let activeConnections = null; // Map<connectorId, {connected, publish}>
+let drainTimer = null;
+const pendingCounts = new Map(); // connectorId -> number of queued messages
+const stats = new Map(); // connectorId -> { queued, drained, dropped: { overflow, expired, rejected } }
+const oldestQueuedAt = new Map(); // connectorId -> queuedAt of the first queued message
+const drainCursors = new Map(); // connectorId -> { lines, head, generation } of the running drain
+
+/**
+ * @typedef {Object} DrainCursor
+ * @property {string[]} lines Outbox lines read by the drain.
+ * @property {number} head Number of lines at the start of the file already processed (removed on compaction).
+ * @property {number} generation Incremented when the outbox is cleared, so that a publish in flight does not advance the cursor.
+ */
+
+const DRAIN_INTERVAL_MS = 15000;
+const PUBLISH_TIMEOUT_MS = 10000;
+const PUBLISH_TIMEOUT_CODE = 'OUTBOX_PUBLISH_TIMEOUT';
+
+/**
+ * Initializes the Outbox Manager and restores the pending counts of existing outbox files.
+ * @param {Object} appLogger Pino logger.
+ * @param {Object} appConfig Application configuration.
+ * @param {Map<string, Object>} connections Active connector connections (shared with the mapper).
+ */
+function init(appLogger, appConfig, connections) {
+    logger = appLogger.child({ component: 'OutboxManager' });
+    config = appConfig;
+    activeConnections = connections;
+    OUTBOX_DIR = path.join(__dirname, '../data/outbox');
+    pendingCounts.clear();
+    oldestQueuedAt.clear();
+    stats.clear();
+
+    if (!fs.existsSync(OUTBOX_DIR)) {
+        try {
+            fs.mkdirSync(OUTBOX_DIR, { recursive: true });
+            logger.info(`✅ Outbox directory created: ${OUTBOX_DIR}`);
+        } catch (e) {
+            logger.error({ err: e }, `❌ Failed to create outbox directory: ${OUTBOX_DIR}`);
+        }
+    }
+
+    try {
+        fs.readdirSync(OUTBOX_DIR)
+            .filter(file => file.endsWith('.jsonl'))
+            .forEach(file => {
+                const connectorId = decodeURIComponent(file.slice(0, -'.jsonl'.length));
+                const lines = readLines(connectorId);
+                const count = lines.length;
+                if (count > 0) {
+                    pendingCounts.set(connectorId, count);
+                    setOldest(connectorId, lines[0]);
+                    logger.info({ connectorId, count }, `📤 Outbox restored ${count} pending message(s) for '${connectorId}'.`);
+                }
+            });
+    } catch (err) {
+        logger.error({ err }, "Failed to scan outbox directory.");
+    }
+
+    logger.info(`✅ Outbox Manager initialized (enabled: ${isEnabled()}). Target: ${OUTBOX_DIR}`);
+    startDrainJob();
+}
+
+/**
+ * @returns {boolean} True when the outbox is initialized and not disabled by configuration.
+ */
+function isEnabled() {
+    return OUTBOX_DIR !== null && config?.OUTBOX_ENABLED !== false;
+}
+
+function getFilePath(connectorId) {
+    return path.join(OUTBOX_DIR, `${encodeURIComponent(connectorId)}.jsonl`);
+}
+
+function getStats(connectorId) {
+    if (!stats.has(connectorId)) {
+        stats.set(connectorId, { queued: 0, drained: 0, dropped: { overflow: 0, expired: 0, rejected: 0 } });
+    }
+    return stats.get(connectorId);
+}
+
+/**
+ * Reads the raw (non-empty) lines of a connector outbox, oldest first.
+ * @param {string} connectorId
+ * @returns {string[]}
+ */
+function readLines(connectorId) {
+    const filePath = getFilePath(connectorId);
+    if (!fs.existsSync(filePath)) return [];
+    return fs.readFileSync(filePath, 'utf8').split('\n').filter(line => line.trim() !== '');
+}
+
+/**
+ * Parses an outbox line.
+ * @param {string} connectorId
+ * @param {string} line
+ * @returns {Object|null} The envelope, or null for a corrupted line.
+ */
+function parseLine(connectorId, line) {
+    try {
+        return JSON.parse(line);
+    } catch (e) {
+        logger.error({ err: e, connectorId }, "Failed to parse outbox line");
+        return null;
+    }
+}
+
+/**
+ * Caches the queue time of the first queued message (read by every metrics scrape).
+ * @param {string} connectorId
+ * @param {string} [line] First outbox line, none when the outbox is empty.
+ */
+function setOldest(connectorId, line) {
+    const envelope = line ? parseLine(connectorId, line) : null;
+    if (envelope && envelope.queuedAt) oldestQueuedAt.set(connectorId, envelope.queuedAt);
+    else oldestQueuedAt.delete(connectorId);
+}
+
+/**
+ * Rewrites a connector outbox with the given lines (removes the file when empty).
+ * @param {string} connectorId
+ * @param {string[]} lines
+ */
+function writeLines(connectorId, lines) {
+    const filePath = getFilePath(connectorId);
+    if (lines.length === 0) {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        pendingCounts.delete(connectorId);
+    } else {
+        fs.writeFileSync(filePath, lines.join('\n') + '\n', 'utf8');
+        pendingCounts.set(connectorId, lines.length);
+    }
+    setOldest(connectorId, lines[0]);
+}
+
+/**
+ * @param {string} connectorId
+ * @returns {number} Number of queued messages for the connector.
+ */
+function getPendingCount(connectorId) {
+    return pendingCounts.get(connectorId) || 0;
+}
+
+/**
+ * Tells whether a publish to this connector must go through the outbox: the connector is offline,
+ * or older messages are still queued for it (publishing directly would break ordering).
+ * @param {string} connectorId
+ * @param {Object} connection The connector connection ({connected, publish}).
+ * @returns {boolean}
+ */
+function shouldQueue(connectorId, connection) {
+    if (!isEnabled() || !connectorId || !connection) return false;
+    return !connection.connected || getPendingCount(connectorId) > 0;
+}
+
+/**
+ * Finds the connector id of a connection object (e.g. the primary connection of the publish APIs).
+ * @param {Object} connection
+ * @returns {string|null}
+ */
+function resolveConnectorId(connection) {
+    if (!activeConnections || !connection) return null;
+    for (const [id, conn] of activeConnections.entries()) {
+        if (conn === connection) return id;
+    }
+    return null;
+}
+
+/**
+ * Drops the oldest messages of a connector outbox until it fits in OUTBOX_MAX_SIZE_MB.
+ * Skipped while the outbox is draining (the drain commits its progress by position).
+ * @param {string} connectorId
+ */
+function checkAndPrune(connectorId) {
+    const maxMB = config?.OUTBOX_MAX_SIZE_MB || 20;
+    if (maxMB <= 0 || drainCursors.has(connectorId)) return;
+
+    const filePath = getFilePath(connectorId);
+    try {
+        if (!fs.existsSync(filePath)) return;
+        const maxBytes = maxMB * 1024 * 1024;
+        let size = fs.statSync(filePath).size;
+        if (size <= maxBytes) return;
+
+        const lines = readLines(connectorId);
+        let dropCount = 0;
+        while (dropCount < lines.length && size > maxBytes) {
+            size -= Buffer.byteLength(lines[dropCount], 'utf8') + 1;
+            dropCount++;
+        }
+        writeLines(connectorId, lines.slice(dropCount));
+        getStats(connectorId).dropped.overflow += dropCount;
+        logger.warn({ connectorId, dropped: dropCount }, `⚠️ Outbox of '${connectorId}' exceeded ${maxMB} MB. Dropped the ${dropCount} oldest message(s).`);
+    } catch (err) {
+        logError({
+            logger,
+            err,
+            code: 'OUTBOX_PRUNE_ERROR',
+            message: "❌ Failed to prune outbox file.",
+            context: { connectorId }
+        });
+    }
+}
+
+/**
+ * Appends an outbound message to a connector outbox.
+ * @param {string} connectorId Target connector.
+ * @param {string} topic Target topic.
+ * @param {string|Buffer|Uint8Array|Object} payload Payload as it would have been published.
+ * @param {Object} [options] Publish options (qos, retain, properties).
+ * @param {string} [origin] Producer of the message ('mapper', 'publish-api', 'external-api').
+ * @returns {boolean} True if the message was stored.
+ */
+function enqueue(connectorId, topic, payload, options = {}, origin = 'unknown') {
+    if (!isEnabled() || !connectorId) return false;
+
+    const isBinary = Buffer.isBuffer(payload) || ArrayBuffer.isView(payload);
+    const envelope = {
+        id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        topic,
+        payload: isBinary
+            ? Buffer.from(payload.buffer, payload.byteOffset, payload.byteLength).toString('base64')
+            : (typeof payload === 'string' ? payload : JSON.stringify(payload)),
+        payloadEncoding: isBinary ? 'base64' : 'utf8',
+        options: options || {},
+        origin,
+        queuedAt: Date.now()
+    };
+
+    try {
+        fs.appendFileSync(getFilePath(connectorId), JSON.stringify(envelope) + '\n', 'utf8');
+        pendingCounts.set(connectorId, getPendingCount(connectorId) + 1);
+        if (!oldestQueuedAt.has(connectorId)) oldestQueuedAt.set(connectorId, envelope.queuedAt);
+        getStats(connectorId).queued++;
+        logger.debug({ connectorId, topic, origin }, `📥 Queued outbound message for offline connector '${connectorId}'.`);
+    } catch (err) {
+        logError({
+            logger,
+            err,
+            code: 'OUTBOX_WRITE_ERROR',
+            message: "❌ Failed to write to outbox file. Outbound message lost!",
+            context: { connectorId, topic }
+        });
+        return false;
+    }
+
+    checkAndPrune(connectorId);
+    // Connected but behind older queued messages: flush now rather than waiting for the drain job
+    const connection = activeConnections ? activeConnections.get(connectorId) : null;
+    if (connection && connection.connected) drain(connectorId);
+    return true;
+}
+
+/**
+ * Returns the queued messages of a connector, oldest first.
+ * @param {string} connectorId
+ * @param {number} [limit] Maximum number of envelopes to return.
+ * @returns {Array<Object>} Outbox envelopes.
+ */
+function getMessages(connectorId, limit = Infinity) {
+    if (!isEnabled()) return [];
+    try {
+        // Lines already processed by a running drain are only removed when it compacts the file
+        const head = drainCursors.has(connectorId) ? drainCursors.get(connectorId).head : 0;
+        return readLines(connectorId)
+            .slice(head, head + limit)
+            .map(line => parseLine(connectorId, line))
+            .filter(env => env !== null);
+    } catch (err) {
+        logger.error({ err, connectorId }, "Failed to read outbox file.");
+        return [];
+    }
+}
+
+/**
+ * Summarizes every known outbox (pending messages and delivery counters).
+ * @returns {Array<{connectorId: string, pending: number, connected: boolean, oldestQueuedAt: number|null, queued: number, drained: number, dropped: Object}>}
+ */
+function getSummary() {
+    if (!isEnabled()) return [];
+    const ids = new Set([...pendingCounts.keys(), ...stats.keys()]);
+    return [...ids].sort().map(connectorId => {
+        const connection = activeConnections ? activeConnections.get(connectorId) : null;
+        return {
+            connectorId,
+            pending: getPendingCount(connectorId),
+            connected: !!(connection && connection.connected),
+            oldestQueuedAt: getPendingCount(connectorId) > 0 ? (oldestQueuedAt.get(connectorId) || null) : null,
+            ...JSON.parse(JSON.stringify(getStats(connectorId)))
+        };
+    });
+}
+
+/**
+ * Publishes one envelope through a connection, failing after PUBLISH_TIMEOUT_MS.
+ * @returns {Promise<void>}
+ */
+function publishEnvelope(connection, envelope) {
+    const payload = envelope.payloadEncoding === 'base64' ? Buffer.from(envelope.payload, 'base64') : envelope.payload;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            const err = new Error(`Publish to '${envelope.topic}' timed out.`);
+            err.code = PUBLISH_TIMEOUT_CODE;
+            reject(err);
+        }, PUBLISH_TIMEOUT_MS);
+        try {
+            connection.publish(envelope.topic, payload, envelope.options || {}, (err) => {
+                clearTimeout(timer);
+                if (err) reject(err);
+                else resolve();
+            });
+        } catch (err) {
+            clearTimeout(timer);
+            reject(err);
+        }
+    });
+}
+
+/**
+ * Marks the next line of a running drain as processed.
+ * @param {string} connectorId
+ * @param {DrainCursor} cursor
+ */
+function advance(connectorId, cursor) {
+    cursor.head++;
+    pendingCounts.set(connectorId, Math.max(0, getPendingCount(connectorId) - 1));
+    setOldest(connectorId, cursor.lines[cursor.head]);
+}
+
+/**
+ * Sends the queued messages of a connector in order, as long as it stays connected.
+ * Expired messages (OUTBOX_MAX_AGE_MINUTES) and messages rejected by a connected connector are
+ * dropped so they cannot block the queue. The file is read once per pass and compacted once at
+ * the end of the drain (a crash in between re-sends the processed messages: at-least-once).
+ * @param {string} connectorId
+ * @returns {Promise<number>} Number of messages published.
+ */
+async function drain(connectorId) {
+    if (!isEnabled() || !activeConnections || drainCursors.has(connectorId) || getPendingCount(connectorId) === 0) return 0;
+    const connection = activeConnections.get(connectorId);
+    if (!connection || !connection.connected) return 0;
+
+    /** @type {DrainCursor} */
+    const cursor = { lines: [], head: 0, generation: 0 };
+    drainCursors.set(connectorId, cursor);
+    const connectorStats = getStats(connectorId);
+    const maxAgeMs = (config?.OUTBOX_MAX_AGE_MINUTES || 0) * 60000;
+    let published = 0;
+    logger.info({ connectorId, pending: getPendingCount(connectorId) }, `🔄 Draining outbox of '${connectorId}'...`);
+
+    let exhausted = false; // The lines read are current and all processed
+    try {
+        while (connection.connected) {
+            if (cursor.head >= cursor.lines.length) {
+                // End of the lines read: pick up the messages appended while publishing
+                cursor.lines = readLines(connectorId);
+                exhausted = cursor.head >= cursor.lines.length;
+                if (exhausted) break;
+            }
+
+            const envelope = parseLine(connectorId, cursor.lines[cursor.head]);
+            if (!envelope) {
+                advance(connectorId, cursor);
+                continue;
+            }
+            if (maxAgeMs > 0 && Date.now() - envelope.queuedAt > maxAgeMs) {
+                connectorStats.dropped.expired++;
+                advance(connectorId, cursor);
+                continue;
+            }
+            const generation = cursor.generation;
+            try {
+                await publishEnvelope(connection, envelope);
+                connectorStats.drained++;
+                published++;
+            } catch (err) {
+                if (err.code === PUBLISH_TIMEOUT_CODE || !connection.connected) {
+                    // Connection lost (or stalled): keep this message and the rest for the next drain
+                    logger.warn({ connectorId, err: err.message }, `⚠️ Outbox drain of '${connectorId}' interrupted.`);
+                    break;
+                }
+                connectorStats.dropped.rejected++;
+                logger.warn({ connectorId, topic: envelope.topic, err: err.message }, `⚠️ Outbox message rejected by '${connectorId}', dropped.`);
+            }
+            // Cleared while publishing: the cursor already restarts from the emptied file
+            if (cursor.generation === generation) advance(connectorId, cursor);
+        }
+    } catch (err) {
+        logError({
+            logger,
+            err,
+            code: 'OUTBOX_DRAIN_ERROR',
+            message: "❌ Failed to drain outbox.",
+            context: { connectorId }
+        });
+    } finally {
+        try {
+            // Re-read before compacting (unless just done): messages may have been appended since the last pass
+            if (cursor.head > 0) writeLines(connectorId, (exhausted ? cursor.lines : readLines(connectorId)).slice(cursor.head));
+        } catch (err) {
+            logError({
+                logger,
+                err,
+                code: 'OUTBOX_DRAIN_ERROR',
+                message: "❌ Failed to compact outbox after drain.",
+                context: { connectorId }
+            });
+        }
+        drainCursors.delete(connectorId);
+    }
+
+    logger.info({ connectorId, published, pending: getPendingCount(connectorId) }, `✅ Outbox of '${connectorId}': ${published} message(s) delivered, ${getPendingCount(connectorId)} pending.`);
+    checkAndPrune(connectorId);
+    return published;
+}
+
+/**
+ * Periodically drains the outboxes of connected connectors (fallback for missed status events)
+ * and enforces the size limit of outboxes filled during a drain.
+ */
+function startDrainJob() {
+    if (drainTimer) clearInterval(drainTimer);
+    drainTimer = setInterval(() => {
+        for (const connectorId of [...pendingCounts.keys()]) {
+            checkAndPrune(connectorId);
+            drain(connectorId);
+        }
+    }, DRAIN_INTERVAL_MS);
+    if (drainTimer.unref) drainTimer.unref();
+}
+
+/**
+ * Deletes the queued messages of a connector.
+ * @param {string} connectorId
+ * @returns {number} Number of discarded messages.
+ */
+function clear(connectorId) {
+    if (!isEnabled()) return 0;
+    const count = getPendingCount(connectorId);
+    try {
+        writeLines(connectorId, []);
+        // A running drain restarts from the (now empty) file and ignores the result of its publish in flight
+        const cursor = drainCursors.get(connectorId);
+        if (cursor) Object.assign(cursor, { lines: [], head: 0, generation: cursor.generation + 1 });
+        logger.info({ connectorId, count }, `🗑️ Outbox of '${connectorId}' cleared.`);
+    } catch (err) {
+        logger.error({ err, connectorId }, "Failed to clear outbox file.");
+    }
+    return count;
+}
+
+/**
+ * Stops the drain job.
+ */
+function stop() {
+    if (drainTimer) {
+        clearInterval(drainTimer);
+        drainTimer = null;
+    }
+}
+
+module.exports = {
+    init,
+    isEnabled,
+    shouldQueue,
+    resolveConnectorId,
+    enqueue,
+    drain,
+    getPendingCount,
+    getMessages,
+    getSummary,
+    clear,
+    stop
+};
@@ -5,16 +5,29 @@
  */
 
 jest.mock('node-bacnet', () => {
-    const mock = jest.fn().mockImplementation(() => ({
-        readProperty: jest.fn((ip, obj, prop, cb) => {
-            cb(null, { values: [{ value: 25.5 }] });
-        }),
-        writeProperty: jest.fn((ip, obj, prop, val, cb) => {
-            cb(null, true);
-        }),
-        close: jest.fn(),
-        on: jest.fn()
-    }));
+    const mock = jest.fn().mockImplementation(() => {
+        const handlers = {};
+        const client = {
+            handlers,
+            readProperty: jest.fn((ip, obj, prop, options, cb) => {
+                (cb || options)(null, { values: [{ value: 25.5 }] });
+            }),
+            writeProperty: jest.fn((ip, obj, prop, val, cb) => {
+                cb(null, true);
+            }),
+            // Devices without COV support reject the subscription by default
+            subscribeCov: jest.fn((ip, obj, subscribeId, cancel, confirmed, lifetime, options, cb) => {
+                cb(new Error('BacnetError - Class:5 - Code:9'));
+            }),
+            whoIs: jest.fn(),
+            simpleAckResponse: jest.fn(),
+            close: jest.fn(),
+            on: jest.fn((event, handler) => { handlers[event] = handler; }),
+            removeListener: jest.fn((event) => { delete handlers[event]; })
+        };
+        mock.lastClient = client;
+        return client;
+    });
     
     mock.enum = {
         ApplicationTags: {
@@ -26,8 +39,13 @@ jest.mock('node-bacnet', () => {
     return mock;
 });
 
+jest.mock('../core/semantic/semanticManager', () => ({
+    registerExternalElements: jest.fn()
+}));
+
 const BacnetProvider = require('../connectors/bacnet/index');
 const bacnet = require('node-bacnet');
+const semanticManager = require('../core/semantic/semanticManager');
 
 const createMockLogger = () => ({
     info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
@@ -83,4 +101,90 @@ describe('BacnetProvider', () => {
             'test_bacnet', 'bms/room1/temp', expect.objectContaining({ value: 25.5 }), expect.anything()
         );
     });
+
+    test('should use COV notifications instead of polling when the device accepts the subscription', async () => {
+        provider = new BacnetProvider({ ...providerConfig, covLifetime: 120 }, mockContext);
+        await provider.connect();
+        const client = bacnet.lastClient;
+        client.subscribeCov.mockImplementation((ip, obj, subscribeId, cancel, confirmed, lifetime, options, cb) => cb());
+        provider.subscribeCovAll();
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(client.subscribeCov).toHaveBeenLastCalledWith('192.168.1.50', { type: 0, instance: 1 }, 1, false, false, 120, {}, expect.any(Function));
+        expect(provider.mappings[0].cov).toBe(true);
+
+        client.handlers.covNotifyUnconfirmed({
+            header: { sender: { address: '192.168.1.50' } },
+            payload: {
+                subscriberProcessId: 1,
+                initiatingDeviceId: 1234,
+                monitoredObjectId: { type: 0, instance: 1 },
+                timeRemaining: 110,
+                values: [
+                    { property: { id: 85 }, value: [{ type: 4, value: 21.75 }] },
+                    { property: { id: 111 }, value: [{ type: 8, value: { value: [0], bitsUsed: 4 } }] }
+                ]
+            }
+        });
+        expect(mockContext.handleMessage).toHaveBeenCalledWith(
+            'test_bacnet', 'bms/room1/temp', expect.objectContaining({ value: 21.75, statusFlags: { value: [0], bitsUsed: 4 } }), expect.anything()
+        );
+
+        // Subscribed points are not polled
+        client.readProperty.mockClear();
+        await new Promise(resolve => setTimeout(resolve, 250));
+        expect(client.readProperty).not.toHaveBeenCalled();
+    });
+
+    test('should discover devices, build point mappings and register Brick typed I3X instances', async () => {
+        provider = new BacnetProvider({ id: 'bms', type: 'bacnet', subscribe: [] }, mockContext);
+        await provider.connect();
+        const client = bacnet.lastClient;
+
+        client.whoIs.mockImplementation(() => {
+            client.handlers.iAm({ header: { sender: { address: '10.0.0.7' } }, payload: { deviceId: 1234, vendorId: 5 } });
+        });
+        const names = { '8:1234': 'AHU-1', '0:1': 'Supply Air Temp', '2:3': 'Zone Setpoint', '17:1': 'Occupancy Schedule' };
+        client.readProperty.mockImplementation((ip, obj, prop, options, cb) => {
+            if (prop === 76) {
+                return cb(null, { values: [8, 0, 2, 17].map((type, i) => ({ type: 12, value: { type, instance: [1234, 1, 3, 1][i] } })) });
+            }
+            if (prop === 77) return cb(null, { values: [{ type: 7, value: names[`${obj.type}:${obj.instance}`] }] });
+            if (prop === 121) return cb(null, { values: [{ type: 7, value: 'Acme Controls' }] });
+            cb(new Error('BacnetError - Class:2 - Code:32'));
+        });
+
+        const devices = await provider.discover({ timeoutMs: 10 });
+
+        expect(devices).toHaveLength(1);
+        expect(devices[0]).toMatchObject({ deviceId: 1234, address: '10.0.0.7', name: 'AHU-1', vendorName: 'Acme Controls' });
+        expect(devices[0].objects).toEqual([
+            { objectId: { type: 0, instance: 1 }, name: 'Supply Air Temp', brickClass: 'Temperature_Sensor', topic: 'bacnet/bms/AHU-1/Supply_Air_Temp' },
+            { objectId: { type: 2, instance: 3 }, name: 'Zone Setpoint', brickClass: 'Setpoint', topic: 'bacnet/bms/AHU-1/Zone_Setpoint' },
+            { objectId: { type: 17, instance: 1 }, name: 'Occupancy Schedule', brickClass: null, topic: 'bacnet/bms/AHU-1/Occupancy_Schedule' }
+        ]);
+
+        const [providerId, elements, definitions] = semanticManager.registerExternalElements.mock.calls[0];
+        expect(providerId).toBe('bms');
+        expect(elements.map(e => [e.elementId, e.typeId, e.parentId])).toEqual([
+            ['bacnet_bms_1234', 'Controller', undefined],
+            ['bacnet_bms_1234_AI1', 'Temperature_Sensor', 'bacnet_bms_1234'],
+            ['bacnet_bms_1234_AV3', 'Setpoint', 'bacnet_bms_1234']
+        ]);
+        expect(elements[1].topic_mapping).toBe('bacnet/bms/AHU-1/Supply_Air_Temp');
+        expect(definitions.objectTypes.map(t => t.elementId)).toEqual(['Controller', 'Temperature_Sensor', 'Setpoint']);
+        expect(client.removeListener).toHaveBeenCalledWith('iAm', expect.any(Function));
+    });
+
+    test('should read picked points from their own device address', async () => {
+        provider = new BacnetProvider({
+            id: 'bms', type: 'bacnet', pollingInterval: 100,
+            subscribe: [{ address: '10.0.0.7', objectType: 2, instance: 3, topic: 'bms/ahu1/setpoint' }]
+        }, mockContext);
+        await provider.connect();
+
+        expect(provider.mappings[0]).toMatchObject({ address: '10.0.0.7', objectId: { type: 2, instance: 3 }, propertyId: 85 });
+        await new Promise(resolve => setTimeout(resolve, 250));
+        expect(bacnet.lastClient.readProperty).toHaveBeenCalledWith('10.0.0.7', { type: 2, instance: 3 }, 85, expect.any(Function));
+    });
 });
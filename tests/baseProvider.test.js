@@ -0,0 +1,91 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the shared BaseProvider behaviour (report-by-exception deadband).
+ */
+
+jest.mock('../core/metricsManager', () => ({
+    incrementSuppressed: jest.fn()
+}));
+
+const BaseProvider = require('../connectors/baseProvider');
+const metricsManager = require('../core/metricsManager');
+
+describe('BaseProvider report by exception', () => {
+    let context;
+
+    const createProvider = (deadband) => new BaseProvider({ id: 'plc_1', type: 'modbus', deadband }, context);
+    const reportedValues = () => context.handleMessage.mock.calls.map(call => call[2].value);
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        context = {
+            logger: { child: jest.fn().mockReturnThis(), warn: jest.fn() },
+            handleMessage: jest.fn()
+        };
+    });
+
+    test('should forward every message when no deadband is configured', () => {
+        const provider = createProvider(undefined);
+        provider.handleIncomingMessage('plc/temp', { value: 20, timestamp: 't1' });
+        provider.handleIncomingMessage('plc/temp', { value: 20, timestamp: 't2' });
+
+        expect(context.handleMessage).toHaveBeenCalledTimes(2);
+        expect(metricsManager.incrementSuppressed).not.toHaveBeenCalled();
+    });
+
+    test('should drop identical payloads, ignoring the timestamp', () => {
+        const provider = createProvider(true);
+        provider.handleIncomingMessage('plc/temp', { value: 20, timestamp: 't1' });
+        provider.handleIncomingMessage('plc/temp', { value: 20, timestamp: 't2' });
+        provider.handleIncomingMessage('plc/state', 'RUN');
+        provider.handleIncomingMessage('plc/state', 'RUN');
+        provider.handleIncomingMessage('plc/temp', { value: 20, timestamp: 't3', quality: 'Bad' });
+        provider.handleIncomingMessage('plc/temp', { value: 20.01, timestamp: 't4', quality: 'Bad' });
+
+        expect(context.handleMessage).toHaveBeenCalledTimes(4);
+        expect(context.handleMessage).toHaveBeenCalledWith('plc_1', 'plc/temp', { value: 20, timestamp: 't1' }, { connectorType: 'modbus' });
+        expect(provider.suppressedCount).toBe(2);
+        expect(metricsManager.incrementSuppressed).toHaveBeenCalledWith('plc_1');
+    });
+
+    test('should forward backfilled history without touching the deadband state', () => {
+        const provider = createProvider(true);
+        provider.handleIncomingMessage('plc/temp', { value: 20 });
+        provider.handleIncomingMessage('plc/temp', { value: 20 }, { isBackfill: true });
+        provider.handleIncomingMessage('plc/temp', { value: 19 }, { isBackfill: true });
+        provider.handleIncomingMessage('plc/temp', { value: 20 });
+
+        expect(reportedValues()).toEqual([20, 20, 19]);
+        expect(provider.suppressedCount).toBe(1);
+    });
+
+    test('should apply the absolute and percent deadbands against the last reported value', () => {
+        const provider = createProvider({ absolute: 0.5, percent: 10 });
+        [100, 100.4, 100.8, 109, 111, 111.3].forEach(value => provider.handleIncomingMessage('plc/temp', { value }));
+
+        // 100.8 is beyond 0.5 but within 10 %, 111 is beyond both bands
+        expect(reportedValues()).toEqual([100, 111]);
+    });
+
+    test('should use per-topic overrides', () => {
+        const provider = createProvider({ absolute: 5, topics: { 'plc/pressure/+': { absolute: 0.1 } } });
+        [1, 1.5].forEach(value => provider.handleIncomingMessage('plc/temp', { value }));
+        [1, 1.5].forEach(value => provider.handleIncomingMessage('plc/pressure/inlet', { value }));
+
+        expect(reportedValues()).toEqual([1, 1, 1.5]);
+    });
+
+    test('should report unchanged values after the max silence', () => {
+        jest.useFakeTimers();
+        const provider = createProvider({ maxSilence: 60 });
+        provider.handleIncomingMessage('plc/temp', 42);
+        jest.advanceTimersByTime(30000);
+        provider.handleIncomingMessage('plc/temp', 42);
+        jest.advanceTimersByTime(30000);
+        provider.handleIncomingMessage('plc/temp', 42);
+        jest.useRealTimers();
+
+        expect(context.handleMessage).toHaveBeenCalledTimes(2);
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Runs the connector SDK conformance suite against built-in providers backed by in-process mock servers,
+ * the same way a `korelate-plugin-<type>` package runs it against its own implementation.
+ */
+
+const ModbusRTU = require('modbus-serial');
+const { BaseProvider, runConformanceTests } = require('../connectors/sdk');
+const ModbusProvider = require('../connectors/modbus/index');
+
+// --- Modbus TCP provider against a modbus-serial slave ---
+const MODBUS_PORT = 15020 + Math.floor(Math.random() * 1000);
+const holdingWrites = [];
+let modbusServer;
+
+runConformanceTests({
+    Provider: ModbusProvider,
+    config: {
+        id: 'conformance_modbus',
+        type: 'modbus',
+        host: '127.0.0.1',
+        port: MODBUS_PORT,
+        pollingInterval: 50,
+        subscribe: ['40001:uint16::plant/line1/speed'],
+        publish: ['plant/#']
+    },
+    setup: () => new Promise((resolve) => {
+        modbusServer = new ModbusRTU.ServerTCP({
+            getHoldingRegister: (addr) => 1200 + addr,
+            setRegister: (addr, value) => { holdingWrites.push({ addr, value }); }
+        }, { host: '127.0.0.1', port: MODBUS_PORT, unitID: 1 });
+        modbusServer.on('initialized', resolve);
+    }),
+    teardown: () => new Promise(resolve => modbusServer.close(resolve)),
+    write: {
+        topic: 'plant/line1/speed',
+        payload: JSON.stringify({ value: 1500 }),
+        verify: async () => expect(holdingWrites).toContainEqual({ addr: 1, value: 1500 })
+    }
+});
+
+// --- Event-driven plugin declaring a config schema ---
+class EchoProvider extends BaseProvider {
+    static configSchema = {
+        properties: {
+            topicPrefix: { type: 'string', title: 'Topic Prefix', default: 'echo' },
+            delay: { type: 'integer', title: 'Echo Delay (ms)', minimum: 0, default: 10 }
+        },
+        required: ['topicPrefix']
+    };
+
+    async connect() {
+        this.updateStatus('connecting');
+        this.connected = true;
+        this.updateStatus('connected');
+        return true;
+    }
+
+    async disconnect() {
+        clearTimeout(this.timer);
+        this.connected = false;
+        this.updateStatus('disconnected');
+    }
+
+    publish(topic, payload, options, callback) {
+        // Echoes writes back into the UNS, like a device confirming a setpoint
+        this.timer = setTimeout(() => {
+            this.handleIncomingMessage(`${this.config.topicPrefix}/${topic}`, payload);
+            if (callback) callback(null);
+        }, this.config.delay);
+    }
+}
+
+runConformanceTests({
+    name: 'echo plugin',
+    Provider: EchoProvider,
+    config: { id: 'conformance_echo', type: 'echo', topicPrefix: 'lab', delay: 5 },
+    trigger: (provider) => provider.write('setpoint', { value: 1 }),
+    write: { topic: 'setpoint', payload: { value: 2 } }
+});
@@ -9,9 +9,14 @@ jest.mock('../core/messageDispatcher', () => ({
     init: jest.fn().mockReturnValue(jest.fn())
 }));
 
+jest.mock('../storage/outboxManager', () => ({
+    clear: jest.fn().mockReturnValue(0)
+}));
+
 const path = require('path');
 const connectorManager = require('../connectors/connectorManager');
 const BaseProvider = require('../connectors/baseProvider');
+const outboxManager = require('../storage/outboxManager');
 
 // Mock Dependencies
 const mockLogger = {
@@ -113,3 +118,105 @@ describe('ConnectorManager Plugin Loading', () => {
         expect(mockLogger.error).toHaveBeenCalledWith(expect.stringContaining("Missing 'id'"));
     });
 });
+
+describe('ConnectorManager Runtime Lifecycle', () => {
+    const instances = [];
+
+    class MockLifecyclePlugin extends BaseProvider {
+        constructor(config, context) {
+            super(config, context);
+            this.published = [];
+            instances.push(this);
+        }
+        async connect() { this.connected = true; return true; }
+        async disconnect() { this.connected = false; this.disconnected = true; }
+        publish(topic) { this.published.push(topic); }
+    }
+
+    jest.mock('korelate-plugin-lifecycle', () => MockLifecyclePlugin, { virtual: true });
+
+    let context;
+
+    beforeEach(() => {
+        instances.length = 0;
+        jest.clearAllMocks();
+        connectorManager.providers.clear();
+        connectorManager.loadedConfigs.clear();
+        connectorManager.reloadDelay = 0;
+        context = {
+            ...mockContext,
+            config: {
+                DATA_PROVIDERS: [
+                    { id: 'line_1', type: 'lifecycle', host: 'a' },
+                    { id: 'line_2', type: 'lifecycle', host: 'b' }
+                ]
+            },
+            activeConnections: new Map(),
+            connectorStatuses: new Map(),
+            updateConnectorStatus: jest.fn(),
+            wsManager: { broadcast: jest.fn() }
+        };
+        connectorManager.init(context);
+    });
+
+    test('should reconfigure one provider without touching the others', async () => {
+        const connection = context.activeConnections.get('line_1');
+        const [first, second] = instances;
+
+        await connectorManager.reloadProvider({ id: 'line_1', type: 'lifecycle', host: 'c' });
+
+        expect(first.disconnected).toBe(true);
+        expect(second.disconnected).toBeUndefined();
+        const replacement = connectorManager.providers.get('line_1');
+        expect(replacement.config.host).toBe('c');
+        // The connection object is kept and now routes to the new instance
+        expect(context.activeConnections.get('line_1')).toBe(connection);
+        connection.publish('cmd/start', 'on');
+        expect(replacement.published).toEqual(['cmd/start']);
+    });
+
+    test('should only restart changed, added and removed providers on refresh', async () => {
+        const [first, second] = instances;
+        context.config.DATA_PROVIDERS = [
+            { id: 'line_1', type: 'lifecycle', host: 'a' },
+            { id: 'line_3', type: 'lifecycle', host: 'c' }
+        ];
+
+        await connectorManager.refreshProviders();
+
+        expect(first.disconnected).toBeUndefined();
+        expect(connectorManager.providers.get('line_1')).toBe(first);
+        expect(second.disconnected).toBe(true);
+        expect(context.activeConnections.has('line_2')).toBe(false);
+        expect(outboxManager.clear).toHaveBeenCalledWith('line_2');
+        expect(context.wsManager.broadcast).toHaveBeenCalledWith(expect.stringContaining('"status":"removed"'));
+        expect(connectorManager.providers.has('line_3')).toBe(true);
+    });
+
+    test('should keep a stopped provider registered offline and start it again', async () => {
+        await connectorManager.stopProvider('line_2');
+
+        const connection = context.activeConnections.get('line_2');
+        expect(connection.connected).toBe(false);
+        expect(connectorManager.getRuntimeState('line_2').running).toBe(false);
+        expect(context.updateConnectorStatus).toHaveBeenCalledWith('line_2', 'stopped', null);
+        const callback = jest.fn();
+        connection.publish('cmd/stop', 'off', {}, callback);
+        expect(callback).toHaveBeenCalledWith(expect.any(Error));
+
+        connectorManager.startProvider({ id: 'line_2', type: 'lifecycle', host: 'b' });
+        await Promise.resolve();
+        expect(connection.connected).toBe(true);
+        expect(() => connectorManager.startProvider({ id: 'line_2', type: 'lifecycle' })).toThrow(/already running/);
+    });
+
+    test('should not start disabled providers at boot', () => {
+        instances.length = 0;
+        connectorManager.providers.clear();
+        connectorManager.init({ ...context, config: { DATA_PROVIDERS: [{ id: 'spare', type: 'lifecycle', enabled: false }] } });
+
+        expect(instances).toHaveLength(0);
+        expect(context.activeConnections.has('spare')).toBe(true);
+        expect(context.updateConnectorStatus).toHaveBeenCalledWith('spare', 'stopped', null);
+    });
+});
@@ -0,0 +1,103 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the connector plugin SDK (config schemas, default hooks, plugin introspection).
+ */
+
+jest.mock('../core/messageDispatcher', () => ({
+    init: jest.fn().mockReturnValue(jest.fn())
+}));
+
+const { BaseProvider, validateConfigSchema, validateConfig, applyConfigDefaults } = require('../connectors/sdk');
+const { checkMessageShape, createMockContext } = require('../connectors/sdk/conformance');
+const connectorManager = require('../connectors/connectorManager');
+
+const SCHEMA = {
+    properties: {
+        host: { type: 'string', title: 'Host' },
+        port: { type: 'integer', minimum: 1, maximum: 65535, default: 9000 },
+        mode: { type: 'string', enum: ['fast', 'safe'], default: 'safe' },
+        token: { type: 'string', secret: true }
+    },
+    required: ['host']
+};
+
+class SchemaPlugin extends BaseProvider {
+    static configSchema = SCHEMA;
+    async connect() { this.connected = true; }
+    async disconnect() { this.connected = false; }
+    async browse(nodeId) { return [{ id: `${nodeId || 'root'}/1`, name: 'Child' }]; }
+}
+jest.mock('korelate-plugin-sdk-fixture', () => SchemaPlugin, { virtual: true });
+
+describe('Connector SDK', () => {
+    test('should validate config schema declarations', () => {
+        expect(validateConfigSchema(SCHEMA)).toEqual([]);
+        expect(validateConfigSchema({ properties: { id: { type: 'string' }, rate: { type: 'float' } }, required: ['missing'] })).toEqual([
+            "'id' is reserved by Korelate and cannot be declared.",
+            "'rate' must have a type among string, number, integer, boolean, array, object.",
+            "Required property 'missing' is not declared."
+        ]);
+        expect(validateConfigSchema(null)).toEqual(['configSchema must be an object.']);
+    });
+
+    test('should check provider configurations and fill defaults', () => {
+        expect(validateConfig(SCHEMA, { host: 'plc', port: 502 })).toEqual([]);
+        expect(validateConfig(SCHEMA, { port: 70000, mode: 'turbo' })).toEqual([
+            "'host' is required.",
+            "'port' must be <= 65535.",
+            "'mode' must be one of fast, safe."
+        ]);
+        expect(applyConfigDefaults(SCHEMA, { host: 'plc', mode: 'fast' })).toEqual({ host: 'plc', port: 9000, mode: 'fast' });
+    });
+
+    test('should flag messages breaking the UNS contract', () => {
+        const config = { id: 'p1', type: 'demo' };
+        expect(checkMessageShape({ sourceId: 'p1', topic: 'a/b', payload: { value: 1 }, options: { connectorType: 'demo' } }, config)).toEqual([]);
+        expect(checkMessageShape({ sourceId: 'p2', topic: 'a/#', payload: undefined, options: {} }, config)).toHaveLength(4);
+    });
+
+    test('should provide default health, browse and write hooks', async () => {
+        const context = createMockContext();
+        const provider = new BaseProvider({ id: 'p1', type: 'demo' }, context);
+        provider.publish = jest.fn((topic, payload, options, callback) => callback(topic === 'bad' ? new Error('refused') : null));
+
+        await expect(provider.health()).resolves.toEqual({ status: 'down', connected: false });
+        await expect(provider.browse()).rejects.toMatchObject({ code: 'NOT_SUPPORTED' });
+        await expect(provider.write('ok', '1')).resolves.toBeUndefined();
+        await expect(provider.write('bad', '1')).rejects.toThrow('refused');
+    });
+
+    describe('plugin introspection', () => {
+        const context = { ...createMockContext(), config: { DATA_PROVIDERS: [] } };
+
+        beforeEach(() => {
+            connectorManager.providers.clear();
+            connectorManager.init(context);
+            context.statuses.length = 0;
+        });
+
+        test('should describe a plugin type with its schema and hooks', () => {
+            expect(connectorManager.describeType('sdk-fixture')).toEqual({
+                type: 'sdk-fixture',
+                builtin: false,
+                configSchema: SCHEMA,
+                schemaErrors: [],
+                capabilities: { browse: true, write: true, health: false }
+            });
+            expect(connectorManager.describeType('modbus')).toMatchObject({ builtin: true, configSchema: null });
+            expect(connectorManager.describeType('unknown-type')).toBeNull();
+        });
+
+        test('should refuse to start a plugin with an invalid configuration', () => {
+            expect(connectorManager.validateProviderConfig({ id: 'x', type: 'sdk-fixture', port: 0 })).toEqual(["'host' is required.", "'port' must be >= 1."]);
+            expect(connectorManager.loadProvider({ id: 'x', type: 'sdk-fixture' })).toBeNull();
+            expect(context.statuses).toContainEqual({ sourceId: 'x', status: 'error', error: "'host' is required." });
+        });
+
+        test('should start a plugin with the schema defaults applied', () => {
+            const provider = connectorManager.loadProvider({ id: 'y', type: 'sdk-fixture', host: 'plc' });
+            expect(provider.config).toMatchObject({ host: 'plc', port: 9000, mode: 'safe' });
+        });
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the Connector State Store.
+ * Verifies that provider states are persisted in app_config under their own keys.
+ */
+const createStateStore = require('../storage/connectorStateStore');
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+describe('ConnectorStateStore', () => {
+    let rows;
+    let db;
+
+    beforeEach(() => {
+        rows = new Map();
+        db = {
+            all: jest.fn((sql, key, cb) => cb(null, rows.has(key) ? [{ value: rows.get(key) }] : [])),
+            run: jest.fn((sql, key, value, cb) => { rows.set(key, value); cb(null); })
+        };
+    });
+
+    test('should save and load a provider state under a prefixed app_config key', async () => {
+        const store = createStateStore(db, createMockLogger());
+
+        await store.save('sql_1', { cursor: 42 });
+
+        expect(db.run).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO app_config'), 'CONNECTOR_STATE_sql_1', '{"cursor":42}', expect.any(Function));
+        expect(await store.load('sql_1')).toEqual({ cursor: 42 });
+        expect(await store.load('unknown')).toBeNull();
+    });
+
+    test('should ignore unreadable states and propagate database errors', async () => {
+        const store = createStateStore(db, createMockLogger());
+        rows.set('CONNECTOR_STATE_broken', '{not json');
+        expect(await store.load('broken')).toBeNull();
+
+        db.all.mockImplementationOnce((sql, key, cb) => cb(new Error('db closed')));
+        await expect(store.load('sql_1')).rejects.toThrow('db closed');
+    });
+});
@@ -2,7 +2,8 @@
  * @license Apache License, Version 2.0
  * @author Sebastien Lalaurette
  * * Unit tests for the File Provider (CSV/JSONL streaming).
- * Verifies file parsing, dynamic topic routing, stream looping (recovery logic), and error handling.
+ * Verifies file parsing, dynamic topic routing, stream looping (recovery logic), and error handling,
+ * as well as timestamp replay, folder tailing (offsets, rotation) and ingest-and-archive.
  */
 
 const fs = require('fs');
@@ -136,4 +137,111 @@ uns/line2/temp,19.8,1.1,idle`;
         );
         expect(provider.logger.info).toHaveBeenCalledWith(expect.stringContaining('routing publish back to stream'));
     });
-});
\ No newline at end of file
+
+    test('should replay lines with their original timing and source timestamp', async () => {
+        const replayPath = path.join(os.tmpdir(), `test_replay_${Date.now()}.jsonl`);
+        fs.writeFileSync(replayPath, [
+            '{"ts":"2024-05-01T10:00:00.000Z","v":1}',
+            '{"ts":"2024-05-01T10:00:02.000Z","v":2}',
+            '{"ts":1714557604,"v":3}'
+        ].join('\n'));
+        const provider = new FileProvider({ ...providerConfig, filePath: replayPath, mode: 'replay', timestampColumn: 'ts', speed: 10 }, mockContext);
+        providers.push(provider);
+        await provider.connect();
+
+        // 2 s at x10 = 200 ms between the first two lines
+        await new Promise(resolve => setTimeout(resolve, 100));
+        expect(mockContext.handleMessage).toHaveBeenCalledTimes(1);
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('test_csv_stream', 'fallback/topic', expect.objectContaining({ v: 1 }),
+            { timestamp: '2024-05-01T10:00:00.000Z', connectorType: 'file' });
+
+        await new Promise(resolve => setTimeout(resolve, 500));
+        expect(mockContext.handleMessage).toHaveBeenCalledTimes(3);
+        expect(mockContext.handleMessage.mock.calls[2][3]).toEqual({ timestamp: '2024-05-01T10:00:04.000Z', connectorType: 'file' });
+        // Replay does not loop by default
+        expect(provider.connected).toBe(false);
+        fs.unlinkSync(replayPath);
+    });
+
+    describe('folder modes', () => {
+        let watchDir;
+        let savedState;
+
+        const createWatchingProvider = async (extra) => {
+            const provider = new FileProvider({ id: 'test_watch', type: 'file', defaultTopic: 'logs', pollIntervalMs: 60000, ...extra }, mockContext);
+            providers.push(provider);
+            expect(await provider.connect()).toBe(true);
+            await provider.watcher.scan();
+            return provider;
+        };
+
+        beforeEach(() => {
+            watchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'korelate-watch-'));
+            savedState = null;
+            mockContext.stateStore = {
+                load: jest.fn(async () => savedState),
+                save: jest.fn(async (id, state) => { savedState = JSON.parse(JSON.stringify(state)); })
+            };
+        });
+
+        afterEach(async () => {
+            for (const provider of providers) await provider.disconnect();
+            providers = [];
+            fs.rmSync(watchDir, { recursive: true, force: true });
+        });
+
+        test('should tail appended lines, resume from saved offsets and follow rotations', async () => {
+            const logPath = path.join(watchDir, 'app.log');
+            fs.writeFileSync(logPath, '{"v":"history"}\n');
+            fs.writeFileSync(path.join(watchDir, 'other.txt'), '{"v":"ignored"}\n');
+
+            let provider = await createWatchingProvider({ mode: 'tail', watchPath: path.join(watchDir, 'app.log*') });
+            // Existing content is history on the very first start
+            expect(mockContext.handleMessage).not.toHaveBeenCalled();
+
+            fs.appendFileSync(logPath, '{"v":1}\n{"v":2}\n{"v":');
+            await provider.watcher.scan();
+            fs.appendFileSync(logPath, '3}\n');
+            await provider.watcher.scan();
+            expect(mockContext.handleMessage.mock.calls.map(c => c[2].v)).toEqual([1, 2, 3]);
+
+            // Restart: offsets come from the state store
+            await provider.disconnect();
+            fs.appendFileSync(logPath, '{"v":4}\n');
+            provider = await createWatchingProvider({ mode: 'tail', watchPath: path.join(watchDir, 'app.log*') });
+            expect(mockContext.handleMessage.mock.calls.map(c => c[2].v)).toEqual([1, 2, 3, 4]);
+
+            // Rotation: the renamed file is finished, the new one is read from its start
+            fs.appendFileSync(logPath, '{"v":5}\n');
+            fs.renameSync(logPath, path.join(watchDir, 'app.log.1'));
+            fs.writeFileSync(logPath, '{"v":6}\n');
+            await provider.watcher.scan();
+            expect(mockContext.handleMessage.mock.calls.map(c => c[2].v)).toEqual([1, 2, 3, 4, 5, 6]);
+        });
+
+        test('should ingest dropped CSV files once and archive them', async () => {
+            const provider = await createWatchingProvider({ mode: 'ingest', watchPath: path.join(watchDir, '*.csv'), timestampColumn: 'time' });
+            fs.writeFileSync(path.join(watchDir, 'batch1.csv'), 'topic,time,value\nplant/a,2024-05-01T10:00:00Z,1\nplant/b,2024-05-01T10:00:01Z,2\n');
+
+            // First scan only notices the file (it may still be written)
+            await provider.watcher.scan();
+            expect(mockContext.handleMessage).not.toHaveBeenCalled();
+            await provider.watcher.scan();
+
+            expect(mockContext.handleMessage).toHaveBeenCalledTimes(2);
+            expect(mockContext.handleMessage).toHaveBeenCalledWith('test_watch', 'plant/a', { time: '2024-05-01T10:00:00Z', value: 1 },
+                { timestamp: '2024-05-01T10:00:00.000Z', connectorType: 'file' });
+            expect(fs.existsSync(path.join(watchDir, 'batch1.csv'))).toBe(false);
+            expect(fs.readdirSync(path.join(watchDir, 'archive'))[0]).toMatch(/_batch1\.csv$/);
+
+            await provider.watcher.scan();
+            expect(mockContext.handleMessage).toHaveBeenCalledTimes(2);
+        });
+
+        test('should report a missing watch folder', async () => {
+            const provider = new FileProvider({ id: 'test_watch', type: 'file', mode: 'tail', watchPath: '/path/does/not/exist/*.log' }, mockContext);
+            expect(await provider.connect()).toBe(false);
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_watch', 'error', 'Watch folder not found');
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the Kafka record decoders and schema registry.
+ * Verifies the Confluent wire format, registry lookups, local schema files and key/header mapping.
+ */
+const fs = require('fs');
+const path = require('path');
+const protobuf = require('protobufjs');
+
+jest.mock('axios', () => ({ get: jest.fn() }));
+
+jest.mock('avsc', () => ({
+    Type: {
+        forSchema: jest.fn((schema) => ({
+            fromBuffer: (buffer) => ({ schema: schema.name, raw: buffer.toString() })
+        }))
+    }
+}), { virtual: true });
+
+const axios = require('axios');
+const { SchemaRegistry } = require('../connectors/kafka/schemaRegistry');
+const { createDecoder, parseConfluentFrame, readMessageIndexes, registerDecoder } = require('../connectors/kafka/decoders');
+const KafkaProvider = require('../connectors/kafka/index');
+
+const SCHEMA_DIR = path.join(__dirname, '../data/test-kafka-schemas');
+
+const PROTO = `
+syntax = "proto3";
+package plant;
+import "google/protobuf/timestamp.proto";
+message Header { string site = 1; }
+message Measurement {
+    string tag = 1;
+    double value = 2;
+    int64 counter = 3;
+    google.protobuf.Timestamp ts = 4;
+}
+`;
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+const frame = (schemaId, ...parts) => {
+    const header = Buffer.alloc(5);
+    header.writeUInt32BE(schemaId, 1);
+    return Buffer.concat([header, ...parts.map(p => Buffer.from(p))]);
+};
+
+const encodeMeasurement = (obj) => {
+    const root = new protobuf.Root();
+    root.addJSON(protobuf.common.get('google/protobuf/timestamp.proto').nested);
+    const Measurement = protobuf.parse(PROTO, root).root.lookupType('plant.Measurement');
+    return Measurement.encode(Measurement.fromObject(obj)).finish();
+};
+
+describe('Kafka decoders', () => {
+    let logger;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        logger = createMockLogger();
+        fs.mkdirSync(SCHEMA_DIR, { recursive: true });
+    });
+
+    afterAll(() => {
+        fs.rmSync(SCHEMA_DIR, { recursive: true, force: true });
+    });
+
+    test('should parse the Confluent frame and Protobuf message indexes', () => {
+        expect(parseConfluentFrame(Buffer.from('{"a":1}'))).toBeNull();
+        expect(parseConfluentFrame(frame(42, [1]))).toEqual({ schemaId: 42, body: Buffer.from([1]) });
+
+        expect(readMessageIndexes(Buffer.from([0, 9]))).toEqual({ indexes: [0], body: Buffer.from([9]) });
+        // zigzag: count 2 -> 4, indexes 1 -> 2, 0 -> 0
+        expect(readMessageIndexes(Buffer.from([4, 2, 0, 9]))).toEqual({ indexes: [1, 0], body: Buffer.from([9]) });
+    });
+
+    test('should decode framed Protobuf records with schemas fetched once from the registry', async () => {
+        axios.get.mockResolvedValue({ data: { schemaType: 'PROTOBUF', schema: PROTO } });
+        const registry = new SchemaRegistry({ url: 'http://registry:8081/', username: 'key', password: 'secret', schemaDir: 'test-kafka-schemas' }, logger);
+        const decode = createDecoder('auto', { registry, logger });
+
+        // Message index [1] = plant.Measurement (second message of the file)
+        const record = frame(7, [2, 2], encodeMeasurement({ tag: 'T1', value: 21.5, counter: '9007199254740993', ts: { seconds: 10 } }));
+        const first = await decode(record);
+        await decode(record);
+
+        expect(first).toEqual({ tag: 'T1', value: 21.5, counter: '9007199254740993', ts: { seconds: '10', nanos: 0 } });
+        expect(axios.get).toHaveBeenCalledTimes(1);
+        expect(axios.get).toHaveBeenCalledWith('http://registry:8081/schemas/ids/7', expect.objectContaining({ auth: { username: 'key', password: 'secret' } }));
+    });
+
+    test('should decode Avro from local schema files and fall back to JSON / string', async () => {
+        fs.writeFileSync(path.join(SCHEMA_DIR, '12.avsc'), JSON.stringify({ type: 'record', name: 'Reading', fields: [] }));
+        fs.writeFileSync(path.join(SCHEMA_DIR, 'plain.proto'), PROTO);
+        const registry = new SchemaRegistry({ schemaDir: 'test-kafka-schemas' }, logger);
+        const decode = createDecoder('auto', { registry, logger });
+
+        expect(await decode(frame(12, 'avro-body'))).toEqual({ schema: 'Reading', raw: 'avro-body' });
+        expect(await decode(Buffer.from('{"v":1}'))).toEqual({ v: 1 });
+        expect(await decode(Buffer.from('text'))).toBe('text');
+        await expect(decode(frame(99, 'x'))).rejects.toThrow('Unknown schema ID 99');
+        expect(axios.get).not.toHaveBeenCalled();
+
+        const unframed = createDecoder({ format: 'protobuf', schemaFile: 'plain.proto', messageType: 'plant.Measurement' }, { registry, logger });
+        expect(await unframed(Buffer.from(encodeMeasurement({ tag: 'T2' })))).toEqual(expect.objectContaining({ tag: 'T2', value: 0 }));
+
+        expect(() => new SchemaRegistry({ schemaDir: '../../etc' }, logger)).toThrow('inside the data folder');
+        expect(() => registry.loadFile('../../package.json')).toThrow('Invalid schema file name');
+        expect(() => createDecoder('xml', { registry, logger })).toThrow("Unknown Kafka decoder 'xml'");
+    });
+
+    test('should map decoded keys and headers into the UNS topic and correlation ID', async () => {
+        registerDecoder('upper', () => async (buffer) => buffer.toString().toUpperCase());
+        const context = { logger: createMockLogger(), handleMessage: jest.fn() };
+        const provider = new KafkaProvider({
+            id: 'kafka_plant',
+            type: 'kafka',
+            options: {
+                keyDecoder: 'json',
+                headerDecoder: 'upper',
+                schemaRegistry: { schemaDir: 'test-kafka-schemas' },
+                topicTemplate: '{{headers.site}}/{{topic}}/{{key.asset}}',
+                correlationIdTemplate: '{{headers.trace-id}}'
+            }
+        }, context);
+
+        await provider.handleRecord('telemetry', 3, {
+            key: Buffer.from('{"asset":"pump-1"}'),
+            headers: { site: Buffer.from('lyon'), 'trace-id': Buffer.from('abc') },
+            value: Buffer.from('{"v":1}'),
+            offset: '5'
+        });
+        await provider.handleRecord('telemetry', 3, { key: null, value: frame(404, 'x'), offset: '6' });
+
+        expect(context.handleMessage).toHaveBeenNthCalledWith(1, 'kafka_plant', 'LYON/telemetry/pump-1', { v: 1 },
+            expect.objectContaining({ correlationId: 'ABC', kafkaPartition: 3, kafkaOffset: '5' }));
+        // Undecodable values are forwarded raw with the error
+        expect(context.handleMessage).toHaveBeenNthCalledWith(2, 'kafka_plant', 'telemetry', expect.any(Buffer),
+            expect.objectContaining({ decodeError: expect.stringContaining('Unknown schema ID 404'), rawBuffer: expect.any(Buffer) }));
+    });
+});
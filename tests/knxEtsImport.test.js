@@ -0,0 +1,147 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the KNX ETS export parser (.knxproj archives, XML and CSV group-address exports).
+ */
+
+const zlib = require('zlib');
+const { parseEtsExport, normalizeDpt, formatGroupAddress, readZipEntries } = require('../connectors/knx/etsImport');
+
+/**
+ * Builds a deflated ZIP archive in memory.
+ * @param {Object<string, string>} files
+ * @param {{encrypted?: boolean}} [options]
+ */
+function buildZip(files, options = {}) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, content] of Object.entries(files)) {
+        const nameBuffer = Buffer.from(name);
+        const data = zlib.deflateRawSync(Buffer.from(content));
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(options.encrypted ? 1 : 0, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBuffer.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(options.encrypted ? 1 : 0, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBuffer.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBuffer, data);
+        centrals.push(central, nameBuffer);
+        offset += local.length + nameBuffer.length + data.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(Object.keys(files).length, 8);
+    eocd.writeUInt16LE(Object.keys(files).length, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, directory, eocd]);
+}
+
+const PROJECT_XML = `<?xml version="1.0" encoding="utf-8"?>
+<KNX xmlns="http://knx.org/xml/project/21">
+  <Project Id="P-0001">
+    <Installations>
+      <Installation Name="" GroupAddressStyle="ThreeLevel">
+        <Buildings>
+          <BuildingPart Id="P-0001-0_BP-1" Name="HQ" Type="Building">
+            <BuildingPart Id="P-0001-0_BP-2" Name="Ground Floor" Type="Floor">
+              <BuildingPart Id="P-0001-0_BP-3" Name="Kitchen" Type="Room">
+                <Function Id="P-0001-0_F-1" Name="Ceiling light" Type="FT-1">
+                  <GroupAddressRef Id="P-0001-0_F-1_GR-1" RefId="P-0001-0_GA-1" Role="SwitchOnOff" />
+                </Function>
+              </BuildingPart>
+            </BuildingPart>
+          </BuildingPart>
+        </Buildings>
+        <GroupAddresses>
+          <GroupRanges>
+            <GroupRange Id="P-0001-0_GR-1" RangeStart="2048" RangeEnd="4095" Name="Lighting">
+              <GroupRange Id="P-0001-0_GR-2" RangeStart="2304" RangeEnd="2559" Name="Switching">
+                <GroupAddress Id="P-0001-0_GA-1" Address="2305" Name="Kitchen &amp; dining" DatapointType="DPST-1-1" />
+              </GroupRange>
+            </GroupRange>
+            <GroupRange Id="P-0001-0_GR-3" RangeStart="4096" RangeEnd="6143" Name="HVAC">
+              <GroupRange Id="P-0001-0_GR-4" RangeStart="4096" RangeEnd="4351" Name="Temperatures">
+                <!-- Sensors -->
+                <GroupAddress Id="P-0001-0_GA-2" Address="4097" Name="Office temperature" DatapointType="DPST-9-1" Description="Wall sensor" />
+              </GroupRange>
+            </GroupRange>
+          </GroupRanges>
+        </GroupAddresses>
+      </Installation>
+    </Installations>
+  </Project>
+</KNX>`;
+
+describe('KNX ETS Import', () => {
+    test('should normalize ETS datapoint types and group addresses', () => {
+        expect(normalizeDpt('DPST-9-1')).toBe('DPT9.001');
+        expect(normalizeDpt('DPT-5')).toBe('DPT5');
+        expect(normalizeDpt('DPST-1-1 DPST-1-8')).toBe('DPT1.001');
+        expect(normalizeDpt('14.56')).toBe('DPT14.056');
+        expect(normalizeDpt('')).toBeNull();
+        expect(formatGroupAddress('2305')).toBe('1/1/1');
+        expect(formatGroupAddress('1/257')).toBe('1/1/1');
+        expect(formatGroupAddress('3/2/10')).toBe('3/2/10');
+    });
+
+    test('should read group addresses and building functions from a .knxproj archive', () => {
+        const archive = buildZip({ 'knx_master.xml': '<KNX />', 'P-0001/0.xml': PROJECT_XML });
+
+        expect(parseEtsExport(archive)).toEqual([
+            { address: '1/1/1', name: 'Kitchen & dining', dpt: 'DPT1.001', path: ['Lighting', 'Switching'], buildingPath: ['HQ', 'Ground Floor', 'Kitchen', 'Ceiling light'] },
+            { address: '2/0/1', name: 'Office temperature', dpt: 'DPT9.001', path: ['HVAC', 'Temperatures'], description: 'Wall sensor' }
+        ]);
+    });
+
+    test('should reject password-protected projects', () => {
+        const archive = buildZip({ 'knx_master.xml': '<KNX />', 'P-0001.zip': 'encrypted' }, { encrypted: true });
+        expect(() => parseEtsExport(archive)).toThrow(/Password-protected/);
+    });
+
+    test('should refuse entries inflating beyond the size limit', () => {
+        const entries = readZipEntries(buildZip({ 'P-0001/0.xml': ' '.repeat(5000) }), 1000);
+        expect(() => entries.get('P-0001/0.xml').read()).toThrow('Invalid ETS project: P-0001/0.xml exceeds 1000 bytes once inflated.');
+    });
+
+    test('should read the group-address XML export', () => {
+        const xml = `<?xml version="1.0" encoding="utf-8"?>
+<GroupAddress-Export xmlns="http://knx.org/xml/ga-export/01">
+  <GroupRange Name="Blinds" RangeStart="6144" RangeEnd="8191">
+    <GroupRange Name="Position" RangeStart="6144" RangeEnd="6399">
+      <GroupAddress Name="South blind" Address="3/0/4" DPTs="DPST-5-1" />
+    </GroupRange>
+  </GroupRange>
+</GroupAddress-Export>`;
+
+        expect(parseEtsExport(Buffer.from(xml))).toEqual([
+            { address: '3/0/4', name: 'South blind', dpt: 'DPT5.001', path: ['Blinds', 'Position'] }
+        ]);
+    });
+
+    test('should read the group-address CSV export with its range rows', () => {
+        const csv = [
+            '"Group name";"Address";"Central";"Unfiltered";"Description";"DatapointType";"Security"',
+            '"Lighting";"1/-/-";"";"";"";"";"Auto"',
+            '"Switching";"1/1/-";"";"";"";"";"Auto"',
+            '"Kitchen; ceiling";"1/1/1";"";"";"Main light";"DPST-1-1";"Auto"',
+            '"Spare";"1/1/2";"";"";"";"";"Auto"'
+        ].join('\r\n');
+
+        expect(parseEtsExport(Buffer.from('\uFEFF' + csv))).toEqual([
+            { address: '1/1/1', name: 'Kitchen; ceiling', dpt: 'DPT1.001', path: ['Lighting', 'Switching'], description: 'Main light' },
+            { address: '1/1/2', name: 'Spare', dpt: null, path: ['Lighting', 'Switching'] }
+        ]);
+    });
+});
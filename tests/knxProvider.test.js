@@ -21,8 +21,15 @@ jest.mock('knx', () => {
     };
 });
 
+jest.mock('../core/semantic/semanticManager', () => ({
+    registerExternalElements: jest.fn()
+}));
+
+const fs = require('fs');
+const path = require('path');
 const KnxProvider = require('../connectors/knx/index');
 const knx = require('knx');
+const semanticManager = require('../core/semantic/semanticManager');
 
 const createMockLogger = () => ({
     info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
@@ -75,4 +82,82 @@ describe('KnxProvider', () => {
             expect(provider.connection.write).toHaveBeenCalledWith('1/1/1', true, 'DPT1.001');
         });
     });
+
+    describe('ETS import', () => {
+        const ETS_CSV = [
+            '"Group name";"Address";"Central";"Unfiltered";"Description";"DatapointType";"Security"',
+            '"Lighting";"1/-/-";"";"";"";"";"Auto"',
+            '"Ground floor";"1/1/-";"";"";"";"";"Auto"',
+            '"Hall light";"1/1/1";"";"";"";"DPST-1-1";"Auto"',
+            '"HVAC";"2/-/-";"";"";"";"";"Auto"',
+            '"Temperatures";"2/0/-";"";"";"";"";"Auto"',
+            '"Office temp";"2/0/1";"";"";"";"DPST-9-1";"Auto"'
+        ].join('\n');
+        const etsPath = path.join(__dirname, '..', 'data', 'knx', 'site.csv');
+        const realReadFileSync = fs.readFileSync;
+
+        beforeEach(() => {
+            jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) =>
+                file === etsPath ? Buffer.from(ETS_CSV) : realReadFileSync(file, ...args));
+        });
+
+        afterEach(() => {
+            fs.readFileSync.mockRestore();
+        });
+
+        test('should name topics from the ETS hierarchy and decode telegrams by DPT', async () => {
+            const provider = new KnxProvider({ ...providerConfig, etsFile: 'site.csv', topicPrefix: 'hq' }, mockContext);
+            await provider.connect();
+
+            // Explicit mappings keep their topic
+            expect(provider.mappings['1/1/1']).toEqual(expect.objectContaining({ topic: 'bms/light', dpt: 'DPT1.001' }));
+            expect(provider.mappings['2/0/1']).toEqual(expect.objectContaining({ topic: 'hq/HVAC/Temperatures/Office_temp', dpt: 'DPT9.001' }));
+
+            const handlers = knx.Connection.mock.calls[0][0].handlers;
+            handlers.event('GroupValue_Write', '1.1.5', '2/0/1', Buffer.from([0x0c, 0x35]));
+
+            expect(mockContext.handleMessage).toHaveBeenCalledWith(
+                'test_knx', 'hq/HVAC/Temperatures/Office_temp',
+                expect.objectContaining({ value: 21.54, unit: '°C', dpt: 'DPT9.001', raw: '0c35', destAddr: '2/0/1' }),
+                expect.anything()
+            );
+        });
+
+        test('should register the group addresses in the UNS model', async () => {
+            const provider = new KnxProvider({ ...providerConfig, subscribe: [], etsFile: 'site.csv' }, mockContext);
+            await provider.connect();
+
+            const [providerId, elements, definitions] = semanticManager.registerExternalElements.mock.calls[0];
+            expect(providerId).toBe('test_knx');
+            expect(elements.map(e => [e.elementId, e.typeId, e.parentId])).toEqual([
+                ['knx_test_knx_Lighting', 'KnxGroup', undefined],
+                ['knx_test_knx_Lighting_Ground_floor', 'KnxGroup', 'knx_test_knx_Lighting'],
+                ['knx_test_knx_1_1_1', 'KnxGroupAddress', 'knx_test_knx_Lighting_Ground_floor'],
+                ['knx_test_knx_HVAC', 'KnxGroup', undefined],
+                ['knx_test_knx_HVAC_Temperatures', 'KnxGroup', 'knx_test_knx_HVAC'],
+                ['knx_test_knx_2_0_1', 'KnxGroupAddress', 'knx_test_knx_HVAC_Temperatures']
+            ]);
+            expect(elements[2]).toEqual(expect.objectContaining({
+                topic_mapping: 'knx/test_knx/Lighting/Ground_floor/Hall_light',
+                attributes: expect.objectContaining({ groupAddress: '1/1/1', dpt: 'DPT1.001' })
+            }));
+            expect(definitions.objectTypes.map(t => t.elementId)).toEqual(['KnxGroup', 'KnxGroupAddress']);
+        });
+
+        test('should encode writes with the imported DPT', async () => {
+            const provider = new KnxProvider({ ...providerConfig, subscribe: [], etsFile: 'site.csv' }, mockContext);
+            await provider.connect();
+
+            const callback = jest.fn();
+            provider.publish('knx/test_knx/HVAC/Temperatures/Office_temp', '22.5', {}, callback);
+            expect(provider.connection.write).toHaveBeenCalledWith('2/0/1', 22.5, 'DPT9.001');
+            expect(callback).toHaveBeenCalledWith(null);
+        });
+
+        test('should fail the connection when the ETS export cannot be read', async () => {
+            const provider = new KnxProvider({ ...providerConfig, etsFile: '../uns_model.json' }, mockContext);
+            expect(await provider.connect()).toBe(false);
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_knx', 'error', expect.stringContaining('ETS import'));
+        });
+    });
 });
@@ -8,8 +8,16 @@
 // Mock the file system
 jest.mock('fs');
 
+jest.mock('../storage/outboxManager', () => ({
+    isEnabled: jest.fn().mockReturnValue(true),
+    shouldQueue: jest.fn((id, connection) => !connection.connected),
+    enqueue: jest.fn().mockReturnValue(true)
+}));
+
 const fs = require('fs');
+const outboxManager = require('../storage/outboxManager');
 const mapperEngineFactory = require('../core/engine/mapperEngine');
+const codecManager = require('../core/codecs/codecManager');
 
 // Helper to create a fully mockable logger
 const createMockLogger = () => {
@@ -130,6 +138,32 @@ describe('MapperEngine', () => {
         expect(metrics['test/source::target_1'].count).toBe(1);
     });
 
+    test('processMessage should encode outputs of binary topics with their payload codec', async () => {
+        const mockPublish = jest.fn();
+        mockConnections.set('default_connector', { connected: true, publish: mockPublish });
+        const codec = { pattern: 'test/target', codec: 'msgpack', revision: 1 };
+        jest.spyOn(codecManager, 'resolve').mockImplementation(topic => topic === 'test/target' ? codec : null);
+        jest.spyOn(codecManager, 'encode').mockReturnValue(Buffer.from([0x81]));
+
+        await engine.processMessage('default_connector', 'test/source', { val: 21 }, false);
+        codecManager.resolve.mockRestore();
+        codecManager.encode.mockRestore();
+
+        expect(mockPublish).toHaveBeenCalledWith('test/target', Buffer.from([0x81]), expect.any(Object));
+        expect(engine.getMetrics()['test/source::target_1'].logs[0].outPayload).toBe(JSON.stringify({ new_val: 42 }));
+    });
+
+    test('processMessage should queue outputs in the outbox when the target connector is offline', async () => {
+        const mockPublish = jest.fn();
+        mockConnections.set('default_connector', { connected: false, publish: mockPublish });
+
+        await engine.processMessage('default_connector', 'test/source', { val: 21 }, false);
+
+        expect(mockPublish).not.toHaveBeenCalled();
+        expect(outboxManager.enqueue).toHaveBeenCalledWith('default_connector', 'test/target', JSON.stringify({ new_val: 42 }), expect.objectContaining({ qos: 1 }), 'mapper');
+        expect(engine.getMetrics()['test/source::target_1'].logs[0].debug).toContain('queued in outbox');
+    });
+
     test('processMessage should handle execution errors gracefully', async () => {
         const badConfig = {
             activeVersionId: 'v1',
@@ -2,7 +2,7 @@
  * @license Apache License, Version 2.0 (the "License")
  * @author Sebastien Lalaurette
  * * Unit tests for the Central Message Dispatcher.
- * Verifies rate limiting (anti-spam), payload size protections, and edge cases.
+ * Verifies rate limiting (anti-spam), payload size protections, payload codecs and edge cases.
  */
 
 // Mock worker_threads to prevent real workers from starting in tests
@@ -28,6 +28,7 @@ const webhookManager = require('../core/webhookManager');
 
 const metricsManager = require('../core/metricsManager');
 const errorUtils = require('../core/errorUtils');
+const codecManager = require('../core/codecs/codecManager');
 
 // Helper to create a fully mockable logger
 const createMockLogger = () => {
@@ -119,6 +120,16 @@ describe('MessageDispatcher', () => {
         expect(mockDataManager.insertMessage).toHaveBeenCalledTimes(50);
     });
 
+    test('should not throttle deliveries acknowledged to their source after dispatch', async () => {
+        const promises = [];
+        for (let i = 0; i < 60; i++) {
+            promises.push(handleMessage('amqp_mes', 'mes/orders/new', JSON.stringify({ order: i }), { rejectOnError: true }));
+        }
+        await Promise.all(promises);
+
+        expect(mockDataManager.insertMessage).toHaveBeenCalledTimes(60);
+    });
+
     test('should allow payloads exactly at or just below 2MB', async () => {
         const providerId = 'mqtt_local';
         const topic = 'test/size/ok';
@@ -196,4 +207,78 @@ describe('MessageDispatcher', () => {
             message: expect.stringContaining('UNEXPECTED ERROR processing topic test/error')
         }));
     });
+
+    test('should reject dispatch failures for providers acknowledging their source', async () => {
+        mockDataManager.insertMessage.mockImplementation(() => {
+            throw new Error('Forced Database Error');
+        });
+
+        await expect(handleMessage('amqp_1', 'orders/a', '{}', { rejectOnError: true })).rejects.toThrow('Forced Database Error');
+        await expect(handleMessage('amqp_1', 'orders/b', '{}')).resolves.toBeUndefined();
+        expect(errorUtils.logError).toHaveBeenCalledTimes(2);
+    });
+
+    test('should emit normalized messages on the live UNS feed', async () => {
+        const listener = jest.fn();
+        messageDispatcher.dispatcherEvents.on('message', listener);
+
+        await handleMessage('mqtt_local', 'line1/temperature', JSON.stringify({ value: 21.5 }), { connectorType: 'mqtt' });
+        messageDispatcher.dispatcherEvents.removeListener('message', listener);
+
+        expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+            sourceId: 'mqtt_local',
+            connectorType: 'mqtt',
+            topic: 'line1/temperature',
+            payload: expect.objectContaining({ value: 21.5 }),
+            correlationId: expect.any(String)
+        }));
+    });
+
+    test('should store backfilled values with their source timestamp without re-firing side effects', async () => {
+        const sourceTs = new Date('2026-01-01T10:00:00Z');
+        const listener = jest.fn();
+        messageDispatcher.dispatcherEvents.on('message', listener);
+
+        const promises = [];
+        for (let i = 0; i < 60; i++) {
+            promises.push(handleMessage('opc_1', 'line1/temperature', { value: i }, { connectorType: 'opcua', timestamp: sourceTs, isBackfill: true }));
+        }
+        await Promise.all(promises);
+        messageDispatcher.dispatcherEvents.removeListener('message', listener);
+
+        // Not throttled, stored with the original timestamp and flagged
+        expect(mockDataManager.insertMessage).toHaveBeenCalledTimes(60);
+        const stored = mockDataManager.insertMessage.mock.calls[0][0];
+        expect(stored.timestamp).toEqual(sourceTs);
+        expect(stored.needsDb).toBe(false);
+        expect(JSON.parse(stored.payloadStringForDb)._backfilled).toBe(true);
+
+        // Stale data must not be broadcast live, mapped, alerted on or sent to webhooks
+        expect(mockWsManager.broadcast).not.toHaveBeenCalled();
+        expect(listener).not.toHaveBeenCalled();
+        expect(mockMapperEngine.processMessage).not.toHaveBeenCalled();
+        expect(mockAlertManager.processMessage).not.toHaveBeenCalled();
+        expect(webhookManager.trigger).not.toHaveBeenCalled();
+    });
+
+    test('should decode binary topics with their payload codec in the worker pool', async () => {
+        const codec = { pattern: 'edge/+/cbor', codec: 'cbor', revision: 1 };
+        jest.spyOn(codecManager, 'resolve').mockImplementation(topic => topic.startsWith('edge/') ? codec : null);
+        mockWorkerPool.execute.mockImplementation(async (action, payload, taskCodec) => {
+            if (action !== 'decode_codec') throw new Error('Unexpected action');
+            if (payload[0] === 0xff) throw new Error('Unexpected end of CBOR data');
+            return { temperature: 21.5, codec: taskCodec.codec };
+        });
+
+        await handleMessage('mqtt_local', 'edge/gw1/cbor', Buffer.from([0xa1, 0x01]));
+        await handleMessage('mqtt_local', 'edge/gw2/cbor', Buffer.from([0xff]));
+        codecManager.resolve.mockRestore();
+
+        expect(mockWorkerPool.execute).toHaveBeenCalledWith('decode_codec', Buffer.from([0xa1, 0x01]), codec);
+        expect(JSON.parse(mockDataManager.insertMessage.mock.calls[0][0].payloadStringForDb)).toEqual({ temperature: 21.5, codec: 'cbor' });
+        expect(JSON.parse(mockDataManager.insertMessage.mock.calls[1][0].payloadStringForDb)).toEqual({
+            raw_payload_hex: 'ff', decode_error: 'Unexpected end of CBOR data', codec: 'cbor'
+        });
+        expect(errorUtils.logError).toHaveBeenCalledWith(expect.objectContaining({ code: 'PAYLOAD_CODEC_DECODE_ERROR' }));
+    });
 });
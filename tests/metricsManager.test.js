@@ -12,6 +12,12 @@ jest.mock('../storage/dlqManager', () => ({
     getMessages: jest.fn().mockReturnValue([{}, {}, {}, {}, {}]) // 5 messages
 }));
 
+jest.mock('../storage/outboxManager', () => ({
+    getSummary: jest.fn().mockReturnValue([
+        { connectorId: 'plc_broker', pending: 12, drained: 3, dropped: { overflow: 1, expired: 0, rejected: 0 } }
+    ])
+}));
+
 const metricsManager = require('../core/metricsManager');
 const wsManager = require('../core/websocketManager');
 const dlqManager = require('../storage/dlqManager');
@@ -49,6 +55,31 @@ describe('MetricsManager', () => {
         expect(metrics).toContain('korelate_dlq_size 5');
     });
 
+    test('should include outbox gauges and counters per connector', () => {
+        const metrics = metricsManager.getPrometheusMetrics();
+        expect(metrics).toContain('korelate_outbox_pending{connector="plc_broker"} 12');
+        expect(metrics).toContain('korelate_outbox_drained_total{connector="plc_broker"} 3');
+        expect(metrics).toContain('korelate_outbox_dropped_total{connector="plc_broker",reason="overflow"} 1');
+    });
+
+    test('should count deadband suppressions per connector', () => {
+        metricsManager.incrementSuppressed('line_modbus');
+        metricsManager.incrementSuppressed('line_modbus');
+
+        expect(metricsManager.getSuppressedCount('line_modbus')).toBe(2);
+        expect(metricsManager.getSuppressedCount('other')).toBe(0);
+        expect(metricsManager.getPrometheusMetrics()).toContain('korelate_messages_suppressed_total{connector="line_modbus"} 2');
+    });
+
+    test('should count bridged messages per connector, rule and result', () => {
+        metricsManager.incrementBridged('site_mqtt', 'site/# -> enterprise', 'forwarded');
+        metricsManager.incrementBridged('site_mqtt', 'site/# -> enterprise', 'rateLimited');
+
+        const metrics = metricsManager.getPrometheusMetrics();
+        expect(metrics).toContain('korelate_bridge_messages_total{connector="site_mqtt",bridge="site/# -> enterprise",result="forwarded"} 1');
+        expect(metrics).toContain('korelate_bridge_messages_total{connector="site_mqtt",bridge="site/# -> enterprise",result="rateLimited"} 1');
+    });
+
     test('should format output as Prometheus plaintext', () => {
         const metrics = metricsManager.getPrometheusMetrics();
         expect(metrics).toContain('# HELP korelate_messages_processed_total');
@@ -5,7 +5,7 @@
  */
 
 jest.mock('modbus-serial', () => {
-    return jest.fn().mockImplementation(() => ({
+    const ModbusRTU = jest.fn().mockImplementation(() => ({
         connectTCP: jest.fn().mockResolvedValue(true),
         setID: jest.fn(),
         setTimeout: jest.fn(),
@@ -14,11 +14,20 @@ jest.mock('modbus-serial', () => {
         readCoils: jest.fn().mockResolvedValue({ data: [true] }),
         readDiscreteInputs: jest.fn().mockResolvedValue({ data: [false] }),
         writeRegister: jest.fn().mockResolvedValue(true),
+        writeRegisters: jest.fn().mockResolvedValue(true),
         writeCoil: jest.fn().mockResolvedValue(true),
         close: jest.fn()
     }));
+    ModbusRTU.ServerTCP = jest.fn().mockImplementation((vector, options) => ({
+        vector,
+        options,
+        on: jest.fn(),
+        close: jest.fn(cb => cb && cb())
+    }));
+    return ModbusRTU;
 });
 
+const { EventEmitter } = require('events');
 const ModbusProvider = require('../connectors/modbus/index');
 const ModbusRTU = require('modbus-serial');
 
@@ -95,4 +104,149 @@ describe('ModbusProvider', () => {
             });
         });
     });
+
+    test('should coalesce contiguous mappings into a single block read and decode typed values', async () => {
+        providerConfig.subscribe = [
+            '40001:float32:CDAB:unit=kWh::meter/energy',
+            '40003:int16:scale=0.1::meter/temp',
+            '40004:bit=2::meter/alarm'
+        ];
+        provider = new ModbusProvider(providerConfig, mockContext);
+        await provider.connect();
+
+        // float32 12.5 = 0x41480000 -> word swapped [0x0000, 0x4148], int16 215, status word 0b0100
+        provider.client.readHoldingRegisters.mockResolvedValue({ data: [0x0000, 0x4148, 215, 4] });
+        expect(provider.readBlocks.length).toBe(1);
+        expect(provider.readBlocks[0]).toEqual(expect.objectContaining({ type: 'holding', start: 1, length: 4 }));
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+
+        expect(provider.client.readHoldingRegisters).toHaveBeenCalledWith(1, 4);
+        expect(mockContext.handleMessage).toHaveBeenCalledWith(
+            'test_modbus', 'meter/energy', expect.objectContaining({ value: 12.5, unit: 'kWh' }), expect.anything()
+        );
+        expect(mockContext.handleMessage).toHaveBeenCalledWith(
+            'test_modbus', 'meter/temp', expect.objectContaining({ value: 21.5 }), expect.anything()
+        );
+        expect(mockContext.handleMessage).toHaveBeenCalledWith(
+            'test_modbus', 'meter/alarm', expect.objectContaining({ value: true }), expect.anything()
+        );
+    });
+
+    test('should encode typed values on write-back', (done) => {
+        providerConfig.subscribe = ['40010:float32::factory/setpoint'];
+        provider = new ModbusProvider(providerConfig, mockContext);
+        provider.connect().then(() => {
+            provider.publish('factory/setpoint', JSON.stringify({ value: 12.5 }), {}, (err) => {
+                expect(err).toBeNull();
+                expect(provider.client.writeRegisters).toHaveBeenCalledWith(10, [0x4148, 0x0000]);
+                done();
+            });
+        });
+    });
+
+    describe('Server (slave) mode', () => {
+        let dispatcherEvents;
+        let mqttConnection;
+
+        beforeEach(() => {
+            dispatcherEvents = new EventEmitter();
+            mqttConnection = { connected: true, publish: jest.fn((topic, payload, options, cb) => cb(null)) };
+            mockContext.dispatcherEvents = dispatcherEvents;
+            mockContext.activeConnections = new Map([['site_mqtt', mqttConnection]]);
+            mockContext.mapperEngine = { isPublishAllowed: jest.fn().mockReturnValue(true) };
+            providerConfig = {
+                id: 'modbus_gateway',
+                type: 'modbus',
+                mode: 'server',
+                port: 5020,
+                subscribe: [
+                    '40001:float32::line1/temperature',
+                    '40003:int16:field=setpoint::line1/setpoint',
+                    '00001::line1/running'
+                ],
+                publish: ['line1/setpoint']
+            };
+        });
+
+        test('should listen and serve live UNS values as registers', async () => {
+            provider = new ModbusProvider(providerConfig, mockContext);
+            expect(await provider.connect()).toBe(true);
+            expect(ModbusRTU.ServerTCP).toHaveBeenCalledWith(expect.any(Object), expect.objectContaining({ port: 5020, unitID: 255 }));
+
+            dispatcherEvents.emit('message', { sourceId: 'site_mqtt', topic: 'line1/temperature', payload: { value: 12.5 } });
+            dispatcherEvents.emit('message', { sourceId: 'site_mqtt', topic: 'line1/running', payload: { value: true } });
+
+            const { vector } = provider.server;
+            expect(vector.getHoldingRegister(1)).toBe(0x4148);
+            expect(vector.getHoldingRegister(2)).toBe(0x0000);
+            expect(vector.getCoil(1)).toBe(true);
+            expect(vector.getHoldingRegister(99)).toBe(0);
+        });
+
+        test('should set and clear only the mapped bit when several bit mappings share a register', async () => {
+            providerConfig.subscribe = ['40010:bit=0::line1/alarm/overheat', '40010:bit=3::line1/alarm/door'];
+            provider = new ModbusProvider(providerConfig, mockContext);
+            await provider.connect();
+            const { vector } = provider.server;
+
+            dispatcherEvents.emit('message', { sourceId: 'site_mqtt', topic: 'line1/alarm/door', payload: { value: true } });
+            dispatcherEvents.emit('message', { sourceId: 'site_mqtt', topic: 'line1/alarm/overheat', payload: { value: true } });
+            expect(vector.getHoldingRegister(10)).toBe(0b1001);
+
+            provider.publishToImage('line1/alarm/overheat', JSON.stringify({ value: false }));
+            expect(vector.getHoldingRegister(10)).toBe(0b1000);
+        });
+
+        test('should turn register writes into publishes through the owning connector', async () => {
+            provider = new ModbusProvider(providerConfig, mockContext);
+            await provider.connect();
+            dispatcherEvents.emit('message', { sourceId: 'site_mqtt', topic: 'line1/setpoint', payload: { setpoint: 10 } });
+
+            await provider.server.vector.setRegister(3, 42);
+
+            expect(mockContext.mapperEngine.isPublishAllowed).toHaveBeenCalledWith('site_mqtt', 'line1/setpoint');
+            expect(mqttConnection.publish).toHaveBeenCalledWith('line1/setpoint', JSON.stringify({ setpoint: 42 }), expect.any(Object), expect.any(Function));
+            expect(provider.server.vector.getHoldingRegister(3)).toBe(42);
+        });
+
+        test('should reject writes on registers not covered by the publish allow-list', async () => {
+            provider = new ModbusProvider(providerConfig, mockContext);
+            await provider.connect();
+
+            await expect(provider.server.vector.setRegisterArray(1, [0x4148, 0])).rejects.toEqual(expect.objectContaining({ modbusErrorCode: 0x02 }));
+            await expect(provider.server.vector.setRegister(50, 1)).rejects.toEqual(expect.objectContaining({ modbusErrorCode: 0x02 }));
+            expect(mqttConnection.publish).not.toHaveBeenCalled();
+            expect(provider.server.vector.getHoldingRegister(1)).toBe(0);
+        });
+
+        test('should keep the served value when a write cannot be forwarded', async () => {
+            provider = new ModbusProvider(providerConfig, mockContext);
+            await provider.connect();
+            dispatcherEvents.emit('message', { sourceId: 'site_mqtt', topic: 'line1/setpoint', payload: { setpoint: 10 } });
+            const { vector } = provider.server;
+
+            mqttConnection.publish.mockImplementationOnce((topic, payload, options, cb) => cb(new Error('Broker refused')));
+            await expect(vector.setRegister(3, 42)).rejects.toEqual(expect.objectContaining({ modbusErrorCode: 0x04 }));
+            expect(vector.getHoldingRegister(3)).toBe(10);
+
+            mockContext.mapperEngine.isPublishAllowed.mockReturnValue(false);
+            await expect(vector.setRegister(3, 43)).rejects.toEqual(expect.objectContaining({ modbusErrorCode: 0x02 }));
+            expect(vector.getHoldingRegister(3)).toBe(10);
+
+            mqttConnection.connected = false;
+            await expect(vector.setRegister(3, 44)).rejects.toEqual(expect.objectContaining({ modbusErrorCode: 0x04 }));
+            expect(vector.getHoldingRegister(3)).toBe(10);
+            expect(mqttConnection.publish).toHaveBeenCalledTimes(1);
+        });
+
+        test('should stop listening to the UNS feed on disconnect', async () => {
+            provider = new ModbusProvider(providerConfig, mockContext);
+            await provider.connect();
+            expect(dispatcherEvents.listenerCount('message')).toBe(1);
+            await provider.disconnect();
+            expect(dispatcherEvents.listenerCount('message')).toBe(0);
+            provider = null;
+        });
+    });
 });
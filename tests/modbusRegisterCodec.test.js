@@ -0,0 +1,94 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the Modbus Register Codec (typed decoding, byte order, block reads).
+ */
+
+const { parseMapping, decodeValue, encodeValue, buildReadBlocks } = require('../connectors/modbus/registerCodec');
+
+describe('Modbus Register Codec', () => {
+
+    describe('parseMapping', () => {
+        test('should keep legacy declarations untyped', () => {
+            expect(parseMapping('30001:2::factory/raw')).toEqual({
+                address: 30001, length: 2, topic: 'factory/raw', type: 'input'
+            });
+        });
+
+        test('should parse typed string declarations', () => {
+            expect(parseMapping('40001:float32:CDAB:scale=0.1:offset=-40:unit=°C::factory/temp')).toEqual({
+                address: 40001, length: 2, topic: 'factory/temp', type: 'holding',
+                dataType: 'float32', order: 'CDAB', scale: 0.1, offset: -40, unit: '°C'
+            });
+        });
+
+        test('should accept object declarations and explicit string lengths', () => {
+            const map = parseMapping({ address: 40100, length: 8, dataType: 'string', topic: 'meter/serial' });
+            expect(map).toEqual(expect.objectContaining({ length: 8, dataType: 'string', order: 'ABCD' }));
+        });
+
+        test('should reject unknown types and invalid bits', () => {
+            expect(parseMapping('40001:float128::x')).toBeNull();
+            expect(parseMapping('40001:bit=16::x')).toBeNull();
+            expect(parseMapping('40001:1')).toBeNull();
+        });
+    });
+
+    describe('decodeValue / encodeValue', () => {
+        const cases = [
+            ['int16', 'ABCD', [0xFFFE], -2],
+            ['uint32', 'ABCD', [0x0001, 0x0002], 65538],
+            ['int32', 'CDAB', [0xFFFF, 0xFFFF], -1],
+            ['float32', 'ABCD', [0x4148, 0x0000], 12.5],
+            ['float32', 'CDAB', [0x0000, 0x4148], 12.5],
+            ['float32', 'BADC', [0x4841, 0x0000], 12.5],
+            ['float32', 'DCBA', [0x0000, 0x4841], 12.5],
+            ['float64', 'ABCD', [0x4029, 0x0000, 0x0000, 0x0000], 12.5],
+            ['uint64', 'CDAB', [0x0001, 0x0000, 0x0000, 0x0000], 1]
+        ];
+
+        test.each(cases)('%s (%s) should round-trip', (dataType, order, words, expected) => {
+            const map = parseMapping({ address: 40001, dataType, order, topic: 't' });
+            expect(decodeValue(words, map)).toBe(expected);
+            expect(encodeValue(expected, map)).toEqual(words);
+        });
+
+        test('should apply scale and offset symmetrically', () => {
+            const map = parseMapping('40001:uint16:scale=0.1:offset=-40::t');
+            expect(decodeValue([619], map)).toBe(21.9);
+            expect(encodeValue(21.9, map)).toEqual([619]);
+        });
+
+        test('should decode and encode ASCII strings', () => {
+            const map = parseMapping('40001:4:string::t');
+            expect(decodeValue([0x534E, 0x2D31, 0x3233, 0x0000], map)).toBe('SN-123');
+            expect(encodeValue('SN-123', map)).toEqual([0x534E, 0x2D31, 0x3233, 0x0000]);
+        });
+
+        test('should extract bits and split arrays of values', () => {
+            expect(decodeValue([0b1000], parseMapping('40001:bit=3::t'))).toBe(true);
+            expect(decodeValue([1, 2, 3], parseMapping('40001:3:int16::t'))).toEqual([1, 2, 3]);
+        });
+    });
+
+    describe('buildReadBlocks', () => {
+        test('should merge contiguous mappings per area and honour the gap tolerance', () => {
+            const maps = ['40001:float32::a', '40003:int16::b', '40010::c', '30001::d'].map(parseMapping);
+
+            const strict = buildReadBlocks(maps);
+            expect(strict.map(b => [b.type, b.start, b.length])).toEqual([
+                ['holding', 1, 3], ['holding', 10, 1], ['input', 1, 1]
+            ]);
+
+            const tolerant = buildReadBlocks(maps, 10);
+            expect(tolerant.map(b => [b.type, b.start, b.length])).toEqual([
+                ['holding', 1, 10], ['input', 1, 1]
+            ]);
+        });
+
+        test('should split blocks exceeding the Modbus PDU limit', () => {
+            const maps = [parseMapping('40001:100::a'), parseMapping('40101:100::b')];
+            expect(buildReadBlocks(maps).length).toBe(2);
+        });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the MQTT Bridge.
+ * Verifies topic remapping, QoS/retain preservation, loop prevention and rate limiting.
+ */
+
+jest.mock('../core/metricsManager', () => ({
+    incrementBridged: jest.fn()
+}));
+jest.mock('../storage/outboxManager', () => ({
+    shouldQueue: jest.fn().mockReturnValue(false),
+    enqueue: jest.fn().mockReturnValue(true)
+}));
+
+const { MqttBridge, compileRemap, normalizeRule, LOOP_PROPERTY } = require('../connectors/mqtt/bridge');
+const metricsManager = require('../core/metricsManager');
+const outboxManager = require('../storage/outboxManager');
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+const createConnection = () => ({
+    connected: true,
+    publish: jest.fn((topic, payload, options, cb) => cb && cb(null))
+});
+
+describe('MqttBridge', () => {
+    let context;
+
+    const createBridge = (providerId, rules) => new MqttBridge({ providerId, rules, context, logger: createMockLogger() });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        context = {
+            activeConnections: new Map([['site', createConnection()], ['enterprise', createConnection()]]),
+            mapperEngine: { isPublishAllowed: jest.fn().mockReturnValue(true) }
+        };
+    });
+
+    test('should remap topics with the wildcards of the input filter', () => {
+        const remap = compileRemap('site/+/sensors/#', 'enterprise/lyon/+/#');
+        expect(remap('site/line1/sensors/temp/pv')).toBe('enterprise/lyon/line1/temp/pv');
+        expect(remap('site/line1/sensors')).toBe('enterprise/lyon/line1');
+        expect(remap('site/line1/alarms/temp')).toBeNull();
+        expect(compileRemap('a/+', 'b/fixed')('a/x')).toBe('b/fixed');
+        expect(compileRemap('a/+', 'a/+')('a/x/y')).toBeNull();
+        expect(() => compileRemap('a/+/#', 'b/+')).toThrow('same order');
+        expect(() => compileRemap('a/#/b', 'c')).toThrow('Invalid bridge topic filter');
+    });
+
+    test('should validate bridge rules', () => {
+        expect(normalizeRule({ target: 'enterprise', in: 'site/#' }, 'site')).toMatchObject({ name: 'site/# -> enterprise', out: 'site/#', qos: null, retain: null, maxRate: 0 });
+        expect(() => normalizeRule({ target: 'site', in: 'a/#' }, 'site')).toThrow('its own connector');
+        expect(() => normalizeRule({ target: 'enterprise', in: '$share/g/a/#' }, 'site')).toThrow('shared');
+        expect(() => normalizeRule({ target: 'enterprise', in: 'a/#', qos: 3 }, 'site')).toThrow('QoS');
+        expect(() => normalizeRule({ in: 'a/#' }, 'site')).toThrow("'target'");
+    });
+
+    test('should forward with the received QoS, retain flag and properties, and a loop marker', () => {
+        const bridge = createBridge('site', [{ target: 'enterprise', in: 'site/#', out: 'ent/lyon/#' }]);
+        const packet = { qos: 2, retain: true, properties: { contentType: 'application/json', userProperties: { correlationId: 'c1' } } };
+        bridge.handle('site/line1/temp', Buffer.from('21.5'), packet);
+
+        expect(context.activeConnections.get('enterprise').publish).toHaveBeenCalledWith('ent/lyon/line1/temp', Buffer.from('21.5'), {
+            qos: 2,
+            retain: true,
+            properties: { contentType: 'application/json', userProperties: { correlationId: 'c1', [LOOP_PROPERTY]: 'site' } }
+        }, expect.any(Function));
+        expect(bridge.getStats()[0]).toMatchObject({ forwarded: 1, errors: 0 });
+        expect(metricsManager.incrementBridged).toHaveBeenCalledWith('site', 'site/# -> enterprise', 'forwarded');
+    });
+
+    test('should not send a message back to the connector it came from', () => {
+        const upstream = createBridge('site', [{ target: 'enterprise', in: 'shared/#' }]);
+        const downstream = createBridge('enterprise', [{ target: 'site', in: 'shared/#' }]);
+
+        // MQTT v5: loop marker received with the message
+        downstream.handle('shared/cmd', Buffer.from('1'), { qos: 1, properties: { userProperties: { [LOOP_PROPERTY]: 'site' } } });
+        // MQTT 3.1.1: echo of a message bridged a moment ago, without properties
+        upstream.handle('shared/state', Buffer.from('on'), { qos: 1 });
+        downstream.handle('shared/state', Buffer.from('on'), { qos: 1 });
+
+        expect(context.activeConnections.get('site').publish).not.toHaveBeenCalled();
+        expect(context.activeConnections.get('enterprise').publish).toHaveBeenCalledTimes(1);
+        expect(downstream.getStats()[0]).toMatchObject({ forwarded: 0, loops: 2 });
+
+        // A new value on the same topic is not an echo
+        downstream.handle('shared/state', Buffer.from('off'), { qos: 1 });
+        expect(context.activeConnections.get('site').publish).toHaveBeenCalledTimes(1);
+    });
+
+    test('should rate limit each rule', () => {
+        jest.useFakeTimers();
+        const bridge = createBridge('site', [{ target: 'enterprise', in: 'site/#', maxRate: 2 }]);
+        for (let i = 0; i < 5; i++) bridge.handle('site/temp', Buffer.from(String(i)), { qos: 0 });
+        jest.advanceTimersByTime(1000);
+        bridge.handle('site/temp', Buffer.from('5'), { qos: 0 });
+        jest.useRealTimers();
+
+        expect(bridge.getStats()[0]).toMatchObject({ forwarded: 3, rateLimited: 3 });
+    });
+
+    test('should respect the target allow-list and queue while the target is offline', () => {
+        const bridge = createBridge('site', [{ target: 'enterprise', in: 'site/#', out: 'ent/#', qos: 1, retain: false }]);
+        context.mapperEngine.isPublishAllowed.mockReturnValueOnce(false);
+        bridge.handle('site/a', Buffer.from('1'), { qos: 0 });
+
+        outboxManager.shouldQueue.mockReturnValueOnce(true);
+        bridge.handle('site/b', Buffer.from('2'), { qos: 0, retain: true });
+
+        expect(context.mapperEngine.isPublishAllowed).toHaveBeenCalledWith('enterprise', 'ent/a');
+        expect(outboxManager.enqueue).toHaveBeenCalledWith('enterprise', 'ent/b', Buffer.from('2'), expect.objectContaining({ qos: 1, retain: false }), 'bridge');
+        expect(context.activeConnections.get('enterprise').publish).not.toHaveBeenCalled();
+        expect(bridge.getStats()[0]).toMatchObject({ denied: 1, queued: 1 });
+    });
+});
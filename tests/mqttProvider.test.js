@@ -20,6 +20,11 @@ jest.mock('mqtt', () => {
                     return mockClient;
                 }),
                 subscribe: jest.fn((topics, opts, cb) => {
+                    const done = typeof opts === 'function' ? opts : cb;
+                    const granted = Object.keys(topics).filter(t => t !== 'resubscribe').map(topic => ({ topic, qos: topics[topic].qos }));
+                    if (done) done(null, granted);
+                }),
+                unsubscribe: jest.fn((topic, cb) => {
                     if (cb) cb(null);
                 }),
                 publish: jest.fn((topic, payload, opts, cb) => {
@@ -38,7 +43,8 @@ jest.mock('sparkplug-payload', () => ({
         decodePayload: jest.fn((payload) => {
             if (payload === 'bad_buffer') throw new Error('Sparkplug decode error');
             return { metrics: [{ name: 'TestMetric', value: 100 }], seq: 1 };
-        })
+        }),
+        encodePayload: jest.fn(() => Buffer.from('encoded'))
     }))
 }));
 
@@ -95,7 +101,7 @@ describe('MqttProvider', () => {
         expect(result).toBe(true);
         expect(provider.connected).toBe(true);
         expect(mqtt.connect).toHaveBeenCalled();
-        expect(client.subscribe).toHaveBeenCalledWith(['factory/#'], { qos: 1 }, expect.any(Function));
+        expect(client.subscribe).toHaveBeenCalledWith({ 'factory/#': { qos: 1 } }, expect.any(Function));
         expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('main_mqtt', 'connected', null);
     });
 
@@ -203,6 +209,104 @@ describe('MqttProvider', () => {
         expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('main_mqtt', 'error', 'MTLS Certs missing');
     });
 
+    test('should act as a Sparkplug host application when a host ID is configured', async () => {
+        const provider = new MqttProvider({ ...providerConfig, subscribe: ['spBv1.0/#'], sparkplugHostId: 'korelate' }, mockContext);
+        await provider.connect();
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        const options = mqtt.connect.mock.calls[0][0];
+        expect(options.will).toEqual(expect.objectContaining({ topic: 'spBv1.0/STATE/korelate', qos: 1, retain: true }));
+
+        const client = mqtt.connect.mock.results[0].value;
+        // The STATE topic is already covered by the configured subscription
+        expect(client.subscribe).toHaveBeenCalledWith({ 'spBv1.0/#': { qos: 1 } }, expect.any(Function));
+        expect(client.publish).toHaveBeenCalledWith('spBv1.0/STATE/korelate', expect.stringContaining('"online":true'), { qos: 1, retain: true }, undefined);
+
+        const messageHandler = client.on.mock.calls.find(call => call[0] === 'message')[1];
+        messageHandler('spBv1.0/Group/DDATA/Node/Device', Buffer.from('mock_spb_buffer'), { properties: {} });
+
+        // Data without birth: rebirth requested, enriched payload kept by the dispatcher
+        expect(client.publish).toHaveBeenCalledWith('spBv1.0/Group/NCMD/Node', expect.any(Buffer), { qos: 0, retain: false }, undefined);
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('main_mqtt', 'spBv1.0/Group/DDATA/Node/Device',
+            expect.objectContaining({ _sparkplug: { edgeNode: 'offline', device: 'offline' } }),
+            expect.objectContaining({ isSparkplugOrigin: true, isDecoded: true }));
+
+        // STATE messages are JSON and are not decoded as Sparkplug payloads
+        messageHandler('spBv1.0/STATE/korelate', Buffer.from('{"online":false}'), { properties: {} });
+        expect(mockContext.handleMessage).toHaveBeenLastCalledWith('main_mqtt', 'spBv1.0/STATE/korelate', expect.any(Buffer), expect.objectContaining({ isSparkplugOrigin: false, decodeError: null }));
+
+        await provider.disconnect();
+        expect(client.publish).toHaveBeenCalledWith('spBv1.0/STATE/korelate', expect.stringContaining('"online":false'), { qos: 1, retain: true }, expect.any(Function));
+    });
+
+    test('should add, update and remove subscriptions at runtime', async () => {
+        const provider = new MqttProvider({ ...providerConfig, protocolVersion: 5, subscribe: ['factory/#', { topic: 'plant/+/alarm', qos: 2 }] }, mockContext);
+        await provider.connect();
+        const client = mqtt.connect.mock.results[0].value;
+
+        expect(mqtt.connect.mock.calls[0][0].protocolVersion).toBe(5);
+        expect(client.subscribe).toHaveBeenCalledWith({ 'factory/#': { qos: 1 }, 'plant/+/alarm': { qos: 2 } }, expect.any(Function));
+
+        const added = await provider.addSubscription({ topic: '$share/korelate/line1/#', qos: 0 });
+        expect(added).toEqual({ topic: '$share/korelate/line1/#', qos: 0, noLocal: false });
+        expect(client.subscribe).toHaveBeenLastCalledWith({ '$share/korelate/line1/#': { qos: 0 }, resubscribe: true }, expect.any(Function));
+
+        await provider.addSubscription({ topic: 'factory/#', qos: 1, noLocal: true });
+        expect(client.subscribe).toHaveBeenLastCalledWith({ 'factory/#': { qos: 1, nl: true }, resubscribe: true }, expect.any(Function));
+
+        expect(await provider.removeSubscription('plant/+/alarm')).toBe(true);
+        expect(client.unsubscribe).toHaveBeenCalledWith('plant/+/alarm', expect.any(Function));
+        expect(await provider.removeSubscription('unknown/#')).toBe(false);
+
+        expect(provider.getSubscribeConfig()).toEqual([{ topic: 'factory/#', qos: 1, noLocal: true }, { topic: '$share/korelate/line1/#', qos: 0 }]);
+    });
+
+    test('should reject invalid runtime subscriptions and broker refusals', async () => {
+        const provider = new MqttProvider(providerConfig, mockContext);
+        await provider.connect();
+        const client = mqtt.connect.mock.results[0].value;
+
+        await expect(provider.addSubscription({ topic: 'a/#/b' })).rejects.toMatchObject({ code: 'INVALID_SUBSCRIPTION' });
+        await expect(provider.addSubscription({ topic: 'a/b', qos: 3 })).rejects.toThrow('Invalid QoS');
+        await expect(provider.addSubscription({ topic: '$share/g' })).rejects.toThrow('Invalid shared subscription');
+        // No Local needs MQTT v5 and is forbidden on shared subscriptions
+        await expect(provider.addSubscription({ topic: 'a/b', noLocal: true })).rejects.toThrow('requires MQTT v5');
+        await expect(provider.addSubscription({ topic: '$share/g/a/b', noLocal: true })).rejects.toThrow('shared subscriptions');
+
+        client.subscribe.mockImplementationOnce((topics, cb) => cb(null, [{ topic: 'secret/#', qos: 128 }]));
+        await expect(provider.addSubscription('secret/#')).rejects.toThrow('Broker refused');
+        expect(provider.getSubscriptions().map(s => s.topic)).toEqual(['factory/#']);
+    });
+
+    test('should bridge topics to another connector without ingesting bridge-only topics', async () => {
+        const target = { connected: true, publish: jest.fn((topic, payload, options, cb) => cb(null)) };
+        mockContext.activeConnections = new Map([['enterprise_mqtt', target]]);
+        const provider = new MqttProvider({ ...providerConfig, bridges: [
+            { target: 'enterprise_mqtt', in: 'factory/+/state', out: 'ent/lyon/+/state' },
+            { target: 'enterprise_mqtt', in: 'site/#', out: 'ent/lyon/#', maxRate: 100 }
+        ] }, mockContext);
+        await provider.connect();
+        const client = mqtt.connect.mock.results[0].value;
+
+        // 'factory/+/state' is covered by the 'factory/#' subscription
+        expect(client.subscribe).toHaveBeenCalledWith({ 'factory/#': { qos: 1 }, 'site/#': { qos: 2 } }, expect.any(Function));
+
+        const messageHandler = client.on.mock.calls.find(call => call[0] === 'message')[1];
+        messageHandler('factory/press/state', Buffer.from('RUN'), { qos: 1, retain: true });
+        messageHandler('site/line1/temp', Buffer.from('21'), { qos: 0 });
+
+        expect(target.publish).toHaveBeenCalledWith('ent/lyon/press/state', Buffer.from('RUN'), expect.objectContaining({ qos: 1, retain: true }), expect.any(Function));
+        expect(target.publish).toHaveBeenCalledWith('ent/lyon/line1/temp', Buffer.from('21'), expect.objectContaining({ qos: 0, retain: false }), expect.any(Function));
+        expect(mockContext.handleMessage).toHaveBeenCalledTimes(1);
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('main_mqtt', 'factory/press/state', expect.any(Buffer), expect.any(Object));
+
+        await expect(provider.health()).resolves.toMatchObject({ status: 'ok', details: { offlineTargets: [] } });
+        target.connected = false;
+        await expect(provider.health()).resolves.toMatchObject({ status: 'degraded', details: { offlineTargets: ['enterprise_mqtt'] } });
+        await provider.disconnect();
+        expect(provider.bridgeStatsTimer).toBeNull();
+    });
+
     test('disconnect should await client end and cleanup', async () => {
         const provider = new MqttProvider(providerConfig, mockContext);
         await provider.connect();
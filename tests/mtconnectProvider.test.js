@@ -0,0 +1,164 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the MTConnect Provider.
+ * Verifies the probe hierarchy (topics and I3X model), the /sample stream with nextSequence tracking,
+ * MTConnect timestamps and UNAVAILABLE values.
+ */
+const { PassThrough } = require('stream');
+const axios = require('axios');
+
+jest.mock('../core/semantic/semanticManager', () => ({
+    registerExternalElements: jest.fn()
+}));
+
+const semanticManager = require('../core/semantic/semanticManager');
+const MtconnectProvider = require('../connectors/mtconnect/index');
+const { parseStreams, MultipartReader } = require('../connectors/mtconnect/documents');
+
+const PROBE = `<?xml version="1.0" encoding="UTF-8"?>
+<MTConnectDevices xmlns="urn:mtconnect.org:MTConnectDevices:1.7">
+  <Header instanceId="1700" bufferSize="131072" version="1.7"/>
+  <Devices>
+    <Device id="d1" name="VMC-3Axis" uuid="000">
+      <DataItems><DataItem id="avail" type="AVAILABILITY" category="EVENT"/></DataItems>
+      <Components>
+        <Axes id="a" name="base">
+          <Components>
+            <Linear id="x" name="X">
+              <DataItems><DataItem id="Xact" name="Xact" type="POSITION" subType="ACTUAL" category="SAMPLE" units="MILLIMETER"/></DataItems>
+            </Linear>
+          </Components>
+        </Axes>
+        <Controller id="cont" name="controller">
+          <DataItems>
+            <DataItem id="exec" name="execution" type="EXECUTION" category="EVENT"/>
+            <DataItem id="logic" name="logic_cond" type="LOGIC_PROGRAM" category="CONDITION"/>
+          </DataItems>
+        </Controller>
+      </Components>
+    </Device>
+  </Devices>
+</MTConnectDevices>`;
+
+const streams = (header, body) => `<?xml version="1.0"?>
+<MTConnectStreams xmlns="urn:mtconnect.org:MTConnectStreams:1.7">
+  <Header instanceId="${header.instanceId || 1700}" firstSequence="${header.first || 1}" lastSequence="${header.last || 100}" nextSequence="${header.next}"/>
+  <Streams><DeviceStream name="VMC-3Axis" uuid="000">${body}</DeviceStream></Streams>
+</MTConnectStreams>`;
+
+const CURRENT = streams({ next: 101 }, `
+    <ComponentStream component="Device" name="VMC-3Axis" componentId="d1"><Events><Availability dataItemId="avail" timestamp="2026-10-18T08:00:00.000Z" sequence="1">AVAILABLE</Availability></Events></ComponentStream>
+    <ComponentStream component="Linear" name="X" componentId="x"><Samples><Position dataItemId="Xact" name="Xact" timestamp="2026-10-18T08:00:01.500Z" sequence="99" subType="ACTUAL">12.5</Position></Samples></ComponentStream>`);
+
+const SAMPLE_CHUNK = streams({ next: 104 }, `
+    <ComponentStream component="Controller" name="controller" componentId="cont">
+      <Events><Execution dataItemId="exec" name="execution" timestamp="2026-10-18T08:00:03.000Z" sequence="103">UNAVAILABLE</Execution></Events>
+      <Condition><Fault dataItemId="logic" name="logic_cond" type="LOGIC_PROGRAM" nativeCode="E42" timestamp="2026-10-18T08:00:02.000Z" sequence="102">Program error &amp; stop</Fault></Condition>
+    </ComponentStream>
+    <ComponentStream component="Linear" name="X" componentId="x"><Samples><Position dataItemId="Xact" name="Xact" timestamp="2026-10-18T08:00:02.000Z" sequence="101">13.25</Position></Samples></ComponentStream>`);
+
+const multipart = (xml) => `--BOUNDARY\r\nContent-type: text/xml\r\nContent-length: ${Buffer.byteLength(xml)}\r\n\r\n${xml}\r\n`;
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+describe('MtconnectProvider', () => {
+    let mockContext;
+    let sampleStream;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        sampleStream = new PassThrough();
+        const state = new Map();
+        mockContext = {
+            logger: createMockLogger(),
+            handleMessage: jest.fn(),
+            updateConnectorStatus: jest.fn(),
+            stateStore: {
+                load: jest.fn(async (id) => state.get(id) || null),
+                save: jest.fn(async (id, value) => { state.set(id, value); })
+            }
+        };
+        jest.spyOn(axios, 'get').mockImplementation(async (url) => {
+            if (url.endsWith('/probe')) return { data: PROBE };
+            if (url.endsWith('/current')) return { data: CURRENT };
+            return { headers: { 'content-type': 'multipart/x-mixed-replace;boundary=BOUNDARY' }, data: sampleStream };
+        });
+    });
+
+    const createProvider = (options = {}) => new MtconnectProvider({
+        id: 'cnc', type: 'mtconnect', options: { url: 'http://agent:5000/', ...options }
+    }, mockContext);
+
+    const messagesByTopic = () => Object.fromEntries(mockContext.handleMessage.mock.calls.map(([, topic, payload, options]) => [topic, { payload, options }]));
+
+    test('should split a multipart stream on its content lengths', () => {
+        const parts = [];
+        const reader = new MultipartReader('BOUNDARY', part => parts.push(part));
+        const data = Buffer.from(multipart('<a>1</a>') + multipart('<b>--BOUNDARY</b>'));
+        reader.push(data.subarray(0, 30));
+        reader.push(data.subarray(30));
+        expect(parts).toEqual(['<a>1</a>', '<b>--BOUNDARY</b>']);
+        expect(parseStreams(SAMPLE_CHUNK).observations.map(o => o.sequence)).toEqual([101, 102, 103]);
+    });
+
+    test('should build topics and the I3X model from the probe, then publish current values', async () => {
+        const provider = createProvider();
+        await expect(provider.connect()).resolves.toBe(true);
+        await provider.disconnect();
+
+        const [providerId, elements] = semanticManager.registerExternalElements.mock.calls[0];
+        expect(providerId).toBe('cnc');
+        expect(elements).toContainEqual(expect.objectContaining({ elementId: 'mtc_cnc_d1', typeId: 'MTConnectDevice', topic_mapping: 'mtconnect/VMC-3Axis/#' }));
+        expect(elements).toContainEqual(expect.objectContaining({ elementId: 'mtc_cnc_x', typeId: 'MTConnectComponent', parentId: 'mtc_cnc_a' }));
+        expect(elements).toContainEqual(expect.objectContaining({
+            elementId: 'mtc_cnc_Xact', parentId: 'mtc_cnc_x', topic_mapping: 'mtconnect/VMC-3Axis/base/X/Xact',
+            attributes: expect.objectContaining({ type: 'POSITION', units: 'MILLIMETER' })
+        }));
+
+        const messages = messagesByTopic();
+        expect(messages['mtconnect/VMC-3Axis/avail'].payload).toMatchObject({ value: 'AVAILABLE', quality: 'Good', category: 'EVENT' });
+        expect(messages['mtconnect/VMC-3Axis/base/X/Xact']).toEqual({
+            payload: expect.objectContaining({ value: 12.5, sequence: 99, type: 'POSITION', subType: 'ACTUAL', units: 'MILLIMETER' }),
+            options: expect.objectContaining({ timestamp: Date.parse('2026-10-18T08:00:01.500Z'), connectorType: 'mtconnect' })
+        });
+    });
+
+    test('should stream samples from nextSequence with timestamps, conditions and UNAVAILABLE values', async () => {
+        const provider = createProvider();
+        await provider.connect();
+        expect(axios.get).toHaveBeenLastCalledWith('http://agent:5000/sample', expect.objectContaining({
+            params: { from: 101, count: 1000, interval: 1000, heartbeat: 10000 },
+            responseType: 'stream'
+        }));
+        mockContext.handleMessage.mockClear();
+
+        sampleStream.write(multipart(SAMPLE_CHUNK));
+        const calls = mockContext.handleMessage.mock.calls;
+        expect(calls.map(c => c[2].sequence)).toEqual([101, 102, 103]);
+        expect(calls[1][1]).toBe('mtconnect/VMC-3Axis/controller/logic_cond');
+        expect(calls[1][2]).toMatchObject({ value: 'FAULT', message: 'Program error & stop', nativeCode: 'E42', category: 'CONDITION' });
+        expect(calls[2][2]).toMatchObject({ value: null, quality: 'Unavailable', type: 'EXECUTION' });
+        expect(provider.nextSequence).toBe(104);
+
+        await provider.disconnect();
+        expect(mockContext.stateStore.save).toHaveBeenLastCalledWith('cnc', { url: 'http://agent:5000', instanceId: '1700', nextSequence: 104 });
+    });
+
+    test('should skip UNAVAILABLE values on demand and resume from the persisted sequence', async () => {
+        await mockContext.stateStore.save('cnc', { url: 'http://agent:5000', instanceId: '1700', nextSequence: 95 });
+        const provider = createProvider({ unavailable: 'skip' });
+        await provider.connect();
+
+        // Resuming: the buffered samples are replayed instead of the current values
+        expect(mockContext.handleMessage).not.toHaveBeenCalled();
+        expect(axios.get.mock.calls[2][1].params.from).toBe(95);
+
+        sampleStream.write(multipart(SAMPLE_CHUNK));
+        expect(mockContext.handleMessage.mock.calls.map(c => c[2].sequence)).toEqual([101, 102]);
+        await provider.disconnect();
+    });
+});
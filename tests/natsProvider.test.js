@@ -0,0 +1,231 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the NATS / JetStream Provider.
+ * Verifies subject translation, core subscriptions, durable consumers with acknowledgement and publishing.
+ */
+
+const createHeaders = (entries = {}) => {
+    const map = new Map(Object.entries(entries));
+    return { keys: () => [...map.keys()], get: (k) => map.get(k), set: (k, v) => map.set(k, v), entries: map };
+};
+
+const mockConsumer = {
+    consume: jest.fn().mockResolvedValue({ stop: jest.fn() }),
+    info: jest.fn().mockResolvedValue({ name: 'korelate-edge', num_pending: 12, num_ack_pending: 2, num_redelivered: 1 })
+};
+const mockJsm = {
+    consumers: {
+        info: jest.fn().mockRejectedValue(new Error('consumer not found')),
+        add: jest.fn().mockResolvedValue({}),
+        update: jest.fn().mockResolvedValue({})
+    }
+};
+const mockJs = {
+    consumers: { get: jest.fn().mockResolvedValue(mockConsumer) },
+    publish: jest.fn().mockResolvedValue({ seq: 1 })
+};
+const mockConnection = {
+    subscribe: jest.fn(() => ({ unsubscribe: jest.fn() })),
+    publish: jest.fn(),
+    jetstream: jest.fn(() => mockJs),
+    jetstreamManager: jest.fn().mockResolvedValue(mockJsm),
+    status: jest.fn(() => (async function* () {})()),
+    closed: jest.fn(() => new Promise(() => {})),
+    drain: jest.fn().mockResolvedValue()
+};
+jest.mock('nats', () => ({
+    connect: jest.fn().mockImplementation(() => Promise.resolve(mockConnection)),
+    headers: jest.fn(() => createHeaders()),
+    nanos: (ms) => ms * 1000000,
+    AckPolicy: { Explicit: 'explicit' },
+    credsAuthenticator: jest.fn()
+}), { virtual: true });
+
+// The burst tests dispatch through the real dispatcher: no worker threads nor webhooks
+jest.mock('worker_threads', () => ({
+    Worker: jest.fn().mockImplementation(() => ({ on: jest.fn(), postMessage: jest.fn(), terminate: jest.fn() })),
+    parentPort: { postMessage: jest.fn(), on: jest.fn() }
+}));
+jest.mock('../core/webhookManager', () => ({ trigger: jest.fn().mockResolvedValue([]) }));
+
+const nats = require('nats');
+const NatsProvider = require('../connectors/nats/index');
+const { topicPatternToSubject, subjectToTopic } = NatsProvider;
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+/**
+ * Starts the real dispatcher, counting the messages it stores.
+ * @returns {{handleMessage: Function, stored: jest.Mock}}
+ */
+const startDispatcher = () => {
+    const messageDispatcher = require('../core/messageDispatcher');
+    const stored = jest.fn();
+    messageDispatcher.setWorkerPool({ execute: jest.fn().mockResolvedValue({ v: 1 }) });
+    const handleMessage = messageDispatcher.init(
+        createMockLogger(), {}, { broadcast: jest.fn(), sendToClient: jest.fn() },
+        { rulesForTopicRequireDb: jest.fn().mockReturnValue(true), processMessage: jest.fn().mockResolvedValue(null) },
+        { insertMessage: stored }, jest.fn(), { processMessage: jest.fn().mockResolvedValue(null) }
+    );
+    return { handleMessage, stored };
+};
+
+const message = (subject, data, headers, info) => ({
+    subject,
+    data: new Uint8Array(Buffer.from(data)),
+    headers: headers ? createHeaders(headers) : undefined,
+    info,
+    ack: jest.fn(),
+    nak: jest.fn(),
+    term: jest.fn()
+});
+
+describe('NatsProvider', () => {
+    let mockContext;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockContext = {
+            logger: createMockLogger(),
+            handleMessage: jest.fn().mockResolvedValue(),
+            updateConnectorStatus: jest.fn()
+        };
+    });
+
+    test('should translate wildcards between UNS topic patterns and subjects', () => {
+        expect(topicPatternToSubject('plant/+/temp')).toBe('plant.*.temp');
+        expect(topicPatternToSubject('#')).toBe('>');
+        expect(topicPatternToSubject('plant/line.1/#')).toBe('plant.line_1.>');
+        expect(topicPatternToSubject('plant.*.temp')).toBe('plant.*.temp');
+        expect(subjectToTopic('plant.*.>')).toBe('plant/+/#');
+        expect(subjectToTopic('plant.line/1.temp')).toBe('plant/line_1/temp');
+    });
+
+    test('should subscribe to subjects and forward headers as correlation IDs', async () => {
+        const provider = new NatsProvider({
+            id: 'edge', type: 'nats', subscribe: ['plant/+/temp', 'alarms.>'],
+            options: { servers: 'nats://edge:4222', queue: 'korelate', topicPrefix: 'edge' }
+        }, mockContext);
+        await expect(provider.connect()).resolves.toBe(true);
+
+        expect(nats.connect).toHaveBeenCalledWith(expect.objectContaining({ servers: 'nats://edge:4222', maxReconnectAttempts: -1 }));
+        expect(mockConnection.subscribe).toHaveBeenCalledWith('plant.*.temp', expect.objectContaining({ queue: 'korelate' }));
+        expect(mockConnection.subscribe).toHaveBeenCalledWith('alarms.>', expect.objectContaining({ queue: 'korelate' }));
+        expect(mockContext.updateConnectorStatus).toHaveBeenLastCalledWith('edge', 'connected', null);
+
+        const callback = mockConnection.subscribe.mock.calls[0][1].callback;
+        await callback(null, message('plant.line1.temp', '21.5', { 'X-Correlation-Id': 'c-1' }));
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('edge', 'edge/plant/line1/temp', Buffer.from('21.5'), expect.objectContaining({
+            connectorType: 'nats',
+            correlationId: 'c-1',
+            natsSubject: 'plant.line1.temp'
+        }));
+    });
+
+    test('should consume a durable JetStream consumer and ack after dispatch', async () => {
+        const provider = new NatsProvider({
+            id: 'edge', type: 'nats', subscribe: ['plant/#'],
+            options: { jetstream: { stream: 'PLANT', ackWait: 10000 } }
+        }, mockContext);
+        await provider.connect();
+
+        expect(mockConnection.subscribe).not.toHaveBeenCalled();
+        expect(mockJsm.consumers.add).toHaveBeenCalledWith('PLANT', expect.objectContaining({
+            durable_name: 'korelate-edge',
+            ack_policy: 'explicit',
+            deliver_policy: 'all',
+            filter_subject: 'plant.>',
+            ack_wait: 10000000000
+        }));
+        expect(mockJs.consumers.get).toHaveBeenCalledWith('PLANT', 'korelate-edge');
+
+        const callback = mockConsumer.consume.mock.calls[0][0].callback;
+        let dispatched;
+        mockContext.handleMessage.mockImplementationOnce(() => new Promise(resolve => { dispatched = resolve; }));
+        const msg = message('plant.line1.temp', '{"v":1}', { correlationId: 'c-2' }, { streamSequence: 42, timestampNanos: 1760000000123000000, redelivered: false });
+        const handled = callback(msg);
+
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('edge', 'plant/line1/temp', Buffer.from('{"v":1}'), expect.objectContaining({
+            correlationId: 'c-2', natsStreamSequence: 42, timestamp: 1760000000123
+        }));
+        expect(msg.ack).not.toHaveBeenCalled();
+        dispatched();
+        await handled;
+        expect(msg.ack).toHaveBeenCalled();
+
+        await expect(provider.health()).resolves.toEqual({
+            status: 'ok', connected: true, details: { durable: 'korelate-edge', pending: 12, ackPending: 2, redelivered: 1 }
+        });
+    });
+
+    test('should keep the position of an existing durable and nak failed messages once', async () => {
+        mockJsm.consumers.info.mockResolvedValueOnce({ name: 'line-durable' });
+        const provider = new NatsProvider({
+            id: 'edge', type: 'nats', subscribe: ['plant/a/#', 'plant/b/#'],
+            options: { jetstream: { stream: 'PLANT', durable: 'line-durable' } }
+        }, mockContext);
+        await provider.connect();
+
+        expect(mockJsm.consumers.add).not.toHaveBeenCalled();
+        expect(mockJsm.consumers.update).toHaveBeenCalledWith('PLANT', 'line-durable', expect.objectContaining({ filter_subjects: ['plant.a.>', 'plant.b.>'] }));
+
+        const callback = mockConsumer.consume.mock.calls[0][0].callback;
+        mockContext.handleMessage.mockRejectedValue(new Error('dispatch failed'));
+        const first = message('plant.a.x', '1', null, { redelivered: false });
+        const second = message('plant.a.x', '1', null, { redelivered: true });
+        await callback(first);
+        await callback(second);
+
+        expect(mockContext.handleMessage.mock.calls[0][3]).toMatchObject({ rejectOnError: true });
+        expect(first.nak).toHaveBeenCalled();
+        expect(second.term).toHaveBeenCalled();
+        expect(first.ack).not.toHaveBeenCalled();
+    });
+
+    test('should ack a replayed JetStream backlog only once each message is dispatched', async () => {
+        const dispatcher = startDispatcher();
+        mockContext.handleMessage = dispatcher.handleMessage;
+        const provider = new NatsProvider({
+            id: 'edge', type: 'nats', subscribe: ['plant/#'],
+            options: { jetstream: { stream: 'PLANT' } }
+        }, mockContext);
+        await provider.connect();
+
+        // More than the dispatcher's 50 messages per second on one namespace
+        const callback = mockConsumer.consume.mock.calls[0][0].callback;
+        const backlog = Array.from({ length: 80 }, (_, i) => message('plant.line1.temp', `{"v":${i}}`, null, { streamSequence: i + 1, redelivered: false }));
+        try {
+            await Promise.all(backlog.map(msg => callback(msg)));
+        } finally {
+            require('../core/messageDispatcher').stop();
+        }
+
+        expect(dispatcher.stored).toHaveBeenCalledTimes(80);
+        expect(backlog.filter(msg => msg.ack.mock.calls.length > 0)).toHaveLength(80);
+    });
+
+    test('should publish allowed topics to subjects with headers', async () => {
+        const provider = new NatsProvider({
+            id: 'edge', type: 'nats', subscribe: [], publish: ['edge/commands/#'],
+            options: { topicPrefix: 'edge' }
+        }, mockContext);
+        await provider.connect();
+
+        const callback = jest.fn();
+        provider.publish('edge/commands/line1/start', { speed: 3 }, { properties: { userProperties: { correlationId: 'c-3' } } }, callback);
+        expect(mockConnection.publish).toHaveBeenCalledWith('commands.line1.start', Buffer.from('{"speed":3}'), { headers: expect.any(Object) });
+        expect(mockConnection.publish.mock.calls[0][2].headers.get('correlationId')).toBe('c-3');
+        expect(callback).toHaveBeenCalledWith(null);
+
+        provider.publish('edge/orders/x', '1', {}, callback);
+        expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Publish forbidden for topic: edge/orders/x' }));
+
+        await provider.disconnect();
+        expect(mockConnection.drain).toHaveBeenCalled();
+        expect(mockContext.updateConnectorStatus).toHaveBeenLastCalledWith('edge', 'disconnected', null);
+    });
+});
@@ -9,7 +9,11 @@
 jest.mock('node-opcua', () => {
     const mockSession = {
         close: jest.fn().mockResolvedValue(true),
-        write: jest.fn((nodeToWrite, callback) => callback(null, { value: 0, name: 'Good' }))
+        write: jest.fn((nodeToWrite, callback) => callback(null, { value: 0, name: 'Good' })),
+        readHistoryValue: jest.fn(),
+        browse: jest.fn(),
+        browseNext: jest.fn(),
+        read: jest.fn()
     };
 
     const mockClient = {
@@ -38,9 +42,18 @@ jest.mock('node-opcua', () => {
         ClientMonitoredItem: {
             create: jest.fn(() => mockMonitoredItem)
         },
-        AttributeIds: { Value: 13 },
+        AttributeIds: { Value: 13, DataType: 14, UserAccessLevel: 18 },
         TimestampsToReturn: { Both: 2 },
-        DataType: { Double: 11, String: 12, Boolean: 1 }
+        BrowseDirection: { Forward: 0 },
+        NodeClass: { 1: 'Object', 2: 'Variable', 4: 'Method' },
+        DataType: { Double: 11, String: 12, Boolean: 1, 11: 'Double', 12: 'String', 1: 'Boolean' },
+        MessageSecurityMode: { None: 1, Sign: 2, SignAndEncrypt: 3 },
+        SecurityPolicy: { None: 'SecurityPolicy#None', Basic256Sha256: 'SecurityPolicy#Basic256Sha256' },
+        UserTokenType: { Certificate: 2 },
+        OPCUACertificateManager: jest.fn().mockImplementation(({ rootFolder }) => ({
+            rootDir: rootFolder,
+            initialize: jest.fn().mockResolvedValue()
+        }))
     };
 });
 
@@ -173,4 +186,224 @@ describe('OpcUaProvider', () => {
         expect(provider.client).toBeNull();
         expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_opc', 'disconnected', null);
     });
-});
\ No newline at end of file
+
+    describe('Address space browsing', () => {
+        const ref = (nodeId, name, nodeClass) => ({
+            nodeId: { toString: () => nodeId },
+            browseName: { name },
+            displayName: { text: name },
+            nodeClass,
+            referenceTypeId: { toString: () => 'ns=0;i=35' }
+        });
+
+        test('should list children with data types and access levels', async () => {
+            const provider = new OpcUaProvider(providerConfig, mockContext);
+            await provider.connect();
+
+            provider.session.browse.mockResolvedValueOnce({
+                statusCode: { value: 0 },
+                references: [ref('ns=2;s=Line1', 'Line1', 1), ref('ns=2;s=Line1.Temp', 'Temp', 2)],
+                continuationPoint: null
+            });
+            provider.session.read.mockResolvedValueOnce([
+                { value: { value: { namespace: 0, value: 11 } } },
+                { value: { value: 0x07 } }
+            ]);
+
+            const children = await provider.browse();
+
+            expect(provider.session.browse).toHaveBeenCalledWith(expect.objectContaining({ nodeId: 'ns=0;i=85' }));
+            expect(children).toEqual([
+                expect.objectContaining({ nodeId: 'ns=2;s=Line1', browseName: 'Line1', nodeClass: 'Object', hasChildren: true }),
+                expect.objectContaining({
+                    nodeId: 'ns=2;s=Line1.Temp', nodeClass: 'Variable', hasChildren: false,
+                    dataType: 'Double', readable: true, writable: true, historizing: true
+                })
+            ]);
+        });
+
+        test('should follow continuation points', async () => {
+            const provider = new OpcUaProvider(providerConfig, mockContext);
+            await provider.connect();
+
+            provider.session.browse.mockResolvedValueOnce({
+                statusCode: { value: 0 },
+                references: [ref('ns=2;s=A', 'A', 1)],
+                continuationPoint: Buffer.from([1])
+            });
+            provider.session.browseNext.mockResolvedValueOnce({
+                references: [ref('ns=2;s=B', 'B', 4)],
+                continuationPoint: null
+            });
+
+            const children = await provider.browse('ns=2;s=Root');
+
+            expect(provider.session.browseNext).toHaveBeenCalledTimes(1);
+            expect(children.map(c => c.nodeId)).toEqual(['ns=2;s=A', 'ns=2;s=B']);
+            expect(provider.session.read).not.toHaveBeenCalled();
+        });
+
+        test('should reject browsing without an active session', async () => {
+            const provider = new OpcUaProvider(providerConfig, mockContext);
+            await expect(provider.browse()).rejects.toThrow('session not active');
+        });
+    });
+
+    describe('HistoryRead backfill', () => {
+        const dv = (iso, value) => ({
+            value: { value },
+            statusCode: { name: 'Good', value: 0 },
+            sourceTimestamp: new Date(iso)
+        });
+
+        const startMonitoring = async (config) => {
+            const provider = new OpcUaProvider(config, mockContext);
+            await provider.connect();
+            const subStartedHandler = provider.subscription.on.mock.calls.find(call => call[0] === 'started')[1];
+            subStartedHandler();
+            const monitoredItem = ClientMonitoredItem.create.mock.results[0].value;
+            const changedHandler = monitoredItem.on.mock.calls.find(call => call[0] === 'changed')[1];
+            return { provider, changedHandler };
+        };
+
+        const clientHandler = (provider, event) => provider.client.on.mock.calls.find(call => call[0] === event)[1];
+
+        test('should recover values missed during the outage and flag them as backfill', async () => {
+            const { provider, changedHandler } = await startMonitoring({ ...providerConfig, backfill: true });
+            const base = Date.now() - 60000;
+            const at = (seconds) => new Date(base + seconds * 1000).toISOString();
+
+            changedHandler(dv(at(0), 20));
+            mockContext.handleMessage.mockClear();
+
+            provider.session.readHistoryValue.mockResolvedValueOnce({
+                statusCode: { value: 0, name: 'Good' },
+                historyData: { dataValues: [
+                    dv(at(0), 20),   // Watermark itself: already stored
+                    dv(at(5), 21),
+                    dv(at(10), 22)
+                ] },
+                continuationPoint: null
+            });
+
+            clientHandler(provider, 'connection_lost')();
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_opc', 'connecting', 'Connection lost');
+
+            clientHandler(provider, 'connection_reestablished')();
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => setImmediate(resolve));
+
+            const [historyNode, start] = provider.session.readHistoryValue.mock.calls[0];
+            expect(historyNode.nodeId).toBe('ns=1;s=Temperature');
+            expect(start).toEqual(new Date(at(0)));
+
+            expect(mockContext.handleMessage).toHaveBeenCalledTimes(2);
+            expect(mockContext.handleMessage).toHaveBeenCalledWith('test_opc', 'uns/factory/temp',
+                { value: 21, quality: 'Good', timestamp: new Date(at(5)) },
+                { timestamp: new Date(at(5)), isBackfill: true, connectorType: 'opcua' });
+        });
+
+        test('should follow HistoryRead continuation points', async () => {
+            const { provider, changedHandler } = await startMonitoring({ ...providerConfig, backfill: true, backfillMaxWindowMs: 3600000 });
+            changedHandler(dv('2026-01-01T10:00:00Z', 20));
+            mockContext.handleMessage.mockClear();
+
+            provider.session.readHistoryValue
+                .mockResolvedValueOnce({ statusCode: { value: 0 }, historyData: { dataValues: [dv('2026-01-01T10:00:01Z', 1)] }, continuationPoint: Buffer.from([1]) })
+                .mockResolvedValueOnce({ statusCode: { value: 0 }, historyData: { dataValues: [dv('2026-01-01T10:00:02Z', 2)] }, continuationPoint: null });
+
+            const count = await provider.backfillOutage(new Map(provider.lastValueTimestamps), null, new Date('2026-01-01T10:30:00Z'));
+
+            expect(count).toBe(2);
+            expect(provider.session.readHistoryValue.mock.calls[1][0].continuationPoint).toEqual(Buffer.from([1]));
+        });
+
+        test('should skip nodes whose server does not support history', async () => {
+            const { provider, changedHandler } = await startMonitoring({ ...providerConfig, backfill: true, backfillMaxWindowMs: 3600000 });
+            changedHandler(dv('2026-01-01T10:00:00Z', 20));
+            mockContext.handleMessage.mockClear();
+
+            provider.session.readHistoryValue.mockResolvedValueOnce({
+                statusCode: { value: 0x80720000, name: 'BadHistoryOperationUnsupported' }
+            });
+
+            const count = await provider.backfillOutage(new Map(provider.lastValueTimestamps), null, new Date('2026-01-01T10:30:00Z'));
+
+            expect(count).toBe(0);
+            expect(provider.logger.warn).toHaveBeenCalledWith(expect.objectContaining({ nodeId: 'ns=1;s=Temperature' }), expect.stringContaining('HistoryRead failed'));
+        });
+
+        test('should not backfill when the option is disabled', async () => {
+            const { provider } = await startMonitoring(providerConfig);
+
+            clientHandler(provider, 'connection_lost')();
+            clientHandler(provider, 'connection_reestablished')();
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(provider.session.readHistoryValue).not.toHaveBeenCalled();
+            expect(mockContext.updateConnectorStatus).toHaveBeenLastCalledWith('test_opc', 'connected', null);
+        });
+    });
+
+    describe('Security', () => {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+        let certsPath;
+
+        beforeEach(() => {
+            certsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'korelate-opcua-'));
+            mockContext.CERTS_PATH = certsPath;
+        });
+
+        afterEach(() => {
+            fs.rmSync(certsPath, { recursive: true, force: true });
+        });
+
+        test('should open a secured channel with the shared PKI under CERTS_PATH', async () => {
+            const provider = new OpcUaProvider({ ...providerConfig, securityMode: 'SignAndEncrypt' }, mockContext);
+
+            expect(await provider.connect()).toBe(true);
+
+            const options = OPCUAClient.create.mock.calls[0][0];
+            expect(options.securityMode).toBe(3);
+            expect(options.securityPolicy).toBe('SecurityPolicy#Basic256Sha256');
+            expect(options.applicationName).toBe('Korelate');
+            expect(options.clientCertificateManager.rootDir).toBe(path.join(certsPath, 'opcua', 'pki'));
+        });
+
+        test('should authenticate with an X.509 user certificate', async () => {
+            fs.writeFileSync(path.join(certsPath, 'operator.der'), Buffer.from([0x30, 0x03, 0x02, 0x01, 0x01]));
+            fs.writeFileSync(path.join(certsPath, 'operator.key'), 'KEY');
+            const provider = new OpcUaProvider({ ...providerConfig, userCertificate: 'operator.der', userPrivateKey: 'operator.key' }, mockContext);
+
+            expect(await provider.connect()).toBe(true);
+
+            expect(provider.client.createSession).toHaveBeenCalledWith({
+                type: 2,
+                certificateData: Buffer.from([0x30, 0x03, 0x02, 0x01, 0x01]),
+                privateKey: 'KEY'
+            });
+        });
+
+        test('should fail before connecting when the security settings are invalid', async () => {
+            const provider = new OpcUaProvider({ ...providerConfig, userCertificate: 'operator.der' }, mockContext);
+
+            expect(await provider.connect()).toBe(false);
+
+            expect(OPCUAClient.create).not.toHaveBeenCalled();
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_opc', 'error', expect.stringContaining('userPrivateKey'));
+        });
+
+        test('should point to the trust store when the server certificate is rejected', async () => {
+            const provider = new OpcUaProvider(providerConfig, mockContext);
+            provider.client = OPCUAClient.create();
+            provider.client.connect.mockRejectedValueOnce(new Error('BadCertificateUntrusted: certificate is not trusted'));
+            OPCUAClient.create.mockClear();
+
+            expect(await provider.connect()).toBe(false);
+
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_opc', 'error', expect.stringContaining('OPC UA Certificates'));
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the OPC UA security helpers.
+ * Verifies security mode/policy mapping, user identities and the trusted/rejected certificate store.
+ */
+
+jest.mock('node-opcua', () => {
+    const path = require('path');
+    const fs = require('fs');
+
+    const OPCUACertificateManager = jest.fn().mockImplementation(({ rootFolder }) => {
+        const folders = {
+            trusted: path.join(rootFolder, 'trusted/certs'),
+            rejected: path.join(rootFolder, 'rejected')
+        };
+        // Simulates the real manager: certificates are matched by content and moved between folders
+        const move = async (der, status) => {
+            const source = status === 'trusted' ? folders.rejected : folders.trusted;
+            for (const f of fs.readdirSync(source)) {
+                const pem = fs.readFileSync(path.join(source, f), 'utf8');
+                if (pem.includes(der.toString('base64').substring(0, 64))) {
+                    fs.renameSync(path.join(source, f), path.join(folders[status], f));
+                }
+            }
+        };
+        return {
+            rootDir: rootFolder,
+            trustedFolder: folders.trusted,
+            rejectedFolder: folders.rejected,
+            initialize: jest.fn(async () => Object.values(folders).forEach(f => fs.mkdirSync(f, { recursive: true }))),
+            trustCertificate: jest.fn((der) => move(der, 'trusted')),
+            rejectCertificate: jest.fn((der) => move(der, 'rejected')),
+            removeTrustedCertificate: jest.fn().mockResolvedValue(null)
+        };
+    });
+
+    return {
+        OPCUACertificateManager,
+        MessageSecurityMode: { None: 1, Sign: 2, SignAndEncrypt: 3 },
+        SecurityPolicy: {
+            None: 'http://opcfoundation.org/UA/SecurityPolicy#None',
+            Basic256Sha256: 'http://opcfoundation.org/UA/SecurityPolicy#Basic256Sha256',
+            Aes256_Sha256_RsaPss: 'http://opcfoundation.org/UA/SecurityPolicy#Aes256_Sha256_RsaPss'
+        },
+        UserTokenType: { Anonymous: 0, UserName: 1, Certificate: 2 },
+        makeSubject: jest.fn(),
+        makeApplicationUrn: jest.fn((host, name) => `urn:${host}:${name}`),
+        getHostname: jest.fn(() => 'gateway')
+    };
+});
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const security = require('../connectors/opcua/security');
+
+// Public root CA used as a stand-in server certificate (SHA-1 8da7f965ec5efc37910f1c6e59fdc1cc6a6ede16)
+const SERVER_CERT_PEM = [
+    '-----BEGIN CERTIFICATE-----',
+    'MIIDQTCCAimgAwIBAgITBmyfz5m/jAo54vB4ikPmljZbyjANBgkqhkiG9w0BAQsF',
+    'ADA5MQswCQYDVQQGEwJVUzEPMA0GA1UEChMGQW1hem9uMRkwFwYDVQQDExBBbWF6',
+    'b24gUm9vdCBDQSAxMB4XDTE1MDUyNjAwMDAwMFoXDTM4MDExNzAwMDAwMFowOTEL',
+    'MAkGA1UEBhMCVVMxDzANBgNVBAoTBkFtYXpvbjEZMBcGA1UEAxMQQW1hem9uIFJv',
+    'b3QgQ0EgMTCCASIwDQYJKoZIhvcNAQEBBQADggEPADCCAQoCggEBALJ4gHHKeNXj',
+    'ca9HgFB0fW7Y14h29Jlo91ghYPl0hAEvrAIthtOgQ3pOsqTQNroBvo3bSMgHFzZM',
+    '9O6II8c+6zf1tRn4SWiw3te5djgdYZ6k/oI2peVKVuRF4fn9tBb6dNqcmzU5L/qw',
+    'IFAGbHrQgLKm+a/sRxmPUDgH3KKHOVj4utWp+UhnMJbulHheb4mjUcAwhmahRWa6',
+    'VOujw5H5SNz/0egwLX0tdHA114gk957EWW67c4cX8jJGKLhD+rcdqsq08p8kDi1L',
+    '93FcXmn/6pUCyziKrlA4b9v7LWIbxcceVOF34GfID5yHI9Y/QCB/IIDEgEw+OyQm',
+    'jgSubJrIqg0CAwEAAaNCMEAwDwYDVR0TAQH/BAUwAwEB/zAOBgNVHQ8BAf8EBAMC',
+    'AYYwHQYDVR0OBBYEFIQYzIU07LwMlJQuCFmcx7IQTgoIMA0GCSqGSIb3DQEBCwUA',
+    'A4IBAQCY8jdaQZChGsV2USggNiMOruYou6r4lK5IpDB/G/wkjUu0yKGX9rbxenDI',
+    'U5PMCCjjmCXPI6T53iHTfIUJrU6adTrCC2qJeHZERxhlbI1Bjjt/msv0tadQ1wUs',
+    'N+gDS63pYaACbvXy8MWy7Vu33PqUXHeeE6V/Uq2V8viTO96LXFvKWlJbYK8U90vv',
+    'o/ufQJVtMVT8QtPHRh8jrdkPSHCa2XV4cdFyQzR1bldZwgJcJmApzyMZFo6IQ6XU',
+    '5MsI+yMRQ+hDKXJioaldXgjUkK642M4UwtBV8ob2xJNDd2ZhwLnoQdeXeGADbkpy',
+    'rqXRfboQnoZsG4q5WTP468SQvvG5',
+    '-----END CERTIFICATE-----'
+].join('\n');
+const SERVER_THUMBPRINT = '8da7f965ec5efc37910f1c6e59fdc1cc6a6ede16';
+
+describe('OPC UA security', () => {
+    let certsPath;
+
+    beforeEach(() => {
+        certsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'korelate-opcua-pki-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(certsPath, { recursive: true, force: true });
+    });
+
+    test('should map security modes and default secured channels to Basic256Sha256', () => {
+        expect(security.resolveSecurityOptions({})).toEqual({
+            securityMode: 1,
+            securityPolicy: 'http://opcfoundation.org/UA/SecurityPolicy#None'
+        });
+        expect(security.resolveSecurityOptions({ securityMode: 'SignAndEncrypt' })).toEqual({
+            securityMode: 3,
+            securityPolicy: 'http://opcfoundation.org/UA/SecurityPolicy#Basic256Sha256'
+        });
+        expect(security.resolveSecurityOptions({ securityMode: 'Sign', securityPolicy: 'Aes256_Sha256_RsaPss' }).securityPolicy)
+            .toBe('http://opcfoundation.org/UA/SecurityPolicy#Aes256_Sha256_RsaPss');
+        expect(() => security.resolveSecurityOptions({ securityMode: 'Encrypt' })).toThrow(/Invalid OPC UA securityMode/);
+    });
+
+    test('should build X.509, username and anonymous identities', () => {
+        fs.writeFileSync(path.join(certsPath, 'operator.pem'), SERVER_CERT_PEM);
+        fs.writeFileSync(path.join(certsPath, 'operator.key'), 'PRIVATE KEY PEM');
+
+        const identity = security.buildUserIdentity({ userCertificate: 'operator.pem', userPrivateKey: 'operator.key', username: 'ignored' }, certsPath);
+        expect(identity.type).toBe(2);
+        expect(Buffer.isBuffer(identity.certificateData)).toBe(true);
+        expect(identity.certificateData[0]).toBe(0x30); // DER SEQUENCE
+        expect(identity.privateKey).toBe('PRIVATE KEY PEM');
+
+        expect(security.buildUserIdentity({ username: 'op', password: 'pw' })).toEqual({ userName: 'op', password: 'pw' });
+        expect(security.buildUserIdentity({})).toBeNull();
+        expect(() => security.buildUserIdentity({ userCertificate: 'operator.pem' }, certsPath)).toThrow(/userPrivateKey/);
+    });
+
+    test('should list rejected server certificates and move them to the trusted store', async () => {
+        const cm = await security.getCertificateManager(certsPath);
+        expect(cm.rootDir).toBe(path.join(certsPath, 'opcua', 'pki'));
+        fs.writeFileSync(path.join(cm.rejectedFolder, 'server.pem'), SERVER_CERT_PEM);
+
+        let store = await security.listCertificates(certsPath);
+        expect(store.applicationUri).toBe('urn:gateway:Korelate');
+        expect(store.applicationCertificate).toBeNull();
+        expect(store.trusted).toHaveLength(0);
+        expect(store.rejected).toEqual([expect.objectContaining({
+            thumbprint: SERVER_THUMBPRINT,
+            subject: expect.stringContaining('CN=Amazon Root CA 1'),
+            filename: 'server.pem',
+            expired: false
+        })]);
+
+        expect(await security.setCertificateTrust(certsPath, SERVER_THUMBPRINT.toUpperCase(), 'trusted')).toBe(true);
+        expect(Buffer.isBuffer(cm.trustCertificate.mock.calls[0][0])).toBe(true);
+
+        store = await security.listCertificates(certsPath);
+        expect(store.rejected).toHaveLength(0);
+        expect(store.trusted[0].thumbprint).toBe(SERVER_THUMBPRINT);
+    });
+
+    test('should report unknown thumbprints and delete trusted certificates', async () => {
+        const cm = await security.getCertificateManager(certsPath);
+        fs.writeFileSync(path.join(cm.trustedFolder, 'server.pem'), SERVER_CERT_PEM);
+
+        expect(await security.setCertificateTrust(certsPath, 'deadbeef', 'trusted')).toBe(false);
+        expect(await security.removeCertificate(certsPath, 'deadbeef')).toBe(false);
+
+        expect(await security.removeCertificate(certsPath, SERVER_THUMBPRINT)).toBe(true);
+        expect(cm.removeTrustedCertificate).toHaveBeenCalledWith(SERVER_THUMBPRINT);
+        expect(fs.existsSync(path.join(cm.trustedFolder, 'server.pem'))).toBe(false);
+    });
+});
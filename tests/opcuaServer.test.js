@@ -0,0 +1,219 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the northbound OPC UA Server.
+ * Verifies UNS mirroring, I3X model exposure and write-back routing through the owning connector.
+ */
+
+jest.mock('node-opcua', () => {
+    const makeNode = (kind, options) => ({
+        kind,
+        options,
+        nodeId: options.nodeId,
+        addReference: jest.fn()
+    });
+
+    const namespace = {
+        index: 1,
+        nodes: [],
+        addFolder: jest.fn((parent, options) => { const n = makeNode('folder', { ...options, parent }); namespace.nodes.push(n); return n; }),
+        addObject: jest.fn((options) => { const n = makeNode('object', options); namespace.nodes.push(n); return n; }),
+        addObjectType: jest.fn((options) => { const n = makeNode('objectType', options); namespace.nodes.push(n); return n; }),
+        addVariable: jest.fn((options) => { const n = makeNode('variable', options); namespace.nodes.push(n); return n; })
+    };
+
+    const OPCUAServer = jest.fn().mockImplementation((options) => ({
+        options,
+        initialize: jest.fn().mockResolvedValue(),
+        start: jest.fn().mockResolvedValue(),
+        shutdown: jest.fn().mockResolvedValue(),
+        engine: { addressSpace: { rootFolder: { objects: { nodeId: 'ns=0;i=85' } }, getOwnNamespace: () => namespace } }
+    }));
+
+    return {
+        OPCUAServer,
+        Variant: jest.fn().mockImplementation((v) => v),
+        DataType: { Boolean: 1, Double: 11, String: 12 },
+        StatusCodes: { Good: 'Good', BadUserAccessDenied: 'BadUserAccessDenied', BadNotConnected: 'BadNotConnected', BadCommunicationError: 'BadCommunicationError' },
+        __namespace: namespace
+    };
+});
+
+const { EventEmitter } = require('events');
+const { UnsOpcUaServer, extractScalar } = require('../interfaces/opcua/opcuaServer');
+const opcua = require('node-opcua');
+
+const createMockLogger = () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+describe('UnsOpcUaServer', () => {
+    let dispatcherEvents;
+    let activeConnections;
+    let mapperEngine;
+    let semanticManager;
+    const namespace = opcua.__namespace;
+
+    const findNode = (nodeId) => namespace.nodes.find(n => n.nodeId === nodeId);
+    // Client writes go through the asynchronous (callback) setter
+    const write = (variable, variant) => new Promise((resolve, reject) => {
+        variable.options.value.set(variant, (err, status) => (err ? reject(err) : resolve(status)));
+    });
+
+    const createServer = (config = {}) => new UnsOpcUaServer({
+        config: { OPCUA_SERVER_PORT: 4841, OPCUA_SERVER_PUBLISH: ['factory/+/setpoint'], ...config },
+        logger: createMockLogger(),
+        dispatcherEvents,
+        activeConnections,
+        mapperEngine,
+        semanticManager
+    });
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        namespace.nodes = [];
+        dispatcherEvents = new EventEmitter();
+        activeConnections = new Map([
+            ['plc_1', { connected: true, publish: jest.fn((t, p, o, cb) => cb && cb(null)) }]
+        ]);
+        mapperEngine = { isPublishAllowed: jest.fn().mockReturnValue(true) };
+        semanticManager = {
+            getModel: () => ({ objectTypes: [{ elementId: 'MachineType', displayName: 'Machine' }] }),
+            getAllInstances: () => [
+                { elementId: 'press_1', typeId: 'MachineType', parentId: 'line_1' },
+                { elementId: 'line_1', displayName: 'Line 1' }
+            ],
+            resolveTopic: jest.fn((topic) => topic.startsWith('factory/press_1') ? { elementId: 'press_1' } : null)
+        };
+    });
+
+    test('should extract scalar values from dispatched payloads', () => {
+        expect(extractScalar({ value: 21.5, unit: 'C' })).toBe(21.5);
+        expect(extractScalar({ a: 1 })).toBe('{"a":1}');
+        expect(extractScalar('raw')).toBe('raw');
+    });
+
+    test('should mirror live UNS messages as folders and typed variables', async () => {
+        const server = createServer();
+        await server.start();
+
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/temp', payload: { value: 42.5 }, timestamp: '2026-01-01T00:00:00Z' });
+
+        expect(findNode('s=uns/plc_1')).toBeDefined();
+        expect(findNode('s=uns/plc_1/factory/press_1')).toBeDefined();
+
+        const variable = findNode('s=uns/plc_1/factory/press_1/temp');
+        expect(variable.options.dataType).toBe(opcua.DataType.Double);
+        expect(variable.options.accessLevel).toBe('CurrentRead');
+        expect(variable.options.value.get()).toEqual({ dataType: opcua.DataType.Double, value: 42.5 });
+
+        // Subsequent updates reuse the same node
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/temp', payload: { value: 43 } });
+        expect(namespace.addVariable).toHaveBeenCalledTimes(1);
+        expect(variable.options.value.get().value).toBe(43);
+    });
+
+    test('should keep a value for topics that are also parents of deeper topics', async () => {
+        const server = createServer();
+        await server.start();
+
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'a/b/c', payload: 'x' });
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'a/b', payload: 'y' });
+
+        expect(findNode('s=uns/plc_1/a/b/_value').options.value.get().value).toBe('y');
+    });
+
+    test('should route allowed client writes through the owning connector', async () => {
+        const server = createServer();
+        await server.start();
+
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/setpoint', payload: { value: 10 } });
+        const variable = findNode('s=uns/plc_1/factory/press_1/setpoint');
+        expect(variable.options.accessLevel).toBe('CurrentRead | CurrentWrite');
+
+        const status = await write(variable, { value: 15 });
+
+        expect(status).toBe('Good');
+        expect(variable.options.value.get().value).toBe(15);
+        expect(mapperEngine.isPublishAllowed).toHaveBeenCalledWith('plc_1', 'factory/press_1/setpoint');
+        const conn = activeConnections.get('plc_1');
+        expect(conn.publish).toHaveBeenCalledWith('factory/press_1/setpoint', expect.any(String), expect.any(Object), expect.any(Function));
+        expect(JSON.parse(conn.publish.mock.calls[0][1]).value).toBe(15);
+    });
+
+    test('should reject writes denied by the connector publish list or on disconnected connectors', async () => {
+        const server = createServer();
+        await server.start();
+
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/setpoint', payload: { value: 10 } });
+        const variable = findNode('s=uns/plc_1/factory/press_1/setpoint');
+
+        mapperEngine.isPublishAllowed.mockReturnValueOnce(false);
+        expect(await write(variable, { value: 1 })).toBe('BadUserAccessDenied');
+
+        activeConnections.get('plc_1').connected = false;
+        expect(await write(variable, { value: 1 })).toBe('BadNotConnected');
+        expect(activeConnections.get('plc_1').publish).not.toHaveBeenCalled();
+    });
+
+    test('should report failed publishes to the client and keep the mirrored value', async () => {
+        const server = createServer();
+        await server.start();
+
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/setpoint', payload: { value: 10 } });
+        const variable = findNode('s=uns/plc_1/factory/press_1/setpoint');
+        const conn = activeConnections.get('plc_1');
+        let complete;
+        conn.publish.mockImplementationOnce((t, p, o, cb) => { complete = cb; });
+
+        const pending = write(variable, { value: 15 });
+        await new Promise(resolve => setImmediate(resolve));
+        // Nothing is reported before the connector answers
+        expect(variable.options.value.get().value).toBe(10);
+        complete(new Error('Broker unavailable'));
+
+        expect(await pending).toBe('BadCommunicationError');
+        expect(variable.options.value.get().value).toBe(10);
+    });
+
+    test('should mirror I3X object types and instance hierarchy', async () => {
+        const server = createServer();
+        await server.start();
+
+        expect(findNode('s=types/MachineType')).toBeDefined();
+        const line = findNode('s=instances/line_1');
+        const press = findNode('s=instances/press_1');
+        expect(press.options.organizedBy).toBe(line);
+        expect(press.options.typeDefinition).toBe(findNode('s=types/MachineType'));
+
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/temp', payload: { value: 1 } });
+        dispatcherEvents.emit('message', { sourceId: 'plc_1', topic: 'factory/press_1/temp', payload: { value: 2 } });
+        expect(press.addReference).toHaveBeenCalledTimes(1);
+        expect(press.addReference).toHaveBeenCalledWith({ referenceType: 'Organizes', nodeId: 's=uns/plc_1/factory/press_1/temp' });
+    });
+
+    test('should require credentials when a username is configured', async () => {
+        const server = createServer({ OPCUA_SERVER_USERNAME: 'historian', OPCUA_SERVER_PASSWORD: 'secret' });
+        await server.start();
+
+        const options = opcua.OPCUAServer.mock.calls[0][0];
+        expect(options.allowAnonymous).toBe(false);
+        expect(options.userManager.isValidUser('historian', 'secret')).toBe(true);
+        expect(options.userManager.isValidUser('historian', 'wrong')).toBe(false);
+    });
+
+    test('should stop listening to the live feed on stop', async () => {
+        const server = createServer();
+        await server.start();
+        expect(dispatcherEvents.listenerCount('message')).toBe(1);
+
+        await server.stop();
+
+        expect(dispatcherEvents.listenerCount('message')).toBe(0);
+        expect(server.server).toBeNull();
+    });
+});
@@ -0,0 +1,166 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the Outbox Manager (store-and-forward).
+ * Verifies queueing while a connector is offline, ordered draining on reconnect, size bounds and expiry.
+ */
+const fs = require('fs');
+const path = require('path');
+const outboxManager = require('../storage/outboxManager');
+
+const OUTBOX_DIR = path.join(__dirname, '../data/outbox');
+const CONNECTOR_ID = 'test_outbox_broker';
+const OUTBOX_FILE = path.join(OUTBOX_DIR, `${CONNECTOR_ID}.jsonl`);
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+describe('Outbox Manager', () => {
+    let connection;
+    let connections;
+
+    beforeEach(() => {
+        if (fs.existsSync(OUTBOX_FILE)) fs.unlinkSync(OUTBOX_FILE);
+        connection = { connected: false, publish: jest.fn((topic, payload, options, cb) => cb()) };
+        connections = new Map([[CONNECTOR_ID, connection]]);
+        outboxManager.init(createMockLogger(), { OUTBOX_ENABLED: true, OUTBOX_MAX_SIZE_MB: 10, OUTBOX_MAX_AGE_MINUTES: 60 }, connections);
+    });
+
+    afterEach(() => {
+        outboxManager.stop();
+        if (fs.existsSync(OUTBOX_FILE)) fs.unlinkSync(OUTBOX_FILE);
+    });
+
+    test('should queue while offline and drain in order on reconnect', async () => {
+        expect(outboxManager.shouldQueue(CONNECTOR_ID, connection)).toBe(true);
+        expect(outboxManager.enqueue(CONNECTOR_ID, 'plant/a', '{"v":1}', { qos: 1 }, 'mapper')).toBe(true);
+        expect(outboxManager.enqueue(CONNECTOR_ID, 'plant/b', Buffer.from([1, 2, 3]), { qos: 0 }, 'publish-api')).toBe(true);
+        expect(outboxManager.getPendingCount(CONNECTOR_ID)).toBe(2);
+        expect(outboxManager.resolveConnectorId(connection)).toBe(CONNECTOR_ID);
+
+        // Nothing is sent while the connector is offline
+        expect(await outboxManager.drain(CONNECTOR_ID)).toBe(0);
+
+        connection.connected = true;
+        // Still queued: a direct publish would overtake the pending messages
+        expect(outboxManager.shouldQueue(CONNECTOR_ID, connection)).toBe(true);
+        expect(await outboxManager.drain(CONNECTOR_ID)).toBe(2);
+
+        expect(connection.publish.mock.calls.map(c => c[0])).toEqual(['plant/a', 'plant/b']);
+        expect(connection.publish.mock.calls[0][2]).toEqual({ qos: 1 });
+        expect(connection.publish.mock.calls[1][1]).toEqual(Buffer.from([1, 2, 3]));
+        expect(outboxManager.getPendingCount(CONNECTOR_ID)).toBe(0);
+        expect(fs.existsSync(OUTBOX_FILE)).toBe(false);
+        expect(outboxManager.shouldQueue(CONNECTOR_ID, connection)).toBe(false);
+        expect(outboxManager.getSummary()).toEqual([expect.objectContaining({ connectorId: CONNECTOR_ID, pending: 0, queued: 2, drained: 2 })]);
+    });
+
+    test('should keep the remaining messages when the connection drops during a drain', async () => {
+        ['m/1', 'm/2', 'm/3'].forEach(topic => outboxManager.enqueue(CONNECTOR_ID, topic, 'x'));
+        connection.connected = true;
+        connection.publish.mockImplementation((topic, payload, options, cb) => {
+            if (topic === 'm/2') {
+                connection.connected = false;
+                return cb(new Error('Connection closed'));
+            }
+            cb();
+        });
+
+        expect(await outboxManager.drain(CONNECTOR_ID)).toBe(1);
+        expect(outboxManager.getMessages(CONNECTOR_ID).map(m => m.topic)).toEqual(['m/2', 'm/3']);
+
+        // Restored from disk after a restart
+        outboxManager.init(createMockLogger(), { OUTBOX_MAX_SIZE_MB: 10 }, connections);
+        expect(outboxManager.getPendingCount(CONNECTOR_ID)).toBe(2);
+    });
+
+    test('should read and rewrite the outbox once per drain and keep messages queued meanwhile', async () => {
+        for (let i = 0; i < 250; i++) outboxManager.enqueue(CONNECTOR_ID, `t/${i}`, 'x');
+        const oldest = outboxManager.getSummary()[0].oldestQueuedAt;
+        expect(oldest).toEqual(expect.any(Number));
+
+        const readSpy = jest.spyOn(fs, 'readFileSync');
+        const writeSpy = jest.spyOn(fs, 'writeFileSync');
+        // The summary is served from memory (metrics scrapes)
+        outboxManager.getSummary();
+        expect(readSpy).not.toHaveBeenCalled();
+
+        connection.connected = true;
+        connection.publish.mockImplementation((topic, payload, options, cb) => {
+            if (topic === 't/10') outboxManager.enqueue(CONNECTOR_ID, 'late', 'x');
+            cb();
+        });
+        try {
+            expect(await outboxManager.drain(CONNECTOR_ID)).toBe(251);
+            // Initial read, then one re-read per pass to pick up the late message
+            expect(readSpy.mock.calls.filter(c => c[0] === OUTBOX_FILE)).toHaveLength(3);
+            // No rewrite per batch (appendFileSync writes with the 'a' flag), the emptied file is removed
+            expect(writeSpy.mock.calls.filter(c => c[0] === OUTBOX_FILE && c[2]?.flag !== 'a')).toHaveLength(0);
+        } finally {
+            readSpy.mockRestore();
+            writeSpy.mockRestore();
+        }
+        expect(connection.publish.mock.calls.map(c => c[0]).slice(-2)).toEqual(['t/249', 'late']);
+        expect(fs.existsSync(OUTBOX_FILE)).toBe(false);
+        expect(outboxManager.getSummary()[0]).toMatchObject({ pending: 0, oldestQueuedAt: null });
+    });
+
+    test('should keep messages queued after a clear during a drain publish', async () => {
+        ['m/1', 'm/2'].forEach(topic => outboxManager.enqueue(CONNECTOR_ID, topic, 'x'));
+        connection.connected = true;
+        let release = null;
+        connection.publish.mockImplementation((topic, payload, options, cb) => {
+            if (topic === 'm/1') release = cb;
+            else cb();
+        });
+
+        const drained = outboxManager.drain(CONNECTOR_ID);
+        expect(release).toEqual(expect.any(Function));
+        expect(outboxManager.clear(CONNECTOR_ID)).toBe(2);
+        outboxManager.enqueue(CONNECTOR_ID, 'late', 'x');
+        expect(outboxManager.getMessages(CONNECTOR_ID).map(m => m.topic)).toEqual(['late']);
+        release();
+
+        expect(await drained).toBe(2);
+        expect(connection.publish.mock.calls.map(c => c[0])).toEqual(['m/1', 'late']);
+        expect(outboxManager.getPendingCount(CONNECTOR_ID)).toBe(0);
+        expect(fs.existsSync(OUTBOX_FILE)).toBe(false);
+    });
+
+    test('should drop rejected and expired messages without blocking the queue', async () => {
+        outboxManager.enqueue(CONNECTOR_ID, 'old', 'x');
+        outboxManager.enqueue(CONNECTOR_ID, 'forbidden', 'x');
+        outboxManager.enqueue(CONNECTOR_ID, 'ok', 'x');
+        const lines = fs.readFileSync(OUTBOX_FILE, 'utf8').trim().split('\n').map(l => JSON.parse(l));
+        lines[0].queuedAt -= 2 * 3600000;
+        fs.writeFileSync(OUTBOX_FILE, lines.map(l => JSON.stringify(l)).join('\n') + '\n');
+
+        connection.connected = true;
+        connection.publish.mockImplementation((topic, payload, options, cb) => cb(topic === 'forbidden' ? new Error('No mapping') : null));
+
+        expect(await outboxManager.drain(CONNECTOR_ID)).toBe(1);
+        expect(connection.publish.mock.calls.map(c => c[0])).toEqual(['forbidden', 'ok']);
+        expect(outboxManager.getSummary()[0].dropped).toEqual({ overflow: 0, expired: 1, rejected: 1 });
+    });
+
+    test('should prune the oldest messages when the outbox exceeds its size limit', () => {
+        outboxManager.init(createMockLogger(), { OUTBOX_MAX_SIZE_MB: 0.002 }, connections);
+        for (let i = 0; i < 20; i++) {
+            outboxManager.enqueue(CONNECTOR_ID, `t/${i}`, 'x'.repeat(100));
+        }
+
+        const remaining = outboxManager.getMessages(CONNECTOR_ID);
+        expect(fs.statSync(OUTBOX_FILE).size).toBeLessThanOrEqual(0.002 * 1024 * 1024);
+        expect(remaining[remaining.length - 1].topic).toBe('t/19');
+        expect(outboxManager.getSummary()[0].dropped.overflow).toBe(20 - remaining.length);
+    });
+
+    test('should not queue when disabled', () => {
+        outboxManager.init(createMockLogger(), { OUTBOX_ENABLED: false }, connections);
+        expect(outboxManager.shouldQueue(CONNECTOR_ID, connection)).toBe(false);
+        expect(outboxManager.enqueue(CONNECTOR_ID, 't', 'x')).toBe(false);
+        expect(fs.existsSync(OUTBOX_FILE)).toBe(false);
+    });
+});
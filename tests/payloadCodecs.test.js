@@ -0,0 +1,124 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the Payload Codecs and their Manager.
+ * Verifies Protobuf schemas (uploaded .proto files), CBOR, MessagePack and custom JS codecs,
+ * topic pattern resolution, rule validation and persistence.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('cbor-x', () => ({
+    decode: jest.fn(() => new Map([[1, 'pump'], ['raw', new Uint8Array([1, 2])]])),
+    encode: jest.fn(() => Buffer.from('a1', 'hex'))
+}), { virtual: true });
+
+jest.mock('@msgpack/msgpack', () => ({
+    decode: jest.fn(() => ({ v: 42 })),
+    encode: jest.fn(() => new Uint8Array([0x81, 0xa1, 0x76, 0x2a]))
+}), { virtual: true });
+
+const { createCodec } = require('../core/codecs/payloadCodecs');
+const codecManager = require('../core/codecs/codecManager');
+
+const PROTO = `syntax = "proto3";
+package plant;
+import "google/protobuf/timestamp.proto";
+message Telemetry {
+  enum State { IDLE = 0; RUN = 1; }
+  string machine_id = 1;
+  double temperature = 2;
+  int64 counter = 3;
+  State state = 4;
+  google.protobuf.Timestamp ts = 5;
+}`;
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+describe('Payload Codecs', () => {
+    let dataPath;
+    let dirs;
+
+    beforeEach(() => {
+        dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'korelate-codecs-'));
+        dirs = { schemaDir: path.join(dataPath, 'schemas'), codecDir: path.join(dataPath, 'codecs') };
+        fs.mkdirSync(dirs.schemaDir);
+        fs.mkdirSync(dirs.codecDir);
+        fs.writeFileSync(path.join(dirs.schemaDir, 'telemetry.proto'), PROTO);
+        codecManager.init(createMockLogger(), { dataPath });
+    });
+
+    afterEach(() => {
+        fs.rmSync(dataPath, { recursive: true, force: true });
+    });
+
+    test('should round-trip Protobuf messages with enums, 64-bit integers and well-known types', () => {
+        const codec = createCodec({ codec: 'protobuf', schemaFile: 'telemetry.proto', messageType: 'plant.Telemetry', ...dirs });
+        const value = { machine_id: 'M1', temperature: 21.5, counter: '9007199254740993', state: 'RUN', ts: { seconds: '1700000000', nanos: 0 } };
+
+        const encoded = codec.encode(value);
+        expect(Buffer.isBuffer(encoded)).toBe(true);
+        expect(codec.decode(encoded)).toEqual(value);
+        expect(() => createCodec({ codec: 'protobuf', schemaFile: '../telemetry.proto', messageType: 'plant.Telemetry', ...dirs })).toThrow('Invalid file name');
+    });
+
+    test('should decode CBOR / MessagePack into JSON-friendly values and load custom modules', () => {
+        expect(createCodec({ codec: 'cbor' }).decode(Buffer.from('00', 'hex'))).toEqual({ 1: 'pump', raw: 'AQI=' });
+        const msgpack = createCodec({ codec: 'msgpack' });
+        expect(msgpack.decode(Buffer.alloc(1))).toEqual({ v: 42 });
+        expect(msgpack.encode({ v: 42 })).toEqual(Buffer.from('81a1762a', 'hex'));
+
+        fs.writeFileSync(path.join(dirs.codecDir, 'frame.js'), 'module.exports = { decode: (b) => ({ id: b.readUInt8(0), value: b.readInt16BE(1) / 10 }) };');
+        const custom = createCodec({ codec: 'custom', module: 'frame.js', ...dirs });
+        expect(custom.decode(Buffer.from([7, 0x00, 0xd7]))).toEqual({ id: 7, value: 21.5 });
+        expect(() => custom.encode({})).toThrow("Custom codec 'frame.js' does not export an encode function.");
+        expect(() => createCodec({ codec: 'avro' })).toThrow("Unknown payload codec 'avro'");
+    });
+
+    test('should resolve topics to the first enabled matching rule and persist the rules', () => {
+        codecManager.setRules([
+            { pattern: 'factory/line1/telemetry', codec: 'msgpack', enabled: false },
+            { pattern: 'factory/+/telemetry', codec: 'protobuf', schemaFile: 'telemetry.proto', messageType: 'plant.Telemetry' },
+            { pattern: 'edge/#', codec: 'cbor', comment: 'dropped' }
+        ]);
+
+        expect(codecManager.resolve('factory/line1/telemetry')).toMatchObject({ codec: 'protobuf', schemaFile: 'telemetry.proto', schemaDir: dirs.schemaDir });
+        expect(codecManager.resolve('edge/gw1/data')).toMatchObject({ codec: 'cbor', pattern: 'edge/#' });
+        expect(codecManager.resolve('other/topic')).toBeNull();
+
+        const saved = JSON.parse(fs.readFileSync(path.join(dataPath, 'payload_codecs.json'), 'utf8'));
+        expect(saved.rules[2]).toEqual({ pattern: 'edge/#', codec: 'cbor', enabled: true });
+
+        codecManager.init(createMockLogger(), { dataPath });
+        const codec = codecManager.resolve('factory/line2/telemetry');
+        expect(createCodec(codec).decode(codecManager.encode(codec, { machine_id: 'M2' }))).toMatchObject({ machine_id: 'M2', state: 'IDLE' });
+    });
+
+    test('should reject invalid rules and keep the schemas in use', () => {
+        expect(() => codecManager.setRules([{ pattern: 'a/#', codec: 'protobuf', schemaFile: 'telemetry.proto', messageType: 'plant.Missing' }]))
+            .toThrow("Codec rule 'a/#': no such type: plant.Missing");
+        expect(() => codecManager.setRules([{ codec: 'cbor' }])).toThrow("Each codec rule needs a topic 'pattern'.");
+        expect(codecManager.getRules()).toEqual([]);
+
+        expect(codecManager.validateSchema('telemetry.proto')).toEqual(['plant.Telemetry', 'google.protobuf.Timestamp']);
+        codecManager.setRules([{ pattern: 'a/#', codec: 'protobuf', schemaFile: 'telemetry.proto', messageType: 'plant.Telemetry' }]);
+        expect(() => codecManager.deleteSchema('telemetry.proto')).toThrow("Schema 'telemetry.proto' is used by the codec rule 'a/#'.");
+        expect(codecManager.listFiles()).toEqual({ schemas: ['telemetry.proto'], modules: [] });
+    });
+
+    test('should only replace a schema once its upload parses', () => {
+        const upload = path.join(dirs.schemaDir, 'telemetry.proto.1.upload');
+        fs.writeFileSync(upload, 'syntax = "proto3"; message Broken {');
+        expect(() => codecManager.installSchema(upload, 'telemetry.proto')).toThrow();
+        expect(fs.existsSync(upload)).toBe(false);
+        expect(fs.readFileSync(path.join(dirs.schemaDir, 'telemetry.proto'), 'utf8')).toBe(PROTO);
+
+        fs.writeFileSync(upload, 'syntax = "proto3"; package plant; message Alarm { string code = 1; }');
+        expect(codecManager.installSchema(upload, 'alarm.proto')).toEqual(['plant.Alarm']);
+        expect(codecManager.listFiles().schemas.sort()).toEqual(['alarm.proto', 'telemetry.proto']);
+    });
+});
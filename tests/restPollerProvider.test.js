@@ -2,11 +2,14 @@
  * @license Apache License, Version 2.0
  * @author Sebastien Lalaurette
  * * Unit tests for the REST API Poller Provider.
+ * Verifies polling, JSONPath extraction into templated topics, pagination, conditional requests and OAuth2.
  */
 const RestPollerProvider = require('../connectors/rest-poller/index');
+const jsonPath = require('../connectors/rest-poller/jsonPath');
 const axios = require('axios');
 
 jest.spyOn(axios, 'get').mockResolvedValue({ data: { temperature: 22.5 } });
+jest.spyOn(axios, 'post');
 
 const createMockLogger = () => ({
     info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
@@ -56,4 +59,132 @@ describe('RestPollerProvider', () => {
         
         await provider.disconnect();
     });
+
+    test('should evaluate the supported JSONPath subset', () => {
+        const data = { data: { items: [{ id: 'P1', rpm: 1200, tags: { site: 'lyon' } }, { id: 'P2', rpm: 0, tags: { site: 'paris' } }] }, 'odd key': 1 };
+
+        expect(jsonPath.query(data, '$.data.items[*].id')).toEqual(['P1', 'P2']);
+        expect(jsonPath.query(data, "$['odd key']")).toEqual([1]);
+        expect(jsonPath.query(data, '$.data.items[-1].id')).toEqual(['P2']);
+        expect(jsonPath.query(data, '$..site')).toEqual(['lyon', 'paris']);
+        expect(jsonPath.query(data, '$.data.items[?(@.rpm > 0)].id')).toEqual(['P1']);
+        expect(jsonPath.query(data, "$.data.items[?(@.tags.site == 'paris')].id")).toEqual(['P2']);
+        expect(jsonPath.query(data, '$.data.items[0:1].id')).toEqual(['P1']);
+        expect(jsonPath.queryFirst(data, '$.missing.path')).toBeUndefined();
+        expect(() => jsonPath.compile('data.items')).toThrow("must start with '$'");
+    });
+
+    test('should split paginated responses into templated topics', async () => {
+        axios.get
+            .mockResolvedValueOnce({ status: 200, headers: { etag: '"v1"' }, data: { items: [{ id: 'P1', v: 1 }, { id: 'P2', v: 2 }], next_cursor: 'abc' } })
+            .mockResolvedValueOnce({ status: 200, headers: {}, data: { items: [{ id: 'P3', v: 3 }], next_cursor: null } });
+
+        const provider = new RestPollerProvider({
+            id: 'rest_pumps',
+            type: 'rest',
+            options: {
+                endpoints: [{
+                    id: 'pumps',
+                    url: 'http://test.com/pumps',
+                    params: { site: 'lyon' },
+                    topic: 'plant/{{endpoint}}/{{item.id}}',
+                    extract: '$.items[*]',
+                    pagination: { type: 'cursor', param: 'after' }
+                }]
+            }
+        }, mockContext);
+        provider.connected = true;
+
+        await provider.poll();
+        expect(axios.get).toHaveBeenNthCalledWith(2, 'http://test.com/pumps', expect.objectContaining({ params: { site: 'lyon', after: 'abc' } }));
+        expect(mockContext.handleMessage.mock.calls.map(c => c[1])).toEqual(['plant/pumps/P1', 'plant/pumps/P2', 'plant/pumps/P3']);
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('rest_pumps', 'plant/pumps/P3', { id: 'P3', v: 3 }, expect.objectContaining({ connectorType: 'rest' }));
+        // An unchanged first page would hide changes on the next ones: no validators are sent
+        expect(axios.get.mock.calls[0][1].headers['If-None-Match']).toBeUndefined();
+        expect(provider.endpoints[0].etag).toBeNull();
+    });
+
+    test('should skip unchanged responses with conditional requests', async () => {
+        axios.get
+            .mockResolvedValueOnce({ status: 200, headers: { etag: '"v1"', 'last-modified': 'Sun, 18 Oct 2026 08:00:00 GMT' }, data: { v: 1 } })
+            .mockResolvedValueOnce({ status: 304, headers: {}, data: '' });
+
+        const provider = new RestPollerProvider({
+            id: 'rest_state',
+            type: 'rest',
+            options: { endpoints: [{ id: 'state', url: 'http://test.com/state' }] }
+        }, mockContext);
+        provider.connected = true;
+
+        await provider.poll();
+        await provider.poll();
+        expect(axios.get.mock.calls[1][1].headers).toMatchObject({ 'If-None-Match': '"v1"', 'If-Modified-Since': 'Sun, 18 Oct 2026 08:00:00 GMT' });
+        expect(mockContext.handleMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('should stop page pagination on a short page and follow Link headers', async () => {
+        axios.get
+            .mockResolvedValueOnce({ status: 200, data: [1, 2] })
+            .mockResolvedValueOnce({ status: 200, data: [3] })
+            .mockResolvedValueOnce({ status: 200, headers: { link: '<https://api.test/v?page=2>; rel="next", <https://api.test/v?page=9>; rel="last"' }, data: [4] })
+            .mockResolvedValueOnce({ status: 200, headers: {}, data: [5] });
+
+        const provider = new RestPollerProvider({
+            id: 'rest_pages',
+            type: 'rest',
+            options: {
+                endpoints: [
+                    { id: 'paged', url: 'http://test.com/v', extract: '$[*]', pagination: { type: 'page', sizeParam: 'limit', size: 2 } },
+                    { id: 'linked', url: 'https://api.test/v', extract: '$[*]', pagination: { type: 'link' } }
+                ]
+            }
+        }, mockContext);
+        provider.connected = true;
+
+        await provider.pollEndpoint(provider.endpoints[0]);
+        expect(axios.get.mock.calls.map(c => c[1].params)).toEqual([{ page: 1, limit: 2 }, { page: 2, limit: 2 }]);
+
+        await provider.pollEndpoint(provider.endpoints[1]);
+        expect(axios.get.mock.calls[3][0]).toBe('https://api.test/v?page=2');
+        expect(mockContext.handleMessage.mock.calls.map(c => [c[1], c[2]])).toEqual([
+            ['rest/rest_pages/paged', 1], ['rest/rest_pages/paged', 2], ['rest/rest_pages/paged', 3],
+            ['rest/rest_pages/linked', 4], ['rest/rest_pages/linked', 5]
+        ]);
+    });
+
+    test('should authenticate with OAuth2 client credentials and renew rejected tokens', async () => {
+        axios.post
+            .mockResolvedValueOnce({ data: { access_token: 'token-1', expires_in: 3600 } })
+            .mockResolvedValueOnce({ data: { access_token: 'token-2', expires_in: 3600 } });
+        const unauthorized = Object.assign(new Error('Request failed with status code 401'), { response: { status: 401 } });
+        axios.get
+            .mockResolvedValueOnce({ status: 200, data: { v: 1 } })
+            .mockRejectedValueOnce(unauthorized)
+            .mockResolvedValueOnce({ status: 200, data: { v: 2 } });
+
+        const provider = new RestPollerProvider({
+            id: 'rest_oauth',
+            type: 'rest',
+            options: {
+                endpoint: 'http://test.com/api',
+                auth: { type: 'oauth2', tokenUrl: 'http://auth.test/token', clientId: 'korelate', clientSecret: 's3cret', scope: 'read' }
+            }
+        }, mockContext);
+        expect(await provider.connect()).toBe(true);
+        clearInterval(provider.endpoints[0].timer);
+        await new Promise(resolve => setImmediate(resolve));
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(axios.post).toHaveBeenCalledWith('http://auth.test/token', 'grant_type=client_credentials&scope=read',
+            expect.objectContaining({ auth: { username: 'korelate', password: 's3cret' } }));
+        expect(axios.get.mock.calls[0][1].headers.Authorization).toBe('Bearer token-1');
+
+        // Cached token until the API rejects it
+        await provider.poll();
+        expect(axios.post).toHaveBeenCalledTimes(2);
+        expect(axios.get.mock.calls[2][1].headers.Authorization).toBe('Bearer token-2');
+        expect(mockContext.handleMessage.mock.calls.map(c => c[2])).toEqual([{ v: 1 }, { v: 2 }]);
+
+        await provider.disconnect();
+    });
 });
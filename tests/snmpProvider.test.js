@@ -2,20 +2,25 @@
  * @license Apache License, Version 2.0
  * @author Sebastien Lalaurette
  * * Unit tests for the SNMP Poller Provider.
+ * Verifies polling, MIB-based OID naming, table walks and the trap/inform receiver.
  */
 
 jest.mock('net-snmp', () => {
+    // Real module store (MIB translations), mocked network sessions
+    const actual = jest.requireActual('net-snmp');
+    const authorizer = { addCommunity: jest.fn(), addUser: jest.fn() };
     return {
+        ...actual,
         createSession: jest.fn(() => ({
             get: jest.fn((oids, cb) => {
                 cb(null, [{ value: Buffer.from("Mock SNMP Response"), oid: oids[0] }]);
             }),
+            subtree: jest.fn(),
             close: jest.fn(),
             on: jest.fn()
         })),
-        isVarbindError: jest.fn().mockReturnValue(false),
-        Version1: 0,
-        Version2c: 1
+        createReceiver: jest.fn(() => ({ getAuthorizer: () => authorizer, close: jest.fn() })),
+        isVarbindError: jest.fn().mockReturnValue(false)
     };
 });
 
@@ -69,4 +74,85 @@ describe('SnmpProvider', () => {
             'test_snmp', 'system/descr', expect.objectContaining({ '1.3.6.1.2.1.1.1.0': "Mock SNMP Response" }), expect.anything()
         );
     });
+
+    test('should resolve symbolic OIDs and render payload keys with MIB names', async () => {
+        providerConfig.options.oids = ['SNMPv2-MIB::sysDescr.0'];
+        providerConfig.options.oidFormat = 'module';
+        provider = new SnmpProvider(providerConfig, mockContext);
+        await provider.connect();
+        await provider.poll();
+
+        const session = snmp.createSession.mock.results[0].value;
+        expect(session.get).toHaveBeenCalledWith(['1.3.6.1.2.1.1.1.0'], expect.any(Function));
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('test_snmp', 'system/descr', { 'SNMPv2-MIB::sysDescr.0': 'Mock SNMP Response' }, expect.anything());
+    });
+
+    test('should walk interface tables and publish one message per row', async () => {
+        providerConfig.options = { target: '10.0.0.5', topic: 'net/switch1', walks: ['IF-MIB::ifTable'], oidFormat: 'name' };
+        provider = new SnmpProvider(providerConfig, mockContext);
+        await provider.connect();
+
+        const session = snmp.createSession.mock.results[0].value;
+        session.subtree.mockImplementation((oid, maxRepetitions, feed, done) => {
+            feed([
+                { oid: `${oid}.1.2.1`, value: Buffer.from('eth0') },
+                { oid: `${oid}.1.2.2`, value: Buffer.from('eth1') }
+            ]);
+            feed([
+                { oid: `${oid}.1.8.1`, value: 1 },
+                { oid: `${oid}.1.8.2`, value: 2 }
+            ]);
+            done(null);
+        });
+        await provider.poll();
+
+        expect(session.subtree).toHaveBeenCalledWith('1.3.6.1.2.1.2.2', 20, expect.any(Function), expect.any(Function));
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('test_snmp', 'net/switch1/ifTable/1', { ifDescr: 'eth0', ifOperStatus: 1 }, expect.anything());
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('test_snmp', 'net/switch1/ifTable/2', { ifDescr: 'eth1', ifOperStatus: 2 }, expect.anything());
+    });
+
+    test('should publish traps and informs under the agent address and trap name', async () => {
+        providerConfig.options = {
+            community: 'plant',
+            traps: { enabled: true, port: 1162, users: [{ name: 'noc', authKey: 'authpass1', privKey: 'privpass1' }] }
+        };
+        provider = new SnmpProvider(providerConfig, mockContext);
+        expect(await provider.connect()).toBe(true);
+        // Trap-only provider: no polling session
+        expect(snmp.createSession).not.toHaveBeenCalled();
+
+        expect(snmp.createReceiver).toHaveBeenCalledWith(expect.objectContaining({ port: 1162, disableAuthorization: false }), expect.any(Function));
+        const authorizer = snmp.createReceiver.mock.results[0].value.getAuthorizer();
+        expect(authorizer.addCommunity).toHaveBeenCalledWith('plant');
+        expect(authorizer.addUser).toHaveBeenCalledWith(expect.objectContaining({ name: 'noc', level: snmp.SecurityLevel.authPriv, privProtocol: snmp.PrivProtocols.aes }));
+
+        const onNotification = snmp.createReceiver.mock.calls[0][1];
+        onNotification(null, {
+            pdu: {
+                type: snmp.PduType.InformRequest,
+                user: 'noc',
+                varbinds: [
+                    { oid: '1.3.6.1.2.1.1.3.0', value: 4200 },
+                    { oid: '1.3.6.1.6.3.1.1.4.1.0', value: '1.3.6.1.6.3.1.1.5.3' },
+                    { oid: '1.3.6.1.2.1.2.2.1.1.7', value: 7 }
+                ]
+            },
+            rinfo: { address: '10.0.0.5' }
+        });
+        // SNMPv1 enterprise-specific trap without its MIB: the agent address comes from the PDU
+        onNotification(null, {
+            pdu: { type: snmp.PduType.Trap, enterprise: '1.3.6.1.4.1.9999', agentAddr: '10.0.0.9', generic: 6, specific: 3, upTime: 10, varbinds: [] },
+            rinfo: { address: '192.168.1.1' }
+        });
+
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('test_snmp', 'snmp/test_snmp/traps/10.0.0.5/linkDown', {
+            type: 'inform', version: 'v3', user: 'noc', agent: '10.0.0.5', trapOid: '1.3.6.1.6.3.1.1.5.3', trap: 'IF-MIB::linkDown', uptime: 4200,
+            varbinds: { '1.3.6.1.2.1.2.2.1.1.7': 7 }
+        }, expect.anything());
+        expect(mockContext.handleMessage).toHaveBeenCalledWith('test_snmp', 'snmp/test_snmp/traps/10.0.0.9/enterprises.9999.0.3',
+            expect.objectContaining({ type: 'trap', version: 'v1', trapOid: '1.3.6.1.4.1.9999.0.3', trap: 'SNMPv2-SMI::enterprises.9999.0.3', uptime: 10 }), expect.anything());
+
+        onNotification(Object.assign(new Error('bind EACCES'), { code: 'EACCES' }), null);
+        expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('test_snmp', 'error', 'Trap port: bind EACCES');
+    });
 });
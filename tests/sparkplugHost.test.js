@@ -0,0 +1,102 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the Sparkplug B Host Application.
+ * Verifies alias resolution, node/device state tracking, rebirth requests and STATE messages.
+ */
+const spBv10Codec = require('sparkplug-payload').get("spBv1.0");
+const { SparkplugHost, parseTopic, isStateTopic, REBIRTH_METRIC } = require('../connectors/mqtt/sparkplugHost');
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+// Round-trips through the real codec so aliases and sequence numbers are protobuf Longs, as on the wire
+const decode = (payload) => spBv10Codec.decodePayload(spBv10Codec.encodePayload(payload));
+
+const nbirth = (seq = 0, bdSeq = 1) => decode({
+    timestamp: Date.now(),
+    seq,
+    metrics: [
+        { name: 'bdSeq', type: 'UInt64', value: bdSeq },
+        { name: 'Temperature', alias: 1, type: 'Float', value: 20.5 }
+    ]
+});
+
+describe('SparkplugHost', () => {
+    let publish;
+    let host;
+
+    beforeEach(() => {
+        publish = jest.fn();
+        host = new SparkplugHost({ hostId: 'korelate', publish, logger: createMockLogger() });
+    });
+
+    test('should parse edge node and device topics', () => {
+        expect(parseTopic('spBv1.0/Plant/DDATA/Edge1/Pump')).toEqual({ groupId: 'Plant', messageType: 'DDATA', edgeNodeId: 'Edge1', deviceId: 'Pump' });
+        expect(parseTopic('spBv1.0/Plant/NDATA/Edge1')).toEqual({ groupId: 'Plant', messageType: 'NDATA', edgeNodeId: 'Edge1', deviceId: null });
+        expect(parseTopic('spBv1.0/STATE/korelate')).toBeNull();
+        expect(isStateTopic('spBv1.0/STATE/korelate')).toBe(true);
+        expect(() => new SparkplugHost({ hostId: 'a/b', publish, logger: createMockLogger() })).toThrow('Invalid Sparkplug host ID');
+    });
+
+    test('should resolve aliases announced by NBIRTH and DBIRTH', () => {
+        host.processMessage('spBv1.0/Plant/NBIRTH/Edge1', nbirth());
+        host.processMessage('spBv1.0/Plant/DBIRTH/Edge1/Pump', decode({
+            seq: 1, metrics: [{ name: 'Speed', alias: 2, type: 'Int32', value: 1500 }]
+        }));
+
+        const ndata = host.processMessage('spBv1.0/Plant/NDATA/Edge1', decode({ seq: 2, metrics: [{ alias: 1, type: 'Float', value: 21 }] }));
+        const ddata = host.processMessage('spBv1.0/Plant/DDATA/Edge1/Pump', decode({ seq: 3, metrics: [{ alias: 2, type: 'Int32', value: 1490 }] }));
+
+        expect(ndata.metrics[0].name).toBe('Temperature');
+        expect(ddata.metrics[0].name).toBe('Speed');
+        expect(ddata._sparkplug).toEqual({ edgeNode: 'online', device: 'online' });
+        expect(publish).not.toHaveBeenCalled();
+    });
+
+    test('should track deaths and ignore NDEATH of a previous session', () => {
+        host.processMessage('spBv1.0/Plant/NBIRTH/Edge1', nbirth(0, 2));
+        host.processMessage('spBv1.0/Plant/DBIRTH/Edge1/Pump', decode({ seq: 1, metrics: [] }));
+
+        const ddeath = host.processMessage('spBv1.0/Plant/DDEATH/Edge1/Pump', decode({ seq: 2 }));
+        expect(ddeath._sparkplug).toEqual({ edgeNode: 'online', device: 'offline' });
+
+        const stale = host.processMessage('spBv1.0/Plant/NDEATH/Edge1', decode({ metrics: [{ name: 'bdSeq', type: 'UInt64', value: 1 }] }));
+        expect(stale._sparkplug.edgeNode).toBe('online');
+
+        const ndeath = host.processMessage('spBv1.0/Plant/NDEATH/Edge1', decode({ metrics: [{ name: 'bdSeq', type: 'UInt64', value: 2 }] }));
+        expect(ndeath._sparkplug.edgeNode).toBe('offline');
+    });
+
+    test('should request a rebirth on sequence gaps, unknown aliases and data without birth', () => {
+        const ncmdMetrics = () => spBv10Codec.decodePayload(publish.mock.calls[publish.mock.calls.length - 1][1]).metrics;
+
+        host.processMessage('spBv1.0/Plant/NDATA/Edge2', decode({ seq: 5, metrics: [{ alias: 1, type: 'Float', value: 1 }] }));
+        expect(publish).toHaveBeenCalledWith('spBv1.0/Plant/NCMD/Edge2', expect.any(Buffer), { qos: 0, retain: false });
+        expect(ncmdMetrics()).toEqual([expect.objectContaining({ name: REBIRTH_METRIC, value: true })]);
+
+        // Requests are rate-limited per edge node
+        host.processMessage('spBv1.0/Plant/NDATA/Edge2', decode({ seq: 6, metrics: [] }));
+        expect(publish).toHaveBeenCalledTimes(1);
+
+        host.processMessage('spBv1.0/Plant/NBIRTH/Edge1', nbirth(0));
+        host.processMessage('spBv1.0/Plant/NDATA/Edge1', decode({ seq: 4, metrics: [] }));
+        expect(publish).toHaveBeenCalledTimes(2);
+        expect(publish.mock.calls[1][0]).toBe('spBv1.0/Plant/NCMD/Edge1');
+
+        host.nodes.get('Plant/Edge1').lastRebirthRequest = 0;
+        host.processMessage('spBv1.0/Plant/NDATA/Edge1', decode({ seq: 5, metrics: [{ alias: 99, type: 'Float', value: 1 }] }));
+        expect(publish).toHaveBeenCalledTimes(3);
+    });
+
+    test('should build retained STATE messages and re-publish when declared offline', () => {
+        expect(host.getWill()).toEqual({ topic: 'spBv1.0/STATE/korelate', payload: expect.any(String), qos: 1, retain: true });
+        expect(JSON.parse(host.getWill().payload)).toEqual({ online: false, timestamp: host.stateTimestamp });
+
+        host.handleStateMessage(Buffer.from(JSON.stringify({ online: false, timestamp: 1 })));
+
+        expect(publish).toHaveBeenCalledWith('spBv1.0/STATE/korelate', JSON.stringify({ online: true, timestamp: host.stateTimestamp }), { qos: 1, retain: true });
+    });
+});
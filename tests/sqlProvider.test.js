@@ -2,8 +2,10 @@
  * @license Apache License, Version 2.0
  * @author Sebastien Lalaurette
  * * Unit tests for the SQL Poller Provider.
+ * Verifies polling, cursor persistence across restarts and the INSERT/UPSERT sink mode.
  */
 const SqlPollerProvider = require('../connectors/sql/index');
+const { buildSinkStatement, extractRow } = require('../connectors/sql/sinkStatement');
 
 jest.mock('pg', () => {
     return {
@@ -68,4 +70,115 @@ describe('SqlPollerProvider', () => {
         
         await provider.disconnect();
     });
+
+    describe('Persistent cursor', () => {
+        const config = {
+            id: 'sql_test',
+            type: 'sql',
+            options: { driver: 'postgres', connection: 'mock_conn', query: 'SELECT * FROM test', cursorColumn: 'updated_at' }
+        };
+
+        test('should resume from the persisted cursor and save the new one after a poll', async () => {
+            mockContext.stateStore = {
+                load: jest.fn().mockResolvedValue({ cursorColumn: 'updated_at', query: 'SELECT * FROM test', cursor: 90, cursorType: 'number' }),
+                save: jest.fn().mockResolvedValue()
+            };
+            const provider = new SqlPollerProvider(config, mockContext);
+
+            await provider.connect();
+            await new Promise(resolve => setImmediate(resolve));
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(mockContext.stateStore.load).toHaveBeenCalledWith('sql_test');
+            expect(provider.pool.query).toHaveBeenCalledWith('SELECT * FROM test WHERE updated_at > $1', [90]);
+            expect(mockContext.stateStore.save).toHaveBeenCalledWith('sql_test', {
+                cursorColumn: 'updated_at', query: 'SELECT * FROM test', cursor: 110, cursorType: 'number'
+            });
+
+            await provider.disconnect();
+        });
+
+        test('should revive date cursors and ignore cursors saved for another query', async () => {
+            const provider = new SqlPollerProvider(config, mockContext);
+
+            mockContext.stateStore = { load: jest.fn().mockResolvedValue({ cursorColumn: 'updated_at', query: 'SELECT * FROM test', cursor: '2026-01-01T00:00:00.000Z', cursorType: 'date' }) };
+            await provider.restoreCursor();
+            expect(provider.lastCursorValue).toEqual(new Date('2026-01-01T00:00:00.000Z'));
+
+            provider.lastCursorValue = null;
+            mockContext.stateStore = { load: jest.fn().mockResolvedValue({ cursorColumn: 'updated_at', query: 'SELECT * FROM other', cursor: 5 }) };
+            await provider.restoreCursor();
+            expect(provider.lastCursorValue).toBeNull();
+        });
+    });
+
+    describe('Sink mode', () => {
+        const sinkConfig = (sink, publish = ['mes/#']) => ({
+            id: 'mes_db',
+            type: 'sql',
+            publish,
+            options: { driver: 'postgres', connection: 'mock_conn', sink }
+        });
+
+        test('should insert published messages through a parameterized statement', async () => {
+            const provider = new SqlPollerProvider(sinkConfig({
+                table: 'mes.measurements',
+                columns: { tag: '$topic', val: 'value', unit: 'meta.unit', quality: 'quality' }
+            }), mockContext);
+            await provider.connect();
+            await new Promise(resolve => setImmediate(resolve));
+            expect(provider.pool.query).not.toHaveBeenCalled(); // Sink only: no polling
+
+            const callback = jest.fn();
+            provider.publish('mes/line1/temp', JSON.stringify({ value: 21.5, meta: { unit: 'C' } }), {}, callback);
+            await new Promise(resolve => setImmediate(resolve));
+
+            expect(provider.pool.query).toHaveBeenCalledWith(
+                'INSERT INTO mes.measurements (tag, val, unit, quality) VALUES ($1, $2, $3, $4)',
+                ['mes/line1/temp', 21.5, 'C', null]
+            );
+            expect(callback).toHaveBeenCalledWith();
+            await provider.disconnect();
+        });
+
+        test('should reject topics outside the publish list', async () => {
+            const provider = new SqlPollerProvider(sinkConfig({ table: 't', columns: { v: 'value' } }), mockContext);
+            await provider.connect();
+
+            const callback = jest.fn();
+            provider.publish('other/topic', '1', {}, callback);
+
+            expect(callback).toHaveBeenCalledWith(expect.objectContaining({ message: expect.stringContaining('forbidden') }));
+            expect(provider.pool.query).not.toHaveBeenCalled();
+            await provider.disconnect();
+        });
+
+        test('should refuse to start with an unsafe sink configuration', async () => {
+            const provider = new SqlPollerProvider(sinkConfig({ table: 't; DROP TABLE x', columns: { v: 'value' } }), mockContext);
+
+            expect(await provider.connect()).toBe(false);
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('mes_db', 'error', expect.stringContaining('invalid table name'));
+        });
+
+        test('should build driver-specific upserts', () => {
+            const sink = { table: 'tags', mode: 'upsert', keyColumns: ['tag'], columns: { tag: '$topic', val: 'value' } };
+
+            expect(buildSinkStatement('postgres', sink).text)
+                .toBe('INSERT INTO tags (tag, val) VALUES ($1, $2) ON CONFLICT (tag) DO UPDATE SET val = EXCLUDED.val');
+            expect(buildSinkStatement('mysql', sink).text)
+                .toBe('INSERT INTO tags (tag, val) VALUES (?, ?) ON DUPLICATE KEY UPDATE val = VALUES(val)');
+            expect(buildSinkStatement('mssql', sink).text).toBe(
+                'MERGE INTO tags AS target USING (SELECT @p0 AS tag, @p1 AS val) AS source ON (target.tag = source.tag)' +
+                ' WHEN MATCHED THEN UPDATE SET target.val = source.val WHEN NOT MATCHED THEN INSERT (tag, val) VALUES (source.tag, source.val);'
+            );
+            expect(() => buildSinkStatement('postgres', { ...sink, keyColumns: [] })).toThrow(/keyColumns/);
+        });
+
+        test('should map scalar payloads to value and serialize objects', () => {
+            const sink = { table: 't', columns: { v: 'value', raw: '$payload', meta: 'meta' } };
+
+            expect(extractRow(sink, ['v', 'raw', 'meta'], 'a/b', '42')).toEqual([42, '42', null]);
+            expect(extractRow(sink, ['v', 'meta'], 'a/b', { value: true, meta: { a: 1 } })).toEqual([true, '{"a":1}']);
+        });
+    });
 });
@@ -0,0 +1,233 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the WebSocket / Server-Sent Events client Provider.
+ * Runs against local WebSocket and SSE servers: authentication, subscribe messages, frame extraction,
+ * reconnection and outbound frames.
+ */
+const http = require('http');
+const { WebSocketServer } = require('ws');
+const WebSocketProvider = require('../connectors/websocket/index');
+const { SseParser } = require('../connectors/websocket/sse');
+
+const createMockLogger = () => ({
+    info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn(),
+    child: jest.fn().mockImplementation(() => createMockLogger())
+});
+
+/** Resolves once `predicate` returns a truthy value (polled every 10 ms). */
+const waitFor = (predicate, timeout = 2000) => new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+        const value = predicate();
+        if (value) return resolve(value);
+        if (Date.now() - started > timeout) return reject(new Error('Timed out'));
+        setTimeout(check, 10);
+    };
+    check();
+});
+
+describe('WebSocketProvider', () => {
+    let mockContext;
+    let provider;
+
+    beforeEach(() => {
+        mockContext = {
+            logger: createMockLogger(),
+            handleMessage: jest.fn(),
+            updateConnectorStatus: jest.fn()
+        };
+    });
+
+    afterEach(async () => {
+        if (provider) await provider.disconnect();
+        provider = null;
+    });
+
+    test('should parse event streams', () => {
+        const events = [];
+        const retries = [];
+        const parser = new SseParser(evt => events.push(evt), ms => retries.push(ms));
+        parser.push(': keep-alive\nretry: 2500\nevent: telemetry\nid: 7\ndata: {"a":\n');
+        parser.push('data: 1}\n\ndata:plain\r\n\r\n');
+        expect(events).toEqual([
+            { event: 'telemetry', data: '{"a":\n1}', id: '7' },
+            { event: 'message', data: 'plain', id: '7' }
+        ]);
+        expect(retries).toEqual([2500]);
+    });
+
+    test('should keep UTF-8 characters and CRLF line breaks split across chunks', () => {
+        const events = [];
+        const parser = new SseParser(evt => events.push(evt));
+        const bytes = Buffer.from('data: 21 °C\r\ndata: next\r\n\r\n');
+        const degree = bytes.indexOf(0xb0); // Second byte of '°'
+        const cr = bytes.indexOf('\r');
+        parser.push(bytes.subarray(0, degree));
+        parser.push(bytes.subarray(degree, cr + 1));
+        parser.push(bytes.subarray(cr + 1));
+        // Read as two line breaks, the split CRLF would end the event after its first line
+        expect(events).toEqual([{ event: 'message', data: '21 °C\nnext', id: null }]);
+    });
+
+    describe('WebSocket', () => {
+        let server;
+        let received;
+        let handshakes;
+
+        beforeEach(async () => {
+            received = [];
+            handshakes = [];
+            server = new WebSocketServer({ port: 0 });
+            server.on('connection', (socket, request) => {
+                handshakes.push(request.headers);
+                socket.on('message', data => received.push(data.toString()));
+            });
+            await new Promise(resolve => server.on('listening', resolve));
+        });
+
+        afterEach(async () => {
+            server.clients.forEach(client => client.terminate());
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        const createProvider = (options = {}) => new WebSocketProvider({
+            id: 'vendor', type: 'websocket', publish: ['vendor/commands/#'],
+            options: {
+                url: `ws://127.0.0.1:${server.address().port}/stream`,
+                auth: { type: 'bearer', token: 'secret' },
+                subscribeMessages: [{ action: 'subscribe', channels: ['telemetry'] }],
+                extract: '$.data[*]',
+                topicPath: '$.channel',
+                topic: 'vendor/{{topic}}',
+                payloadPath: '$.value',
+                correlationPath: '$.requestId',
+                reconnectInterval: 20,
+                ...options
+            }
+        }, mockContext);
+
+        test('should authenticate, subscribe and route the records of each frame', async () => {
+            provider = createProvider();
+            await expect(provider.connect()).resolves.toBe(true);
+            await waitFor(() => received.length === 1);
+
+            expect(handshakes[0].authorization).toBe('Bearer secret');
+            expect(JSON.parse(received[0])).toEqual({ action: 'subscribe', channels: ['telemetry'] });
+
+            const [socket] = server.clients;
+            socket.send(JSON.stringify({ data: [
+                { channel: 'plant/line1/temp', value: { v: 21.5 }, requestId: 'r-1' },
+                { channel: 'plant/line1/state', value: 'RUN' },
+                { value: 3 }
+            ] }));
+            await waitFor(() => mockContext.handleMessage.mock.calls.length === 3);
+
+            expect(mockContext.handleMessage.mock.calls.map(c => [c[1], c[2]])).toEqual([
+                ['vendor/plant/line1/temp', { v: 21.5 }],
+                ['vendor/plant/line1/state', 'RUN'],
+                ['vendor', 3]
+            ]);
+            expect(mockContext.handleMessage.mock.calls[0][3]).toMatchObject({ correlationId: 'r-1', connectorType: 'websocket' });
+        });
+
+        test('should reconnect with backoff and subscribe again', async () => {
+            provider = createProvider();
+            await provider.connect();
+            await waitFor(() => received.length === 1);
+
+            server.clients.forEach(client => client.close(1012, 'restart'));
+            await waitFor(() => received.length === 2);
+
+            expect(handshakes).toHaveLength(2);
+            expect(mockContext.updateConnectorStatus).toHaveBeenCalledWith('vendor', 'offline', 'Connection closed (1012: restart)');
+            expect(mockContext.updateConnectorStatus).toHaveBeenLastCalledWith('vendor', 'connected', null);
+            expect(provider.reconnectAttempts).toBe(0);
+        });
+
+        test('should send outbound frames on allowed topics', async () => {
+            provider = createProvider({ subscribeMessages: [], publishTemplate: '{"action":"write","target":"{{topic}}","value":{{payload}}}' });
+            await provider.connect();
+
+            const callback = jest.fn();
+            provider.publish('vendor/commands/line1', { speed: 3 }, {}, callback);
+            await waitFor(() => received.length === 1);
+            expect(JSON.parse(received[0])).toEqual({ action: 'write', target: 'vendor/commands/line1', value: { speed: 3 } });
+            await waitFor(() => callback.mock.calls.length === 1);
+            expect(callback).toHaveBeenCalledWith(null);
+
+            provider.publish('vendor/other', '1', {}, callback);
+            expect(callback).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Publish forbidden for topic: vendor/other' }));
+        });
+    });
+
+    describe('Server-Sent Events', () => {
+        let server;
+        let requests;
+        let responses;
+
+        beforeEach(async () => {
+            requests = [];
+            responses = [];
+            server = http.createServer((req, res) => {
+                requests.push(req.headers);
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.flushHeaders();
+                responses.push(res);
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(async () => {
+            responses.forEach(res => res.destroy());
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should consume events and resume with Last-Event-ID', async () => {
+            provider = new WebSocketProvider({
+                id: 'sse', type: 'websocket',
+                options: { url: `http://127.0.0.1:${server.address().port}/events`, headers: { 'x-api-key': 'k1' }, topic: 'sse/{{event}}/{{item.id}}', reconnectInterval: 20 }
+            }, mockContext);
+            await expect(provider.connect()).resolves.toBe(true);
+            expect(requests[0]).toMatchObject({ accept: 'text/event-stream', 'x-api-key': 'k1' });
+
+            responses[0].write('event: pump\nid: 41\ndata: {"id":"P1","flow":12}\n\n');
+            await waitFor(() => mockContext.handleMessage.mock.calls.length === 1);
+            expect(mockContext.handleMessage).toHaveBeenCalledWith('sse', 'sse/pump/P1', { id: 'P1', flow: 12 }, expect.objectContaining({ sseEvent: 'pump', sseId: '41' }));
+
+            responses[0].end();
+            await waitFor(() => requests.length === 2);
+            expect(requests[1]['last-event-id']).toBe('41');
+
+            const callback = jest.fn();
+            provider.publish('sse/x', '1', {}, callback);
+            expect(callback).toHaveBeenCalledWith(expect.objectContaining({ message: 'Server-Sent Events connections are receive-only' }));
+        });
+
+        test('should not reconnect faster than reconnectInterval on a retry hint of 0', async () => {
+            provider = new WebSocketProvider({
+                id: 'sse', type: 'websocket',
+                options: { url: `http://127.0.0.1:${server.address().port}/events`, reconnectInterval: 150 }
+            }, mockContext);
+            await provider.connect();
+            const setTimeoutSpy = jest.spyOn(global, 'setTimeout');
+            try {
+                responses[0].write('retry: 0\n\n');
+                responses[0].end();
+                await waitFor(() => provider.reconnectTimer !== null);
+                expect(setTimeoutSpy).toHaveBeenCalledWith(expect.any(Function), 150);
+                expect(setTimeoutSpy).not.toHaveBeenCalledWith(expect.any(Function), 0);
+                expect(requests).toHaveLength(1);
+
+                await waitFor(() => requests.length === 2);
+                provider.serverRetryMs = 400;
+                provider.reconnectAttempts = 1;
+                provider.reconnectTimer = null;
+                provider.scheduleReconnect();
+                expect(setTimeoutSpy).toHaveBeenLastCalledWith(expect.any(Function), 800);
+            } finally {
+                setTimeoutSpy.mockRestore();
+            }
+        });
+    });
+});
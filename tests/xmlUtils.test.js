@@ -0,0 +1,27 @@
+/**
+ * @license Apache License, Version 2.0
+ * @author Sebastien Lalaurette
+ * * Unit tests for the shared XML reader (MTConnect documents, ETS exports).
+ */
+
+const { parseXml, decodeEntities } = require('../core/xmlUtils');
+
+describe('XML Utils', () => {
+    test('should decode predefined and numeric entities', () => {
+        expect(decodeEntities('a &amp; b &lt;&#x42;&#67;&gt; &quot;x&apos;')).toBe('a & b <BC> "x\'');
+    });
+
+    test('should build the element tree with attributes, text and CDATA', () => {
+        const root = parseXml(`<?xml version="1.0"?>
+<m:Doc xmlns:m="urn:x"><!-- comment -->
+  <Item id='1' name="A &amp; B"/>
+  <Item id="2">Hello <![CDATA[<raw>]]> &lt;world&gt;</Item>
+</m:Doc>`);
+
+        const doc = root.children[0];
+        expect(doc.name).toBe('Doc');
+        expect(doc.children.map(c => c.attrs)).toEqual([{ id: '1', name: 'A & B' }, { id: '2' }]);
+        expect(doc.children[1].text).toBe('Hello <raw> <world>');
+        expect(doc.text).toBe('');
+    });
+});